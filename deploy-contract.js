@@ -6,109 +6,387 @@
 
 const fs = require('fs');
 const path = require('path');
-const solc = require('solc');
 const viem = require('viem');
-const { privateKeyToAccount } = require('viem/accounts');
-const { monadTestnet } = require('viem/chains');
-const { PRIVATE_KEY, getPrivateKey } = require('./getPrivateKey');
+const { unlockSigner, getSignerAddress } = require('./getPrivateKey');
+const { sourceUnitFor } = require('./lib/imports');
+const { compileSource } = require('./lib/compiler');
+const { listContracts, selectContract } = require('./lib/contracts');
+const { CompilationError, hasErrors, formatDiagnostic } = require('./lib/diagnostics');
+const { mergeSettings, parseOptimizerRuns } = require('./lib/settings');
+const { collectLibraries, libraryRecord, linkLibraries } = require('./lib/linking');
+const { compiledEvmVersion, networkLimits, assertPreflight } = require('./lib/preflight');
+const { buildInfo } = require('./lib/standard-json');
+const { recordDeployment, getDeployment, findDeploymentByAddress } = require('./lib/registry');
+const { factoryAddress, normalizeSalt, predictAddress, deployCreate2 } = require('./lib/create2');
+const { simulateDeployment } = require('./lib/dry-run');
+const { verifyDeployedCode } = require('./lib/bytecode');
+const { coerceConstructorArgs } = require('./lib/abi-args');
+const { getNetwork, createClients, explorerTxUrl } = require('./lib/networks');
+const { PendingTransactionError, trackTransaction } = require('./lib/journal');
+const {
+  proxyKind,
+  implementationName,
+  checkImplementation,
+  encodeCall,
+  encodeInitializer,
+  compileProxy,
+  proxyConstructorArgs,
+  readImplementation,
+  readAdmin,
+  upgradeRequest
+} = require('./lib/proxy');
 
 /**
- * Compiles a Solidity contract
+ * Parses the value of --settings
+ * @param {string} value - Inline JSON or the path to a JSON file
+ * @returns {Object} The compiler settings
+ */
+function parseSettingsArg(value) {
+  const json = value && fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value;
+  
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid --settings value: ${error.message}`);
+  }
+}
+
+/**
+ * Compiles a Solidity file and everything it imports
  * @param {string} contractPath - Path to the Solidity file
- * @returns {Object} The compiled contract with ABI and bytecode
+ * @param {Object} [options] - Compilation options
+ * @param {string} [options.solcVersion] - Compiler version (defaults to the newest installed compiler that satisfies the pragma)
+ * @param {Object} [options.settings] - Compiler settings overriding `compiler.settings` from mondeployer.config.json
+ * @param {string} [options.network] - Network to compile for (its profile may set the EVM version)
+ * @returns {Object} The entry `sourceName`, the standard-JSON `input` and solc `output`, its `diagnostics`, the `settings` and the `compiler` that were used
  */
-function compileContract(contractPath) {
+function compileFile(contractPath, options = {}) {
   console.log(`Compiling contract at ${contractPath}...`);
   
   // Read the contract source
   const contractSource = fs.readFileSync(contractPath, 'utf8');
   
-  // Extract contract name from file name
-  const contractName = path.basename(contractPath, '.sol');
+  // Compile the contract and everything it imports
+  const { sourceName, baseDir } = sourceUnitFor(contractPath);
+  const { input, output, diagnostics, settings, compiler, cached } = compileSource({
+    sourceName,
+    content: contractSource,
+    baseDir,
+    solcVersion: options.solcVersion,
+    settings: options.settings,
+    network: getNetwork(options.network)
+  });
   
-  // Prepare compiler input
-  const input = {
-    language: 'Solidity',
-    sources: {
-      [contractName]: {
-        content: contractSource
-      }
-    },
-    settings: {
-      outputSelection: {
-        '*': {
-          '*': ['abi', 'evm.bytecode.object']
-        }
-      },
-      optimizer: {
-        enabled: true,
-        runs: 200
-      }
-    }
-  };
-
-  // Compile the contract
-  const output = JSON.parse(solc.compile(JSON.stringify(input)));
-  
-  // Check for compilation errors
-  if (output.errors) {
-    const errors = output.errors.filter(error => error.severity === 'error');
-    if (errors.length > 0) {
-      console.error('❌ Compilation errors:');
-      errors.forEach(error => console.error(error.formattedMessage));
-      throw new Error('Contract compilation failed');
-    }
-  }
+  console.log(`Compiled with Solidity ${compiler.longVersion} (${compiler.source}${cached ? ', cached' : ''})`);
+  
+  // Print errors and warnings with the offending code highlighted
+  diagnostics.forEach(diagnostic => console.error(`${formatDiagnostic(diagnostic)}\n`));
   
-  // Get the compiled contract data
-  const contractOutput = output.contracts[contractName][contractName];
-  if (!contractOutput) {
-    throw new Error(`Contract ${contractName} not found in compiled output`);
+  if (hasErrors(diagnostics)) {
+    throw new CompilationError(diagnostics);
   }
   
+  return { sourceName, input, output, diagnostics, settings, compiler };
+}
+
+/**
+ * Compiles a Solidity contract
+ * @param {string} contractPath - Path to the Solidity file
+ * @param {Object} [options] - Compilation options
+ * @param {string} [options.solcVersion] - Compiler version (defaults to the newest installed compiler that satisfies the pragma)
+ * @param {Object} [options.settings] - Compiler settings overriding `compiler.settings` from mondeployer.config.json
+ * @param {string} [options.contractName] - Contract to deploy (required if the file defines several deployable contracts)
+ * @returns {Object} The compiled contract with ABI, unlinked bytecode, the libraries it needs, the link and immutable references of its runtime code,
+ *   compiler diagnostics, the compiler version and settings used and the standard-JSON input
+ */
+function compileContract(contractPath, options = {}) {
+  const { sourceName, input, output, diagnostics, settings, compiler } = compileFile(contractPath, options);
+  
+  // Pick the contract to deploy from the AST, preferring the one named after the file
+  const fileContract = path.basename(contractPath, '.sol');
+  const deployable = listContracts(output, sourceName).filter(contract => contract.deployable);
+  const requested = options.contractName ||
+    (deployable.some(contract => contract.name === fileContract) ? fileContract : undefined);
+  
+  const { name: contractName, contract: contractOutput } = selectContract(output, sourceName, requested);
+  const { linkReferences } = contractOutput.evm.bytecode;
+  
   return {
     name: contractName,
     abi: contractOutput.abi,
-    bytecode: `0x${contractOutput.evm.bytecode.object}`
+    bytecode: `0x${contractOutput.evm.bytecode.object}`,
+    deployedBytecode: `0x${contractOutput.evm.deployedBytecode.object}`,
+    deployedLinkReferences: contractOutput.evm.deployedBytecode.linkReferences,
+    immutableReferences: contractOutput.evm.deployedBytecode.immutableReferences,
+    evmVersion: compiledEvmVersion(contractOutput, settings),
+    linkReferences,
+    libraries: collectLibraries(output, linkReferences),
+    diagnostics,
+    compilerVersion: compiler.longVersion,
+    compilerSettings: settings,
+    sourceName,
+    input
   };
 }
 
 /**
- * Deploys a contract to the Monad testnet
+ * Prints the contracts, interfaces and libraries defined in a Solidity file
  * @param {string} contractPath - Path to the Solidity file
- * @param {Array} constructorArgs - Constructor arguments for the contract
- * @returns {Object} Deployment result with contract address and transaction hash
+ * @param {Object} [options] - Compilation options passed to compileFile
+ * @returns {Array<Object>} The contract definitions found in the file
  */
-async function deployContract(contractPath, constructorArgs = []) {
-  try {
-    // Get the private key
-    const privateKey = getPrivateKey();
-    
-    // Compile the contract
-    const { name, abi, bytecode } = compileContract(contractPath);
-    
-    console.log(`Deploying ${name} to Monad testnet...`);
-    
-    // Normalize private key and create account
-    const normalizedKey = privateKey.replace(/^0x/, '');
-    const account = privateKeyToAccount(`0x${normalizedKey}`);
-    
-    console.log(`Deploying from address: ${account.address}`);
-    
-    // Create clients
-    const publicClient = viem.createPublicClient({
-      chain: monadTestnet,
-      transport: viem.http(process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'),
-    });
-    
-    const walletClient = viem.createWalletClient({
-      account,
-      chain: monadTestnet,
-      transport: viem.http(process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'),
+function listDeployableContracts(contractPath, options = {}) {
+  const { sourceName, output } = compileFile(contractPath, options);
+  const contracts = listContracts(output, sourceName);
+  
+  console.log(`Contracts in ${sourceName}:`);
+  contracts.forEach(contract => {
+    const kind = `${contract.abstract ? 'abstract ' : ''}${contract.kind}`;
+    console.log(`  ${contract.deployable ? '✅' : '  '} ${contract.name} (${kind})`);
+  });
+  
+  return contracts;
+}
+
+/**
+ * Predicts the address a CREATE2 deployment of a contract will have
+ * Libraries must already be deployed (or pinned), since their addresses are part of the initcode.
+ * @param {string} contractPath - Path to the Solidity file
+ * @param {Array} constructorArgs - Constructor arguments, converted to the ABI types (strings such as "1.5ether" or JSON arrays are accepted)
+ * @param {Object} options - Compilation options passed to compileContract
+ * @param {string} options.salt - The salt (32-byte hex or any string)
+ * @param {Object} [options.libraryAddresses] - Addresses of already deployed libraries, keyed by name or "file.sol:Name"
+ * @param {string} [options.network] - Network profile whose recorded libraries are used (defaults to the selected network)
+ * @returns {Promise<Object>} The contract `name`, predicted `address`, `factory` and normalized `salt`
+ */
+async function predictContractAddress(contractPath, constructorArgs = [], options = {}) {
+  const network = getNetwork(options.network);
+  const compiled = compileContract(contractPath, options);
+  const args = coerceConstructorArgs(compiled.abi, constructorArgs);
+  
+  const { bytecode } = await linkLibraries({
+    bytecode: compiled.bytecode,
+    linkReferences: compiled.linkReferences,
+    libraries: compiled.libraries,
+    addresses: options.libraryAddresses,
+    // Reuse libraries recorded for the target network
+    chainId: network.chainId,
+    deploy: async library => {
+      throw new Error(`Library ${library.id} is not deployed yet; its address is part of the initcode. Deploy it or pass --library.`);
+    }
+  });
+  
+  const initCode = viem.encodeDeployData({ abi: compiled.abi, bytecode, args });
+  const factory = factoryAddress();
+  
+  return {
+    name: compiled.name,
+    address: predictAddress({ initCode, salt: options.salt, factory }),
+    factory,
+    salt: normalizeSalt(options.salt)
+  };
+}
+
+/**
+ * Simulates deploying a contract without signing or broadcasting anything
+ * @param {string} contractPath - Path to the Solidity file
+ * @param {Array} constructorArgs - Constructor arguments, converted to the ABI types (strings such as "1.5ether" or JSON arrays are accepted)
+ * @param {Object} [options] - Compilation options passed to compileContract
+ * @param {Object} [options.libraryAddresses] - Addresses of already deployed libraries, keyed by name or "file.sol:Name"
+ * @param {string} [options.salt] - Simulate a CREATE2 deployment with this salt
+ * @param {string} [options.network] - Network profile to simulate on (defaults to the selected network)
+ * @param {string} [options.from] - Account to simulate from (see lib/accounts.js)
+ * @returns {Promise<Object>} The simulation (see simulateDeployment) with the contract `name` and preflight `warnings`
+ */
+async function dryRunDeployment(contractPath, constructorArgs = [], options = {}) {
+  const network = getNetwork(options.network);
+  const compiled = compileContract(contractPath, options);
+  const { name, abi } = compiled;
+  const args = coerceConstructorArgs(abi, constructorArgs);
+  
+  const preflight = assertPreflight({
+    name,
+    initCode: compiled.bytecode + viem.encodeDeployData({ abi, bytecode: '0x', args }).slice(2),
+    deployedBytecode: compiled.deployedBytecode,
+    evmVersion: compiled.evmVersion
+  }, networkLimits(network));
+  console.log(`📏 Code size: ${preflight.codeSize} bytes, initcode: ${preflight.initCodeSize} bytes`);
+  preflight.warnings.forEach(warning => console.warn(`⚠️  ${warning.message}`));
+  
+  // Only the address is needed: nothing is signed, so no key is decrypted
+  const from = getSignerAddress(network, options.from);
+  
+  const { publicClient } = createClients(network);
+  
+  console.log(`🧪 Simulating deployment of ${name} on ${network.name} from ${from} (dry run, nothing is sent)...`);
+  
+  const simulation = await simulateDeployment({
+    publicClient,
+    from,
+    abi,
+    bytecode: compiled.bytecode,
+    constructorArgs: args,
+    linkReferences: compiled.linkReferences,
+    libraries: compiled.libraries,
+    libraryAddresses: options.libraryAddresses,
+    chainId: await publicClient.getChainId(),
+    salt: options.salt
+  });
+  
+  Object.entries(simulation.libraries).forEach(([id, library]) => {
+    console.log(`📚 Library ${id} at ${library.address} (${library.source})`);
+  });
+  console.log(`📝 Predicted Address: ${simulation.address}`);
+  simulation.notes.forEach(note => console.log(`ℹ️  ${note}`));
+  
+  if (simulation.success) {
+    if (!simulation.existing) {
+      console.log(`⛽ Estimated gas: ${simulation.gas} at ${viem.formatGwei(simulation.gasPrice)} gwei`);
+      console.log(`💰 Estimated cost: ${simulation.costFormatted} ${network.currency.symbol}`);
+      console.log('✅ Dry run succeeded: the deployment would go through');
+    }
+  } else {
+    console.error(`❌ Constructor would revert: ${simulation.revert.reason}`);
+  }
+  
+  return { name, warnings: preflight.warnings, ...simulation };
+}
+
+/**
+ * Reduces linked libraries to the addresses stored in the registry
+ * @param {Object} libraries - Linked libraries from linkLibraries
+ * @returns {Object} Library addresses keyed by "file.sol:Name"
+ */
+function addressesOf(libraries) {
+  return Object.fromEntries(Object.entries(libraries).map(([id, library]) => [id, library.address]));
+}
+
+/**
+ * Prints the result of comparing deployed code with the compiled runtime code
+ * @param {Object} codeCheck - Comparison from verifyDeployedCode
+ */
+function reportCodeCheck(codeCheck) {
+  if (codeCheck.matches) {
+    console.log('🔍 On-chain code matches the compiled runtime bytecode');
+  } else {
+    console.warn(`⚠️  On-chain code does not match the compiled runtime bytecode: ${codeCheck.reason}`);
+  }
+}
+
+/**
+ * Deploys a contract to the selected network
+ * @param {string} contractPath - Path to the Solidity file
+ * @param {Array} constructorArgs - Constructor arguments, converted to the ABI types (strings such as "1.5ether" or JSON arrays are accepted)
+ * @param {Object} [options] - Compilation options passed to compileContract
+ * @param {Object} [options.libraryAddresses] - Addresses of already deployed libraries, keyed by name or "file.sol:Name"
+ * @param {string} [options.salt] - Deploy through the CREATE2 factory with this salt (32-byte hex or any string)
+ * @param {Object} [options.plan] - `{ name, step }` of the deployment plan step this deployment belongs to
+ * @param {string} [options.network] - Network profile to deploy to (defaults to the selected network)
+ * @param {string} [options.from] - Account that signs (see lib/accounts.js; defaults to MONDEPLOYER_ACCOUNT or PRIVATE_KEY)
+ * @param {Object} [options.compiled] - The contract as returned by compileContract, to skip compiling it again
+ * @param {string} [options.recordAs] - Registry name to record the deployment under (defaults to the contract name)
+ * @returns {Object} Deployment result with contract address, transaction hash, linked libraries and the registry version
+ */
+async function deployContract(contractPath, constructorArgs = [], options = {}) {
+  // Get the signer and the target network
+  const network = getNetwork(options.network);
+  const account = await unlockSigner(network, options.from);
+  
+  // Compile the contract
+  const compiled = options.compiled || compileContract(contractPath, options);
+  const { name, abi, compilerVersion, compilerSettings } = compiled;
+  
+  // Command line arguments are strings; convert them to the constructor's parameter types
+  constructorArgs = coerceConstructorArgs(abi, constructorArgs);
+  
+  // Refuse deployments that would run into the size limits and warn about unsupported EVM features
+  const preflight = assertPreflight({
+    name,
+    // Library placeholders have the same length as addresses, so the unlinked bytecode measures the same
+    initCode: compiled.bytecode + viem.encodeDeployData({ abi, bytecode: '0x', args: constructorArgs }).slice(2),
+    deployedBytecode: compiled.deployedBytecode,
+    evmVersion: compiled.evmVersion
+  }, networkLimits(network));
+  console.log(`📏 Code size: ${preflight.codeSize} bytes, initcode: ${preflight.initCodeSize} bytes`);
+  preflight.warnings.forEach(warning => console.warn(`⚠️  ${warning.message}`));
+  
+  console.log(`Deploying ${name} to ${network.name}...`);
+  console.log(`Deploying from address: ${account.address}`);
+  
+  // Create clients that fail over between the network's RPC URLs
+  const { publicClient, walletClient } = createClients(network, account);
+  
+  const chainId = await publicClient.getChainId();
+  
+  // Link the libraries the contract uses, deploying the ones that are not on chain yet
+  const { bytecode, libraries } = await linkLibraries({
+    bytecode: compiled.bytecode,
+    linkReferences: compiled.linkReferences,
+    libraries: compiled.libraries,
+    addresses: options.libraryAddresses,
+    getCode: address => publicClient.getCode({ address }),
+    chainId,
+    deploy: async library => {
+      const libraryHash = await walletClient.deployContract({ abi: library.abi, bytecode: library.bytecode });
+      const libraryReceipt = await trackTransaction(chainId, {
+        hash: libraryHash,
+        network: network.key,
+        from: account.address,
+        description: `Deployment of library ${library.id}`,
+        deployment: libraryRecord(library, { compilerVersion, compilerSettings })
+      }, () => publicClient.waitForTransactionReceipt({ hash: libraryHash, confirmations: network.confirmations }));
+      
+      if (!libraryReceipt.contractAddress) {
+        throw new Error(`Library ${library.id} deployment failed - no contract address in receipt`);
+      }
+      return { address: libraryReceipt.contractAddress, transactionHash: libraryHash };
+    },
+    record: { compilerVersion, compilerSettings },
+    log: message => console.log(`📚 ${message}`)
+  });
+  
+  // Registry fields of the deployment, journaled with its transaction so that
+  // `npm run resume` can record it if waiting for the receipt fails
+  const record = {
+    contractName: options.recordAs || name,
+    abi,
+    constructorArgs,
+    ...(options.plan && { plan: options.plan }),
+    compilerVersion,
+    compilerSettings,
+    libraries: addressesOf(libraries),
+    ...buildInfo(compiled)
+  };
+  const pending = {
+    network: network.key,
+    from: account.address,
+    description: `Deployment of ${name}`,
+    input: compiled.input
+  };
+  
+  let address;
+  let hash;
+  let create2;
+  
+  if (options.salt !== undefined) {
+    // Deploy through the CREATE2 factory so the address only depends on the salt and initcode
+    create2 = await deployCreate2({
+      publicClient,
+      walletClient,
+      initCode: viem.encodeDeployData({ abi, bytecode, args: constructorArgs }),
+      salt: options.salt,
+      waitForReceipt: (transactionHash, target) => trackTransaction(chainId, {
+        ...pending,
+        hash: transactionHash,
+        deployment: { ...record, address: target.address, create2: { factory: target.factory, salt: target.salt } }
+      }, () => publicClient.waitForTransactionReceipt({ hash: transactionHash, confirmations: network.confirmations })),
+      log: message => console.log(`🧂 ${message}`)
     });
-    
+    address = create2.address;
+    hash = create2.transactionHash;
+  } else {
     // Deploy the contract
-    const hash = await walletClient.deployContract({
+    hash = await walletClient.deployContract({
       abi,
       bytecode,
       args: constructorArgs,
@@ -116,72 +394,466 @@ async function deployContract(contractPath, constructorArgs = []) {
     
     console.log(`Transaction hash: ${hash}`);
     
-    // Wait for transaction receipt
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    // Wait for transaction receipt, keeping the transaction in the pending journal until it arrives
+    const receipt = await trackTransaction(chainId, { ...pending, hash, deployment: record }, () =>
+      publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations })
+    );
     
     if (!receipt.contractAddress) {
       throw new Error('Contract deployment failed - no contract address in receipt');
     }
-    
+    address = receipt.contractAddress;
+  }
+  
+  if (create2 && create2.existing) {
+    console.log('✅ Contract already deployed at the CREATE2 address');
+    console.log(`📝 Contract Address: ${address}`);
+  } else {
     console.log('✅ Contract deployed successfully!');
-    console.log(`📝 Contract Address: ${receipt.contractAddress}`);
+    console.log(`📝 Contract Address: ${address}`);
     console.log(`🔗 Transaction Hash: ${hash}`);
-    
-    // Save the contract artifacts
-    const artifactsDir = path.join(__dirname, 'artifacts');
-    
-    if (!fs.existsSync(artifactsDir)) {
-      fs.mkdirSync(artifactsDir, { recursive: true });
+    if (explorerTxUrl(network, hash)) {
+      console.log(`🌐 Explorer: ${explorerTxUrl(network, hash)}`);
     }
-    
-    const artifactPath = path.join(artifactsDir, `${name}.json`);
-    fs.writeFileSync(
-      artifactPath,
-      JSON.stringify({
-        contractName: name,
-        abi,
-        address: receipt.contractAddress,
-        deployedAt: new Date().toISOString(),
-      }, null, 2)
-    );
-    
-    console.log(`💾 Contract artifacts saved to: ${artifactPath}`);
-    
-    return {
-      name,
-      address: receipt.contractAddress,
+  }
+  
+  // Check that the code on chain is what was compiled
+  const codeCheck = await verifyDeployedCode(publicClient, address, compiled, addressesOf(libraries));
+  reportCodeCheck(codeCheck);
+  
+  // A CREATE2 address that already had code keeps the registry entry it has
+  let deployment = create2 && create2.existing ? findDeploymentByAddress(chainId, address) : undefined;
+  
+  if (deployment) {
+    console.log(`💾 Already recorded as ${deployment.contractName} v${deployment.version} on chain ${chainId} in: ${deployment.recordPath}`);
+  } else {
+    // Record the deployment as a new version in the registry, with the exact
+    // compiler input for explorer verification and reproducible builds
+    deployment = recordDeployment(chainId, {
+      ...record,
+      address,
       transactionHash: hash,
-      artifactPath
-    };
-  } catch (error) {
-    console.error('❌ Deployment failed:', error.message);
-    if (error.cause) {
-      console.error('Cause:', error.cause);
+      ...(create2 && { create2: { factory: create2.factory, salt: create2.salt } }),
+      codeVerified: codeCheck.matches
+    }, compiled.input);
+    
+    console.log(`💾 Recorded ${record.contractName} v${deployment.version} on chain ${chainId} in: ${deployment.recordPath}`);
+    console.log(`🧾 Standard-JSON input saved to: ${deployment.inputPath}`);
+  }
+  
+  return {
+    name,
+    address,
+    transactionHash: hash || deployment.transactionHash,
+    existing: Boolean(create2 && create2.existing),
+    libraries,
+    codeCheck,
+    warnings: preflight.warnings,
+    version: deployment.version,
+    recordPath: deployment.recordPath,
+    inputPath: deployment.inputPath
+  };
+}
+
+/**
+ * Deploys a contract behind an upgradeable OpenZeppelin proxy
+ * The implementation is recorded as `<Name>_Implementation` and the proxy,
+ * the address to interact with, under the contract's own name.
+ * @param {string} contractPath - Path to the Solidity file of the implementation
+ * @param {Array} initializerArgs - Initializer arguments, converted to the ABI types
+ * @param {Object} options - Options passed to deployContract
+ * @param {string} options.proxy - Proxy kind: "uups" or "transparent"
+ * @param {string} [options.initializer] - Initializer function name or signature (defaults to "initialize")
+ * @returns {Object} Deployment result with the proxy `address`, the `implementation` deployment, the proxy `admin` and the registry version
+ */
+async function deployProxy(contractPath, initializerArgs = [], options = {}) {
+  const kind = options.proxy;
+  proxyKind(kind);
+  if (options.salt !== undefined) {
+    throw new Error('CREATE2 deployments (--salt) cannot be combined with a proxy');
+  }
+  
+  const network = getNetwork(options.network);
+  const compiled = compileContract(contractPath, options);
+  const { name, abi, compilerVersion, compilerSettings } = compiled;
+  
+  // Check everything the proxy needs before anything is sent
+  checkImplementation(abi, kind, name);
+  const initializer = encodeInitializer(abi, options.initializer, initializerArgs);
+  const proxy = compileProxy(kind, { settings: options.settings, network });
+  
+  const preflight = assertPreflight({
+    name: proxy.name,
+    initCode: proxy.bytecode,
+    deployedBytecode: proxy.deployedBytecode,
+    evmVersion: proxy.evmVersion
+  }, networkLimits(network));
+  preflight.warnings.forEach(warning => console.warn(`⚠️  ${warning.message}`));
+  
+  const implementation = await deployContract(contractPath, [], {
+    ...options,
+    compiled,
+    recordAs: implementationName(name)
+  });
+  
+  const account = await unlockSigner(network, options.from);
+  const { publicClient, walletClient } = createClients(network, account);
+  const chainId = await publicClient.getChainId();
+  
+  console.log(`Deploying ${kind} proxy (${proxy.name}) for ${name}, initialized with ${initializer.function}...`);
+  
+  const hash = await walletClient.deployContract({
+    abi: proxy.abi,
+    bytecode: proxy.bytecode,
+    args: proxyConstructorArgs(kind, { implementation: implementation.address, data: initializer.data, owner: account.address })
+  });
+  
+  console.log(`Transaction hash: ${hash}`);
+  
+  // The proxy is recorded with the implementation's ABI and build, since that is the code it runs
+  const record = {
+    contractName: name,
+    abi,
+    constructorArgs: [],
+    ...(options.plan && { plan: options.plan }),
+    compilerVersion,
+    compilerSettings,
+    libraries: addressesOf(implementation.libraries),
+    ...buildInfo(compiled),
+    proxy: {
+      kind,
+      contract: proxy.name,
+      implementation: implementation.address,
+      initializer: { function: initializer.function, args: initializer.args }
     }
-    throw error;
+  };
+  
+  const receipt = await trackTransaction(chainId, {
+    hash,
+    network: network.key,
+    from: account.address,
+    description: `Deployment of the ${kind} proxy of ${name}`,
+    deployment: record,
+    input: compiled.input
+  }, () => publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations }));
+  
+  if (receipt.status !== 'success' || !receipt.contractAddress) {
+    throw new Error(`Proxy deployment failed in ${hash} - the initializer ${initializer.function} probably reverted`);
   }
+  const address = receipt.contractAddress;
+  const admin = kind === 'transparent' ? await readAdmin(publicClient, address) : undefined;
+  const codeCheck = await verifyDeployedCode(publicClient, address, proxy);
+  
+  console.log('✅ Proxy deployed successfully!');
+  console.log(`📝 Proxy Address: ${address} (interact with this address)`);
+  console.log(`🧩 Implementation: ${implementation.address}`);
+  if (admin) {
+    console.log(`🔑 ProxyAdmin: ${admin} (owned by ${account.address})`);
+  }
+  if (explorerTxUrl(network, hash)) {
+    console.log(`🌐 Explorer: ${explorerTxUrl(network, hash)}`);
+  }
+  reportCodeCheck(codeCheck);
+  
+  const deployment = recordDeployment(chainId, {
+    ...record,
+    address,
+    transactionHash: hash,
+    proxy: { ...record.proxy, ...(admin && { admin }) },
+    codeVerified: codeCheck.matches
+  }, compiled.input);
+  
+  console.log(`💾 Recorded ${name} v${deployment.version} on chain ${chainId} in: ${deployment.recordPath}`);
+  
+  return {
+    name,
+    address,
+    transactionHash: hash,
+    kind,
+    admin,
+    implementation,
+    codeCheck,
+    warnings: [...implementation.warnings, ...preflight.warnings],
+    version: deployment.version,
+    recordPath: deployment.recordPath,
+    inputPath: deployment.inputPath
+  };
+}
+
+/**
+ * Upgrades a proxy recorded in the registry to a new implementation
+ * Deploys the new implementation, then calls upgradeToAndCall (UUPS) or the
+ * ProxyAdmin's upgradeAndCall (transparent). The proxy keeps its registry
+ * name and gets a new version pointing at the new implementation.
+ * @param {string} contractPath - Path to the Solidity file of the new implementation
+ * @param {string} target - Registry name or address of the proxy
+ * @param {Array} callArgs - Arguments of options.call, converted to the ABI types
+ * @param {Object} [options] - Options passed to deployContract
+ * @param {string} [options.call] - Function of the new implementation to call while upgrading, e.g. a reinitializer
+ * @returns {Object} Upgrade result with the proxy `address`, the `implementation` deployment, the `previousImplementation` and the registry version
+ */
+async function upgradeProxy(contractPath, target, callArgs = [], options = {}) {
+  if (options.salt !== undefined) {
+    throw new Error('CREATE2 deployments (--salt) cannot be combined with an upgrade');
+  }
+  if (callArgs.length > 0 && !options.call) {
+    throw new Error('Upgrades take no constructor arguments; pass --call <function> to call a function while upgrading');
+  }
+  
+  const network = getNetwork(options.network);
+  const current = viem.isAddress(target)
+    ? findDeploymentByAddress(network.chainId, target)
+    : getDeployment(network.chainId, target);
+  
+  if (!current) {
+    throw new Error(`No deployment of ${target} on ${network.name} in the registry`);
+  }
+  if (!current.proxy) {
+    throw new Error(`${current.contractName} v${current.version} at ${current.address} is not a proxy; deploy it with --proxy first`);
+  }
+  
+  const { kind } = current.proxy;
+  const compiled = compileContract(contractPath, options);
+  const { name, abi, compilerVersion, compilerSettings } = compiled;
+  
+  checkImplementation(abi, kind, name);
+  const call = options.call ? encodeCall(abi, options.call, callArgs) : undefined;
+  
+  const account = await unlockSigner(network, options.from);
+  const { publicClient, walletClient } = createClients(network, account);
+  const chainId = await publicClient.getChainId();
+  
+  // The chain is the source of truth; the registry may be behind if an upgrade was made elsewhere
+  const previousImplementation = await readImplementation(publicClient, current.address);
+  if (!previousImplementation) {
+    throw new Error(`${current.address} has no ERC-1967 implementation on ${network.name}; is it really a proxy?`);
+  }
+  if (!viem.isAddressEqual(previousImplementation, current.proxy.implementation)) {
+    console.warn(`⚠️  The proxy points at ${previousImplementation}, not at the recorded implementation ${current.proxy.implementation}`);
+  }
+  
+  const admin = kind === 'transparent' ? await readAdmin(publicClient, current.address) : undefined;
+  
+  // Check the account may upgrade before deploying anything, by simulating an upgrade to the current implementation
+  await publicClient.simulateContract({
+    ...upgradeRequest(kind, { proxy: current.address, implementation: previousImplementation, admin }),
+    account
+  });
+  
+  console.log(`Upgrading ${current.contractName} (${kind} proxy at ${current.address}) to ${name}...`);
+  
+  const implementation = await deployContract(contractPath, [], {
+    ...options,
+    compiled,
+    recordAs: implementationName(name)
+  });
+  
+  const request = upgradeRequest(kind, {
+    proxy: current.address,
+    implementation: implementation.address,
+    data: call ? call.data : '0x',
+    admin
+  });
+  
+  // Surface a reverting upgrade call before sending
+  await publicClient.simulateContract({ ...request, account });
+  const hash = await walletClient.writeContract(request);
+  
+  console.log(`Transaction hash: ${hash}`);
+  
+  const record = {
+    contractName: current.contractName,
+    abi,
+    address: current.address,
+    constructorArgs: [],
+    ...(options.plan && { plan: options.plan }),
+    compilerVersion,
+    compilerSettings,
+    libraries: addressesOf(implementation.libraries),
+    ...buildInfo(compiled),
+    proxy: {
+      kind,
+      contract: current.proxy.contract,
+      implementation: implementation.address,
+      previousImplementation,
+      ...(admin && { admin }),
+      ...(current.proxy.initializer && { initializer: current.proxy.initializer }),
+      ...(call && { upgradeCall: { function: call.function, args: call.args } })
+    }
+  };
+  
+  const receipt = await trackTransaction(chainId, {
+    hash,
+    network: network.key,
+    from: account.address,
+    description: `Upgrade of ${current.contractName} to ${name}`,
+    deployment: record,
+    input: compiled.input
+  }, () => publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations }));
+  
+  if (receipt.status !== 'success') {
+    throw new Error(`Upgrade transaction ${hash} reverted`);
+  }
+  
+  console.log('✅ Proxy upgraded successfully!');
+  console.log(`📝 Proxy Address: ${current.address}`);
+  console.log(`🧩 Implementation: ${previousImplementation} → ${implementation.address}`);
+  if (explorerTxUrl(network, hash)) {
+    console.log(`🌐 Explorer: ${explorerTxUrl(network, hash)}`);
+  }
+  
+  const deployment = recordDeployment(chainId, { ...record, transactionHash: hash }, compiled.input);
+  
+  console.log(`💾 Recorded ${current.contractName} v${deployment.version} on chain ${chainId} in: ${deployment.recordPath}`);
+  
+  return {
+    name: current.contractName,
+    address: current.address,
+    transactionHash: hash,
+    kind,
+    implementation,
+    previousImplementation,
+    version: deployment.version,
+    recordPath: deployment.recordPath,
+    inputPath: deployment.inputPath
+  };
 }
 
 // Direct execution support
 if (require.main === module) {
   // Get arguments
-  const [,, contractPath, ...args] = process.argv;
+  const [,, contractPath, ...rest] = process.argv;
+  const options = {};
+  const args = [];
+  let listOnly = false;
+  let predictOnly = false;
+  let dryRun = false;
+  
+  try {
+    for (let i = 0; i < rest.length; i++) {
+      if (rest[i] === '--contract') {
+        options.contractName = rest[++i];
+      } else if (rest[i] === '--settings') {
+        options.settings = mergeSettings(options.settings || {}, parseSettingsArg(rest[++i]));
+      } else if (rest[i] === '--evm-version') {
+        options.settings = mergeSettings(options.settings || {}, { evmVersion: rest[++i] });
+      } else if (rest[i] === '--via-ir') {
+        options.settings = mergeSettings(options.settings || {}, { viaIR: true });
+      } else if (rest[i] === '--optimizer-runs') {
+        options.settings = mergeSettings(options.settings || {}, { optimizer: { runs: parseOptimizerRuns(rest[++i], '--optimizer-runs') } });
+      } else if (rest[i] === '--library') {
+        const [library, address] = (rest[++i] || '').split('=');
+        if (!library || !address) {
+          throw new Error('--library expects <Name|file.sol:Name>=<address>');
+        }
+        options.libraryAddresses = { ...options.libraryAddresses, [library]: address };
+      } else if (rest[i] === '--network') {
+        options.network = rest[++i];
+      } else if (rest[i] === '--from') {
+        options.from = rest[++i];
+      } else if (rest[i] === '--proxy') {
+        options.proxy = rest[++i];
+      } else if (rest[i] === '--initializer') {
+        options.initializer = rest[++i];
+      } else if (rest[i] === '--salt') {
+        options.salt = rest[++i];
+      } else if (rest[i] === '--predict') {
+        predictOnly = true;
+      } else if (rest[i] === '--dry-run') {
+        dryRun = true;
+      } else if (rest[i] === '--list') {
+        listOnly = true;
+      } else {
+        args.push(rest[i]);
+      }
+    }
+  } catch (err) {
+    console.error('❌ Error:', err.message);
+    process.exit(1);
+  }
   
   if (!contractPath) {
     console.error('❌ Error: No contract path provided');
-    console.error('Usage: node deploy-contract.js <path-to-contract.sol> [constructorArg1 constructorArg2 ...]');
+    console.error('Usage: node deploy-contract.js <path-to-contract.sol> [--contract <Name>] [--list] [constructorArg1 constructorArg2 ...]');
+    console.error('Compiler settings: [--settings <json|file.json>] [--evm-version <version>] [--via-ir] [--optimizer-runs <n>]');
+    console.error('Libraries: [--library <Name|file.sol:Name>=<address>]');
+    console.error('CREATE2: [--salt <bytes32|string>] [--predict]');
+    console.error('Proxy: [--proxy <uups|transparent>] [--initializer <function>] (arguments go to the initializer; upgrade with npm run upgrade)');
+    console.error('Network: [--network <name>] (default: MONDEPLOYER_NETWORK or monad-testnet)');
+    console.error('Signer: [--from <account>] (default: MONDEPLOYER_ACCOUNT or PRIVATE_KEY; see npm run account -- list)');
+    console.error('Simulation: [--dry-run]');
+    console.error('Arguments: integers as decimal, 0x hex or with a unit (1.5ether, 20gwei); arrays and tuples as JSON (\'["0x..",1]\')');
     process.exit(1);
   }
   
-  // Run deployment
-  deployContract(contractPath, args).catch(err => {
-    console.error('Deployment failed:', err);
+  if (predictOnly && options.salt === undefined) {
+    console.error('❌ Error: --predict requires --salt');
     process.exit(1);
-  });
+  }
+  
+  if (options.proxy !== undefined && (predictOnly || dryRun)) {
+    console.error('❌ Error: --proxy cannot be combined with --predict or --dry-run');
+    process.exit(1);
+  }
+  
+  if (listOnly) {
+    try {
+      listDeployableContracts(contractPath, options);
+    } catch (err) {
+      console.error('❌ Error:', err.message);
+      process.exit(1);
+    }
+  } else if (predictOnly) {
+    predictContractAddress(contractPath, args, options).then(prediction => {
+      console.log(`🔮 ${prediction.name} will be deployed at: ${prediction.address}`);
+      console.log(`Factory: ${prediction.factory}`);
+      console.log(`Salt: ${prediction.salt}`);
+    }).catch(err => {
+      console.error('❌ Error:', err.message);
+      process.exit(1);
+    });
+  } else if (dryRun) {
+    dryRunDeployment(contractPath, args, options).then(simulation => {
+      if (!simulation.success) {
+        process.exit(1);
+      }
+    }).catch(err => {
+      // Compiler diagnostics have already been reported
+      if (!(err instanceof CompilationError)) {
+        console.error('❌ Error:', err.message);
+      }
+      process.exit(1);
+    });
+  } else if (options.proxy !== undefined) {
+    deployProxy(contractPath, args, options).catch(err => {
+      // Compiler diagnostics have already been reported
+      if (!(err instanceof CompilationError)) {
+        console.error('❌ Proxy deployment failed:', err.message);
+      }
+      process.exit(1);
+    });
+  } else {
+    // Run deployment
+    deployContract(contractPath, args, options).catch(err => {
+      // Compiler diagnostics have already been reported
+      if (!(err instanceof CompilationError)) {
+        console.error('❌ Deployment failed:', err.message);
+        if (err.cause && !(err instanceof PendingTransactionError)) {
+          console.error('Cause:', err.cause);
+        }
+      }
+      process.exit(1);
+    });
+  }
 } else {
   // Export for use as a module
   module.exports = {
     deployContract,
-    compileContract
+    deployProxy,
+    upgradeProxy,
+    compileContract,
+    listDeployableContracts,
+    predictContractAddress,
+    dryRunDeployment
   };
 } 
\ No newline at end of file
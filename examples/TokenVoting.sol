@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+interface ITokenBalance {
+    function balanceOf(address account) external view returns (uint256);
+}
+
+/**
+ * @title TokenVoting
+ * @dev Voting where each holder's vote is weighted by their token balance
+ */
+contract TokenVoting {
+    struct Proposal {
+        string name;
+        uint256 voteWeight;
+    }
+
+    ITokenBalance public immutable token;
+    Proposal[] public proposals;
+    mapping(address => bool) public hasVoted;
+
+    event Voted(address indexed voter, uint256 indexed proposal, uint256 weight);
+
+    constructor(address _token, string[] memory proposalNames) {
+        require(_token != address(0), "Token address required");
+        token = ITokenBalance(_token);
+
+        for (uint256 i = 0; i < proposalNames.length; i++) {
+            proposals.push(Proposal({ name: proposalNames[i], voteWeight: 0 }));
+        }
+    }
+
+    function vote(uint256 proposal) external {
+        require(!hasVoted[msg.sender], "Already voted");
+        require(proposal < proposals.length, "Invalid proposal");
+
+        uint256 weight = token.balanceOf(msg.sender);
+        require(weight > 0, "No voting power");
+
+        hasVoted[msg.sender] = true;
+        proposals[proposal].voteWeight += weight;
+
+        emit Voted(msg.sender, proposal, weight);
+    }
+
+    function proposalCount() external view returns (uint256) {
+        return proposals.length;
+    }
+
+    function winningProposal() external view returns (uint256 winner) {
+        uint256 winningWeight = 0;
+        for (uint256 i = 0; i < proposals.length; i++) {
+            if (proposals[i].voteWeight > winningWeight) {
+                winningWeight = proposals[i].voteWeight;
+                winner = i;
+            }
+        }
+    }
+}
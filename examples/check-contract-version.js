@@ -7,10 +7,13 @@
  * if (!result.valid) console.error(result.error);
  */
 
+const { extractPragmas, selectVersion } = require('../lib/pragma');
+const { availableVersions } = require('../lib/compiler-store');
+
 /**
- * Check if a contract source uses the correct Solidity version
+ * Check if a contract source's pragma can be satisfied by an allowed compiler
  * @param {string} source - The contract source code
- * @returns {Object} result - Result with valid flag and error message if invalid
+ * @returns {Object} result - Result with valid flag and the selected version, or an error message if invalid
  */
 function checkVersion(source) {
   if (!source || typeof source !== 'string') {
@@ -20,49 +23,54 @@ function checkVersion(source) {
     };
   }
 
+  const candidates = availableVersions();
+  const newest = candidates[0];
+
   // Check for pragma statement
-  const pragmaMatch = source.match(/pragma\s+solidity\s+([^;]+);/);
+  const pragmas = extractPragmas(source);
   
-  if (!pragmaMatch) {
+  if (pragmas.length === 0) {
     return {
       valid: false,
       error: 'No pragma solidity statement found in contract',
-      fix: 'Add: pragma solidity 0.8.28;'
+      fix: `Add: pragma solidity ^${newest};`
     };
   }
   
-  const versionSpecifier = pragmaMatch[1].trim();
+  const versionSpecifier = pragmas.join(' ');
   
-  // Check for exact version match
-  if (versionSpecifier !== '0.8.28') {
-    let fix = 'Change to: pragma solidity 0.8.28;';
-    
-    // Identify common issues
-    if (versionSpecifier.startsWith('^')) {
-      fix = `Replace: pragma solidity ${versionSpecifier}; with pragma solidity 0.8.28;`;
-    } else if (versionSpecifier.includes(' - ')) {
-      fix = `Replace version range with exact version: pragma solidity 0.8.28;`;
-    } else if (versionSpecifier.startsWith('>=')) {
-      fix = `Replace: pragma solidity ${versionSpecifier}; with pragma solidity 0.8.28;`;
-    }
-    
+  // Pick the newest allowed compiler that satisfies the pragma
+  let version;
+  try {
+    version = selectVersion(pragmas, candidates);
+  } catch (error) {
     return {
       valid: false,
-      error: `Invalid Solidity version: ${versionSpecifier}. Monad requires exactly version 0.8.28`,
+      error: error.message,
       currentVersion: versionSpecifier,
-      fix: fix
+      fix: `Replace with: pragma solidity ^${newest};`
+    };
+  }
+  
+  if (!version) {
+    return {
+      valid: false,
+      error: `No allowed compiler satisfies pragma solidity ${versionSpecifier} (available: ${candidates.join(', ')})`,
+      currentVersion: versionSpecifier,
+      fix: `Install a matching compiler with "npm run solc -- install <version>" or replace with: pragma solidity ^${newest};`
     };
   }
   
   // Success!
   return {
     valid: true,
-    version: '0.8.28'
+    version
   };
 }
 
 /**
  * Fix the Solidity version in a contract source
+ * Pragmas that an allowed compiler already satisfies are left untouched.
  * @param {string} source - The contract source code
  * @returns {string} - The fixed contract source code
  */
@@ -71,15 +79,18 @@ function fixVersion(source) {
     throw new Error('Invalid input: source code must be a string');
   }
   
+  if (checkVersion(source).valid) {
+    return source;
+  }
+  
+  const pragma = `pragma solidity ^${availableVersions()[0]};`;
+  
   // Check if there's a pragma statement
   const pragmaMatch = source.match(/pragma\s+solidity\s+([^;]+);/);
   
   if (pragmaMatch) {
-    // Replace existing pragma statement
-    return source.replace(
-      /pragma\s+solidity\s+([^;]+);/, 
-      'pragma solidity 0.8.28;'
-    );
+    // Replace the unsatisfiable pragma statement
+    return source.replace(/pragma\s+solidity\s+([^;]+);/, pragma);
   } else {
     // Add pragma statement after SPDX license (if exists) or at the beginning
     const spdxMatch = source.match(/(\/\/\s*SPDX-License-Identifier:[^\n]+\n)/);
@@ -87,10 +98,10 @@ function fixVersion(source) {
     if (spdxMatch) {
       return source.replace(
         spdxMatch[0],
-        `${spdxMatch[0]}\npragma solidity 0.8.28;\n`
+        `${spdxMatch[0]}\n${pragma}\n`
       );
     } else {
-      return `pragma solidity 0.8.28;\n\n${source}`;
+      return `${pragma}\n\n${source}`;
     }
   }
 }
@@ -110,7 +121,7 @@ if (require.main === module) {
     const result = checkVersion(source);
     
     if (result.valid) {
-      console.log(`✅ Contract uses correct Solidity version: ${result.version}`);
+      console.log(`✅ Contract pragma is satisfied by Solidity ${result.version}`);
     } else {
       console.error(`❌ ${result.error}`);
       console.error(`📝 ${result.fix}`);
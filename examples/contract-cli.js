@@ -1,47 +1,36 @@
-const fs = require('fs');
-const path = require('path');
-const viem = require('viem');
-const { privateKeyToAccount } = require('viem/accounts');
-const { monadTestnet } = require('viem/chains');
-const { PRIVATE_KEY } = require('../env.js');
-
-// Process command line arguments
-const args = process.argv.slice(2);
+const { getSigner } = require('../getPrivateKey');
+const { getDeployment } = require('../lib/registry');
+const { getNetwork, parseNetworkFlag, createClients } = require('../lib/networks');
+const { parseFromFlag } = require('../lib/accounts');
+
+// Process command line arguments (--network selects the network profile, --from the account that signs)
+const { network: networkName, args: networkArgs } = parseNetworkFlag(process.argv.slice(2));
+const { from, args } = parseFromFlag(networkArgs);
+const network = getNetwork(networkName);
 const command = args[0];
 const param = args[1];
 
-// Validate private key
-if (!PRIVATE_KEY) {
-  console.error('❌ Error: PRIVATE_KEY not found in env.js');
+// Signer: the --from account, the account selected with MONDEPLOYER_ACCOUNT, or PRIVATE_KEY from env.js
+let account;
+try {
+  account = getSigner(network, from);
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
   process.exit(1);
 }
 
-// Load contract artifacts
-const artifactsPath = path.join(__dirname, '../artifacts/MySimpleContract.json');
-if (!fs.existsSync(artifactsPath)) {
-  console.error('❌ Contract artifacts not found. Please deploy the contract first.');
+// Load the latest deployment from the registry
+const deployment = getDeployment(network.chainId, 'MySimpleContract');
+if (!deployment) {
+  console.error('❌ No MySimpleContract deployment found in the registry. Please deploy the contract first.');
   process.exit(1);
 }
 
-const artifacts = JSON.parse(fs.readFileSync(artifactsPath, 'utf8'));
-const contractAddress = artifacts.address;
-const contractAbi = artifacts.abi;
+const contractAddress = deployment.address;
+const contractAbi = deployment.abi;
 
-// Normalize private key and create account
-const normalizedKey = PRIVATE_KEY.replace(/^0x/, '');
-const account = privateKeyToAccount(`0x${normalizedKey}`);
-
-// Create clients
-const publicClient = viem.createPublicClient({
-  chain: monadTestnet,
-  transport: viem.http(process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'),
-});
-
-const walletClient = viem.createWalletClient({
-  account,
-  chain: monadTestnet,
-  transport: viem.http(process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'),
-});
+// Create clients for the selected network
+const { publicClient, walletClient } = createClients(network, account);
 
 // Contract interaction functions
 async function getMessage() {
@@ -79,7 +68,7 @@ async function setMessage(newMessage) {
     
     console.log(`🔗 Transaction hash: ${hash}`);
     
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations });
     console.log('✅ Message updated successfully!\n');
     
     return receipt;
@@ -120,7 +109,7 @@ async function incrementCounter() {
     
     console.log(`🔗 Transaction hash: ${hash}`);
     
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations });
     console.log('✅ Counter incremented successfully!\n');
     
     return receipt;
@@ -161,6 +150,10 @@ Available commands:
   get-owner          - Show the contract owner
   help               - Show this help message
 
+Options:
+  --network <name>   - Network profile
+  --from <account>   - Account that signs (see npm run account -- list)
+
 Examples:
   node contract-cli.js get-message
   node contract-cli.js set-message "Hello, blockchain!"
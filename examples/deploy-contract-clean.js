@@ -5,19 +5,23 @@
  */
 const fs = require('fs');
 const path = require('path');
-const solc = require('solc');
+const { loadVersion } = require('../lib/compiler-store');
+const { selectContract } = require('../lib/contracts');
 const { createPublicClient, createWalletClient, http } = require('viem');
 const { privateKeyToAccount } = require('viem/accounts');
 const os = require('os');
 
-// Import private key from env.js
-const { PRIVATE_KEY } = require('../env.js');
+const { getPrivateKey } = require('../getPrivateKey');
+const { resolveSettings } = require('../lib/settings');
 
-// Validate private key - use error object formatting that works with JSON
-if (!PRIVATE_KEY) {
+// Signing key: the keystore account selected with MONDEPLOYER_ACCOUNT, or PRIVATE_KEY from env.js
+let PRIVATE_KEY;
+try {
+  PRIVATE_KEY = getPrivateKey();
+} catch (error) {
   const errorObj = { 
     success: false, 
-    error: 'PRIVATE_KEY not found in env.js' 
+    error: error.message 
   };
   console.log(JSON.stringify(errorObj));
   process.exit(1);
@@ -50,7 +54,7 @@ function logProgress(message) {
 // Contract source code (can be provided directly or loaded from file)
 const CONTRACT_SOURCE = fs.readFileSync(path.join(__dirname, 'SimpleToken.sol'), 'utf8');
 
-// Contract name (if null, will be extracted from source)
+// Contract name (if null, the only deployable contract in the source is used)
 const CONTRACT_NAME = 'SimpleToken';
 
 // Contract constructor arguments
@@ -84,20 +88,20 @@ async function compileSolidity(source, contractName) {
   const input = {
     language: 'Solidity',
     sources: {
-      [`${contractName}.sol`]: { content: source }
+      'Contract.sol': { content: source }
     },
     settings: {
+      ...resolveSettings(),
       outputSelection: {
-        '*': { '*': ['abi', 'evm.bytecode.object'] }
-      },
-      optimizer: { enabled: true, runs: 200 }
+        '*': { '': ['ast'], '*': ['abi', 'evm.bytecode.object'] }
+      }
     }
   };
 
   try {
-    // Use a specific compiler version
+    // Use a specific compiler version from the local compiler store
     return new Promise((resolve, reject) => {
-      solc.loadRemoteVersion('v' + solidityVersion, (err, solcSnapshot) => {
+      loadVersion('v' + solidityVersion, (err, solcSnapshot) => {
         if (err) {
           return resolve({
             success: false,
@@ -121,17 +125,12 @@ async function compileSolidity(source, contractName) {
             }
           }
           
-          // Get the compiled contract
-          const compiledContract = output.contracts[`${contractName}.sol`][contractName];
-          if (!compiledContract) {
-            return resolve({
-              success: false,
-              error: `Contract ${contractName} not found in compiled output`
-            });
-          }
+          // Pick the contract to deploy from the AST
+          const { name, contract: compiledContract } = selectContract(output, 'Contract.sol', contractName);
           
           resolve({
             success: true,
+            name,
             abi: compiledContract.abi,
             bytecode: `0x${compiledContract.evm.bytecode.object}`
           });
@@ -155,41 +154,21 @@ async function compileSolidity(source, contractName) {
 // DEPLOYMENT FUNCTIONS
 // -----------------------------------------------------
 
-/**
- * Extract contract name from Solidity source code
- */
-function extractContractName(source) {
-  const match = source.match(/contract\s+([a-zA-Z0-9_]+)/);
-  if (!match || !match[1]) {
-    return null;
-  }
-  return match[1];
-}
-
 /**
  * Deploy the contract to Monad testnet
  */
 async function deployContract() {
   try {
-    // Extract the contract name if not provided
-    const contractName = CONTRACT_NAME || extractContractName(CONTRACT_SOURCE);
-    if (!contractName) {
-      return logJson({
-        success: false,
-        error: "Could not extract contract name from source code"
-      });
-    }
-    
     // Log compilation start
-    logProgress(`Compiling ${contractName}...`);
+    logProgress(`Compiling ${CONTRACT_NAME || 'contract'}...`);
     
     // Compile the contract
-    const compileResult = await compileSolidity(CONTRACT_SOURCE, contractName);
+    const compileResult = await compileSolidity(CONTRACT_SOURCE, CONTRACT_NAME || undefined);
     if (!compileResult.success) {
       return logJson(compileResult);
     }
     
-    const { abi, bytecode } = compileResult;
+    const { name: contractName, abi, bytecode } = compileResult;
     
     // Create an account from the private key
     const privateKey = PRIVATE_KEY.startsWith('0x') ? PRIVATE_KEY : `0x${PRIVATE_KEY}`;
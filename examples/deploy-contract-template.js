@@ -7,12 +7,14 @@ const fs = require('fs');
 const path = require('path');
 const { compileAndDeploy } = require('../src/utils/contract-deployer');
 
-// Import private key from env.js
-const { PRIVATE_KEY } = require('../env.js');
+const { getPrivateKey } = require('../getPrivateKey');
 
-// Validate private key
-if (!PRIVATE_KEY) {
-  console.error('PRIVATE_KEY not found in env.js');
+// Signing key: the keystore account selected with MONDEPLOYER_ACCOUNT, or PRIVATE_KEY from env.js
+let PRIVATE_KEY;
+try {
+  PRIVATE_KEY = getPrivateKey();
+} catch (error) {
+  console.error(error.message);
   process.exit(1);
 }
 
@@ -72,8 +74,8 @@ async function deployContract() {
     console.log(`🔗 Transaction Hash: ${result.transactionHash}`);
     console.log(`🌐 Explorer URL: https://explorer.testnet.monad.xyz/tx/${result.transactionHash}`);
     
-    if (result.artifactPath) {
-      console.log(`💾 Contract artifacts saved to: ${result.artifactPath}`);
+    if (result.recordPath) {
+      console.log(`💾 Recorded as ${result.contractName} v${result.version} in: ${result.recordPath}`);
     }
     
     return result;
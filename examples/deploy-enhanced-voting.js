@@ -1,10 +1,7 @@
-// Load environment variables from .env file
-require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { compileAndDeploy } = require('../dist/utils/contract-deployer.js');
-// Import private key directly from env.js instead of process.env
-const { PRIVATE_KEY } = require('../env.js');
+const { getPrivateKey } = require('../getPrivateKey');
 
 // Read the contract source
 const contractPath = path.join(__dirname, 'EnhancedVotingContract.sol');
@@ -21,14 +18,8 @@ const votingDurationInMinutes = 60; // 1 hour voting period
 
 async function deploy() {
   try {
-    // Validate that PRIVATE_KEY exists in env.js
-    if (!PRIVATE_KEY) {
-      throw new Error(
-        'PRIVATE_KEY not found in env.js.\n' +
-        'Please ensure your env.js file contains a PRIVATE_KEY entry with your private key.\n' +
-        'Example: module.exports = { PRIVATE_KEY: "your_private_key_here" };'
-      );
-    }
+    // Signing key: the keystore account selected with MONDEPLOYER_ACCOUNT, or PRIVATE_KEY from env.js
+    const PRIVATE_KEY = getPrivateKey();
     
     // Do not log the private key anywhere!
     console.log('Deploying EnhancedVoting contract to Monad testnet...');
@@ -37,7 +28,7 @@ async function deploy() {
     
     const result = await compileAndDeploy(
       sourceCode,
-      PRIVATE_KEY, // Use private key from env.js directly
+      PRIVATE_KEY,
       [proposalNames, proposalDescriptions, votingDurationInMinutes], // Constructor arguments
       {
         contractName: 'EnhancedVoting',
@@ -48,7 +39,7 @@ async function deploy() {
     console.log('\n✅ EnhancedVoting contract deployed successfully!');
     console.log(`📝 Contract Address: ${result.address}`);
     console.log(`🔗 Transaction Hash: ${result.transactionHash}`);
-    console.log(`💾 Contract artifacts saved to: ${result.artifactPath}`);
+    console.log(`💾 Recorded as ${result.contractName} v${result.version} in: ${result.recordPath}`);
     console.log('\nContract Usage:');
     console.log('1. To cast a vote:');
     console.log(`   contract.vote(proposalIndex) // 0, 1, or 2 for ${proposalNames.join(', ')}`);
@@ -1,18 +1,22 @@
 const fs = require('fs');
 const path = require('path');
 const solc = require('solc');
-const viem = require('viem');
 const { privateKeyToAccount } = require('viem/accounts');
-const { monadTestnet } = require('viem/chains');
-const { PRIVATE_KEY } = require('../env.js');
+const { getPrivateKey } = require('../getPrivateKey');
+const { resolveSettings } = require('../lib/settings');
+const { recordDeployment } = require('../lib/registry');
+const { getNetwork, createClients, explorerTxUrl } = require('../lib/networks');
 
 // Get the contract source
 const contractPath = path.join(__dirname, 'MySimpleContract.sol');
 const contractSource = fs.readFileSync(contractPath, 'utf8');
 
-// Validate private key
-if (!PRIVATE_KEY) {
-  console.error('❌ Error: PRIVATE_KEY not found in env.js');
+// Signing key: the keystore account selected with MONDEPLOYER_ACCOUNT, or PRIVATE_KEY from env.js
+let PRIVATE_KEY;
+try {
+  PRIVATE_KEY = getPrivateKey();
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
   process.exit(1);
 }
 
@@ -30,14 +34,11 @@ async function compile() {
       }
     },
     settings: {
+      ...resolveSettings(),
       outputSelection: {
         '*': {
           '*': ['abi', 'evm.bytecode.object']
         }
-      },
-      optimizer: {
-        enabled: true,
-        runs: 200
       }
     }
   };
@@ -65,7 +66,8 @@ async function compile() {
 
 async function deploy(abi, bytecode) {
   try {
-    console.log('Deploying to Monad testnet...');
+    const network = getNetwork();
+    console.log(`Deploying to ${network.name}...`);
     
     // Normalize private key (remove 0x prefix if present)
     const normalizedKey = PRIVATE_KEY.replace(/^0x/, '');
@@ -74,16 +76,7 @@ async function deploy(abi, bytecode) {
     const account = privateKeyToAccount(`0x${normalizedKey}`);
     
     // Create clients
-    const publicClient = viem.createPublicClient({
-      chain: monadTestnet,
-      transport: viem.http(process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'),
-    });
-    
-    const walletClient = viem.createWalletClient({
-      account,
-      chain: monadTestnet,
-      transport: viem.http(process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'),
-    });
+    const { publicClient, walletClient } = createClients(network, account);
     
     // Deploy the contract
     const initialMessage = "Hello, Monad!";
@@ -99,7 +92,7 @@ async function deploy(abi, bytecode) {
     console.log(`Transaction hash: ${hash}`);
     
     // Wait for transaction receipt
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations });
     
     if (!receipt.contractAddress) {
       throw new Error('Contract deployment failed - no contract address in receipt');
@@ -108,26 +101,19 @@ async function deploy(abi, bytecode) {
     console.log('✅ Contract deployed successfully!');
     console.log(`📝 Contract Address: ${receipt.contractAddress}`);
     console.log(`🔗 Transaction Hash: ${hash}`);
-    
-    // Save the contract artifacts
-    const artifactsDir = path.join(__dirname, '../artifacts');
-    
-    if (!fs.existsSync(artifactsDir)) {
-      fs.mkdirSync(artifactsDir, { recursive: true });
+    if (explorerTxUrl(network, hash)) {
+      console.log(`🔍 Explorer: ${explorerTxUrl(network, hash)}`);
     }
     
-    const artifactPath = path.join(artifactsDir, `${contractName}.json`);
-    fs.writeFileSync(
-      artifactPath,
-      JSON.stringify({
-        contractName,
-        abi,
-        address: receipt.contractAddress,
-        deployedAt: new Date().toISOString(),
-      }, null, 2)
-    );
+    // Record the deployment in the registry
+    const deployment = recordDeployment(network.chainId, {
+      contractName,
+      abi,
+      address: receipt.contractAddress,
+      transactionHash: hash
+    });
     
-    console.log(`💾 Contract artifacts saved to: ${artifactPath}`);
+    console.log(`💾 Recorded ${contractName} v${deployment.version} in: ${deployment.recordPath}`);
     
     return {
       address: receipt.contractAddress,
@@ -2,7 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const solc = require('solc');
 const { compileAndDeploy } = require('../dist/utils/contract-deployer.js');
-const { PRIVATE_KEY } = require('../env.js');
+const { getPrivateKey } = require('../getPrivateKey');
 
 // Check solc version
 console.log(`Using Solidity compiler version: ${solc.version()}`);
@@ -11,11 +11,12 @@ console.log(`Using Solidity compiler version: ${solc.version()}`);
 const contractPath = path.join(__dirname, 'MySimpleContract.sol');
 const sourceCode = fs.readFileSync(contractPath, 'utf8');
 
-// Validate private key
-if (!PRIVATE_KEY) {
-  console.error('❌ Error: PRIVATE_KEY not found in env.js');
-  console.error('Please make sure env.js exists in the project root with your private key:');
-  console.error('module.exports = { PRIVATE_KEY: "your_private_key_here" };');
+// Signing key: the keystore account selected with MONDEPLOYER_ACCOUNT, or PRIVATE_KEY from env.js
+let PRIVATE_KEY;
+try {
+  PRIVATE_KEY = getPrivateKey();
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
   process.exit(1);
 }
 
@@ -35,7 +36,7 @@ async function deploy() {
     console.log('✅ Contract deployed successfully!');
     console.log(`📝 Contract Address: ${result.address}`);
     console.log(`🔗 Transaction Hash: ${result.transactionHash}`);
-    console.log(`💾 Contract artifacts saved to: ${result.artifactPath}`);
+    console.log(`💾 Recorded as ${result.contractName} v${result.version} in: ${result.recordPath}`);
     
     return result;
   } catch (error) {
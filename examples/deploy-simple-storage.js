@@ -7,16 +7,17 @@ const path = require('path');
 const { createPublicClient, createWalletClient, http } = require('viem');
 const { privateKeyToAccount } = require('viem/accounts');
 const os = require('os');
-const solc = require('solc');
+const { loadVersion } = require('../lib/compiler-store');
 
-// Load private key from env.js
-const { PRIVATE_KEY } = require('../env.js');
+const { getPrivateKey } = require('../getPrivateKey');
+const { resolveSettings } = require('../lib/settings');
 
-// Validate private key
-if (!PRIVATE_KEY) {
-  console.error('\x1b[31mError: PRIVATE_KEY not found in env.js\x1b[0m');
-  console.error('Please create an env.js file with:');
-  console.error('exports.PRIVATE_KEY = "your_private_key_here";');
+// Signing key: the keystore account selected with MONDEPLOYER_ACCOUNT, or PRIVATE_KEY from env.js
+let PRIVATE_KEY;
+try {
+  PRIVATE_KEY = getPrivateKey();
+} catch (error) {
+  console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
   process.exit(1);
 }
 
@@ -49,16 +50,16 @@ async function compileContract() {
       'SimpleStorage.sol': { content: contractSource }
     },
     settings: {
+      ...resolveSettings(),
       outputSelection: {
         '*': { '*': ['abi', 'evm.bytecode.object'] }
-      },
-      optimizer: { enabled: true, runs: 200 }
+      }
     }
   };
   
   return new Promise((resolve, reject) => {
     // IMPORTANT: Use the exact compiler version 0.8.28
-    solc.loadRemoteVersion('v0.8.28', (err, solcSnapshot) => {
+    loadVersion('v0.8.28', (err, solcSnapshot) => {
       if (err) {
         return reject(new Error(`Failed to load Solidity compiler: ${err.message}`));
       }
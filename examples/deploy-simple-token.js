@@ -5,16 +5,18 @@ const { createPublicClient, createWalletClient, http } = require('viem');
 const { privateKeyToAccount } = require('viem/accounts');
 const os = require('os');
 
-// Import private key from env.js
-const { PRIVATE_KEY } = require('../env.js');
+const { getPrivateKey } = require('../getPrivateKey');
 
 // Path to the SimpleToken contract
 const contractPath = path.join(__dirname, 'SimpleToken.sol');
 const contractSource = fs.readFileSync(contractPath, 'utf8');
 
-// Validate private key
-if (!PRIVATE_KEY) {
-  console.error('PRIVATE_KEY not found in env.js');
+// Signing key: the keystore account selected with MONDEPLOYER_ACCOUNT, or PRIVATE_KEY from env.js
+let PRIVATE_KEY;
+try {
+  PRIVATE_KEY = getPrivateKey();
+} catch (error) {
+  console.error(error.message);
   process.exit(1);
 }
 
@@ -62,8 +64,8 @@ async function deployToken() {
     console.log(`Transaction hash: ${result.transactionHash}`);
     console.log(`Explorer URL: https://explorer.testnet.monad.xyz/tx/${result.transactionHash}`);
     
-    if (result.artifactPath) {
-      console.log(`Contract artifacts saved to: ${result.artifactPath}`);
+    if (result.recordPath) {
+      console.log(`Recorded as ${result.contractName} v${result.version} in: ${result.recordPath}`);
     }
     
     return result;
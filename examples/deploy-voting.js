@@ -1,21 +1,18 @@
 const fs = require('fs');
 const path = require('path');
-const dotenv = require('dotenv');
 const { compileAndDeploy } = require('../dist/utils/contract-deployer.js');
-
-// Load environment variables
-dotenv.config();
+const { getSetting } = require('../lib/config');
 
 // Read the contract source
 const contractPath = path.join(__dirname, 'VotingContract.sol');
 const sourceCode = fs.readFileSync(contractPath, 'utf8');
 
-// Get private key from environment variables
-const privateKey = process.env.PRIVATE_KEY;
+// Get PRIVATE_KEY from the environment, .env or env.js
+const privateKey = getSetting('privateKey');
 
 // Validate private key
 if (!privateKey) {
-  console.error('❌ Error: PRIVATE_KEY not found in environment variables.');
+  console.error('❌ Error: PRIVATE_KEY not found in the environment, .env or env.js.');
   console.error('Please run "npm run setup" to configure your environment variables.');
   process.exit(1);
 }
@@ -41,7 +38,7 @@ async function deploy() {
     console.log('\n✅ Voting contract deployed successfully!');
     console.log(`📝 Contract Address: ${result.address}`);
     console.log(`🔗 Transaction Hash: ${result.transactionHash}`);
-    console.log(`💾 Contract artifacts saved to: ${result.artifactPath}`);
+    console.log(`💾 Recorded as ${result.contractName} v${result.version} in: ${result.recordPath}`);
     console.log('\nContract Usage:');
     console.log('1. To cast a vote:');
     console.log(`   contract.vote(proposalIndex) // 0, 1, or 2 for ${initialProposals.join(', ')}`);
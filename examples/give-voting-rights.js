@@ -1,37 +1,44 @@
-// Load environment variables from .env file
-require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
-const { createPublicClient, createWalletClient, http } = require('viem');
-const { privateKeyToAccount } = require('viem/accounts');
-const { monadTestnet } = require('viem/chains');
-// Import private key directly from env.js instead of process.env
-const { PRIVATE_KEY } = require('../env.js');
+const { getSigner } = require('../getPrivateKey');
+const { getDeployment } = require('../lib/registry');
+const { getNetwork, parseNetworkFlag, createClients } = require('../lib/networks');
+const { parseFromFlag, resolveAddress } = require('../lib/accounts');
 
 // Get the contract address and ABI
 let contractAddress;
 let contractABI;
 
-// Get voter address from command line arguments
-const voterAddress = process.argv[2];
+// Get voter address from command line arguments (--network <name> selects the network profile,
+// --from <account> the chairperson's account)
+const { network: networkName, args: networkArgs } = parseNetworkFlag(process.argv.slice(2));
+const { from, args } = parseFromFlag(networkArgs);
+const network = getNetwork(networkName);
+const voter = args[0];
 
-if (!voterAddress) {
+if (!voter) {
   console.error('❌ Error: No voter address provided');
-  console.error('Usage: node examples/give-voting-rights.js <voter-address>');
+  console.error('Usage: node examples/give-voting-rights.js <voter-address|account> [--network <name>] [--from <account>]');
   console.error('Example: node examples/give-voting-rights.js 0x1234567890123456789012345678901234567890');
+  console.error('Example: node examples/give-voting-rights.js voter1 --from chairperson');
   process.exit(1);
 }
 
+// The voter may be an account from the account book
+let voterAddress;
 try {
-  // Attempt to load contract data from temp directory (saved during deployment)
-  const tempDir = require('os').tmpdir();
-  const artifactPath = path.join(tempDir, 'monad-deployments', 'EnhancedVoting.json');
+  voterAddress = resolveAddress(network, voter);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+try {
+  // Load the latest deployment from the registry (recorded during deployment)
+  const deployment = getDeployment(network.chainId, 'EnhancedVoting');
   
-  if (fs.existsSync(artifactPath)) {
-    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-    contractAddress = artifact.address;
-    contractABI = artifact.abi;
-    console.log(`✅ Loaded contract from artifacts: ${contractAddress}`);
+  if (deployment) {
+    contractAddress = deployment.address;
+    contractABI = deployment.abi;
+    console.log(`✅ Loaded EnhancedVoting v${deployment.version} from the registry: ${contractAddress}`);
   } else {
     throw new Error('Contract artifact not found. Please deploy the contract first with deploy-enhanced-voting.js');
   }
@@ -41,27 +48,17 @@ try {
   process.exit(1);
 }
 
-// Validate private key exists
-if (!PRIVATE_KEY) {
-  console.error('❌ PRIVATE_KEY not found in env.js.');
-  console.error('Please ensure your env.js file contains a PRIVATE_KEY entry with your private key.');
-  console.error('Example: module.exports = { PRIVATE_KEY: "your_private_key_here" };');
+// Signer: the --from account, the account selected with MONDEPLOYER_ACCOUNT, or PRIVATE_KEY from env.js
+let account;
+try {
+  account = getSigner(network, from);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
 // Create clients
-const account = privateKeyToAccount(`0x${PRIVATE_KEY.replace(/^0x/, '')}`);
-
-const publicClient = createPublicClient({
-  chain: monadTestnet,
-  transport: http('https://rpc.monad.xyz/testnet'),
-});
-
-const walletClient = createWalletClient({
-  account,
-  chain: monadTestnet,
-  transport: http('https://rpc.monad.xyz/testnet'),
-});
+const { publicClient, walletClient } = createClients(network, account);
 
 async function main() {
   try {
@@ -117,7 +114,7 @@ async function main() {
     console.log(`✅ Transaction sent: ${hash}`);
     
     // Wait for transaction to be mined
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations });
     console.log(`✅ Voting rights granted in block ${receipt.blockNumber}`);
     
     // Verify the voter now has voting rights
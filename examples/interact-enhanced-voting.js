@@ -1,14 +1,12 @@
-// Load environment variables from .env file
-require('dotenv').config();
-const { createPublicClient, createWalletClient, http } = require('viem');
-const { privateKeyToAccount } = require('viem/accounts');
-const { monadTestnet } = require('viem/chains');
-const fs = require('fs');
-const path = require('path');
-const { PRIVATE_KEY } = require('../env.js');
+const { getSigner } = require('../getPrivateKey');
+const { getDeployment } = require('../lib/registry');
+const { getNetwork, parseNetworkFlag, createClients } = require('../lib/networks');
+const { parseFromFlag, resolveAddress } = require('../lib/accounts');
 
-// Parse command line arguments
-const args = process.argv.slice(2);
+// Parse command line arguments (--network <name> selects the network profile, --from <account> the voter)
+const { network: networkName, args: networkArgs } = parseNetworkFlag(process.argv.slice(2));
+const { from, args } = parseFromFlag(networkArgs);
+const network = getNetwork(networkName);
 const command = args[0];
 const parameter = args[1];
 
@@ -17,15 +15,13 @@ let contractAddress;
 let contractABI;
 
 try {
-  // Attempt to load contract data from temp directory (saved during deployment)
-  const tempDir = require('os').tmpdir();
-  const artifactPath = path.join(tempDir, 'monad-deployments', 'EnhancedVoting.json');
+  // Load the latest deployment from the registry (recorded during deployment)
+  const deployment = getDeployment(network.chainId, 'EnhancedVoting');
   
-  if (fs.existsSync(artifactPath)) {
-    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-    contractAddress = artifact.address;
-    contractABI = artifact.abi;
-    console.log(`✅ Loaded contract from artifacts: ${contractAddress}`);
+  if (deployment) {
+    contractAddress = deployment.address;
+    contractABI = deployment.abi;
+    console.log(`✅ Loaded EnhancedVoting v${deployment.version} from the registry: ${contractAddress}`);
   } else {
     throw new Error('Contract artifact not found. Please deploy the contract first with deploy-enhanced-voting.js');
   }
@@ -35,27 +31,17 @@ try {
   process.exit(1);
 }
 
-// Validate private key exists
-if (!PRIVATE_KEY) {
-  console.error('❌ PRIVATE_KEY not found in env.js.');
-  console.error('Please ensure your env.js file contains a PRIVATE_KEY entry with your private key.');
-  console.error('Example: module.exports = { PRIVATE_KEY: "your_private_key_here" };');
+// Signer: the --from account, the account selected with MONDEPLOYER_ACCOUNT, or PRIVATE_KEY from env.js
+let account;
+try {
+  account = getSigner(network, from);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
-// Create account and clients
-const account = privateKeyToAccount(`0x${PRIVATE_KEY.replace(/^0x/, '')}`);
-
-const publicClient = createPublicClient({
-  chain: monadTestnet,
-  transport: http('https://rpc.monad.xyz/testnet'),
-});
-
-const walletClient = createWalletClient({
-  account,
-  chain: monadTestnet,
-  transport: http('https://rpc.monad.xyz/testnet'),
-});
+// Create clients
+const { publicClient, walletClient } = createClients(network, account);
 
 // Main function to handle different commands
 async function main() {
@@ -73,10 +59,10 @@ async function main() {
         
       case 'give-rights':
         if (!parameter) {
-          console.error('❌ Missing voter address. Usage: node examples/interact-enhanced-voting.js give-rights [address]');
+          console.error('❌ Missing voter address. Usage: node examples/interact-enhanced-voting.js give-rights [address|account]');
           process.exit(1);
         }
-        await giveVotingRights(parameter);
+        await giveVotingRights(resolveAddress(network, parameter));
         break;
         
       case 'proposals':
@@ -93,20 +79,21 @@ async function main() {
 
       case 'voter-info':
         if (!parameter) {
-          console.error('❌ Missing voter address. Usage: node examples/interact-enhanced-voting.js voter-info [address]');
+          console.error('❌ Missing voter address. Usage: node examples/interact-enhanced-voting.js voter-info [address|account]');
           process.exit(1);
         }
-        await getVoterInfo(parameter);
+        await getVoterInfo(resolveAddress(network, parameter));
         break;
         
       default:
         console.log('Available commands:');
         console.log('  vote [proposalId] - Vote for a proposal');
-        console.log('  give-rights [address] - Give voting rights to an address');
+        console.log('  give-rights [address|account] - Give voting rights to an address');
         console.log('  proposals - List all proposals');
         console.log('  winner - Get the winning proposal');
         console.log('  voting-info - Get information about the voting');
-        console.log('  voter-info [address] - Get information about a voter');
+        console.log('  voter-info [address|account] - Get information about a voter');
+        console.log('Options: --network <name>, --from <account> (the account that signs, e.g. a voter)');
     }
   } catch (error) {
     console.error('❌ Error:', error.message);
@@ -129,7 +116,7 @@ async function vote(proposalId) {
     const hash = await walletClient.writeContract(request);
     console.log(`✅ Vote transaction submitted: ${hash}`);
     
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations });
     console.log(`✅ Vote confirmed in block ${receipt.blockNumber}`);
   } catch (error) {
     console.error('❌ Error voting:', error.message);
@@ -162,7 +149,7 @@ async function giveVotingRights(voterAddress) {
     const hash = await walletClient.writeContract(request);
     console.log(`✅ Transaction submitted: ${hash}`);
     
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations });
     console.log(`✅ Rights granted in block ${receipt.blockNumber}`);
   } catch (error) {
     console.error('❌ Error giving voting rights:', error.message);
@@ -1,42 +1,36 @@
-const fs = require('fs');
-const path = require('path');
-const viem = require('viem');
 const { privateKeyToAccount } = require('viem/accounts');
-const { monadTestnet } = require('viem/chains');
-const { PRIVATE_KEY } = require('../env.js');
+const { getPrivateKey } = require('../getPrivateKey');
+const { getDeployment } = require('../lib/registry');
+const { getNetwork, createClients } = require('../lib/networks');
 
-// Load contract artifacts
-const artifactsPath = path.join(__dirname, '../artifacts/MySimpleContract.json');
-if (!fs.existsSync(artifactsPath)) {
-  console.error('❌ Contract artifacts not found. Please deploy the contract first.');
+// Network selected with MONDEPLOYER_NETWORK (default: monad-testnet)
+const network = getNetwork();
+
+// Load the latest deployment from the registry
+const deployment = getDeployment(network.chainId, 'MySimpleContract');
+if (!deployment) {
+  console.error('❌ No MySimpleContract deployment found in the registry. Please deploy the contract first.');
   process.exit(1);
 }
 
-// Validate private key
-if (!PRIVATE_KEY) {
-  console.error('❌ Error: PRIVATE_KEY not found in env.js');
+// Signing key: the keystore account selected with MONDEPLOYER_ACCOUNT, or PRIVATE_KEY from env.js
+let PRIVATE_KEY;
+try {
+  PRIVATE_KEY = getPrivateKey(network);
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
   process.exit(1);
 }
 
-const artifacts = JSON.parse(fs.readFileSync(artifactsPath, 'utf8'));
-const contractAddress = artifacts.address;
-const contractAbi = artifacts.abi;
+const contractAddress = deployment.address;
+const contractAbi = deployment.abi;
 
 // Normalize private key and create account
 const normalizedKey = PRIVATE_KEY.replace(/^0x/, '');
 const account = privateKeyToAccount(`0x${normalizedKey}`);
 
-// Create clients
-const publicClient = viem.createPublicClient({
-  chain: monadTestnet,
-  transport: viem.http(process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'),
-});
-
-const walletClient = viem.createWalletClient({
-  account,
-  chain: monadTestnet,
-  transport: viem.http(process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'),
-});
+// Create clients for the selected network
+const { publicClient, walletClient } = createClients(network, account);
 
 // Contract interaction functions
 async function getMessage() {
@@ -65,7 +59,7 @@ async function setMessage(newMessage) {
     
     console.log(`🔗 Transaction hash: ${hash}`);
     
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations });
     console.log('✅ Message updated successfully!\n');
     
     return receipt;
@@ -102,7 +96,7 @@ async function incrementCounter() {
     
     console.log(`🔗 Transaction hash: ${hash}`);
     
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations });
     console.log('✅ Counter incremented successfully!\n');
     
     return receipt;
@@ -1,11 +1,10 @@
 #!/usr/bin/env node
 
-// Load environment variables from .env file
-require('dotenv').config();
+const { getSetting } = require('../lib/config');
 
 // Check for required private key
-if (!process.env.PRIVATE_KEY) {
-  console.error('❌ PRIVATE_KEY not found in environment variables.');
+if (!getSetting('privateKey')) {
+  console.error('❌ PRIVATE_KEY not found in the environment, .env or env.js.');
   console.error('Please ensure your .env file contains a PRIVATE_KEY entry with your private key.');
   console.error('Example: PRIVATE_KEY=your_private_key_here (without 0x prefix)');
   process.exit(1);
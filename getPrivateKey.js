@@ -1,22 +1,70 @@
 /**
- * Utility to load private key from env.js
+ * Utility to load the private key
  * This makes it easier for AI assistants to find and use the private key
- * without needing to directly reference env.js in every script
+ * without needing to directly reference env.js or .env in every script
  */
 
-// Import the private key from env.js
-const { PRIVATE_KEY } = require('./env.js');
+const { getSetting } = require('./lib/config');
+const { resolvePrivateKey, resolveSigner, resolveSignerAddress, unlockSelectedAccount } = require('./lib/accounts');
 
-// Function to get the private key
-function getPrivateKey() {
-  if (!PRIVATE_KEY) {
-    throw new Error('Private key not found in env.js');
+// PRIVATE_KEY from the environment, .env or env.js (not needed on networks with dev accounts, such as local,
+// or when an account is selected with --from or MONDEPLOYER_ACCOUNT)
+const PRIVATE_KEY = getSetting('privateKey');
+
+// Function to get the private key, of the named account if `from` is given
+function getPrivateKey(network, from) {
+  const privateKey = resolvePrivateKey(network || {}, PRIVATE_KEY, from);
+  if (!privateKey) {
+    throw new Error(
+      'Private key not found. Create an encrypted account with `npm run account -- new <name>` and select it with ' +
+      'MONDEPLOYER_ACCOUNT=<name>, or set PRIVATE_KEY in .env or env.js'
+    );
+  }
+  return privateKey;
+}
+
+// Function to get the signer (a viem account), which may be a remote signer that holds the key elsewhere
+function getSigner(network, from) {
+  const signer = resolveSigner(network || {}, PRIVATE_KEY, from);
+  if (!signer) {
+    throw new Error(
+      'No signer found. Create an encrypted account with `npm run account -- new <name>` and select it with ' +
+      'MONDEPLOYER_ACCOUNT=<name>, or set PRIVATE_KEY in .env or env.js'
+    );
   }
-  return PRIVATE_KEY;
+  return signer;
+}
+
+// Function to get the address of the signer without decrypting its key, e.g. for dry runs
+function getSignerAddress(network, from) {
+  const address = resolveSignerAddress(network || {}, PRIVATE_KEY, from);
+  if (!address) {
+    throw new Error(
+      'No signer found. Create an encrypted account with `npm run account -- new <name>` and select it with ' +
+      'MONDEPLOYER_ACCOUNT=<name>, or set PRIVATE_KEY in .env or env.js'
+    );
+  }
+  return address;
+}
+
+// Same as getPrivateKey, but prompts for the keystore passphrase when it is not in MONDEPLOYER_KEYSTORE_PASSWORD
+async function unlockPrivateKey(network, from) {
+  await unlockSelectedAccount(network || {}, from);
+  return getPrivateKey(network, from);
+}
+
+// Same as getSigner, but prompts for the keystore passphrase when it is not in MONDEPLOYER_KEYSTORE_PASSWORD
+async function unlockSigner(network, from) {
+  await unlockSelectedAccount(network || {}, from);
+  return getSigner(network, from);
 }
 
-// Export both the raw key and the function
+// Export both the raw key and the functions
 module.exports = {
   PRIVATE_KEY,
-  getPrivateKey
-}; 
\ No newline at end of file
+  getPrivateKey,
+  unlockPrivateKey,
+  getSigner,
+  getSignerAddress,
+  unlockSigner
+};
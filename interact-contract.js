@@ -4,78 +4,86 @@
  * by specifying the contract address and function to call.
  */
 
-const fs = require('fs');
-const path = require('path');
-const viem = require('viem');
-const { privateKeyToAccount } = require('viem/accounts');
-const { monadTestnet } = require('viem/chains');
-const { PRIVATE_KEY, getPrivateKey } = require('./getPrivateKey');
+const { getSigner, unlockSigner } = require('./getPrivateKey');
+const { getDeployment, findDeploymentByAddress, getRegistryDir } = require('./lib/registry');
+const { coerceFunctionArgs } = require('./lib/abi-args');
+const { getNetwork, parseNetworkFlag, createClients: createNetworkClients, explorerTxUrl } = require('./lib/networks');
+const { trackTransaction } = require('./lib/journal');
+const { parseFromFlag } = require('./lib/accounts');
 
 /**
- * Creates clients for interacting with Monad
- * @returns {Object} The publicClient and walletClient
+ * Creates clients for interacting with a network
+ * @param {string} [networkName] - Network profile (defaults to the selected network)
+ * @param {string} [from] - Account that signs (see lib/accounts.js; defaults to MONDEPLOYER_ACCOUNT or PRIVATE_KEY)
+ * @returns {Object} The publicClient, walletClient, account and network
  */
-function createClients() {
-  // Get the private key
-  const privateKey = getPrivateKey();
+function createClients(networkName, from) {
+  // Get the signer (a dev account on networks with dev accounts, or a remote signer)
+  const network = getNetwork(networkName);
+  const account = getSigner(network, from);
   
-  // Normalize private key and create account
-  const normalizedKey = privateKey.replace(/^0x/, '');
-  const account = privateKeyToAccount(`0x${normalizedKey}`);
+  // Create clients that fail over between the network's RPC URLs
+  const { publicClient, walletClient } = createNetworkClients(network, account);
   
-  // Create clients
-  const publicClient = viem.createPublicClient({
-    chain: monadTestnet,
-    transport: viem.http(process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'),
-  });
-  
-  const walletClient = viem.createWalletClient({
-    account,
-    chain: monadTestnet,
-    transport: viem.http(process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'),
-  });
-  
-  return { publicClient, walletClient, account };
+  return { publicClient, walletClient, account, network };
 }
 
 /**
- * Loads contract ABI from artifacts directory
+ * Looks up a contract deployment in the registry
  * @param {string} contractName - The name of the contract
- * @returns {Array} The contract ABI
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.chainId] - Chain ID (defaults to the chain of the selected network)
+ * @param {string} [options.network] - Network profile whose chain is searched when no chainId is given
+ * @param {number} [options.version] - Version to load (defaults to the latest)
+ * @returns {Object} The deployment
  */
-function loadContractAbi(contractName) {
-  // Check if artifacts directory exists
-  const artifactsDir = path.join(__dirname, 'artifacts');
-  const artifactPath = path.join(artifactsDir, `${contractName}.json`);
+function findDeployment(contractName, options = {}) {
+  const chainId = options.chainId || getNetwork(options.network).chainId;
+  const deployment = getDeployment(chainId, contractName, options.version);
   
-  if (!fs.existsSync(artifactPath)) {
-    throw new Error(`Contract artifacts not found: ${artifactPath}`);
+  if (!deployment) {
+    const version = options.version ? ` v${options.version}` : '';
+    throw new Error(`No deployment of ${contractName}${version} on chain ${chainId} in ${getRegistryDir()}`);
   }
   
-  const artifacts = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-  return artifacts.abi;
+  return deployment;
+}
+
+/**
+ * Loads contract ABI from the deployment registry
+ * @param {string} contractName - The name of the contract
+ * @param {Object} [options] - Lookup options, see findDeployment
+ * @returns {Array} The contract ABI
+ */
+function loadContractAbi(contractName, options = {}) {
+  return findDeployment(contractName, options).abi;
 }
 
 /**
  * Reads data from a contract
  * @param {string} contractAddress - The address of the deployed contract
  * @param {Array} abi - The contract ABI
- * @param {string} functionName - The function to call
- * @param {Array} args - Arguments for the function
+ * @param {string} functionName - The function to call, or its signature to pick an overload
+ * @param {Array} args - Arguments for the function, converted to the ABI types
+ * @param {Object} [options] - Call options
+ * @param {string} [options.network] - Network profile (defaults to the selected network)
  * @returns {any} The result of the call
  */
-async function readContract(contractAddress, abi, functionName, args = []) {
-  const { publicClient } = createClients();
+async function readContract(contractAddress, abi, functionName, args = [], options = {}) {
+  const call = coerceFunctionArgs(abi, functionName, args);
+  
+  // Reads are not signed, so no account needs to be unlocked
+  const { publicClient } = createNetworkClients(getNetwork(options.network));
   
   console.log(`📖 Reading from contract at ${contractAddress}`);
-  console.log(`Function: ${functionName}(${args.join(', ')})`);
+  console.log(`Function: ${call.functionName}(${args.join(', ')})`);
   
   try {
     const result = await publicClient.readContract({
       address: contractAddress,
-      abi,
-      functionName,
-      args,
+      abi: [call.abiItem],
+      functionName: call.functionName,
+      args: call.args,
     });
     
     console.log(`Result: ${result}`);
@@ -90,29 +98,44 @@ async function readContract(contractAddress, abi, functionName, args = []) {
  * Writes data to a contract
  * @param {string} contractAddress - The address of the deployed contract
  * @param {Array} abi - The contract ABI
- * @param {string} functionName - The function to call
- * @param {Array} args - Arguments for the function
+ * @param {string} functionName - The function to call, or its signature to pick an overload
+ * @param {Array} args - Arguments for the function, converted to the ABI types
+ * @param {Object} [options] - Call options
+ * @param {string} [options.network] - Network profile (defaults to the selected network)
+ * @param {string} [options.from] - Account that signs (defaults to MONDEPLOYER_ACCOUNT or PRIVATE_KEY)
  * @returns {Object} The transaction receipt
  */
-async function writeContract(contractAddress, abi, functionName, args = []) {
-  const { publicClient, walletClient, account } = createClients();
+async function writeContract(contractAddress, abi, functionName, args = [], options = {}) {
+  const call = coerceFunctionArgs(abi, functionName, args);
+  
+  // Prompt for the keystore passphrase first if the selected account is locked
+  await unlockSigner(getNetwork(options.network), options.from);
+  const { publicClient, walletClient, account, network } = createClients(options.network, options.from);
   
   console.log(`✏️ Writing to contract at ${contractAddress}`);
-  console.log(`Function: ${functionName}(${args.join(', ')})`);
+  console.log(`Function: ${call.functionName}(${args.join(', ')})`);
   console.log(`From address: ${account.address}`);
   
   try {
     const hash = await walletClient.writeContract({
       address: contractAddress,
-      abi,
-      functionName,
-      args,
+      abi: [call.abiItem],
+      functionName: call.functionName,
+      args: call.args,
     });
     
     console.log(`Transaction hash: ${hash}`);
     
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    const receipt = await trackTransaction(network.chainId, {
+      hash,
+      network: network.key,
+      from: account.address,
+      description: `Call of ${call.functionName} on ${contractAddress}`
+    }, () => publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations }));
     console.log('✅ Transaction successful!');
+    if (explorerTxUrl(network, hash)) {
+      console.log(`🌐 Explorer: ${explorerTxUrl(network, hash)}`);
+    }
     
     return receipt;
   } catch (error) {
@@ -124,71 +147,57 @@ async function writeContract(contractAddress, abi, functionName, args = []) {
 /**
  * Loads a contract and returns methods to interact with it
  * @param {string} contractNameOrAddress - The name or address of the contract
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.chainId] - Chain ID (defaults to the chain of the selected network)
+ * @param {string} [options.network] - Network profile to look up and call the contract on (defaults to the selected network)
+ * @param {string} [options.from] - Account that signs writes (defaults to MONDEPLOYER_ACCOUNT or PRIVATE_KEY)
+ * @param {number} [options.version] - Version to load by name (defaults to the latest)
  * @returns {Object} Contract interaction methods
  */
-function loadContract(contractNameOrAddress) {
-  let address, abi;
+function loadContract(contractNameOrAddress, options = {}) {
+  let deployment;
   
   // Check if this is an address or contract name
   if (contractNameOrAddress.startsWith('0x')) {
-    // It's an address, try to find matching artifact
-    address = contractNameOrAddress;
-    
-    // Look through artifacts directory for matching address
-    const artifactsDir = path.join(__dirname, 'artifacts');
-    if (fs.existsSync(artifactsDir)) {
-      const files = fs.readdirSync(artifactsDir);
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const artifact = JSON.parse(fs.readFileSync(path.join(artifactsDir, file), 'utf8'));
-          if (artifact.address && artifact.address.toLowerCase() === address.toLowerCase()) {
-            abi = artifact.abi;
-            console.log(`Found ABI for contract at ${address} (${artifact.contractName})`);
-            break;
-          }
-        }
-      }
-    }
+    // It's an address, find the deployment recorded at it
+    deployment = findDeploymentByAddress(options.chainId || getNetwork(options.network).chainId, contractNameOrAddress);
     
-    if (!abi) {
-      throw new Error(`Could not find ABI for contract at ${address}`);
+    if (!deployment) {
+      throw new Error(`Could not find ABI for contract at ${contractNameOrAddress}`);
     }
+    console.log(`Found ABI for contract at ${deployment.address} (${deployment.contractName} v${deployment.version})`);
   } else {
-    // It's a contract name, load from artifacts
-    const artifactsDir = path.join(__dirname, 'artifacts');
-    const artifactPath = path.join(artifactsDir, `${contractNameOrAddress}.json`);
-    
-    if (!fs.existsSync(artifactPath)) {
-      throw new Error(`Contract artifacts not found for ${contractNameOrAddress}`);
-    }
-    
-    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-    address = artifact.address;
-    abi = artifact.abi;
-    
-    console.log(`Loaded contract ${contractNameOrAddress} at ${address}`);
+    // It's a contract name, load its latest (or requested) version
+    deployment = findDeployment(contractNameOrAddress, options);
+    console.log(`Loaded contract ${deployment.contractName} v${deployment.version} at ${deployment.address}`);
   }
   
+  const { address, abi } = deployment;
+  
   return {
     address,
     abi,
-    read: (functionName, ...args) => readContract(address, abi, functionName, args),
-    write: (functionName, ...args) => writeContract(address, abi, functionName, args),
+    version: deployment.version,
+    read: (functionName, ...args) => readContract(address, abi, functionName, args, { network: options.network }),
+    write: (functionName, ...args) => writeContract(address, abi, functionName, args, { network: options.network, from: options.from }),
   };
 }
 
 // Command line interface
 if (require.main === module) {
-  const [,, contractNameOrAddress, operation, functionName, ...args] = process.argv;
+  const { network, args: networkArgs } = parseNetworkFlag(process.argv.slice(2));
+  const { from, args: argv } = parseFromFlag(networkArgs);
+  const [contractNameOrAddress, operation, functionName, ...args] = argv;
   
   if (!contractNameOrAddress || !operation || !functionName) {
-    console.error('Usage: node interact-contract.js <contractNameOrAddress> <read|write> <functionName> [args...]');
+    console.error('Usage: node interact-contract.js <contractName[@version]|address> <read|write> <functionName> [args...] [--network <name>] [--from <account>]');
     process.exit(1);
   }
   
   (async () => {
     try {
-      const contract = loadContract(contractNameOrAddress);
+      const [nameOrAddress, version] = contractNameOrAddress.split('@');
+      const contract = loadContract(nameOrAddress, { version: version ? Number(version) : undefined, network, from });
       
       if (operation === 'read') {
         await contract.read(functionName, ...args);
@@ -207,6 +216,7 @@ if (require.main === module) {
   // Export for use as a module
   module.exports = {
     createClients,
+    findDeployment,
     loadContractAbi,
     readContract,
     writeContract,
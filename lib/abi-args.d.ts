@@ -0,0 +1,15 @@
+export interface ArgumentIssue {
+  parameter: string;
+  type: string;
+  message: string;
+}
+
+export class ArgumentError extends Error {
+  issues: ArgumentIssue[];
+  constructor(target: string, issues: ArgumentIssue[]);
+}
+
+export function coerceValue(input: { type: string; name?: string; components?: any[] }, value: any): any;
+export function coerceArgs(inputs: Array<{ type: string; name?: string; components?: any[] }>, args: any[], target?: string): any[];
+export function coerceConstructorArgs(abi: any[], args?: any[]): any[];
+export function coerceFunctionArgs(abi: any[], functionName: string, args?: any[]): { functionName: string; args: any[]; abiItem: any };
@@ -0,0 +1,327 @@
+/**
+ * ABI-aware argument coercion
+ * Command line arguments arrive as strings. This module converts them to the
+ * values viem expects for each ABI input type: bigints for integers (decimal,
+ * hex or with a unit suffix such as "1.5ether"), booleans, checksummed
+ * addresses, sized hex for bytesN, and JSON for arrays and tuples. Values that
+ * already have the right JavaScript type are passed through.
+ */
+
+const viem = require('viem');
+
+// Decimals of the unit suffixes accepted for integers; MON has 18 decimals like ether
+const UNITS = {
+  wei: 0,
+  gwei: 9,
+  ether: 18,
+  mon: 18
+};
+
+/**
+ * Thrown when arguments do not match the ABI inputs
+ */
+class ArgumentError extends Error {
+  /**
+   * @param {string} target - What the arguments were for, e.g. "constructor" or "transfer"
+   * @param {Array<Object>} issues - `{ parameter, type, message }` for every mismatch
+   */
+  constructor(target, issues) {
+    super(`Invalid arguments for ${target}:\n${issues.map(issue => `  - ${issue.parameter} (${issue.type}): ${issue.message}`).join('\n')}`);
+    this.name = 'ArgumentError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Describes an ABI input for messages
+ * @param {Object} input - ABI input
+ * @returns {string} e.g. "uint256 amount"
+ */
+function describeInput(input) {
+  return input.name ? `${input.type} ${input.name}` : input.type;
+}
+
+/**
+ * Shows a value in an error message
+ * @param {*} value - The offending value
+ * @returns {string} A short representation
+ */
+function show(value) {
+  const text = typeof value === 'string' ? JSON.stringify(value) : String(typeof value === 'object' ? JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)) : value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Parses a JSON argument for an array or tuple parameter
+ * @param {*} value - A string of JSON, or an already parsed value
+ * @param {string} expected - "array" or "tuple", for messages
+ * @returns {*} The parsed value
+ */
+function parseJson(value, expected) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`expected a JSON ${expected} such as ${expected === 'array' ? '["a","b"]' : '["a",1] or {"name":"a"}'}, got ${show(value)}`);
+  }
+}
+
+/**
+ * Converts an integer argument
+ * @param {string} type - e.g. "uint256" or "int8"
+ * @param {*} value - Decimal or hex string, optionally with a unit suffix, number or bigint
+ * @returns {bigint} The value
+ */
+function coerceInteger(type, value) {
+  let result;
+
+  if (typeof value === 'bigint') {
+    result = value;
+  } else if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`${value} is not a safe integer; pass it as a string`);
+    }
+    result = BigInt(value);
+  } else if (typeof value === 'string') {
+    const text = value.trim().replace(/_/g, '');
+    const withUnit = text.match(/^(-?\d+(?:\.\d+)?)\s*([a-z]+)$/i);
+
+    // Hex first: "0xff" would otherwise read as 0 with the unit "xff"
+    if (/^-?0x[0-9a-f]+$/i.test(text)) {
+      result = text.startsWith('-') ? -BigInt(text.slice(1)) : BigInt(text);
+    } else if (withUnit) {
+      const decimals = UNITS[withUnit[2].toLowerCase()];
+      if (decimals === undefined) {
+        throw new Error(`unknown unit "${withUnit[2]}" in ${show(value)} (use ${Object.keys(UNITS).join(', ')})`);
+      }
+      const [, fraction = ''] = withUnit[1].split('.');
+      if (fraction.length > decimals) {
+        throw new Error(`${show(value)} has more decimals than ${withUnit[2]} allows`);
+      }
+      result = viem.parseUnits(withUnit[1], decimals);
+    } else if (/^-?\d+$/.test(text)) {
+      result = BigInt(text);
+    } else if (/^-?\d+(\.\d+)?e\d+$/i.test(text)) {
+      // Scientific notation such as 1e18, as long as the result is whole
+      const [mantissa, exponent] = text.toLowerCase().split('e');
+      const [, fraction = ''] = mantissa.split('.');
+      if (fraction.length > Number(exponent)) {
+        throw new Error(`${show(value)} is not a whole number`);
+      }
+      result = viem.parseUnits(mantissa, Number(exponent));
+    } else {
+      throw new Error(`${show(value)} is not a number (use decimal, 0x hex, 1e18 or a unit such as 1.5ether)`);
+    }
+  } else {
+    throw new Error(`expected a number, got ${show(value)}`);
+  }
+
+  const signed = type.startsWith('int');
+  const bits = BigInt(type.replace(/^u?int/, '') || 256);
+  const min = signed ? -(2n ** (bits - 1n)) : 0n;
+  const max = signed ? 2n ** (bits - 1n) - 1n : 2n ** bits - 1n;
+
+  if (result < min || result > max) {
+    throw new Error(`${show(value)} is out of range for ${type} (${min} to ${max})`);
+  }
+  return result;
+}
+
+/**
+ * Converts one argument to the value viem expects for an ABI input
+ * @param {Object} input - ABI input (`type`, `name`, `components`)
+ * @param {*} value - The raw argument
+ * @returns {*} The converted value
+ */
+function coerceValue(input, value) {
+  const { type } = input;
+  const array = type.match(/^(.*)\[(\d*)\]$/);
+
+  if (array) {
+    const items = parseJson(value, 'array');
+    if (!Array.isArray(items)) {
+      throw new Error(`expected an array, got ${show(value)}`);
+    }
+    if (array[2] !== '' && items.length !== Number(array[2])) {
+      throw new Error(`expected exactly ${array[2]} elements, got ${items.length}`);
+    }
+
+    const element = { ...input, type: array[1] };
+    return items.map((item, index) => {
+      try {
+        return coerceValue(element, item);
+      } catch (error) {
+        throw new Error(`element ${index}: ${error.message}`);
+      }
+    });
+  }
+
+  if (type === 'tuple') {
+    const fields = parseJson(value, 'tuple');
+    const components = input.components || [];
+    const named = fields && !Array.isArray(fields) && typeof fields === 'object';
+
+    if (!Array.isArray(fields) && !named) {
+      throw new Error(`expected a tuple as a JSON array or object, got ${show(value)}`);
+    }
+    if (Array.isArray(fields) && fields.length !== components.length) {
+      throw new Error(`expected ${components.length} fields (${components.map(describeInput).join(', ')}), got ${fields.length}`);
+    }
+
+    const coerced = components.map((component, index) => {
+      const label = component.name || String(index);
+      if (named && !(component.name in fields)) {
+        throw new Error(`missing field "${label}"`);
+      }
+      try {
+        return coerceValue(component, named ? fields[component.name] : fields[index]);
+      } catch (error) {
+        throw new Error(`field ${label}: ${error.message}`);
+      }
+    });
+
+    // viem accepts named tuples as objects and unnamed ones as arrays
+    return components.every(component => component.name)
+      ? Object.fromEntries(components.map((component, index) => [component.name, coerced[index]]))
+      : coerced;
+  }
+
+  if (/^u?int\d*$/.test(type)) {
+    return coerceInteger(type, value);
+  }
+
+  if (type === 'bool') {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (text === 'true' || text === '1') {
+      return true;
+    }
+    if (text === 'false' || text === '0') {
+      return false;
+    }
+    throw new Error(`expected true or false, got ${show(value)}`);
+  }
+
+  if (type === 'address') {
+    const text = String(value).trim();
+    if (!viem.isAddress(text, { strict: false })) {
+      throw new Error(`${show(value)} is not an address`);
+    }
+    if (text !== text.toLowerCase() && text.slice(2) !== text.slice(2).toUpperCase() && !viem.isAddress(text)) {
+      throw new Error(`${show(value)} has an invalid checksum`);
+    }
+    return viem.getAddress(text);
+  }
+
+  const fixedBytes = type.match(/^bytes(\d+)$/);
+  if (fixedBytes || type === 'bytes') {
+    const text = String(value).trim();
+    if (!/^0x([0-9a-fA-F]{2})*$/.test(text)) {
+      throw new Error(`expected 0x-prefixed hex with whole bytes, got ${show(value)}`);
+    }
+    if (fixedBytes && (text.length - 2) / 2 !== Number(fixedBytes[1])) {
+      throw new Error(`expected ${fixedBytes[1]} bytes, got ${(text.length - 2) / 2}`);
+    }
+    return text;
+  }
+
+  if (type === 'string') {
+    if (typeof value === 'object' && value !== null) {
+      throw new Error(`expected a string, got ${show(value)}`);
+    }
+    return String(value);
+  }
+
+  throw new Error(`unsupported ABI type ${type}`);
+}
+
+/**
+ * Converts a list of arguments to the values viem expects for the given ABI inputs
+ * Every mismatch is collected, so all wrong parameters are reported at once.
+ * @param {Array<Object>} inputs - ABI inputs of the constructor or function
+ * @param {Array} args - The raw arguments
+ * @param {string} [target] - What the arguments are for, used in errors
+ * @returns {Array} The converted arguments
+ */
+function coerceArgs(inputs, args, target = 'constructor') {
+  if (args.length !== inputs.length) {
+    const expected = inputs.length > 0 ? ` (${inputs.map(describeInput).join(', ')})` : '';
+    throw new ArgumentError(target, [{
+      parameter: 'arguments',
+      type: `${inputs.length} expected`,
+      message: `${target} takes ${inputs.length} argument${inputs.length === 1 ? '' : 's'}${expected} but ${args.length} ${args.length === 1 ? 'was' : 'were'} given`
+    }]);
+  }
+
+  const issues = [];
+  const values = inputs.map((input, index) => {
+    try {
+      return coerceValue(input, args[index]);
+    } catch (error) {
+      issues.push({ parameter: input.name || `#${index + 1}`, type: input.type, message: error.message });
+      return undefined;
+    }
+  });
+
+  if (issues.length > 0) {
+    throw new ArgumentError(target, issues);
+  }
+  return values;
+}
+
+/**
+ * Converts constructor arguments against a contract ABI
+ * @param {Array} abi - Contract ABI
+ * @param {Array} args - The raw arguments
+ * @returns {Array} The converted arguments
+ */
+function coerceConstructorArgs(abi, args = []) {
+  const constructor = abi.find(item => item.type === 'constructor');
+  return coerceArgs(constructor ? constructor.inputs : [], args, 'constructor');
+}
+
+/**
+ * Converts function arguments against a contract ABI, picking the overload by argument count
+ * @param {Array} abi - Contract ABI
+ * @param {string} functionName - Function name, or a full signature such as "transfer(address,uint256)" to pick an overload
+ * @param {Array} args - The raw arguments
+ * @returns {Object} `{ functionName, args, abiItem }` ready for viem
+ */
+function coerceFunctionArgs(abi, functionName, args = []) {
+  const name = functionName.split('(')[0];
+  const candidates = abi.filter(item => item.type === 'function' && item.name === name &&
+    (!functionName.includes('(') || viem.toFunctionSignature(item).replace(/\s/g, '') === functionName.replace(/\s/g, '')));
+
+  if (candidates.length === 0) {
+    throw new Error(`Function ${functionName} is not in the contract ABI`);
+  }
+
+  const matching = candidates.filter(item => item.inputs.length === args.length);
+  if (matching.length === 0) {
+    // Report against the first overload so the expected parameters are listed
+    coerceArgs(candidates[0].inputs, args, name);
+  }
+
+  let firstError;
+  for (const item of matching) {
+    try {
+      return { functionName: name, args: coerceArgs(item.inputs, args, name), abiItem: item };
+    } catch (error) {
+      firstError = firstError || error;
+    }
+  }
+  throw firstError;
+}
+
+module.exports = {
+  ArgumentError,
+  coerceValue,
+  coerceArgs,
+  coerceConstructorArgs,
+  coerceFunctionArgs
+};
@@ -0,0 +1,56 @@
+import type { Account } from 'viem';
+import type { Network } from './networks.js';
+
+export interface AccountEntry {
+  keystore?: string;
+  env?: string;
+  mnemonic?: string;
+  index?: number;
+  path?: string;
+  hd?: number;
+  remote?: string;
+  address?: string;
+  token?: string;
+  dev?: number;
+}
+
+export interface HdWallet {
+  mnemonic: string;
+  path: string;
+  count: number;
+}
+
+export interface HdAccount {
+  name: string;
+  index: number;
+  address: string;
+}
+
+export interface AccountBookEntry {
+  name: string;
+  source: 'keystore' | 'env' | 'mnemonic' | 'hd' | 'remote' | 'dev';
+  address?: string;
+  dev?: number;
+  error?: string;
+}
+
+export const ACCOUNT_ENV: string;
+export const HD_PREFIX: string;
+
+export function getAccountBook(): Record<string, AccountEntry>;
+export function getAccountEntry(name: string): AccountEntry;
+export function getHdWallet(): HdWallet;
+export function derivePrivateKey(mnemonic: string, options?: { index?: number; path?: string }): string;
+export function hdPrivateKey(index: number): string;
+export function accountPrivateKey(network: Network | Partial<Network>, name: string): string;
+export function selectedAccount(): string | undefined;
+export function resolvePrivateKey(network: Network | Partial<Network>, privateKey?: string, from?: string): string | undefined;
+export function accountSigner(network: Network | Partial<Network>, name: string): Account;
+export function resolveSigner(network: Network | Partial<Network>, privateKey?: string, from?: string): Account | undefined;
+export function unlockSelectedAccount(network: Network | Partial<Network>, from?: string): Promise<void>;
+export function accountAddress(network: Network | Partial<Network>, name: string): string;
+export function resolveSignerAddress(network: Network | Partial<Network>, privateKey?: string, from?: string): string | undefined;
+export function resolveAddress(network: Network | Partial<Network>, value: string): string;
+export function listAccountBook(network: Network | Partial<Network>): AccountBookEntry[];
+export function listHdAccounts(network: Network | Partial<Network>, count?: number): HdAccount[];
+export function parseFromFlag(args: string[]): { from?: string; args: string[] };
@@ -0,0 +1,455 @@
+/**
+ * Account book
+ * Names the accounts that sign, so scripts with several actors (a
+ * chairperson and voters, say) pick one with `--from <name>` instead of
+ * swapping PRIVATE_KEY. Accounts come from the `accounts` block of
+ * mondeployer.config.json:
+ *
+ *   "accounts": {
+ *     "chairperson": { "keystore": "deployer" },                keystore account (see keystore.js)
+ *     "voter1": { "env": "VOTER1_PRIVATE_KEY" },                 key named in the environment, .env or env.js
+ *     "voter2": { "mnemonic": "VOTERS_MNEMONIC", "index": 2 },   HD key derived from a mnemonic named in the environment, .env or env.js
+ *     "voter3": { "keystore": "voter3", "dev": 3 },              dev account 3 on networks with dev accounts
+ *     "voter4": { "hd": 4 },                                     account 4 of the HD wallet
+ *     "treasury": { "remote": "http://127.0.0.1:8550",
+ *                   "address": "0x...", "token": "SIGNER_TOKEN" } key held by a signer daemon (see signers.js)
+ *   }
+ *
+ * Every keystore account is also in the book under its own name, and every
+ * account of the HD wallet as hd:<index>. The HD wallet is the `hdWallet`
+ * block of mondeployer.config.json:
+ *
+ *   "hdWallet": { "mnemonic": "MNEMONIC", "path": "m/44'/60'/0'/0", "count": 10 }
+ *
+ * where `mnemonic` names the variable holding the mnemonic, and account n is
+ * derived at <path>/<n>. Networks with dev accounts only sign with dev
+ * accounts: an entry's `dev` index, or the index itself (`--from 3`); hd:<n>
+ * is dev account n there.
+ *
+ * MONDEPLOYER_ACCOUNT names the account that signs when no `--from` is given.
+ * Scripts sign through resolveSigner, which also covers remote accounts;
+ * resolvePrivateKey only returns keys held by this process.
+ */
+
+const { toHex, isAddress, getAddress } = require('viem');
+const { mnemonicToAccount, privateKeyToAccount } = require('viem/accounts');
+const { loadConfig, getEnv, getSetting, configFileName } = require('./config');
+const { listAccounts, unlockAccount, canUnlock, promptHidden } = require('./keystore');
+const { devPrivateKey, signerPrivateKey } = require('./local-chain');
+const { createSigner } = require('./signers');
+
+// Environment variable naming the account that signs
+const ACCOUNT_ENV = 'MONDEPLOYER_ACCOUNT';
+
+// Where the keys of each kind of account come from
+const SOURCES = ['keystore', 'env', 'mnemonic', 'hd', 'remote'];
+
+// Prefix of the names of HD wallet accounts, e.g. hd:3
+const HD_PREFIX = 'hd:';
+
+// HD wallet used when mondeployer.config.json has no hdWallet block
+const DEFAULT_HD_WALLET = { mnemonic: 'MNEMONIC', path: "m/44'/60'/0'/0", count: 10 };
+
+/**
+ * Checks an account book entry
+ * @param {string} name - Account name
+ * @param {Object} entry - The entry from the `accounts` block
+ * @returns {Object} The entry
+ */
+function validateEntry(name, entry) {
+  const invalid = message => new Error(`Invalid account "${name}" in ${configFileName()}: ${message}`);
+
+  if (!entry || typeof entry !== 'object') {
+    throw invalid('expected an object such as { "keystore": "<name>" }');
+  }
+
+  const sources = SOURCES.filter(source => entry[source] !== undefined);
+  if (sources.length > 1) {
+    throw invalid(`use only one of ${sources.join(', ')}`);
+  }
+  if (sources.length === 0 && entry.dev === undefined) {
+    throw invalid(`expected one of ${SOURCES.join(', ')} or dev`);
+  }
+  if (entry.dev !== undefined && !Number.isInteger(entry.dev)) {
+    throw invalid('dev must be an account index');
+  }
+  if (entry.mnemonic !== undefined && entry.index !== undefined && !Number.isInteger(entry.index)) {
+    throw invalid('index must be an integer');
+  }
+  if (entry.hd !== undefined && !(Number.isInteger(entry.hd) && entry.hd >= 0)) {
+    throw invalid('hd must be an account index of the HD wallet');
+  }
+  if (entry.remote !== undefined && !(typeof entry.remote === 'string' && /^https?:\/\//.test(entry.remote))) {
+    throw invalid('remote must be the http:// or https:// URL of a signer');
+  }
+  if (entry.remote !== undefined && !isAddress(entry.address || '')) {
+    throw invalid('a remote account needs the address its signer signs for');
+  }
+  if (entry.token !== undefined && !(entry.remote !== undefined && typeof entry.token === 'string')) {
+    throw invalid('token must name the variable holding the token of a remote signer');
+  }
+  return entry;
+}
+
+/**
+ * Returns the account book
+ * @returns {Object} Entries keyed by account name; keystore accounts first, overridden by the `accounts` block
+ */
+function getAccountBook() {
+  const book = {};
+
+  listAccounts().forEach(account => {
+    book[account.name] = { keystore: account.name };
+  });
+  Object.entries(loadConfig().accounts || {}).forEach(([name, entry]) => {
+    book[name] = validateEntry(name, entry);
+  });
+  return book;
+}
+
+/**
+ * Looks up an account
+ * @param {string} name - Account name, hd:<index>, or a dev account index
+ * @returns {Object} The account book entry
+ */
+function getAccountEntry(name) {
+  if (/^\d+$/.test(name)) {
+    return { dev: Number(name) };
+  }
+  if (name.startsWith(HD_PREFIX)) {
+    const index = name.slice(HD_PREFIX.length);
+    if (!/^\d+$/.test(index)) {
+      throw new Error(`Invalid HD wallet account "${name}" (expected ${HD_PREFIX}<index>)`);
+    }
+    return { hd: Number(index), dev: Number(index) };
+  }
+
+  const entry = getAccountBook()[name];
+  if (!entry) {
+    throw new Error(
+      `Unknown account "${name}". Add it to the accounts block of ${configFileName()} or create a keystore account with: npm run account -- new ${name}`
+    );
+  }
+  return entry;
+}
+
+/**
+ * Derives the private key of an HD account
+ * @param {string} mnemonic - BIP-39 mnemonic
+ * @param {Object} options - Derivation options
+ * @param {number} [options.index] - Address index (defaults to 0)
+ * @param {string} [options.path] - Full derivation path, overriding the index
+ * @returns {string} 0x-prefixed private key
+ */
+function derivePrivateKey(mnemonic, { index = 0, path } = {}) {
+  const account = mnemonicToAccount(mnemonic, path ? { path } : { addressIndex: index });
+  return toHex(account.getHdKey().privateKey);
+}
+
+/**
+ * Returns the HD wallet settings
+ * @returns {Object} `{ mnemonic, path, count }`: the variable holding the mnemonic, the derivation path of
+ *   the accounts (without the index) and how many accounts to list
+ */
+function getHdWallet() {
+  const hdWallet = { ...DEFAULT_HD_WALLET, ...(loadConfig().hdWallet || {}) };
+  const invalid = message => new Error(`Invalid hdWallet in ${configFileName()}: ${message}`);
+
+  if (typeof hdWallet.mnemonic !== 'string' || !hdWallet.mnemonic) {
+    throw invalid('mnemonic must name the variable holding the mnemonic in the environment, .env or env.js');
+  }
+  if (typeof hdWallet.path !== 'string' || !/^m(\/\d+'?)*$/.test(hdWallet.path)) {
+    throw invalid(`path must be a derivation path such as ${DEFAULT_HD_WALLET.path}`);
+  }
+  if (!Number.isInteger(hdWallet.count) || hdWallet.count < 1) {
+    throw invalid('count must be a positive integer');
+  }
+  return hdWallet;
+}
+
+/**
+ * Returns the private key of an HD wallet account
+ * @param {number} index - Account index
+ * @returns {string} 0x-prefixed private key, derived at <path>/<index>
+ */
+function hdPrivateKey(index) {
+  const { mnemonic: variable, path } = getHdWallet();
+  const mnemonic = getEnv(variable);
+
+  if (!mnemonic) {
+    throw new Error(`${variable} (the mnemonic of the HD wallet) is not set in the environment, .env or env.js`);
+  }
+  return derivePrivateKey(mnemonic, { path: `${path}/${index}` });
+}
+
+/**
+ * Returns the private key of an account
+ * @param {Object} network - Resolved network profile
+ * @param {string} name - Account name, or a dev account index
+ * @returns {string} The private key
+ */
+function accountPrivateKey(network, name) {
+  const entry = getAccountEntry(name);
+
+  if (network.devAccounts) {
+    if (entry.dev === undefined) {
+      throw new Error(`Account "${name}" has no dev account for ${network.name}; give it a "dev" index in the accounts block of ${configFileName()}`);
+    }
+    return devPrivateKey(entry.dev);
+  }
+
+  if (entry.keystore) {
+    return unlockAccount(entry.keystore);
+  }
+  if (entry.env) {
+    const privateKey = getEnv(entry.env);
+    if (!privateKey) {
+      throw new Error(`${entry.env} (the key of account "${name}") is not set in the environment, .env or env.js`);
+    }
+    return privateKey;
+  }
+  if (entry.mnemonic) {
+    const mnemonic = getEnv(entry.mnemonic);
+    if (!mnemonic) {
+      throw new Error(`${entry.mnemonic} (the mnemonic of account "${name}") is not set in the environment, .env or env.js`);
+    }
+    return derivePrivateKey(mnemonic, entry);
+  }
+  if (entry.hd !== undefined) {
+    return hdPrivateKey(entry.hd);
+  }
+  if (entry.remote) {
+    throw new Error(`Account "${name}" is signed for by the signer at ${entry.remote}; its private key is not available here`);
+  }
+  throw new Error(`Account "${name}" is a dev account, but ${network.name} has no dev accounts`);
+}
+
+/**
+ * Returns the account selected to sign when none is given
+ * @returns {string|undefined} MONDEPLOYER_ACCOUNT
+ */
+function selectedAccount() {
+  return getSetting('account');
+}
+
+/**
+ * Returns the private key that signs on a network
+ * An account given with `from` always signs. Otherwise networks with dev
+ * accounts sign with a dev account, then the account named by
+ * MONDEPLOYER_ACCOUNT is used, then the given key.
+ * @param {Object} network - Resolved network profile
+ * @param {string} [privateKey] - Plaintext fallback (e.g. PRIVATE_KEY from env.js)
+ * @param {string} [from] - Account name (`--from`)
+ * @returns {string|undefined} The private key
+ */
+function resolvePrivateKey(network, privateKey, from) {
+  if (from) {
+    return accountPrivateKey(network, from);
+  }
+  if (network.devAccounts) {
+    return signerPrivateKey(network, privateKey);
+  }
+
+  const account = selectedAccount();
+  return account ? accountPrivateKey(network, account) : privateKey;
+}
+
+/**
+ * Returns the token a remote account's signer daemon requires
+ * @param {string} name - Account name
+ * @param {Object} entry - Its account book entry
+ * @returns {string|undefined} The variable named by `token`, else MONDEPLOYER_SIGNER_TOKEN
+ */
+function signerToken(name, entry) {
+  if (!entry.token) {
+    return getSetting('signerToken');
+  }
+  const token = getEnv(entry.token);
+  if (!token) {
+    throw new Error(`${entry.token} (the signer token of account "${name}") is not set in the environment, .env or env.js`);
+  }
+  return token;
+}
+
+/**
+ * Returns the signer of an account
+ * @param {Object} network - Resolved network profile
+ * @param {string} name - Account name, or a dev account index
+ * @returns {Object} viem account; remote accounts sign through their signer daemon
+ */
+function accountSigner(network, name) {
+  const entry = getAccountEntry(name);
+
+  if (entry.remote && !network.devAccounts) {
+    return createSigner('remote', { url: entry.remote, address: entry.address, token: signerToken(name, entry) });
+  }
+  if (entry.keystore && !network.devAccounts) {
+    return createSigner('keystore', { name: entry.keystore });
+  }
+  return createSigner('local', { privateKey: accountPrivateKey(network, name) });
+}
+
+/**
+ * Returns the signer on a network
+ * Selects the account the same way as resolvePrivateKey.
+ * @param {Object} network - Resolved network profile
+ * @param {string} [privateKey] - Plaintext fallback (e.g. PRIVATE_KEY from env.js)
+ * @param {string} [from] - Account name (`--from`)
+ * @returns {Object|undefined} viem account
+ */
+function resolveSigner(network, privateKey, from) {
+  const name = from || (!network.devAccounts && selectedAccount());
+
+  if (name) {
+    return accountSigner(network, name);
+  }
+
+  const key = resolvePrivateKey(network, privateKey);
+  return key ? createSigner('local', { privateKey: key }) : undefined;
+}
+
+/**
+ * Unlocks the keystore account that would sign, prompting for its passphrase if needed
+ * For interactive scripts; servers rely on MONDEPLOYER_KEYSTORE_PASSWORD.
+ * @param {Object} network - Resolved network profile
+ * @param {string} [from] - Account name (`--from`)
+ * @returns {Promise<void>}
+ */
+async function unlockSelectedAccount(network, from) {
+  const name = from || selectedAccount();
+
+  if (!name || network.devAccounts) {
+    return;
+  }
+
+  const { keystore } = getAccountEntry(name);
+  if (keystore && !canUnlock(keystore)) {
+    unlockAccount(keystore, await promptHidden(`🔐 Passphrase for keystore account "${keystore}": `));
+  }
+}
+
+/**
+ * Returns the address of an account without unlocking it
+ * Keystore addresses are read from the keystore file and remote accounts
+ * name theirs; keys from env.js or a mnemonic are only used to compute the address.
+ * @param {Object} network - Resolved network profile
+ * @param {string} name - Account name, or a dev account index
+ * @returns {string} The address that signs for the account on the network
+ */
+function accountAddress(network, name) {
+  const entry = getAccountEntry(name);
+
+  if (entry.keystore && !network.devAccounts) {
+    const account = listAccounts().find(({ name: keystoreName }) => keystoreName === entry.keystore);
+    if (!account) {
+      throw new Error(`Account "${name}" uses keystore account "${entry.keystore}", which does not exist`);
+    }
+    return account.address;
+  }
+  if (entry.remote && !network.devAccounts) {
+    return getAddress(entry.address);
+  }
+  return privateKeyToAccount(`0x${accountPrivateKey(network, name).replace(/^0x/, '')}`).address;
+}
+
+/**
+ * Returns the address of the signer on a network without unlocking it
+ * Selects the account the same way as resolveSigner; see accountAddress.
+ * @param {Object} network - Resolved network profile
+ * @param {string} [privateKey] - Plaintext fallback (e.g. PRIVATE_KEY from env.js)
+ * @param {string} [from] - Account name (`--from`)
+ * @returns {string|undefined} The address
+ */
+function resolveSignerAddress(network, privateKey, from) {
+  const name = from || (!network.devAccounts && selectedAccount());
+
+  if (name) {
+    return accountAddress(network, name);
+  }
+
+  const key = resolvePrivateKey(network, privateKey);
+  return key ? createSigner('local', { privateKey: key }).address : undefined;
+}
+
+/**
+ * Resolves an address or an account name to an address
+ * @param {Object} network - Resolved network profile
+ * @param {string} value - Address, or account name
+ * @returns {string} The address
+ */
+function resolveAddress(network, value) {
+  return isAddress(value) ? value : accountAddress(network, value);
+}
+
+/**
+ * Lists the account book with the address of each account on a network
+ * @param {Object} network - Resolved network profile
+ * @returns {Array<Object>} `{ name, source, address, dev?, error? }`, sorted by name; error says why there is no address
+ */
+function listAccountBook(network) {
+  return Object.entries(getAccountBook())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, entry]) => {
+      const account = { name, source: SOURCES.find(source => entry[source] !== undefined) || 'dev', dev: entry.dev };
+
+      try {
+        account.address = accountAddress(network, name);
+      } catch (error) {
+        account.error = error.message;
+      }
+      return account;
+    });
+}
+
+/**
+ * Lists the accounts of the HD wallet with the address of each on a network
+ * On networks with dev accounts these are the dev accounts.
+ * @param {Object} network - Resolved network profile
+ * @param {number} [count] - Number of accounts (defaults to `hdWallet.count`)
+ * @returns {Array<Object>} `{ name, index, address }` for accounts 0..count-1
+ */
+function listHdAccounts(network, count = getHdWallet().count) {
+  return Array.from({ length: count }, (_, index) => {
+    const name = `${HD_PREFIX}${index}`;
+    return { name, index, address: accountAddress(network, name) };
+  });
+}
+
+/**
+ * Extracts the `--from <name>` flag from command line arguments
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} `{ from, args }` with the flag and its value removed from args
+ */
+function parseFromFlag(args) {
+  const index = args.indexOf('--from');
+
+  if (index < 0) {
+    return { from: undefined, args };
+  }
+  if (!args[index + 1]) {
+    throw new Error('--from expects an account name');
+  }
+  return { from: args[index + 1], args: [...args.slice(0, index), ...args.slice(index + 2)] };
+}
+
+module.exports = {
+  ACCOUNT_ENV,
+  HD_PREFIX,
+  getAccountBook,
+  getAccountEntry,
+  getHdWallet,
+  derivePrivateKey,
+  hdPrivateKey,
+  accountPrivateKey,
+  selectedAccount,
+  resolvePrivateKey,
+  accountSigner,
+  resolveSigner,
+  unlockSelectedAccount,
+  accountAddress,
+  resolveSignerAddress,
+  resolveAddress,
+  listAccountBook,
+  listHdAccounts,
+  parseFromFlag
+};
@@ -0,0 +1,25 @@
+import { LinkReferences } from './linking';
+
+export type ImmutableReferences = Record<string, Array<{ start: number; length: number }>>;
+
+export interface CodeComparison {
+  matches: boolean;
+  reason?: string;
+  offset?: number;
+  libraries: Record<string, string>;
+}
+
+export function stripMetadata(code: string): string;
+export function maskRanges(code: string, ranges: Array<{ start: number; length: number }>): string;
+export function compareBytecode(options: {
+  onChain: string | undefined;
+  deployedBytecode: string;
+  linkReferences?: LinkReferences;
+  immutableReferences?: ImmutableReferences;
+}): CodeComparison;
+export function verifyDeployedCode(
+  publicClient: any,
+  address: string,
+  build: { deployedBytecode: string; deployedLinkReferences?: LinkReferences; immutableReferences?: ImmutableReferences },
+  expectedLibraries?: Record<string, string>
+): Promise<CodeComparison>;
@@ -0,0 +1,153 @@
+/**
+ * On-chain bytecode verification
+ * Compares the code at an address with the deployedBytecode the compiler
+ * produced. Parts of the runtime code that legitimately differ are masked
+ * on both sides before comparing:
+ *
+ *   - immutables, which the constructor writes into the code
+ *   - library addresses, which are linked in (and reported back)
+ *   - the call protection address a library embeds when it is deployed
+ *   - the CBOR metadata trailer, whose hash changes with comments, paths and whitespace
+ */
+
+const viem = require('viem');
+
+// PUSH20 <zero address> ADDRESS EQ: how every library's runtime code starts before deployment
+const CALL_PROTECTION = `73${'0'.repeat(40)}3014`;
+
+/**
+ * Removes the CBOR metadata trailer solc appends to the runtime code
+ * The last two bytes hold the length of the CBOR map in front of them.
+ * @param {string} code - Hex code without 0x
+ * @returns {string} The code without its metadata (unchanged if it has none)
+ */
+function stripMetadata(code) {
+  if (code.length < 4) {
+    return code;
+  }
+
+  const length = parseInt(code.slice(-4), 16);
+  const start = code.length - 4 - length * 2;
+
+  // A CBOR map with up to 15 entries starts with 0xa0-0xaf
+  if (start < 0 || !/^a[0-9a-f]$/i.test(code.slice(start, start + 2))) {
+    return code;
+  }
+  return code.slice(0, start);
+}
+
+/**
+ * Collects the byte ranges of link or immutable references
+ * @param {Object} [linkReferences] - `{ file: { Library: [{ start, length }] } }` from solc
+ * @param {Object} [immutableReferences] - `{ astId: [{ start, length }] }` from solc
+ * @returns {Array<Object>} `{ start, length, library? }` ranges; library is "file.sol:Name" for link references
+ */
+function maskedRanges(linkReferences = {}, immutableReferences = {}) {
+  const links = Object.entries(linkReferences).flatMap(([file, libraries]) =>
+    Object.entries(libraries).flatMap(([name, positions]) =>
+      positions.map(position => ({ ...position, library: `${file}:${name}` }))));
+  const immutables = Object.values(immutableReferences).flat();
+
+  return [...links, ...immutables];
+}
+
+/**
+ * Replaces byte ranges of hex code with zeros
+ * @param {string} code - Hex code without 0x
+ * @param {Array<Object>} ranges - `{ start, length }` in bytes
+ * @returns {string} The masked code
+ */
+function maskRanges(code, ranges) {
+  let masked = code;
+
+  ranges.forEach(({ start, length }) => {
+    masked = masked.slice(0, start * 2) + '0'.repeat(length * 2) + masked.slice((start + length) * 2);
+  });
+  return masked;
+}
+
+/**
+ * Compares code read from the chain with a contract's compiled runtime code
+ * @param {Object} options - Comparison options
+ * @param {string} options.onChain - Code at the address (eth_getCode)
+ * @param {string} options.deployedBytecode - Compiled runtime code; may contain library placeholders
+ * @param {Object} [options.linkReferences] - Library link references of the runtime code
+ * @param {Object} [options.immutableReferences] - Immutable references of the runtime code
+ * @returns {Object} `{ matches, reason?, offset?, libraries }`; libraries holds the linked addresses found on chain, keyed by "file.sol:Name"
+ */
+function compareBytecode({ onChain, deployedBytecode, linkReferences, immutableReferences }) {
+  const actual = (onChain || '0x').replace(/^0x/, '').toLowerCase();
+  const expected = deployedBytecode.replace(/^0x/, '').toLowerCase();
+
+  if (actual.length === 0) {
+    return { matches: false, reason: 'there is no code at the address', libraries: {} };
+  }
+
+  const ranges = maskedRanges(linkReferences, immutableReferences);
+  if (expected.startsWith(CALL_PROTECTION)) {
+    ranges.push({ start: 1, length: 20 });
+  }
+
+  // Library addresses are read from the chain before they are masked
+  const libraries = {};
+  ranges.filter(range => range.library).forEach(({ start, length, library }) => {
+    const address = actual.slice(start * 2, (start + length) * 2);
+    if (address.length === 40) {
+      libraries[library] = viem.getAddress(`0x${address}`);
+    }
+  });
+
+  const actualCode = stripMetadata(maskRanges(actual, ranges));
+  const expectedCode = stripMetadata(maskRanges(expected, ranges));
+
+  if (actualCode === expectedCode) {
+    return { matches: true, libraries };
+  }
+
+  let offset = 0;
+  while (offset < Math.min(actualCode.length, expectedCode.length) && actualCode[offset] === expectedCode[offset]) {
+    offset++;
+  }
+  offset = Math.floor(offset / 2);
+
+  const reason = actualCode.length === expectedCode.length
+    ? `the code differs at byte ${offset}`
+    : `the code is ${actualCode.length / 2} bytes instead of ${expectedCode.length / 2} (first difference at byte ${offset})`;
+
+  return { matches: false, reason, offset, libraries };
+}
+
+/**
+ * Reads the code at an address and compares it with a contract's compiled runtime code
+ * @param {Object} publicClient - viem public client
+ * @param {string} address - Contract address
+ * @param {Object} build - `deployedBytecode`, `deployedLinkReferences` and `immutableReferences` of the compiled contract
+ * @param {Object} [expectedLibraries] - Addresses the contract was linked against, keyed by "file.sol:Name"
+ * @returns {Promise<Object>} The comparison (see compareBytecode)
+ */
+async function verifyDeployedCode(publicClient, address, build, expectedLibraries = {}) {
+  const onChain = await publicClient.getCode({ address });
+  const result = compareBytecode({
+    onChain,
+    deployedBytecode: build.deployedBytecode,
+    linkReferences: build.deployedLinkReferences,
+    immutableReferences: build.immutableReferences
+  });
+
+  if (result.matches) {
+    const wrong = Object.entries(expectedLibraries)
+      .find(([id, expected]) => result.libraries[id] && !viem.isAddressEqual(result.libraries[id], expected));
+
+    if (wrong) {
+      return { ...result, matches: false, reason: `library ${wrong[0]} is linked to ${result.libraries[wrong[0]]} instead of ${wrong[1]}` };
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  stripMetadata,
+  maskRanges,
+  compareBytecode,
+  verifyDeployedCode
+};
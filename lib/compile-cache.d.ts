@@ -0,0 +1,27 @@
+export interface CacheEntry {
+  format: number;
+  key: string;
+  compiler: string;
+  sources: string[];
+  settings: any;
+  output: any;
+  createdAt: string;
+}
+
+export interface CacheSummary {
+  key: string;
+  compiler: string;
+  sources: string[];
+  contracts: string[];
+  size: number;
+  createdAt?: string;
+}
+
+export function getCacheDir(): string;
+export function cacheEnabled(): boolean;
+export function cacheKey(longVersion: string, input: any): string;
+export function readCache(key: string): CacheEntry | undefined;
+export function writeCache(key: string, entry: { compiler: string; input: any; output: any }): string;
+export function listCache(): CacheSummary[];
+export function findCacheEntries(prefix: string): CacheEntry[];
+export function clearCache(prefix?: string): number;
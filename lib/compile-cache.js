@@ -0,0 +1,178 @@
+/**
+ * Content-addressed compilation cache
+ * Stores solc output under a hash of the sources, the exact compiler version
+ * and the settings, so compiling the same contract again skips solc.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, getSetting } = require('./config');
+
+// Bump when the shape of cache entries changes
+const CACHE_FORMAT = 1;
+
+/**
+ * Returns the directory holding cached compilations
+ * @returns {string} The cache directory
+ */
+function getCacheDir() {
+  return getSetting('cacheDir') || path.join(os.homedir(), '.mondeployer', 'cache');
+}
+
+/**
+ * Checks whether compilations may be served from the cache
+ * @returns {boolean} False if `compiler.cache` is false or MONDEPLOYER_NO_CACHE is set
+ */
+function cacheEnabled() {
+  return !getSetting('noCache') && (loadConfig().compiler || {}).cache !== false;
+}
+
+/**
+ * Serializes a value with object keys sorted so equal inputs hash equally
+ * @param {*} value - The value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Computes the cache key of a compilation
+ * @param {string} longVersion - Exact compiler version, e.g. "0.8.28+commit.7893614a"
+ * @param {Object} input - The standard JSON input (sources and settings)
+ * @returns {string} Hex SHA-256 key
+ */
+function cacheKey(longVersion, input) {
+  return crypto
+    .createHash('sha256')
+    .update(canonicalJson({ format: CACHE_FORMAT, compiler: longVersion, input }))
+    .digest('hex');
+}
+
+/**
+ * Returns the file a cache entry is stored in
+ * @param {string} key - The cache key
+ * @returns {string} Path of the entry
+ */
+function entryPath(key) {
+  return path.join(getCacheDir(), `${key}.json`);
+}
+
+/**
+ * Reads a cached compilation
+ * @param {string} key - The cache key
+ * @returns {Object|undefined} The entry (`key`, `compiler`, `sources`, `settings`, `output`, `createdAt`), or undefined on a miss
+ */
+function readCache(key) {
+  const file = entryPath(key);
+
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return entry.format === CACHE_FORMAT && entry.key === key ? entry : undefined;
+  } catch (error) {
+    // A truncated or corrupt entry is just a miss; it is overwritten on the next compile
+    return undefined;
+  }
+}
+
+/**
+ * Stores a compilation in the cache
+ * @param {string} key - The cache key
+ * @param {Object} entry - `{ compiler, input, output }` of the compilation
+ * @returns {string} Path of the entry
+ */
+function writeCache(key, entry) {
+  const file = entryPath(key);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  // Write through a temporary file so concurrent readers never see half an entry
+  const temporary = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify({
+    format: CACHE_FORMAT,
+    key,
+    compiler: entry.compiler,
+    sources: Object.keys(entry.input.sources),
+    settings: entry.input.settings,
+    output: entry.output,
+    createdAt: new Date().toISOString()
+  }));
+  fs.renameSync(temporary, file);
+
+  return file;
+}
+
+/**
+ * Lists the cached compilations
+ * @returns {Array<Object>} `{ key, compiler, sources, contracts, size, createdAt }`, newest first
+ */
+function listCache() {
+  const cacheDir = getCacheDir();
+
+  if (!fs.existsSync(cacheDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(cacheDir)
+    .filter(file => /^[0-9a-f]{64}\.json$/.test(file))
+    .map(file => {
+      const key = file.slice(0, -'.json'.length);
+      const entry = readCache(key);
+
+      return {
+        key,
+        compiler: entry ? entry.compiler : 'unreadable',
+        sources: entry ? entry.sources : [],
+        contracts: entry ? Object.values(entry.output.contracts || {}).flatMap(Object.keys) : [],
+        size: fs.statSync(path.join(cacheDir, file)).size,
+        createdAt: entry ? entry.createdAt : undefined
+      };
+    })
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Finds cached compilations by key prefix
+ * @param {string} prefix - Start of a cache key
+ * @returns {Array<Object>} Matching entries
+ */
+function findCacheEntries(prefix) {
+  return listCache()
+    .filter(entry => entry.key.startsWith(prefix))
+    .map(entry => readCache(entry.key))
+    .filter(Boolean);
+}
+
+/**
+ * Removes cached compilations
+ * @param {string} [prefix] - Only remove entries whose key starts with this
+ * @returns {number} The number of entries removed
+ */
+function clearCache(prefix = '') {
+  const entries = listCache().filter(entry => entry.key.startsWith(prefix));
+  entries.forEach(entry => fs.unlinkSync(entryPath(entry.key)));
+  return entries.length;
+}
+
+module.exports = {
+  getCacheDir,
+  cacheEnabled,
+  cacheKey,
+  readCache,
+  writeCache,
+  listCache,
+  findCacheEntries,
+  clearCache
+};
@@ -0,0 +1,27 @@
+export interface CompilerEntry {
+  version: string;
+  longVersion: string;
+  path: string;
+}
+
+export interface LoadedCompiler {
+  solc: any;
+  version: string;
+  longVersion: string;
+  source: 'store' | 'bundled';
+  fallback: boolean;
+}
+
+export function getStoreDir(): string;
+export function bundledVersion(): { version: string, longVersion: string };
+export function listCompilers(): CompilerEntry[];
+export function findCompiler(version: string): CompilerEntry | undefined;
+export function allowedVersions(): string[] | null;
+export function availableVersions(): string[];
+export function installCompiler(source: string): Promise<CompilerEntry>;
+export function removeCompiler(version: string): CompilerEntry;
+export function lookupCompiler(version?: string): Omit<LoadedCompiler, 'solc'> & { path?: string };
+export function loadCompiler(version?: string, found?: Omit<LoadedCompiler, 'solc'> & { path?: string }): LoadedCompiler;
+export function loadVersion(version: string, callback: (err: Error | null, solcSnapshot?: any) => void): void;
+export function compareVersions(a: string, b: string): number;
+export function parseVersion(version: string): { version: string, longVersion: string };
@@ -0,0 +1,279 @@
+/**
+ * Local Solidity compiler store
+ * Keeps soljson builds on disk so compiling never depends on
+ * solc.loadRemoteVersion or network access. Versions that are not in the
+ * store fall back to the solc package bundled with this project.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const solc = require('solc');
+const { loadConfig, getSetting } = require('./config');
+
+// Where official soljson builds are published
+const SOLC_BINARIES_URL = 'https://binaries.soliditylang.org/bin';
+
+// Compilers already loaded in this process, keyed by long version
+const loadedCompilers = new Map();
+
+/**
+ * Returns the directory holding installed compilers
+ * @returns {string} The store directory
+ */
+function getStoreDir() {
+  return getSetting('compilerStoreDir') || path.join(os.homedir(), '.mondeployer', 'compilers');
+}
+
+/**
+ * Strips the build suffix from a solc version string
+ * @param {string} version - e.g. "0.8.28+commit.7893614a.Emscripten.clang"
+ * @returns {Object} The short `version` ("0.8.28") and `longVersion` ("0.8.28+commit.7893614a")
+ */
+function parseVersion(version) {
+  const cleaned = version.replace(/^v/, '').replace(/\.Emscripten\.clang$/, '');
+  return {
+    version: cleaned.split('+')[0],
+    longVersion: cleaned
+  };
+}
+
+/**
+ * Returns the version of the solc package bundled with the project
+ * @returns {Object} The short `version` and `longVersion`
+ */
+function bundledVersion() {
+  return parseVersion(solc.version());
+}
+
+/**
+ * Lists the compilers installed in the store
+ * @returns {Array<Object>} Installed compilers (`version`, `longVersion`, `path`), newest first
+ */
+function listCompilers() {
+  const storeDir = getStoreDir();
+
+  if (!fs.existsSync(storeDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(storeDir)
+    .filter(file => /^soljson-v.+\.js$/.test(file))
+    .map(file => ({
+      ...parseVersion(file.slice('soljson-'.length, -'.js'.length)),
+      path: path.join(storeDir, file)
+    }))
+    .sort((a, b) => compareVersions(b.version, a.version));
+}
+
+/**
+ * Returns the compiler versions the project allows
+ * @returns {Array<string>|null} The `compiler.versions` allow-list, or null if every version is allowed
+ */
+function allowedVersions() {
+  const versions = (loadConfig().compiler || {}).versions;
+  return Array.isArray(versions) && versions.length > 0 ? versions : null;
+}
+
+/**
+ * Lists the compiler versions that can be used without a download
+ * @returns {Array<string>} Installed and bundled short versions on the allow-list, newest first
+ */
+function availableVersions() {
+  const allowed = allowedVersions();
+  const versions = [...new Set([...listCompilers().map(entry => entry.version), bundledVersion().version])];
+
+  return versions
+    .filter(version => !allowed || allowed.includes(version))
+    .sort((a, b) => compareVersions(b, a));
+}
+
+/**
+ * Compares two x.y.z version strings
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+
+  for (let i = 0; i < 3; i++) {
+    if (pa[i] !== pb[i]) {
+      return pa[i] - pb[i];
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Finds an installed compiler by short or long version
+ * @param {string} version - e.g. "0.8.24" or "0.8.24+commit.e11b9ed9"
+ * @returns {Object|undefined} The installed compiler entry
+ */
+function findCompiler(version) {
+  const wanted = version.replace(/^v/, '');
+  return listCompilers().find(entry => entry.version === wanted || entry.longVersion === wanted);
+}
+
+/**
+ * Loads a soljson file and wraps it with the solc API
+ * @param {string} soljsonPath - Path to the soljson file
+ * @returns {Object} The solc wrapper
+ */
+function wrapSoljson(soljsonPath) {
+  return solc.setupMethods(require(path.resolve(soljsonPath)));
+}
+
+/**
+ * Installs a compiler into the store
+ * @param {string} source - Path to a downloaded soljson file, or a version to download
+ * @returns {Promise<Object>} The installed compiler entry
+ */
+async function installCompiler(source) {
+  const storeDir = getStoreDir();
+  fs.mkdirSync(storeDir, { recursive: true });
+
+  const soljsonPath = fs.existsSync(source) ? path.resolve(source) : await downloadCompiler(source, storeDir);
+
+  // Loading the file is the only reliable way to learn which version it is
+  let compiler;
+  try {
+    compiler = wrapSoljson(soljsonPath);
+  } catch (error) {
+    throw new Error(`${soljsonPath} is not a valid soljson build: ${error.message}`);
+  }
+
+  const { version, longVersion } = parseVersion(compiler.version());
+  const targetPath = path.join(storeDir, `soljson-v${longVersion}.js`);
+
+  if (soljsonPath !== targetPath) {
+    fs.copyFileSync(soljsonPath, targetPath);
+  }
+
+  loadedCompilers.set(longVersion, compiler);
+
+  return { version, longVersion, path: targetPath };
+}
+
+/**
+ * Downloads an official soljson build
+ * @param {string} version - The short version to download, e.g. "0.8.24"
+ * @param {string} storeDir - Directory to download into
+ * @returns {Promise<string>} Path of the downloaded file
+ */
+async function downloadCompiler(version, storeDir) {
+  const wanted = version.replace(/^v/, '');
+
+  const listResponse = await fetch(`${SOLC_BINARIES_URL}/list.json`);
+  if (!listResponse.ok) {
+    throw new Error(`Failed to fetch compiler list: HTTP ${listResponse.status}`);
+  }
+
+  const list = await listResponse.json();
+  const fileName = list.releases[wanted];
+  if (!fileName) {
+    throw new Error(`Unknown Solidity version ${wanted}. Pass a version from ${SOLC_BINARIES_URL}/list.json or a path to a soljson file.`);
+  }
+
+  const response = await fetch(`${SOLC_BINARIES_URL}/${fileName}`);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${fileName}: HTTP ${response.status}`);
+  }
+
+  const targetPath = path.join(storeDir, fileName);
+  fs.writeFileSync(targetPath, Buffer.from(await response.arrayBuffer()));
+  return targetPath;
+}
+
+/**
+ * Removes a compiler from the store
+ * @param {string} version - Short or long version to remove
+ * @returns {Object} The removed compiler entry
+ */
+function removeCompiler(version) {
+  const entry = findCompiler(version);
+
+  if (!entry) {
+    throw new Error(`Solidity ${version} is not installed in ${getStoreDir()}`);
+  }
+
+  fs.unlinkSync(entry.path);
+  loadedCompilers.delete(entry.longVersion);
+  return entry;
+}
+
+/**
+ * Works out which compiler loadCompiler would use, without loading it
+ * @param {string} [version] - Short or long version; omit to use the bundled compiler
+ * @returns {Object} `{ version, longVersion, source, fallback, path }` where source is "store" or "bundled"
+ */
+function lookupCompiler(version) {
+  const bundled = bundledVersion();
+  version = version && version.replace(/^v/, '');
+
+  if (!version || version === bundled.version || version === bundled.longVersion) {
+    return { ...bundled, source: 'bundled', fallback: false };
+  }
+
+  const entry = findCompiler(version);
+
+  if (!entry) {
+    console.error(`⚠️  Solidity ${version} is not installed (run: npm run solc -- install ${version}). Falling back to bundled ${bundled.version}.`);
+    return { ...bundled, source: 'bundled', fallback: true };
+  }
+
+  return { ...entry, source: 'store', fallback: false };
+}
+
+/**
+ * Loads a compiler, preferring the local store over the bundled solc package
+ * @param {string} [version] - Short or long version; omit to use the bundled compiler
+ * @param {Object} [found] - Result of lookupCompiler for this version, if already known
+ * @returns {Object} `{ solc, version, longVersion, source, fallback }` where source is "store" or "bundled"
+ */
+function loadCompiler(version, found = lookupCompiler(version)) {
+  const { path: soljsonPath, ...compiler } = found;
+
+  if (compiler.source === 'bundled') {
+    return { solc, ...compiler };
+  }
+
+  if (!loadedCompilers.has(compiler.longVersion)) {
+    loadedCompilers.set(compiler.longVersion, wrapSoljson(soljsonPath));
+  }
+
+  return { solc: loadedCompilers.get(compiler.longVersion), ...compiler };
+}
+
+/**
+ * Callback-style drop-in for solc.loadRemoteVersion that reads from the local store
+ * @param {string} version - Version string such as "v0.8.28"
+ * @param {Function} callback - Called with (err, solcSnapshot)
+ */
+function loadVersion(version, callback) {
+  let compiler;
+  try {
+    compiler = loadCompiler(version);
+  } catch (error) {
+    return callback(error);
+  }
+  callback(null, compiler.solc);
+}
+
+module.exports = {
+  getStoreDir,
+  bundledVersion,
+  listCompilers,
+  findCompiler,
+  allowedVersions,
+  availableVersions,
+  installCompiler,
+  removeCompiler,
+  lookupCompiler,
+  loadCompiler,
+  loadVersion,
+  compareVersions,
+  parseVersion
+};
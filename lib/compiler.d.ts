@@ -0,0 +1,30 @@
+import { Diagnostic } from './diagnostics.js';
+import { CompilerSettings } from './settings.js';
+
+export interface CompileOptions {
+  sourceName: string;
+  content: string;
+  baseDir?: string;
+  remappings?: string[];
+  solcVersion?: string;
+  optimizationRuns?: number;
+  settings?: CompilerSettings;
+  network?: { preflight?: { evmVersion?: string } };
+  cache?: boolean;
+}
+
+export interface CompileResult {
+  input: any;
+  output: any;
+  diagnostics: Diagnostic[];
+  settings: CompilerSettings & { remappings: string[] };
+  compiler: {
+    version: string;
+    longVersion: string;
+    source: 'store' | 'bundled';
+  };
+  cached: boolean;
+}
+
+export function resolveCompilerVersion(sources: Record<string, { content: string }>, requested?: string): string;
+export function compileSource(options: CompileOptions): CompileResult;
@@ -0,0 +1,168 @@
+/**
+ * Shared Solidity compilation
+ * Used by deploy-contract.js, the MCP server and the plugins so that every
+ * compile path resolves imports and selects its compiler the same way.
+ */
+
+const { createImportResolver, collectSources } = require('./imports');
+const { lookupCompiler, loadCompiler, availableVersions, allowedVersions } = require('./compiler-store');
+const { sourcePragmas, satisfiesAll, selectVersion } = require('./pragma');
+const { collectDiagnostics, hasErrors } = require('./diagnostics');
+const { mergeSettings, resolveSettings } = require('./settings');
+const { cacheEnabled, cacheKey, readCache, writeCache } = require('./compile-cache');
+const { resolveSetting } = require('./config');
+const { targetEvmVersion } = require('./preflight');
+
+/**
+ * Picks the compiler version for a set of sources
+ * An explicitly requested version, or else the one configured with
+ * SOLIDITY_VERSION or `compiler.version`, must still satisfy every pragma;
+ * otherwise the newest available compiler that satisfies them all is used.
+ * @param {Object} sources - Standard JSON sources keyed by source unit name
+ * @param {string} [requested] - Explicitly requested compiler version
+ * @returns {string} The compiler version to load
+ */
+function resolveCompilerVersion(sources, requested) {
+  const pragmas = sourcePragmas(sources);
+  const specifiers = pragmas.map(({ pragma }) => pragma);
+  const described = pragmas.map(({ file, pragma }) => `${file}: ${pragma}`).join(', ') || 'none';
+  const configured = requested ? undefined : resolveSetting('solidityVersion');
+  const wanted = requested || configured.value;
+
+  if (wanted) {
+    const version = String(wanted).replace(/^v/, '').split('+')[0];
+    const label = configured ? `Solidity ${version} (${configured.name} from ${configured.source})` : `Solidity ${version}`;
+    const allowed = allowedVersions();
+
+    if (allowed && !allowed.includes(version)) {
+      throw new Error(`${label} is not an allowed compiler version (allowed: ${allowed.join(', ')})`);
+    }
+    if (!satisfiesAll(version, specifiers)) {
+      throw new Error(`${label} does not satisfy the version pragmas (${described})`);
+    }
+    return String(wanted);
+  }
+
+  const candidates = availableVersions();
+  const version = selectVersion(specifiers, candidates);
+
+  if (!version) {
+    throw new Error(
+      `No available compiler satisfies the version pragmas (${described}). ` +
+      `Available: ${candidates.join(', ') || 'none'}. Install one with: npm run solc -- install <version>`
+    );
+  }
+
+  return version;
+}
+
+/**
+ * Checks whether solc only saw the sources the cache key was computed from
+ * @param {Object} sources - Sources collected before compiling
+ * @param {Object} loaded - Sources the import callback returned
+ * @returns {boolean} True if the compilation can be cached under the key of `sources`
+ */
+function sameSources(sources, loaded) {
+  return Object.entries(loaded).every(([name, source]) => sources[name] && sources[name].content === source.content);
+}
+
+/**
+ * Compiles a Solidity source and everything it imports
+ * Results are cached by a hash of the sources, compiler version and
+ * settings, so compiling the same input again does not run solc.
+ * @param {Object} options - Compilation options
+ * @param {string} options.sourceName - Source unit name of the entry file
+ * @param {string} options.content - Source code of the entry file
+ * @param {string} [options.baseDir] - Directory imports are resolved against
+ * @param {Array<string>} [options.remappings] - Import remappings
+ * @param {string} [options.solcVersion] - Compiler version (defaults to SOLIDITY_VERSION or `compiler.version`, then pragma-based selection)
+ * @param {number} [options.optimizationRuns] - Optimizer runs (shorthand for `settings.optimizer.runs`)
+ * @param {Object} [options.settings] - Compiler settings overriding `compiler.settings` from the config file
+ * @param {Object} [options.network] - Network profile; its `preflight.evmVersion` is compiled for unless the settings name one
+ * @param {boolean} [options.cache] - Set to false to bypass the compilation cache
+ * @returns {Object} The standard JSON `input`, the solc `output`, its `diagnostics`, the `settings` and the `compiler` that were used, and whether it was `cached`
+ */
+function compileSource(options) {
+  const resolver = createImportResolver({
+    baseDir: options.baseDir,
+    remappings: options.remappings
+  });
+
+  const sources = collectSources(options.sourceName, options.content, resolver);
+  const version = resolveCompilerVersion(sources, options.solcVersion);
+  const found = lookupCompiler(version);
+
+  const runs = options.optimizationRuns !== undefined ? { optimizer: { runs: options.optimizationRuns } } : {};
+  const evmVersion = targetEvmVersion(options.network, found.version);
+  const settings = {
+    ...resolveSettings(mergeSettings(runs, options.settings), evmVersion && { evmVersion }),
+    remappings: resolver.remappings
+  };
+
+  const input = {
+    language: 'Solidity',
+    sources,
+    settings: {
+      ...settings,
+      outputSelection: {
+        '*': {
+          '': ['ast'],
+          '*': [
+            'abi', 'metadata',
+            'evm.bytecode.object', 'evm.bytecode.linkReferences',
+            'evm.deployedBytecode.object', 'evm.deployedBytecode.linkReferences', 'evm.deployedBytecode.immutableReferences'
+          ]
+        }
+      }
+    }
+  };
+
+  const compiler = {
+    version: found.version,
+    longVersion: found.longVersion,
+    source: found.source
+  };
+
+  const useCache = options.cache !== false && cacheEnabled();
+  const key = cacheKey(found.longVersion, input);
+  const cached = useCache ? readCache(key) : undefined;
+
+  if (cached) {
+    return {
+      input,
+      output: cached.output,
+      diagnostics: collectDiagnostics(cached.output, input.sources),
+      settings,
+      compiler,
+      cached: true
+    };
+  }
+
+  const { solc } = loadCompiler(version, found);
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: resolver.findImports }));
+  const complete = sameSources(input.sources, resolver.sources);
+
+  // Keep anything solc had to load through the callback so the input stays complete
+  Object.assign(input.sources, resolver.sources);
+
+  const diagnostics = collectDiagnostics(output, input.sources);
+
+  // Failed compilations are not cached, and neither are ones whose sources the key does not cover
+  if (useCache && complete && !hasErrors(diagnostics)) {
+    writeCache(key, { compiler: found.longVersion, input, output });
+  }
+
+  return {
+    input,
+    output,
+    diagnostics,
+    settings,
+    compiler,
+    cached: false
+  };
+}
+
+module.exports = {
+  resolveCompilerVersion,
+  compileSource
+};
@@ -0,0 +1,31 @@
+export interface SettingDefinition {
+  env: string[];
+  config?: string;
+  type?: 'path' | 'integer';
+  secret?: boolean;
+  description: string;
+  fallback?: string;
+}
+
+export interface ResolvedSetting {
+  key: string;
+  value: any;
+  source?: string;
+  name?: string;
+  shadowed: { source: string; name: string; differs: boolean }[];
+}
+
+export const PROJECT_ROOT: string;
+export const CONFIG_FILE: string;
+export const CONFIG_FILES: string[];
+export const ENV_FILE: string;
+export const ENV_JS_FILE: string;
+export const SETTINGS: Record<string, SettingDefinition>;
+export function findConfigFile(root?: string): string | undefined;
+export function configFileName(): string;
+export function validateConfig(config: any, origin: string): Record<string, any>;
+export function loadConfig(root?: string): Record<string, any>;
+export function getEnv(name: string): string | undefined;
+export function lookupEnv(name: string, root?: string): { source: string; value: string }[];
+export function resolveSetting(key: string, root?: string): ResolvedSetting;
+export function getSetting(key: string): any;
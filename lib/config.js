@@ -0,0 +1,358 @@
+/**
+ * Project configuration loader
+ * The one place the CLI scripts, the MCP server and the plugins read their
+ * settings from. Settings come from, in order of precedence:
+ *
+ *   1. the environment
+ *   2. .env in the project root (written by `npm run setup`)
+ *   3. env.js in the project root
+ *   4. mondeployer.config.js or mondeployer.config.json in the project root
+ *
+ * Every setting that may be overridden is described in SETTINGS, so
+ * `npm run config -- doctor` can show where each value came from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Root of the MonDeployer project (one level above lib/)
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+// Name of the project configuration file
+const CONFIG_FILE = 'mondeployer.config.json';
+
+// Configuration files, in the order they are looked for
+const CONFIG_FILES = ['mondeployer.config.js', CONFIG_FILE];
+
+// Files holding environment overrides and secrets, in order of precedence
+const ENV_FILE = '.env';
+const ENV_JS_FILE = 'env.js';
+
+// Top-level blocks of the configuration file and the type of each
+const CONFIG_KEYS = {
+  defaultNetwork: 'string',
+  networks: 'object',
+  compiler: 'object',
+  registry: 'object',
+  keystore: 'object',
+  accounts: 'object',
+  hdWallet: 'object',
+  libraries: 'object',
+  preflight: 'object',
+  create2: 'object'
+};
+
+// Settings that the environment, .env or env.js override: the variables read (first match wins),
+// the configuration key they override, and what applies when neither is set
+const SETTINGS = {
+  network: {
+    env: ['MONDEPLOYER_NETWORK'],
+    config: 'defaultNetwork',
+    description: 'Network used without --network',
+    fallback: 'monad-testnet'
+  },
+  rpcUrl: {
+    env: ['MONAD_RPC_URL', 'RPC_URL'],
+    description: 'RPC URL tried before those of the monad-testnet profile'
+  },
+  privateKey: {
+    env: ['PRIVATE_KEY'],
+    secret: true,
+    description: 'Plaintext signing key',
+    fallback: 'a dev account on networks with dev accounts'
+  },
+  account: {
+    env: ['MONDEPLOYER_ACCOUNT'],
+    description: 'Account that signs without --from',
+    fallback: 'PRIVATE_KEY'
+  },
+  keystorePassword: {
+    env: ['MONDEPLOYER_KEYSTORE_PASSWORD'],
+    secret: true,
+    description: 'Passphrase of keystore accounts',
+    fallback: 'a prompt in interactive scripts'
+  },
+  signerToken: {
+    env: ['MONDEPLOYER_SIGNER_TOKEN'],
+    secret: true,
+    description: 'Bearer token of the signer daemon',
+    fallback: 'a random token printed by the daemon'
+  },
+  keystoreDir: {
+    env: ['MONDEPLOYER_KEYSTORE'],
+    config: 'keystore.dir',
+    type: 'path',
+    description: 'Keystore directory',
+    fallback: 'keystore/'
+  },
+  registryDir: {
+    env: ['MONDEPLOYER_REGISTRY'],
+    config: 'registry.dir',
+    type: 'path',
+    description: 'Deployment registry directory',
+    fallback: 'deployments/'
+  },
+  compilerStoreDir: {
+    env: ['MONDEPLOYER_COMPILERS'],
+    config: 'compiler.storeDir',
+    type: 'path',
+    description: 'Compiler store directory',
+    fallback: '~/.mondeployer/compilers'
+  },
+  cacheDir: {
+    env: ['MONDEPLOYER_CACHE'],
+    config: 'compiler.cacheDir',
+    type: 'path',
+    description: 'Compilation cache directory',
+    fallback: '~/.mondeployer/cache'
+  },
+  noCache: {
+    env: ['MONDEPLOYER_NO_CACHE'],
+    description: 'Turns the compilation cache off',
+    fallback: 'compiler.cache'
+  },
+  solidityVersion: {
+    env: ['SOLIDITY_VERSION'],
+    config: 'compiler.version',
+    description: 'Compiler version',
+    fallback: 'newest allowed compiler satisfying the pragmas'
+  },
+  optimizationRuns: {
+    env: ['OPTIMIZATION_RUNS'],
+    config: 'compiler.settings.optimizer.runs',
+    type: 'integer',
+    description: 'Optimizer runs',
+    fallback: '200'
+  },
+  devAccount: {
+    env: ['MONDEPLOYER_DEV_ACCOUNT'],
+    type: 'integer',
+    description: 'Dev account that signs on networks with dev accounts',
+    fallback: '0'
+  }
+};
+
+/**
+ * Returns the configuration file of a project
+ * @param {string} [root] - Project root (defaults to the project root)
+ * @returns {string|undefined} Path of mondeployer.config.js or mondeployer.config.json, if either exists
+ */
+function findConfigFile(root = PROJECT_ROOT) {
+  const found = CONFIG_FILES.map(file => path.join(root, file)).filter(file => fs.existsSync(file));
+
+  if (found.length > 1) {
+    throw new Error(`Both ${CONFIG_FILES.join(' and ')} exist in ${root}; keep only one`);
+  }
+  return found[0];
+}
+
+/**
+ * Returns the name of the configuration file, for messages
+ * @returns {string} mondeployer.config.js if that is the file in use, otherwise mondeployer.config.json
+ */
+function configFileName() {
+  const configPath = findConfigFile();
+  return configPath ? path.basename(configPath) : CONFIG_FILE;
+}
+
+/**
+ * Checks the top-level blocks of the configuration
+ * The blocks themselves are checked by the modules that use them.
+ * @param {Object} config - The parsed configuration
+ * @param {string} origin - Where it came from, for error messages
+ * @returns {Object} The same configuration
+ */
+function validateConfig(config, origin) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ${origin}: expected an object`);
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    const type = CONFIG_KEYS[key];
+    if (!type) {
+      throw new Error(`Invalid ${origin}: unknown key "${key}" (supported: ${Object.keys(CONFIG_KEYS).join(', ')})`);
+    }
+    if (typeof value !== type || value === null || Array.isArray(value)) {
+      throw new Error(`Invalid ${origin}: ${key} must be ${type === 'object' ? 'an object' : `a ${type}`}`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Loads the project configuration
+ * @param {string} [root] - Directory containing the config file (defaults to the project root)
+ * @returns {Object} The parsed configuration, or an empty object if there is no config file
+ */
+function loadConfig(root = PROJECT_ROOT) {
+  const configPath = findConfigFile(root);
+
+  if (!configPath) {
+    return {};
+  }
+
+  const origin = path.basename(configPath);
+  let config;
+  try {
+    config = configPath.endsWith('.js') ? require(configPath) : JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${origin}: ${error.message}`);
+  }
+  return validateConfig(config, origin);
+}
+
+/**
+ * Reads the variables of .env
+ * @param {string} [root] - Project root
+ * @returns {Object} The variables, or an empty object if there is no .env
+ */
+function readEnvFile(root = PROJECT_ROOT) {
+  const file = path.join(root, ENV_FILE);
+  return fs.existsSync(file) ? dotenv.parse(fs.readFileSync(file)) : {};
+}
+
+/**
+ * Reads the exports of env.js
+ * @param {string} [root] - Project root
+ * @returns {Object} The exports, or an empty object if there is no env.js
+ */
+function readEnvJs(root = PROJECT_ROOT) {
+  const file = path.join(root, ENV_JS_FILE);
+  return fs.existsSync(file) ? require(file) : {};
+}
+
+/**
+ * Lists where a variable is set
+ * @param {string} name - Variable name, e.g. PRIVATE_KEY
+ * @param {string} [root] - Project root holding .env and env.js
+ * @returns {Array<Object>} `{ source, value }` for the environment, .env and env.js, in order of precedence
+ */
+function lookupEnv(name, root = PROJECT_ROOT) {
+  const sources = [
+    ['environment', process.env],
+    [ENV_FILE, readEnvFile(root)],
+    [ENV_JS_FILE, readEnvJs(root)]
+  ];
+
+  return sources
+    .filter(([, values]) => values[name] !== undefined && values[name] !== '')
+    .map(([source, values]) => ({ source, value: values[name] }));
+}
+
+/**
+ * Reads a variable from the environment, .env or env.js
+ * @param {string} name - Variable name, e.g. VOTER1_PRIVATE_KEY
+ * @returns {string|undefined} Its value from the first source that sets it
+ */
+function getEnv(name) {
+  const [found] = lookupEnv(name);
+  return found ? found.value : undefined;
+}
+
+/**
+ * Reads a dotted key of the configuration
+ * @param {Object} config - The configuration
+ * @param {string} key - e.g. "compiler.settings.optimizer.runs"
+ * @returns {*} The value, or undefined
+ */
+function configValue(config, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), config);
+}
+
+/**
+ * Converts the raw value of a setting
+ * @param {Object} setting - Its entry in SETTINGS
+ * @param {*} value - The raw value
+ * @param {string} origin - Where the value came from, for error messages
+ * @param {boolean} fromConfig - Whether it came from the configuration file (paths are relative to the project root)
+ * @param {string} root - Project root
+ * @returns {*} The value as used
+ */
+function convertSetting(setting, value, origin, fromConfig, root) {
+  if (setting.type === 'integer') {
+    if (!/^\d+$/.test(String(value))) {
+      throw new Error(`${origin} must be a non-negative integer, got "${value}"`);
+    }
+    return Number(value);
+  }
+  if (setting.type === 'path') {
+    return path.resolve(fromConfig ? root : process.cwd(), String(value));
+  }
+  return value;
+}
+
+/**
+ * Ranks a source by precedence
+ * @param {Object} found - `{ source, fromConfig }`
+ * @returns {number} 0 for the environment up to 3 for the configuration file
+ */
+function sourceRank(found) {
+  return found.fromConfig ? 3 : ['environment', ENV_FILE, ENV_JS_FILE].indexOf(found.source);
+}
+
+/**
+ * Resolves a setting and where it came from
+ * @param {string} key - Setting name, a key of SETTINGS
+ * @param {string} [root] - Project root (defaults to the project root)
+ * @returns {Object} `{ key, value, source, name, shadowed }`: the value, its source (environment, .env, env.js or
+ *   the configuration file), the variable or configuration key it was read from, and the other sources that set it
+ */
+function resolveSetting(key, root = PROJECT_ROOT) {
+  const setting = SETTINGS[key];
+  if (!setting) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+
+  const found = [];
+  setting.env.forEach(name => {
+    lookupEnv(name, root).forEach(({ source, value }) => found.push({ source, name, value }));
+  });
+  if (setting.config) {
+    const value = configValue(loadConfig(root), setting.config);
+    if (value !== undefined) {
+      found.push({ source: path.basename(findConfigFile(root)), name: setting.config, value, fromConfig: true });
+    }
+  }
+
+  // The first source wins; sources are ordered by precedence within each variable
+  found.sort((a, b) => sourceRank(a) - sourceRank(b));
+  const [winner, ...shadowed] = found;
+  if (!winner) {
+    return { key, value: undefined, source: undefined, name: undefined, shadowed: [] };
+  }
+
+  return {
+    key,
+    value: convertSetting(setting, winner.value, `${winner.name} (${winner.source})`, winner.fromConfig, root),
+    source: winner.source,
+    name: winner.name,
+    shadowed: shadowed.map(({ source, name, value }) => ({ source, name, differs: value !== winner.value }))
+  };
+}
+
+/**
+ * Returns the value of a setting
+ * @param {string} key - Setting name, a key of SETTINGS
+ * @returns {*} The value, or undefined if it is not set anywhere
+ */
+function getSetting(key) {
+  return resolveSetting(key).value;
+}
+
+module.exports = {
+  PROJECT_ROOT,
+  CONFIG_FILE,
+  CONFIG_FILES,
+  ENV_FILE,
+  ENV_JS_FILE,
+  SETTINGS,
+  findConfigFile,
+  configFileName,
+  validateConfig,
+  loadConfig,
+  getEnv,
+  lookupEnv,
+  resolveSetting,
+  getSetting
+};
@@ -0,0 +1,15 @@
+export interface ContractDefinition {
+  name: string;
+  kind: 'contract' | 'interface' | 'library';
+  abstract: boolean;
+  deployable: boolean;
+}
+
+export interface SelectedContract {
+  name: string;
+  contract: any;
+  candidates: string[];
+}
+
+export function listContracts(output: any, sourceName: string): ContractDefinition[];
+export function selectContract(output: any, sourceName: string, contractName?: string): SelectedContract;
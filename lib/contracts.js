@@ -0,0 +1,91 @@
+/**
+ * Contract discovery from compiler output
+ * Reads the contract definitions from solc's AST instead of matching
+ * `contract Name` in the source text, so comments, abstract contracts,
+ * interfaces and libraries are never mistaken for the contract to deploy.
+ */
+
+/**
+ * Lists the contracts, interfaces and libraries defined in a source unit
+ * @param {Object} output - The solc standard JSON output (compiled with the `ast` output selected)
+ * @param {string} sourceName - Source unit name of the file to inspect
+ * @returns {Array<Object>} `{ name, kind, abstract, deployable }` in declaration order
+ */
+function listContracts(output, sourceName) {
+  const source = (output.sources || {})[sourceName];
+
+  if (!source || !source.ast) {
+    throw new Error(`No AST for ${sourceName} in the compiler output`);
+  }
+
+  const compiled = (output.contracts || {})[sourceName] || {};
+
+  return source.ast.nodes
+    .filter(node => node.nodeType === 'ContractDefinition')
+    .map(node => {
+      const abstract = Boolean(node.abstract);
+      const bytecode = compiled[node.name] && compiled[node.name].evm && compiled[node.name].evm.bytecode;
+
+      return {
+        name: node.name,
+        kind: node.contractKind,
+        abstract,
+        deployable: node.contractKind === 'contract' && !abstract && (!bytecode || bytecode.object !== '')
+      };
+    });
+}
+
+/**
+ * Describes a contract definition for error messages
+ * @param {Object} contract - Entry from listContracts
+ * @returns {string} e.g. "abstract contract Base" or "library Math"
+ */
+function describe(contract) {
+  return `${contract.abstract ? 'abstract ' : ''}${contract.kind} ${contract.name}`;
+}
+
+/**
+ * Picks the contract to deploy from a source unit
+ * Without a name the source must define exactly one deployable contract;
+ * otherwise the caller has to say which one it wants.
+ * @param {Object} output - The solc standard JSON output
+ * @param {string} sourceName - Source unit name of the entry file
+ * @param {string} [contractName] - Name of the contract to deploy
+ * @returns {Object} The contract `name`, its compiled `contract` output and every `candidate` name
+ */
+function selectContract(output, sourceName, contractName) {
+  const contracts = listContracts(output, sourceName);
+  const candidates = contracts.filter(contract => contract.deployable).map(contract => contract.name);
+  const listed = candidates.join(', ') || 'none';
+
+  let name = contractName;
+
+  if (name) {
+    const match = contracts.find(contract => contract.name === name);
+
+    if (!match) {
+      throw new Error(`Contract ${name} is not defined in ${sourceName}. Deployable contracts: ${listed}`);
+    }
+    if (!match.deployable) {
+      throw new Error(`${describe(match)} in ${sourceName} cannot be deployed. Deployable contracts: ${listed}`);
+    }
+  } else if (candidates.length === 0) {
+    const defined = contracts.map(describe).join(', ') || 'nothing';
+    throw new Error(`${sourceName} has no deployable contract (it defines ${defined})`);
+  } else if (candidates.length > 1) {
+    throw new Error(`${sourceName} defines several deployable contracts (${listed}). Specify which one to deploy.`);
+  } else {
+    name = candidates[0];
+  }
+
+  return {
+    name,
+    contract: output.contracts[sourceName][name],
+    candidates
+  };
+}
+
+module.exports = {
+  listContracts,
+  selectContract
+};
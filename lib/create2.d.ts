@@ -0,0 +1,28 @@
+export const DETERMINISTIC_DEPLOYER: {
+  address: string;
+  signer: string;
+  cost: bigint;
+  transaction: string;
+};
+
+export interface Create2Deployment {
+  address: string;
+  transactionHash?: string;
+  factory: string;
+  salt: string;
+  existing: boolean;
+}
+
+export function factoryAddress(): string;
+export function normalizeSalt(salt: string): string;
+export function predictAddress(options: { initCode: string; salt: string; factory?: string }): string;
+export function ensureFactory(publicClient: any, walletClient: any, log?: (message: string) => void): Promise<string>;
+export function deployCreate2(options: {
+  publicClient: any;
+  walletClient: any;
+  initCode: string;
+  salt: string;
+  log?: (message: string) => void;
+  confirmations?: number;
+  waitForReceipt?: (transactionHash: string, target: { address: string; factory: string; salt: string }) => Promise<{ status: string }>;
+}): Promise<Create2Deployment>;
@@ -0,0 +1,171 @@
+/**
+ * Deterministic CREATE2 deployments
+ * Deploys through the standard deterministic deployment proxy
+ * (https://github.com/Arachnid/deterministic-deployment-proxy), so a
+ * contract's address depends only on the factory, the salt and its initcode,
+ * never on the deployer's nonce.
+ */
+
+const viem = require('viem');
+const { loadConfig } = require('./config');
+
+// The standard deterministic deployment proxy, at the same address on every chain it is deployed to
+const DETERMINISTIC_DEPLOYER = {
+  address: '0x4e59b44847b379578588920cA78FbF26c0B4956C',
+  // One-time signer of the presigned deployment transaction
+  signer: '0x3fAB184622Dc19b6109349B94811493BF2a45362',
+  // gasPrice (100 gwei) * gasLimit (100000) of the presigned transaction
+  cost: 10000000000000000n,
+  // Pre-EIP-155 transaction that deploys the proxy, valid on any chain that accepts unprotected transactions
+  transaction: '0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba02222222222222222222222222222222222222222222222222222222222222222a02222222222222222222222222222222222222222222222222222222222222222'
+};
+
+/**
+ * Returns the factory used for CREATE2 deployments
+ * @returns {string} `create2.factory` from mondeployer.config.json, or the standard deterministic deployment proxy
+ */
+function factoryAddress() {
+  return (loadConfig().create2 || {}).factory || DETERMINISTIC_DEPLOYER.address;
+}
+
+/**
+ * Turns a salt option into a 32-byte salt
+ * @param {string} salt - A 32-byte hex value, used as is, or any other string, which is hashed
+ * @returns {string} The 32-byte salt as hex
+ */
+function normalizeSalt(salt) {
+  if (salt === undefined || salt === null || salt === '') {
+    throw new Error('A salt is required for CREATE2 deployments');
+  }
+  if (/^0x[0-9a-fA-F]{64}$/.test(salt)) {
+    return salt.toLowerCase();
+  }
+  return viem.keccak256(viem.toHex(String(salt)));
+}
+
+/**
+ * Predicts the address a CREATE2 deployment will have
+ * @param {Object} options - Prediction options
+ * @param {string} options.initCode - Linked creation bytecode including encoded constructor arguments
+ * @param {string} options.salt - Salt option (see normalizeSalt)
+ * @param {string} [options.factory] - Factory address (defaults to factoryAddress())
+ * @returns {string} The checksummed contract address
+ */
+function predictAddress(options) {
+  return viem.getContractAddress({
+    opcode: 'CREATE2',
+    from: options.factory || factoryAddress(),
+    salt: normalizeSalt(options.salt),
+    bytecode: options.initCode
+  });
+}
+
+/**
+ * Checks whether an address holds code
+ * @param {Object} publicClient - viem public client
+ * @param {string} address - The address to check
+ * @returns {Promise<boolean>} True if there is code at the address
+ */
+async function hasCode(publicClient, address) {
+  const code = await publicClient.getCode({ address });
+  return Boolean(code) && code !== '0x';
+}
+
+/**
+ * Makes sure the CREATE2 factory exists, deploying the standard proxy if needed
+ * @param {Object} publicClient - viem public client
+ * @param {Object} walletClient - viem wallet client, used to fund the proxy's one-time signer
+ * @param {Function} [log] - Progress logger
+ * @returns {Promise<string>} The factory address
+ */
+async function ensureFactory(publicClient, walletClient, log = () => {}) {
+  const factory = factoryAddress();
+
+  if (await hasCode(publicClient, factory)) {
+    return factory;
+  }
+
+  if (factory.toLowerCase() !== DETERMINISTIC_DEPLOYER.address.toLowerCase()) {
+    throw new Error(`No CREATE2 factory deployed at ${factory} (create2.factory in mondeployer.config.json)`);
+  }
+
+  log(`Deploying the deterministic deployment proxy to ${factory}...`);
+
+  // The presigned transaction is paid for by its one-time signer, which has to be funded first
+  const balance = await publicClient.getBalance({ address: DETERMINISTIC_DEPLOYER.signer });
+  if (balance < DETERMINISTIC_DEPLOYER.cost) {
+    const fundingHash = await walletClient.sendTransaction({
+      to: DETERMINISTIC_DEPLOYER.signer,
+      value: DETERMINISTIC_DEPLOYER.cost - balance
+    });
+    await publicClient.waitForTransactionReceipt({ hash: fundingHash });
+  }
+
+  let hash;
+  try {
+    hash = await publicClient.sendRawTransaction({ serializedTransaction: DETERMINISTIC_DEPLOYER.transaction });
+  } catch (error) {
+    throw new Error(
+      `Could not deploy the deterministic deployment proxy (the network may reject pre-EIP-155 transactions): ${error.shortMessage || error.message}. ` +
+      'Deploy a compatible factory and set create2.factory in mondeployer.config.json.'
+    );
+  }
+  await publicClient.waitForTransactionReceipt({ hash });
+
+  if (!(await hasCode(publicClient, factory))) {
+    throw new Error(`Deterministic deployment proxy deployment ${hash} did not create code at ${factory}`);
+  }
+
+  return factory;
+}
+
+/**
+ * Deploys initcode through the CREATE2 factory, or reuses an existing deployment
+ * @param {Object} options - Deployment options
+ * @param {Object} options.publicClient - viem public client
+ * @param {Object} options.walletClient - viem wallet client
+ * @param {string} options.initCode - Linked creation bytecode including encoded constructor arguments
+ * @param {string} options.salt - Salt option (see normalizeSalt)
+ * @param {Function} [options.log] - Progress logger
+ * @param {number} [options.confirmations] - Confirmations to wait for (defaults to 1)
+ * @param {Function} [options.waitForReceipt] - `async (transactionHash, { address, factory, salt }) => receipt`, replaces the default wait (e.g. to journal the transaction)
+ * @returns {Promise<Object>} `{ address, transactionHash, factory, salt, existing }`; transactionHash is undefined when the code already existed
+ */
+async function deployCreate2(options) {
+  const log = options.log || (() => {});
+  const { publicClient, walletClient, initCode } = options;
+  const salt = normalizeSalt(options.salt);
+  const factory = factoryAddress();
+  const address = predictAddress({ initCode, salt, factory });
+
+  if (await hasCode(publicClient, address)) {
+    log(`Code already exists at ${address}, skipping deployment`);
+    return { address, transactionHash: undefined, factory, salt, existing: true };
+  }
+
+  await ensureFactory(publicClient, walletClient, log);
+
+  // The proxy expects the salt followed by the initcode as calldata
+  const transactionHash = await walletClient.sendTransaction({
+    to: factory,
+    data: viem.concatHex([salt, initCode])
+  });
+  const receipt = options.waitForReceipt
+    ? await options.waitForReceipt(transactionHash, { address, factory, salt })
+    : await publicClient.waitForTransactionReceipt({ hash: transactionHash, confirmations: options.confirmations });
+
+  if (receipt.status !== 'success' || !(await hasCode(publicClient, address))) {
+    throw new Error(`CREATE2 deployment ${transactionHash} did not create code at ${address}`);
+  }
+
+  return { address, transactionHash, factory, salt, existing: false };
+}
+
+module.exports = {
+  DETERMINISTIC_DEPLOYER,
+  factoryAddress,
+  normalizeSalt,
+  predictAddress,
+  ensureFactory,
+  deployCreate2
+};
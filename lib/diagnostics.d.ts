@@ -0,0 +1,27 @@
+export interface DiagnosticLocation {
+  file?: string;
+  line?: number;
+  column?: number;
+  endLine?: number;
+  endColumn?: number;
+}
+
+export interface Diagnostic extends DiagnosticLocation {
+  severity: 'error' | 'warning' | 'info';
+  type: string;
+  code: string | null;
+  message: string;
+  snippet?: string;
+  related?: Array<DiagnosticLocation & { message?: string }>;
+}
+
+export class CompilationError extends Error {
+  diagnostics: Diagnostic[];
+  constructor(diagnostics: Diagnostic[]);
+}
+
+export function collectDiagnostics(output: any, sources: Record<string, { content: string }>): Diagnostic[];
+export function toDiagnostic(error: any, sources: Record<string, { content: string }>): Diagnostic;
+export function hasErrors(diagnostics: Diagnostic[]): boolean;
+export function assertNoErrors(diagnostics: Diagnostic[]): void;
+export function formatDiagnostic(diagnostic: Diagnostic, options?: { color?: boolean }): string;
@@ -0,0 +1,218 @@
+/**
+ * Structured compiler diagnostics
+ * Turns solc's `errors` array into diagnostics with severity, error code,
+ * file, line/column and the offending source lines, instead of one flat
+ * string that only a human can read.
+ */
+
+// Source lines shown around a diagnostic at most
+const MAX_SNIPPET_LINES = 5;
+
+const COLORS = {
+  error: '\x1b[31m',
+  warning: '\x1b[33m',
+  info: '\x1b[36m',
+  dim: '\x1b[2m',
+  bold: '\x1b[1m',
+  reset: '\x1b[0m'
+};
+
+/**
+ * Thrown when solc reports at least one error
+ */
+class CompilationError extends Error {
+  /**
+   * @param {Array<Object>} diagnostics - Every diagnostic of the compilation (errors and warnings)
+   */
+  constructor(diagnostics) {
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    const summary = errors.map(diagnostic => `${formatLocation(diagnostic)}${diagnostic.type}: ${diagnostic.message}`).join('\n');
+
+    super(`Compilation failed with ${errors.length} error(s):\n${summary}`);
+    this.name = 'CompilationError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * Converts a byte offset reported by solc into a 1-based line and column
+ * @param {string} content - The source code
+ * @param {number} offset - Byte offset into the UTF-8 encoded source
+ * @returns {Object} `{ line, column }`
+ */
+function positionAt(content, offset) {
+  const before = Buffer.from(content, 'utf8').subarray(0, offset).toString('utf8');
+  const lines = before.split('\n');
+
+  return {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1
+  };
+}
+
+/**
+ * Resolves a solc source location against the compiled sources
+ * @param {Object} location - `{ file, start, end }` from solc
+ * @param {Object} sources - Standard JSON sources keyed by source unit name
+ * @returns {Object} `{ file, line, column, endLine, endColumn }`, without positions if the source is unknown
+ */
+function resolveLocation(location, sources) {
+  const source = sources[location.file];
+
+  if (!source || typeof source.content !== 'string' || location.start < 0) {
+    return { file: location.file };
+  }
+
+  const start = positionAt(source.content, location.start);
+  const end = positionAt(source.content, Math.max(location.end, location.start));
+
+  return {
+    file: location.file,
+    line: start.line,
+    column: start.column,
+    endLine: end.line,
+    endColumn: end.column
+  };
+}
+
+/**
+ * Extracts the source lines a diagnostic points at
+ * @param {Object} location - Resolved location with `line` and `endLine`
+ * @param {Object} sources - Standard JSON sources keyed by source unit name
+ * @returns {string|undefined} The lines, or undefined if the location has no position
+ */
+function snippetFor(location, sources) {
+  if (!location.line) {
+    return undefined;
+  }
+
+  const lines = sources[location.file].content.split('\n');
+  const last = Math.min(location.endLine, location.line + MAX_SNIPPET_LINES - 1);
+
+  return lines.slice(location.line - 1, last).join('\n');
+}
+
+/**
+ * Converts one entry of solc's `errors` output into a diagnostic
+ * @param {Object} error - The solc error object
+ * @param {Object} sources - Standard JSON sources keyed by source unit name
+ * @returns {Object} `{ severity, type, code, message, file, line, column, endLine, endColumn, snippet, related }`
+ */
+function toDiagnostic(error, sources) {
+  const location = error.sourceLocation ? resolveLocation(error.sourceLocation, sources) : {};
+
+  const diagnostic = {
+    severity: error.severity,
+    type: error.type,
+    code: error.errorCode || null,
+    message: error.message,
+    ...location,
+    snippet: snippetFor(location, sources)
+  };
+
+  if (error.secondarySourceLocations) {
+    diagnostic.related = error.secondarySourceLocations.map(secondary => ({
+      message: secondary.message,
+      ...resolveLocation(secondary, sources)
+    }));
+  }
+
+  return diagnostic;
+}
+
+/**
+ * Collects the diagnostics of a compilation
+ * @param {Object} output - The solc standard JSON output
+ * @param {Object} sources - The standard JSON sources that were compiled
+ * @returns {Array<Object>} Diagnostics, errors first
+ */
+function collectDiagnostics(output, sources) {
+  const order = { error: 0, warning: 1, info: 2 };
+  const rank = diagnostic => (diagnostic.severity in order ? order[diagnostic.severity] : 3);
+
+  return (output.errors || [])
+    .map(error => toDiagnostic(error, sources))
+    .sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Checks whether any diagnostic is an error
+ * @param {Array<Object>} diagnostics - Diagnostics from collectDiagnostics
+ * @returns {boolean} True if compilation failed
+ */
+function hasErrors(diagnostics) {
+  return diagnostics.some(diagnostic => diagnostic.severity === 'error');
+}
+
+/**
+ * Throws a CompilationError if any diagnostic is an error
+ * @param {Array<Object>} diagnostics - Diagnostics from collectDiagnostics
+ */
+function assertNoErrors(diagnostics) {
+  if (hasErrors(diagnostics)) {
+    throw new CompilationError(diagnostics);
+  }
+}
+
+/**
+ * Formats the "file:line:column: " prefix of a diagnostic
+ * @param {Object} diagnostic - The diagnostic
+ * @returns {string} The prefix, or an empty string if there is no location
+ */
+function formatLocation(diagnostic) {
+  if (!diagnostic.file) {
+    return '';
+  }
+  return diagnostic.line ? `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}: ` : `${diagnostic.file}: `;
+}
+
+/**
+ * Formats a diagnostic for the terminal with the offending code underlined
+ * @param {Object} diagnostic - The diagnostic
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.color] - Use ANSI colors (default: when stderr is a TTY)
+ * @returns {string} The formatted diagnostic
+ */
+function formatDiagnostic(diagnostic, options = {}) {
+  const useColor = options.color !== undefined ? options.color : Boolean(process.stderr.isTTY);
+  const paint = (color, text) => (useColor ? `${COLORS[color] || ''}${text}${COLORS.reset}` : text);
+
+  const severityColor = COLORS[diagnostic.severity] ? diagnostic.severity : 'info';
+  const code = diagnostic.code ? ` ${diagnostic.code}` : '';
+  const lines = [
+    `${paint('bold', formatLocation(diagnostic))}${paint(severityColor, `${diagnostic.severity} [${diagnostic.type}${code}]`)}: ${diagnostic.message}`
+  ];
+
+  if (diagnostic.snippet !== undefined) {
+    const snippetLines = diagnostic.snippet.split('\n');
+    const gutterWidth = String(diagnostic.line + snippetLines.length - 1).length;
+
+    snippetLines.forEach((text, index) => {
+      const lineNumber = String(diagnostic.line + index).padStart(gutterWidth);
+      lines.push(`${paint('dim', `${lineNumber} |`)} ${text}`);
+
+      // Underline the reported range on its first line
+      if (index === 0) {
+        const width = diagnostic.endLine === diagnostic.line
+          ? Math.max(diagnostic.endColumn - diagnostic.column, 1)
+          : Math.max(text.length - diagnostic.column + 1, 1);
+        lines.push(`${' '.repeat(gutterWidth)} ${paint('dim', '|')} ${' '.repeat(diagnostic.column - 1)}${paint(severityColor, '^'.repeat(width))}`);
+      }
+    });
+  }
+
+  (diagnostic.related || []).forEach(related => {
+    lines.push(`  ${paint('dim', 'note:')} ${formatLocation(related)}${related.message || ''}`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  CompilationError,
+  collectDiagnostics,
+  toDiagnostic,
+  hasErrors,
+  assertNoErrors,
+  formatDiagnostic
+};
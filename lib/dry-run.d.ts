@@ -0,0 +1,36 @@
+import { LibraryArtifact, LinkedLibrary, LinkReferences } from './linking';
+
+export interface RevertInfo {
+  reason: string;
+  errorName?: string;
+  args?: readonly unknown[];
+  data?: string;
+}
+
+export interface SimulationResult {
+  address: string;
+  existing: boolean;
+  success: boolean;
+  revert?: RevertInfo;
+  gas: bigint;
+  gasPrice: bigint;
+  cost: bigint;
+  costFormatted: string;
+  libraries: Record<string, LinkedLibrary>;
+  create2?: { factory: string; salt: string };
+  notes: string[];
+}
+
+export function decodeRevert(error: any, abi: any[]): RevertInfo;
+export function simulateDeployment(options: {
+  publicClient: any;
+  from: string;
+  abi: any[];
+  bytecode: string;
+  constructorArgs?: any[];
+  linkReferences?: LinkReferences;
+  libraries?: LibraryArtifact[];
+  libraryAddresses?: Record<string, string>;
+  chainId?: number;
+  salt?: string;
+}): Promise<SimulationResult>;
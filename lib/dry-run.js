@@ -0,0 +1,188 @@
+/**
+ * Deployment dry runs
+ * Simulates a deployment against the current chain state without signing
+ * or broadcasting anything: the creation is run with eth_call, its gas is
+ * estimated and priced, and constructor reverts are decoded.
+ */
+
+const viem = require('viem');
+const { linkLibraries } = require('./linking');
+const { factoryAddress, normalizeSalt, predictAddress } = require('./create2');
+
+// Reasons for the Panic(uint256) codes the Solidity compiler emits
+const PANIC_REASONS = {
+  0x01: 'assert condition failed',
+  0x11: 'arithmetic underflow or overflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'conversion to an invalid enum value',
+  0x22: 'incorrectly encoded storage byte array',
+  0x31: 'pop() on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'too much memory allocated',
+  0x51: 'call to a zero-initialized internal function'
+};
+
+/**
+ * Extracts the revert data from an RPC error
+ * @param {Error} error - Error thrown by eth_call or eth_estimateGas
+ * @returns {string|undefined} The revert data as hex, if the node returned any
+ */
+function revertDataOf(error) {
+  const cause = error instanceof viem.BaseError ? error.walk() : error;
+  const data = cause && typeof cause.data === 'object' ? cause.data && cause.data.data : cause && cause.data;
+  return typeof data === 'string' && data.startsWith('0x') ? data : undefined;
+}
+
+/**
+ * Decodes why a contract creation reverted
+ * @param {Error} error - Error thrown by eth_call or eth_estimateGas
+ * @param {Array} abi - ABI of the contract, for its custom errors
+ * @returns {Object} `{ reason, errorName?, args?, data? }`
+ */
+function decodeRevert(error, abi) {
+  const data = revertDataOf(error);
+
+  if (!data || data === '0x') {
+    return { reason: (error.shortMessage || error.message || 'execution reverted').split('\n')[0], data };
+  }
+
+  try {
+    const { errorName, args = [] } = viem.decodeErrorResult({ abi, data });
+
+    if (errorName === 'Error') {
+      return { reason: args[0], errorName, args, data };
+    }
+    if (errorName === 'Panic') {
+      const code = Number(args[0]);
+      return { reason: `Panic(0x${code.toString(16)}): ${PANIC_REASONS[code] || 'unknown panic code'}`, errorName, args, data };
+    }
+    return { reason: `${errorName}(${args.map(arg => String(arg)).join(', ')})`, errorName, args, data };
+  } catch (decodeError) {
+    return { reason: `reverted with unknown error data ${data}`, data };
+  }
+}
+
+/**
+ * Simulates a deployment without signing or sending any transaction
+ * Libraries that are not deployed yet get the addresses they would be
+ * deployed at; a constructor calling into them cannot be simulated.
+ * @param {Object} options - Simulation options
+ * @param {Object} options.publicClient - viem public client
+ * @param {string} options.from - Address that would send the deployment
+ * @param {Array} options.abi - Contract ABI
+ * @param {string} options.bytecode - Unlinked creation bytecode
+ * @param {Array} [options.constructorArgs] - Constructor arguments
+ * @param {Object} [options.linkReferences] - `evm.bytecode.linkReferences` of the contract
+ * @param {Array<Object>} [options.libraries] - Libraries from collectLibraries
+ * @param {Object} [options.libraryAddresses] - Library addresses supplied by the caller
+ * @param {number} [options.chainId] - Chain whose registry is searched for deployed libraries
+ * @param {string} [options.salt] - Simulate a CREATE2 deployment with this salt
+ * @returns {Promise<Object>} `{ address, existing, success, revert?, gas, gasPrice, cost, costFormatted, libraries, create2?, notes }`
+ */
+async function simulateDeployment(options) {
+  const { publicClient, from, abi } = options;
+  const constructorArgs = options.constructorArgs || [];
+  const notes = [];
+
+  const nonce = await publicClient.getTransactionCount({ address: from, blockTag: 'pending' });
+  let pendingLibraries = 0;
+  let libraryGas = 0n;
+
+  // Resolve the libraries, predicting where the missing ones would be deployed
+  const linked = await linkLibraries({
+    bytecode: options.bytecode,
+    linkReferences: options.linkReferences,
+    libraries: options.libraries,
+    addresses: options.libraryAddresses,
+    chainId: options.chainId,
+    getCode: address => publicClient.getCode({ address }),
+    dryRun: true,
+    deploy: async library => {
+      libraryGas += await publicClient.estimateGas({ account: from, data: library.bytecode });
+      const address = viem.getContractAddress({ from, nonce: BigInt(nonce + pendingLibraries) });
+      pendingLibraries += 1;
+      return { address };
+    }
+  });
+
+  if (pendingLibraries > 0) {
+    notes.push(`${pendingLibraries} librar${pendingLibraries === 1 ? 'y' : 'ies'} would be deployed first; constructor calls into them cannot be simulated`);
+  }
+
+  const initCode = viem.encodeDeployData({ abi, bytecode: linked.bytecode, args: constructorArgs });
+  let address;
+  let create2;
+  let request = { account: from, data: initCode };
+
+  if (options.salt !== undefined) {
+    const factory = factoryAddress();
+    const salt = normalizeSalt(options.salt);
+    address = predictAddress({ initCode, salt, factory });
+    create2 = { factory, salt };
+
+    const existingCode = await publicClient.getCode({ address });
+    if (existingCode && existingCode !== '0x') {
+      return {
+        address,
+        existing: true,
+        success: true,
+        gas: 0n,
+        gasPrice: 0n,
+        cost: 0n,
+        costFormatted: '0',
+        libraries: linked.libraries,
+        create2,
+        notes: ['Code already exists at the CREATE2 address; nothing would be deployed']
+      };
+    }
+
+    const factoryCode = await publicClient.getCode({ address: factory });
+    if (factoryCode && factoryCode !== '0x') {
+      request = { account: from, to: factory, data: viem.concatHex([salt, initCode]) };
+    } else {
+      notes.push(`The CREATE2 factory ${factory} would be deployed first; the creation is simulated without it`);
+    }
+  } else {
+    address = viem.getContractAddress({ from, nonce: BigInt(nonce + pendingLibraries) });
+  }
+
+  let gas;
+  let revert;
+
+  try {
+    await publicClient.call(request);
+    gas = await publicClient.estimateGas(request);
+  } catch (error) {
+    revert = decodeRevert(error, abi);
+  }
+
+  // EIP-1559 chains price gas at maxFeePerGas at most; legacy chains at gasPrice
+  let gasPrice;
+  try {
+    gasPrice = (await publicClient.estimateFeesPerGas()).maxFeePerGas;
+  } catch (error) {
+    gasPrice = await publicClient.getGasPrice();
+  }
+
+  const totalGas = (gas || 0n) + libraryGas;
+  const cost = totalGas * gasPrice;
+
+  return {
+    address,
+    existing: false,
+    success: !revert,
+    ...(revert && { revert }),
+    gas: totalGas,
+    gasPrice,
+    cost,
+    costFormatted: viem.formatEther(cost),
+    libraries: linked.libraries,
+    ...(create2 && { create2 }),
+    notes
+  };
+}
+
+module.exports = {
+  decodeRevert,
+  simulateDeployment
+};
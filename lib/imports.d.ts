@@ -0,0 +1,20 @@
+export interface ImportResolverOptions {
+  baseDir?: string;
+  remappings?: string[];
+  includePaths?: string[];
+}
+
+export interface ImportResolver {
+  baseDir: string;
+  remappings: string[];
+  sources: Record<string, { content: string }>;
+  resolveImport(importPath: string): string | null;
+  findImports(importPath: string): { contents: string } | { error: string };
+}
+
+export function createImportResolver(options?: ImportResolverOptions): ImportResolver;
+export function sourceUnitFor(filePath: string, baseDir?: string): { sourceName: string, baseDir: string };
+export function nodeModulesPaths(startDir: string): string[];
+export function collectSources(sourceName: string, content: string, resolver: ImportResolver): Record<string, { content: string }>;
+export function extractImports(source: string): string[];
+export function stripComments(source: string): string;
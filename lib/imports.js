@@ -0,0 +1,249 @@
+/**
+ * Import resolution for the Solidity compiler
+ * Lets solc load `import "./Lib.sol"` and `import "@openzeppelin/contracts/..."`
+ * from the local file system instead of failing on every import.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROJECT_ROOT, loadConfig } = require('./config');
+
+/**
+ * Checks whether a file lives inside a directory
+ * @param {string} dir - The directory
+ * @param {string} filePath - The absolute file path
+ * @returns {boolean} True if the file is inside the directory
+ */
+function isInside(dir, filePath) {
+  const relative = path.relative(dir, filePath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Collects every node_modules directory from a directory up to the file system root
+ * @param {string} startDir - The directory to start from
+ * @returns {Array<string>} The existing node_modules directories, nearest first
+ */
+function nodeModulesPaths(startDir) {
+  const dirs = [];
+  let current = path.resolve(startDir);
+
+  while (true) {
+    const candidate = path.join(current, 'node_modules');
+    if (fs.existsSync(candidate)) {
+      dirs.push(candidate);
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      break;
+    }
+    current = parent;
+  }
+
+  return dirs;
+}
+
+/**
+ * Creates an import resolver for solc's import callback
+ *
+ * Remappings are not applied here: they are passed to solc through
+ * `settings.remappings` so that context-specific remappings work, and the
+ * callback only ever sees the already-remapped path.
+ *
+ * @param {Object} [options] - Resolver options
+ * @param {string} [options.baseDir] - Directory that relative source unit names are resolved against
+ * @param {Array<string>} [options.remappings] - Remappings such as "@oz/=node_modules/@openzeppelin/"
+ * @param {Array<string>} [options.includePaths] - Extra directories to search for imports
+ * @returns {Object} The resolver with `findImports`, `remappings` and the loaded `sources`
+ */
+function createImportResolver(options = {}) {
+  const config = loadConfig().compiler || {};
+  const baseDir = path.resolve(options.baseDir || PROJECT_ROOT);
+  const remappings = options.remappings || config.remappings || [];
+
+  const includePaths = [
+    ...(options.includePaths || config.includePaths || []).map(dir => path.resolve(PROJECT_ROOT, dir)),
+    ...nodeModulesPaths(baseDir),
+    ...nodeModulesPaths(PROJECT_ROOT)
+  ];
+
+  // Directories imports may be read from
+  const searchPaths = [...new Set([baseDir, PROJECT_ROOT, ...includePaths])];
+
+  // Every source loaded through the callback, keyed by source unit name
+  const sources = {};
+
+  /**
+   * Resolves a source unit name to a file on disk
+   * @param {string} importPath - The source unit name solc asked for
+   * @returns {string|null} The absolute file path, or null if it cannot be found
+   */
+  function resolveImport(importPath) {
+    if (path.isAbsolute(importPath)) {
+      const allowed = searchPaths.some(dir => isInside(dir, importPath));
+      return allowed && fs.existsSync(importPath) ? importPath : null;
+    }
+
+    for (const dir of searchPaths) {
+      const candidate = path.resolve(dir, importPath);
+      if (isInside(dir, candidate) && fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * The import callback handed to solc.compile
+   * @param {string} importPath - The source unit name solc asked for
+   * @returns {Object} `{ contents }` on success or `{ error }` if the file was not found
+   */
+  function findImports(importPath) {
+    const filePath = resolveImport(importPath);
+
+    if (!filePath) {
+      return { error: `File not found: ${importPath} (searched ${searchPaths.join(', ')})` };
+    }
+
+    const contents = fs.readFileSync(filePath, 'utf8');
+    sources[importPath] = { content: contents };
+    return { contents };
+  }
+
+  return {
+    baseDir,
+    remappings,
+    sources,
+    resolveImport,
+    findImports
+  };
+}
+
+/**
+ * Removes comments from Solidity source so commented-out code is ignored
+ * @param {string} source - The Solidity source code
+ * @returns {string} The source without comments (string literals are kept)
+ */
+function stripComments(source) {
+  return source.replace(/("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, (match, literal) => literal || ' ');
+}
+
+/**
+ * Lists the paths imported by a Solidity source
+ * @param {string} source - The Solidity source code
+ * @returns {Array<string>} The import paths exactly as written
+ */
+function extractImports(source) {
+  const pattern = /\bimport\s+(?:["']([^"']+)["']|[^;]*?\bfrom\s+["']([^"']+)["'])/g;
+  const code = stripComments(source);
+  const imports = [];
+  let match;
+
+  while ((match = pattern.exec(code)) !== null) {
+    imports.push(match[1] || match[2]);
+  }
+
+  return imports;
+}
+
+/**
+ * Turns an import path into the source unit name solc will ask for
+ * Mirrors solc's own rules: relative imports are resolved against the
+ * importing unit, then the longest matching remapping is applied.
+ * @param {string} importPath - The path as written in the import statement
+ * @param {string} importer - Source unit name of the importing file
+ * @param {Array<string>} remappings - Remappings in "[context:]prefix=target" form
+ * @returns {string} The source unit name
+ */
+function importToSourceUnit(importPath, importer, remappings) {
+  let unitName = importPath;
+
+  if (importPath.startsWith('./') || importPath.startsWith('../')) {
+    unitName = path.posix.normalize(path.posix.join(path.posix.dirname(importer), importPath));
+  }
+
+  let best = null;
+  for (const remapping of remappings) {
+    const [left, target] = remapping.split('=');
+    const [context, prefix] = left.includes(':') ? left.split(':') : ['', left];
+
+    if (!importer.startsWith(context) || !unitName.startsWith(prefix)) {
+      continue;
+    }
+    if (!best || context.length > best.context.length ||
+        (context.length === best.context.length && prefix.length > best.prefix.length)) {
+      best = { context, prefix, target };
+    }
+  }
+
+  return best ? best.target + unitName.slice(best.prefix.length) : unitName;
+}
+
+/**
+ * Loads an entry source together with everything it imports
+ * Gives the compiler a self-contained input and lets callers inspect every
+ * file (e.g. for pragmas) before compiling. Imports that cannot be found are
+ * left for solc to report.
+ * @param {string} sourceName - Source unit name of the entry file
+ * @param {string} content - Source code of the entry file
+ * @param {Object} resolver - Resolver from createImportResolver
+ * @returns {Object} Standard JSON `sources` keyed by source unit name
+ */
+function collectSources(sourceName, content, resolver) {
+  const sources = { [sourceName]: { content } };
+  const pending = [sourceName];
+
+  while (pending.length > 0) {
+    const importer = pending.pop();
+
+    for (const importPath of extractImports(sources[importer].content)) {
+      const unitName = importToSourceUnit(importPath, importer, resolver.remappings);
+      if (sources[unitName]) {
+        continue;
+      }
+
+      const result = resolver.findImports(unitName);
+      if (result.contents !== undefined) {
+        sources[unitName] = { content: result.contents };
+        pending.push(unitName);
+      }
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Picks the source unit name for an entry file
+ * Files inside the base directory keep their relative path so that relative
+ * imports resolve the same way they do on disk.
+ * @param {string} filePath - The entry file
+ * @param {string} [baseDir] - The base directory (defaults to the project root)
+ * @returns {Object} The `sourceName` and the `baseDir` to resolve imports against
+ */
+function sourceUnitFor(filePath, baseDir = PROJECT_ROOT) {
+  const absolutePath = path.resolve(filePath);
+
+  if (isInside(baseDir, absolutePath)) {
+    return {
+      sourceName: path.relative(baseDir, absolutePath).split(path.sep).join('/'),
+      baseDir
+    };
+  }
+
+  return {
+    sourceName: path.basename(absolutePath),
+    baseDir: path.dirname(absolutePath)
+  };
+}
+
+module.exports = {
+  createImportResolver,
+  collectSources,
+  extractImports,
+  stripComments,
+  sourceUnitFor,
+  nodeModulesPaths
+};
@@ -0,0 +1,41 @@
+export interface PendingEntry {
+  hash: string;
+  chainId: number;
+  description: string;
+  network?: string;
+  from?: string;
+  sentAt: string;
+  deployment?: { contractName: string; abi: any[]; address?: string; [field: string]: any };
+  input?: any;
+}
+
+export interface ResumeResult {
+  hash: string;
+  description: string;
+  status: 'recorded' | 'confirmed' | 'reverted' | 'pending' | 'dropped' | 'error';
+  address?: string;
+  version?: number;
+  recordPath?: string;
+  error?: string;
+}
+
+export const RESUME_COMMAND: string;
+
+export class PendingTransactionError extends Error {
+  hash: string;
+  chainId: number;
+  cause: Error;
+  constructor(entry: PendingEntry, cause: Error);
+}
+
+export function getJournalDir(chainId: number): string;
+export function recordPending(chainId: number, entry: Omit<PendingEntry, 'chainId' | 'sentAt'> & { sentAt?: string }): PendingEntry;
+export function removePending(chainId: number, hash: string): void;
+export function listPending(chainId: number): PendingEntry[];
+export function trackTransaction<T>(
+  chainId: number,
+  entry: Omit<PendingEntry, 'chainId' | 'sentAt'> & { sentAt?: string },
+  wait: () => Promise<T>
+): Promise<T>;
+export function finishPending(chainId: number, entry: PendingEntry, receipt: { status: string; contractAddress?: string | null }): Omit<ResumeResult, 'hash' | 'description'>;
+export function resumePending(publicClient: any, chainId: number): Promise<ResumeResult[]>;
@@ -0,0 +1,248 @@
+/**
+ * Pending transaction journal
+ * Every transaction is written to the journal as soon as it is broadcast and
+ * removed once its receipt arrives. When waiting fails (timeout, RPC error,
+ * interrupted process) the entry stays behind, and resumePending() later
+ * finds out what happened to it: deployments that were mined are recorded in
+ * the registry, and transactions the node no longer knows are reported as
+ * dropped.
+ *
+ *   deployments/<chainId>/pending/<hash>.json   { hash, chainId, network, from, description, sentAt, deployment?, input? }
+ *
+ * `deployment` holds the registry fields of a contract deployment (see
+ * registry.recordDeployment); its `address` is only set when it is known
+ * before mining, as for CREATE2. `input` is the build's standard-JSON input.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TransactionNotFoundError, TransactionReceiptNotFoundError } = require('viem');
+const { getRegistryDir, getHistory, recordDeployment, writeAtomic, toJson } = require('./registry');
+
+// Command that finishes pending transactions, shown in error messages
+const RESUME_COMMAND = 'npm run resume';
+
+/**
+ * Thrown when a transaction was broadcast but its receipt could not be fetched
+ * The transaction may still be mined; it stays in the journal until it is resumed.
+ */
+class PendingTransactionError extends Error {
+  /**
+   * @param {Object} entry - The journal entry
+   * @param {Error} cause - Why waiting for the receipt failed
+   */
+  constructor(entry, cause) {
+    super(
+      `${entry.description} was sent in ${entry.hash} but its receipt could not be fetched: ${cause.shortMessage || cause.message}. ` +
+      `The transaction may still be mined. Run "${RESUME_COMMAND}" (or the resume-pending MCP tool) to check and finish it.`
+    );
+    this.name = 'PendingTransactionError';
+    this.hash = entry.hash;
+    this.chainId = entry.chainId;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Returns the journal directory of a chain
+ * @param {number} chainId - Chain ID
+ * @returns {string} e.g. deployments/10143/pending
+ */
+function getJournalDir(chainId) {
+  return path.join(getRegistryDir(), String(chainId), 'pending');
+}
+
+/**
+ * Returns the journal file of a transaction
+ * @param {number} chainId - Chain ID
+ * @param {string} hash - Transaction hash
+ * @returns {string} Path of the entry
+ */
+function pendingPath(chainId, hash) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(hash || '')) {
+    throw new Error(`Invalid transaction hash: ${hash}`);
+  }
+  return path.join(getJournalDir(chainId), `${hash.toLowerCase()}.json`);
+}
+
+/**
+ * Writes a broadcast transaction to the journal
+ * @param {number} chainId - Chain ID
+ * @param {Object} entry - `hash` and `description`, plus `network`, `from`, `deployment` and `input` where known
+ * @returns {Object} The stored entry
+ */
+function recordPending(chainId, entry) {
+  const stored = { ...entry, chainId: Number(chainId), sentAt: entry.sentAt || new Date().toISOString() };
+
+  writeAtomic(pendingPath(chainId, entry.hash), toJson(stored));
+  return stored;
+}
+
+/**
+ * Removes a transaction from the journal
+ * @param {number} chainId - Chain ID
+ * @param {string} hash - Transaction hash
+ */
+function removePending(chainId, hash) {
+  fs.rmSync(pendingPath(chainId, hash), { force: true });
+}
+
+/**
+ * Lists the journaled transactions of a chain, oldest first
+ * @param {number} chainId - Chain ID
+ * @returns {Array<Object>} The journal entries
+ */
+function listPending(chainId) {
+  const dir = getJournalDir(chainId);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => /^0x[0-9a-f]{64}\.json$/.test(file))
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      } catch (error) {
+        throw new Error(`Corrupt journal entry ${path.join(dir, file)}: ${error.message}`);
+      }
+    })
+    .sort((a, b) => a.sentAt.localeCompare(b.sentAt));
+}
+
+/**
+ * Journals a broadcast transaction while waiting for its receipt
+ * The entry is removed once a receipt arrives, including for reverted transactions.
+ * @param {number} chainId - Chain ID
+ * @param {Object} entry - Journal entry (see recordPending)
+ * @param {Function} wait - `async () => receipt`, e.g. viem's waitForTransactionReceipt or ethers' `tx.wait()`
+ * @returns {Promise<Object>} The receipt
+ * @throws {PendingTransactionError} If waiting fails without a receipt; the entry stays in the journal
+ */
+async function trackTransaction(chainId, entry, wait) {
+  const stored = recordPending(chainId, entry);
+  let receipt;
+
+  try {
+    receipt = await wait();
+  } catch (error) {
+    // ethers throws for reverted transactions, but they were mined
+    if (error.receipt) {
+      removePending(chainId, entry.hash);
+      throw error;
+    }
+    throw new PendingTransactionError(stored, error);
+  }
+
+  removePending(chainId, entry.hash);
+  return receipt;
+}
+
+/**
+ * Returns the receipt of a transaction, or null if it has not been mined
+ * @param {Object} publicClient - viem public client
+ * @param {string} hash - Transaction hash
+ * @returns {Promise<Object|null>} The receipt
+ */
+async function findReceipt(publicClient, hash) {
+  try {
+    return await publicClient.getTransactionReceipt({ hash });
+  } catch (error) {
+    if (error instanceof TransactionReceiptNotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Checks whether the node still knows a transaction that has not been mined
+ * @param {Object} publicClient - viem public client
+ * @param {string} hash - Transaction hash
+ * @returns {Promise<boolean>} True if it is still waiting in the mempool
+ */
+async function isKnown(publicClient, hash) {
+  try {
+    return Boolean(await publicClient.getTransaction({ hash }));
+  } catch (error) {
+    if (error instanceof TransactionNotFoundError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finishes a journaled transaction that was mined
+ * @param {number} chainId - Chain ID
+ * @param {Object} entry - The journal entry
+ * @param {Object} receipt - Its receipt
+ * @returns {Object} `{ status, address?, version?, recordPath? }`; status is 'recorded', 'confirmed' or 'reverted'
+ */
+function finishPending(chainId, entry, receipt) {
+  if (receipt.status !== 'success') {
+    return { status: 'reverted' };
+  }
+  if (!entry.deployment) {
+    return { status: 'confirmed' };
+  }
+
+  const address = entry.deployment.address || receipt.contractAddress;
+  const recorded = getHistory(chainId, entry.deployment.contractName)
+    .find(deployment => deployment.transactionHash === entry.hash);
+  const deployment = recorded || recordDeployment(chainId, { ...entry.deployment, address, transactionHash: entry.hash }, entry.input);
+
+  return { status: 'recorded', address, version: deployment.version, recordPath: deployment.recordPath };
+}
+
+/**
+ * Checks every journaled transaction of a chain and finishes the ones that were mined
+ * Mined deployments are recorded in the registry. Transactions the node no
+ * longer knows were dropped (or replaced) and are removed from the journal;
+ * transactions still in the mempool stay.
+ * @param {Object} publicClient - viem public client of the chain
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Array<Object>>} `{ hash, description, status, address?, version?, recordPath?, error? }` per entry;
+ *   status is 'recorded', 'confirmed', 'reverted', 'pending', 'dropped' or 'error'
+ */
+async function resumePending(publicClient, chainId) {
+  const results = [];
+
+  for (const entry of listPending(chainId)) {
+    const result = { hash: entry.hash, description: entry.description };
+
+    try {
+      const receipt = await findReceipt(publicClient, entry.hash);
+
+      if (receipt) {
+        Object.assign(result, finishPending(chainId, entry, receipt));
+        removePending(chainId, entry.hash);
+      } else if (await isKnown(publicClient, entry.hash)) {
+        result.status = 'pending';
+      } else {
+        result.status = 'dropped';
+        removePending(chainId, entry.hash);
+      }
+    } catch (error) {
+      result.status = 'error';
+      result.error = error.shortMessage || error.message;
+    }
+
+    results.push(result);
+  }
+
+  return results;
+}
+
+module.exports = {
+  RESUME_COMMAND,
+  PendingTransactionError,
+  getJournalDir,
+  recordPending,
+  removePending,
+  listPending,
+  trackTransaction,
+  finishPending,
+  resumePending
+};
@@ -0,0 +1,16 @@
+export interface KeystoreAccount {
+  name: string;
+  address: string;
+  path: string;
+}
+
+export const PASSWORD_ENV: string;
+
+export function getKeystoreDir(): string;
+export function listAccounts(): KeystoreAccount[];
+export function importAccount(name: string, privateKey: string, passphrase: string): Promise<KeystoreAccount>;
+export function newAccount(name: string, passphrase: string): Promise<KeystoreAccount>;
+export function importKeystoreFile(name: string, file: string, passphrase: string): KeystoreAccount;
+export function unlockAccount(name: string, passphrase?: string): string;
+export function canUnlock(name: string): boolean;
+export function promptHidden(question: string, hint?: string): Promise<string>;
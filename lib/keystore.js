@@ -0,0 +1,269 @@
+/**
+ * Encrypted keystore accounts
+ * Stores signing keys as Web3 Secret Storage (JSON V3) files, the format
+ * geth, foundry and most wallets use, so private keys never sit on disk in
+ * plaintext:
+ *
+ *   keystore/<name>.json   { version: 3, address, id, crypto: { cipher, kdf, ... } }
+ *
+ * Keystore accounts are part of the account book (see accounts.js). Their
+ * passphrase comes from MONDEPLOYER_KEYSTORE_PASSWORD or, in interactive
+ * scripts, from a prompt. Decrypted keys are only kept in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const { PROJECT_ROOT, getSetting } = require('./config');
+
+// Environment variable holding the keystore passphrase
+const PASSWORD_ENV = 'MONDEPLOYER_KEYSTORE_PASSWORD';
+
+// Private keys of the accounts unlocked by this process, keyed by account name
+const unlocked = new Map();
+
+/**
+ * Returns the keystore directory
+ * @returns {string} MONDEPLOYER_KEYSTORE, `keystore.dir` from mondeployer.config.json, or keystore/ in the project root
+ */
+function getKeystoreDir() {
+  return getSetting('keystoreDir') || path.join(PROJECT_ROOT, 'keystore');
+}
+
+/**
+ * Returns the keystore file of an account
+ * @param {string} name - Account name
+ * @returns {string} e.g. keystore/deployer.json
+ */
+function accountPath(name) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name || '')) {
+    throw new Error(`Invalid account name "${name}" (use letters, digits, "-" and "_")`);
+  }
+  return path.join(getKeystoreDir(), `${name}.json`);
+}
+
+/**
+ * Reads the keystore file of an account
+ * @param {string} name - Account name
+ * @returns {string} The JSON V3 keystore
+ */
+function readAccount(name) {
+  const file = accountPath(name);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`No keystore account "${name}" in ${getKeystoreDir()} (create one with: npm run account -- new ${name})`);
+  }
+  return fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * Lists the keystore accounts
+ * @returns {Array<Object>} `{ name, address, path }` for each account, sorted by name
+ */
+function listAccounts() {
+  const dir = getKeystoreDir();
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const json = fs.readFileSync(path.join(dir, file), 'utf8');
+      if (!ethers.isKeystoreJson(json)) {
+        throw new Error(`${path.join(dir, file)} is not a JSON V3 keystore`);
+      }
+      return {
+        name: path.basename(file, '.json'),
+        address: ethers.getAddress(JSON.parse(json).address),
+        path: path.join(dir, file)
+      };
+    });
+}
+
+/**
+ * Writes a keystore file, refusing to replace an existing account
+ * @param {string} name - Account name
+ * @param {string} json - The JSON V3 keystore
+ * @returns {string} Path of the file
+ */
+function writeAccount(name, json) {
+  const file = accountPath(name);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  try {
+    fs.writeFileSync(file, json, { mode: 0o600, flag: 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new Error(`Keystore account "${name}" already exists: ${file}`);
+    }
+    throw error;
+  }
+  return file;
+}
+
+/**
+ * Encrypts a private key into a new keystore account
+ * @param {string} name - Account name
+ * @param {string} privateKey - The private key (with or without 0x)
+ * @param {string} passphrase - Passphrase to encrypt it with
+ * @returns {Promise<Object>} `{ name, address, path }`
+ */
+async function importAccount(name, privateKey, passphrase) {
+  accountPath(name);
+  if (!passphrase) {
+    throw new Error('The keystore passphrase must not be empty');
+  }
+
+  const normalizedKey = `0x${String(privateKey || '').trim().replace(/^0x/, '')}`;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(normalizedKey)) {
+    throw new Error('Invalid private key format. The private key must be a 64-character hex string.');
+  }
+
+  const wallet = new ethers.Wallet(normalizedKey);
+  const json = await wallet.encrypt(passphrase);
+
+  return { name, address: wallet.address, path: writeAccount(name, json) };
+}
+
+/**
+ * Creates a keystore account with a new random key
+ * @param {string} name - Account name
+ * @param {string} passphrase - Passphrase to encrypt it with
+ * @returns {Promise<Object>} `{ name, address, path }`
+ */
+function newAccount(name, passphrase) {
+  return importAccount(name, ethers.Wallet.createRandom().privateKey, passphrase);
+}
+
+/**
+ * Adds an existing JSON V3 keystore file (e.g. from geth or foundry) as an account
+ * The passphrase is checked before the file is copied.
+ * @param {string} name - Account name
+ * @param {string} file - Path of the keystore file
+ * @param {string} passphrase - Its passphrase
+ * @returns {Object} `{ name, address, path }`
+ */
+function importKeystoreFile(name, file, passphrase) {
+  const json = fs.readFileSync(file, 'utf8');
+
+  if (!ethers.isKeystoreJson(json)) {
+    throw new Error(`${file} is not a JSON V3 keystore`);
+  }
+  const { address } = decrypt(json, passphrase, file);
+
+  return { name, address, path: writeAccount(name, json) };
+}
+
+/**
+ * Decrypts a keystore
+ * @param {string} json - The JSON V3 keystore
+ * @param {string} passphrase - Its passphrase
+ * @param {string} label - What to call the keystore in errors
+ * @returns {Object} `{ address, privateKey }`
+ */
+function decrypt(json, passphrase, label) {
+  try {
+    const account = ethers.decryptKeystoreJsonSync(json, passphrase);
+    return { address: account.address, privateKey: account.privateKey };
+  } catch (error) {
+    if (/password/i.test(error.message)) {
+      throw new Error(`Wrong passphrase for ${label}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Decrypts a keystore account and keeps its key in memory for this process
+ * @param {string} name - Account name
+ * @param {string} [passphrase] - Its passphrase (defaults to MONDEPLOYER_KEYSTORE_PASSWORD)
+ * @returns {string} The 0x-prefixed private key
+ */
+function unlockAccount(name, passphrase = getSetting('keystorePassword')) {
+  if (unlocked.has(name)) {
+    return unlocked.get(name);
+  }
+  if (passphrase === undefined) {
+    throw new Error(`Keystore account "${name}" is locked. Set ${PASSWORD_ENV} to its passphrase.`);
+  }
+
+  const { privateKey } = decrypt(readAccount(name), passphrase, `keystore account "${name}"`);
+  unlocked.set(name, privateKey);
+  return privateKey;
+}
+
+/**
+ * Checks whether a keystore account can be used without a prompt
+ * @param {string} name - Account name
+ * @returns {boolean} True if it is unlocked or MONDEPLOYER_KEYSTORE_PASSWORD is set
+ */
+function canUnlock(name) {
+  return unlocked.has(name) || getSetting('keystorePassword') !== undefined;
+}
+
+/**
+ * Reads a line from the terminal without echoing it
+ * @param {string} question - The prompt, written to stderr
+ * @param {string} [hint] - What to do instead when there is no terminal
+ * @returns {Promise<string>} What was typed
+ */
+function promptHidden(question, hint = `Set ${PASSWORD_ENV} instead.`) {
+  const stdin = process.stdin;
+
+  if (!stdin.isTTY) {
+    // "🔐 Passphrase for ...: " -> "passphrase for ..."
+    const label = question.replace(/^[^A-Za-z]+|[:\s]+$/g, '');
+    return Promise.reject(new Error(`Cannot prompt for the ${label.charAt(0).toLowerCase()}${label.slice(1)} without a terminal. ${hint}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    let value = '';
+
+    const finish = (error) => {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stderr.write('\n');
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') {
+          finish();
+          return;
+        }
+        if (char === '\u0003') {
+          finish(new Error('Cancelled'));
+          return;
+        }
+        value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+      }
+    };
+
+    process.stderr.write(question);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+module.exports = {
+  PASSWORD_ENV,
+  getKeystoreDir,
+  listAccounts,
+  importAccount,
+  newAccount,
+  importKeystoreFile,
+  unlockAccount,
+  canUnlock,
+  promptHidden
+};
@@ -0,0 +1,44 @@
+import { Deployment } from './registry';
+
+export type LinkReferences = Record<string, Record<string, Array<{ start: number; length: number }>>>;
+
+export interface LibraryReference {
+  id: string;
+  file: string;
+  name: string;
+}
+
+export interface LibraryArtifact extends LibraryReference {
+  abi: any[];
+  bytecode: string;
+  linkReferences: LinkReferences;
+}
+
+export interface LinkedLibrary {
+  address: string;
+  source: 'configured' | 'recorded' | 'deployed' | 'predicted';
+  transactionHash?: string;
+}
+
+export interface LinkOptions {
+  bytecode: string;
+  linkReferences?: LinkReferences;
+  libraries?: LibraryArtifact[];
+  deploy: (library: LibraryArtifact) => Promise<{ address: string; transactionHash?: string }>;
+  getCode?: (address: string) => Promise<string | undefined>;
+  addresses?: Record<string, string>;
+  chainId?: number;
+  record?: Record<string, any>;
+  dryRun?: boolean;
+  log?: (message: string) => void;
+}
+
+export function libraryId(file: string, name: string): string;
+export function listLibraryReferences(linkReferences?: LinkReferences): LibraryReference[];
+export function collectLibraries(output: any, linkReferences?: LinkReferences): LibraryArtifact[];
+export function linkBytecode(bytecode: string, linkReferences: LinkReferences | undefined, addresses: Record<string, string>): string;
+export function configuredLibraries(): Record<string, string>;
+export function findRecordedLibrary(reference: { id: string; name: string }, chainId: number): Deployment | undefined;
+export function libraryRecord(library: LibraryArtifact, extra?: Record<string, any>): { contractName: string; kind: 'library'; libraryId: string; abi: any[]; [field: string]: any };
+export function recordLibrary(library: LibraryArtifact, deployment: { address: string; transactionHash: string }, chainId: number, extra?: Record<string, any>): Deployment;
+export function linkLibraries(options: LinkOptions): Promise<{ bytecode: string; libraries: Record<string, LinkedLibrary> }>;
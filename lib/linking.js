@@ -0,0 +1,252 @@
+/**
+ * Library linking
+ * Contracts that call public library functions are compiled with
+ * `__$...$__` placeholders instead of the library addresses. This module
+ * finds those libraries, reuses or deploys them and links the bytecode so
+ * the contract can be deployed.
+ */
+
+const { loadConfig } = require('./config');
+const { getDeployment, recordDeployment } = require('./registry');
+
+/**
+ * Builds the fully qualified name solc uses for a library
+ * @param {string} file - Source unit name defining the library
+ * @param {string} name - Library name
+ * @returns {string} e.g. "contracts/Math.sol:Math"
+ */
+function libraryId(file, name) {
+  return `${file}:${name}`;
+}
+
+/**
+ * Lists the libraries a bytecode object still has to be linked against
+ * @param {Object} [linkReferences] - `evm.bytecode.linkReferences` from the solc output
+ * @returns {Array<Object>} `{ id, file, name }` for every referenced library
+ */
+function listLibraryReferences(linkReferences) {
+  return Object.entries(linkReferences || {}).flatMap(([file, libraries]) =>
+    Object.keys(libraries).map(name => ({ id: libraryId(file, name), file, name }))
+  );
+}
+
+/**
+ * Collects every library a contract needs, including libraries used by those libraries
+ * @param {Object} output - The solc standard JSON output
+ * @param {Object} [linkReferences] - Link references of the contract to deploy
+ * @returns {Array<Object>} `{ id, file, name, abi, bytecode, linkReferences }`, dependencies first
+ */
+function collectLibraries(output, linkReferences) {
+  const ordered = [];
+  const visiting = new Set();
+
+  const visit = reference => {
+    if (ordered.some(library => library.id === reference.id)) {
+      return;
+    }
+    if (visiting.has(reference.id)) {
+      throw new Error(`Libraries ${[...visiting].join(', ')} depend on each other and cannot be linked`);
+    }
+
+    const compiled = ((output.contracts || {})[reference.file] || {})[reference.name];
+    if (!compiled) {
+      throw new Error(`Library ${reference.id} is not in the compiler output`);
+    }
+
+    visiting.add(reference.id);
+    const ownReferences = compiled.evm.bytecode.linkReferences || {};
+    listLibraryReferences(ownReferences).forEach(visit);
+    visiting.delete(reference.id);
+
+    ordered.push({
+      ...reference,
+      abi: compiled.abi,
+      bytecode: `0x${compiled.evm.bytecode.object}`,
+      linkReferences: ownReferences
+    });
+  };
+
+  listLibraryReferences(linkReferences).forEach(visit);
+  return ordered;
+}
+
+/**
+ * Looks up the address for a library in an address map keyed by id or name
+ * @param {Object} addresses - Library addresses keyed by fully qualified name or plain name
+ * @param {Object} reference - `{ id, name }` of the library
+ * @returns {string|undefined} The address, if known
+ */
+function addressFor(addresses, reference) {
+  return addresses[reference.id] || addresses[reference.name];
+}
+
+/**
+ * Replaces the library placeholders in a bytecode object with addresses
+ * @param {string} bytecode - Hex bytecode, with or without 0x prefix
+ * @param {Object} [linkReferences] - `evm.bytecode.linkReferences` for this bytecode
+ * @param {Object} addresses - Library addresses keyed by fully qualified name or plain name
+ * @returns {string} The linked bytecode with 0x prefix
+ */
+function linkBytecode(bytecode, linkReferences, addresses) {
+  let hex = bytecode.replace(/^0x/, '');
+
+  for (const [file, libraries] of Object.entries(linkReferences || {})) {
+    for (const [name, positions] of Object.entries(libraries)) {
+      const reference = { id: libraryId(file, name), name };
+      const address = addressFor(addresses, reference);
+
+      if (!address || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        throw new Error(`No valid address to link library ${reference.id} (got ${address || 'none'})`);
+      }
+
+      const replacement = address.slice(2).toLowerCase();
+      positions.forEach(({ start, length }) => {
+        hex = hex.slice(0, start * 2) + replacement.slice(0, length * 2) + hex.slice((start + length) * 2);
+      });
+    }
+  }
+
+  if (/__\$[0-9a-fA-F]{34}\$__/.test(hex)) {
+    throw new Error('Bytecode still contains unlinked library placeholders');
+  }
+
+  return `0x${hex}`;
+}
+
+/**
+ * Returns the library addresses pinned in mondeployer.config.json
+ * @returns {Object} The `libraries` block, keyed by fully qualified name or plain name
+ */
+function configuredLibraries() {
+  return loadConfig().libraries || {};
+}
+
+/**
+ * Finds a library deployed earlier in the deployment registry
+ * @param {Object} reference - `{ id, name }` of the library
+ * @param {number} chainId - Chain the library has to be deployed on
+ * @returns {Object|undefined} The latest deployment (`address`, `libraryId`, ...) or undefined
+ */
+function findRecordedLibrary(reference, chainId) {
+  const deployment = getDeployment(chainId, reference.name);
+
+  // Only reuse deployments that are known to be this exact library
+  if (deployment && deployment.kind === 'library' && deployment.libraryId === reference.id && deployment.address) {
+    return deployment;
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns the registry fields of a library deployment
+ * @param {Object} library - Entry from collectLibraries
+ * @param {Object} [extra] - Additional fields such as compilerVersion and compilerSettings
+ * @returns {Object} Fields for registry.recordDeployment, without address and transactionHash
+ */
+function libraryRecord(library, extra = {}) {
+  return {
+    contractName: library.name,
+    kind: 'library',
+    libraryId: library.id,
+    abi: library.abi,
+    ...extra
+  };
+}
+
+/**
+ * Records a deployed library in the registry so later deployments can reuse it
+ * @param {Object} library - Entry from collectLibraries
+ * @param {Object} deployment - `{ address, transactionHash }`
+ * @param {number} chainId - Chain the library was deployed on
+ * @param {Object} [extra] - Additional fields such as compilerVersion and compilerSettings
+ * @returns {Object} The recorded deployment
+ */
+function recordLibrary(library, deployment, chainId, extra = {}) {
+  return recordDeployment(chainId, {
+    ...libraryRecord(library),
+    address: deployment.address,
+    transactionHash: deployment.transactionHash,
+    ...extra
+  });
+}
+
+/**
+ * Resolves an address for every library a contract needs and links its bytecode
+ * Addresses come, in order, from `options.addresses`, the `libraries` block of
+ * mondeployer.config.json and the deployment registry of the chain (if code
+ * is still there); anything else is deployed and recorded.
+ * @param {Object} options - Linking options
+ * @param {string} options.bytecode - Unlinked bytecode of the contract to deploy
+ * @param {Object} [options.linkReferences] - `evm.bytecode.linkReferences` of the contract
+ * @param {Array<Object>} [options.libraries] - Libraries from collectLibraries
+ * @param {Function} options.deploy - `async (library) => ({ address, transactionHash })`, deploys linked library bytecode
+ * @param {Function} [options.getCode] - `async (address) => hex`, used to check that recorded libraries still exist
+ * @param {Object} [options.addresses] - Library addresses supplied by the caller
+ * @param {number} [options.chainId] - Chain to look up and record libraries in; without it the registry is not used
+ * @param {Object} [options.record] - Extra fields stored in the registry for deployed libraries
+ * @param {boolean} [options.dryRun] - `deploy` only predicts addresses; nothing is recorded and such libraries are reported as 'predicted'
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Promise<Object>} The linked `bytecode` and the `libraries` used (`{ [id]: { address, source, transactionHash? } }`)
+ */
+async function linkLibraries(options) {
+  const log = options.log || (() => {});
+  const pinned = { ...configuredLibraries(), ...(options.addresses || {}) };
+  const libraries = {};
+  const addresses = {};
+
+  for (const library of options.libraries || []) {
+    let resolved;
+    const pinnedAddress = addressFor(pinned, library);
+
+    if (pinnedAddress) {
+      resolved = { address: pinnedAddress, source: 'configured' };
+    } else {
+      const record = options.chainId !== undefined ? findRecordedLibrary(library, options.chainId) : undefined;
+      const code = record && options.getCode ? await options.getCode(record.address) : undefined;
+
+      if (record && (!options.getCode || (code && code !== '0x'))) {
+        resolved = { address: record.address, source: 'recorded' };
+      } else {
+        if (record) {
+          log(`No code at recorded address ${record.address} for library ${library.id}, redeploying`);
+        }
+
+        log(`${options.dryRun ? 'Would deploy' : 'Deploying'} library ${library.id}...`);
+        const deployment = await options.deploy({
+          ...library,
+          bytecode: linkBytecode(library.bytecode, library.linkReferences, addresses)
+        });
+        if (options.dryRun) {
+          resolved = { address: deployment.address, source: 'predicted' };
+        } else {
+          if (options.chainId !== undefined) {
+            recordLibrary(library, deployment, options.chainId, options.record);
+          }
+          resolved = { address: deployment.address, source: 'deployed', transactionHash: deployment.transactionHash };
+        }
+      }
+    }
+
+    log(`Library ${library.id} at ${resolved.address} (${resolved.source})`);
+    libraries[library.id] = resolved;
+    addresses[library.id] = resolved.address;
+  }
+
+  return {
+    bytecode: linkBytecode(options.bytecode, options.linkReferences, addresses),
+    libraries
+  };
+}
+
+module.exports = {
+  libraryId,
+  listLibraryReferences,
+  collectLibraries,
+  linkBytecode,
+  configuredLibraries,
+  findRecordedLibrary,
+  libraryRecord,
+  recordLibrary,
+  linkLibraries
+};
@@ -0,0 +1,32 @@
+import type { HDAccount } from 'viem';
+import type { Network } from './networks.js';
+
+export interface DevAccount {
+  index: number;
+  address: string;
+  privateKey: string;
+}
+
+export interface LocalChain {
+  url: string;
+  chainId: number;
+  accounts: DevAccount[];
+  provider: any;
+  stop(): Promise<void>;
+}
+
+export const DEV_MNEMONIC: string;
+export const DEV_ACCOUNT_COUNT: number;
+export const DEV_ACCOUNT_BALANCE: number;
+export function devAccount(index?: number): HDAccount;
+export function devPrivateKey(index?: number): string;
+export function devAccounts(count?: number): DevAccount[];
+export function devAccountIndex(): number;
+export function signerPrivateKey(network: Network, privateKey?: string): string | undefined;
+export function startLocalChain(options?: {
+  port?: number;
+  host?: string;
+  chainId?: number;
+  accounts?: number;
+  balance?: number;
+}): Promise<LocalChain>;
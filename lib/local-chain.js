@@ -0,0 +1,150 @@
+/**
+ * Local development chain
+ * Starts and stops an in-process EVM chain (ganache) for offline
+ * development and tests, and derives the pre-funded dev accounts that
+ * local nodes such as anvil, hardhat node and ganache all create from the
+ * same well-known mnemonic.
+ *
+ * The dev account keys are public. Never send real funds to them.
+ */
+
+const { toHex } = require('viem');
+const { mnemonicToAccount } = require('viem/accounts');
+const { getNetwork } = require('./networks');
+const { getSetting } = require('./config');
+
+// Mnemonic of the pre-funded accounts of anvil, hardhat node and the in-process chain
+const DEV_MNEMONIC = 'test test test test test test test test test test test junk';
+
+// Number of dev accounts created by the in-process chain
+const DEV_ACCOUNT_COUNT = 10;
+
+// Balance of each dev account, in ether
+const DEV_ACCOUNT_BALANCE = 10000;
+
+/**
+ * Returns a dev account
+ * @param {number} [index] - Account index on the mnemonic's derivation path (defaults to MONDEPLOYER_DEV_ACCOUNT or 0)
+ * @returns {Object} viem account
+ */
+function devAccount(index = devAccountIndex()) {
+  return mnemonicToAccount(DEV_MNEMONIC, { addressIndex: index });
+}
+
+/**
+ * Returns the private key of a dev account
+ * @param {number} [index] - Account index (defaults to MONDEPLOYER_DEV_ACCOUNT or 0)
+ * @returns {string} 0x-prefixed private key
+ */
+function devPrivateKey(index = devAccountIndex()) {
+  return toHex(devAccount(index).getHdKey().privateKey);
+}
+
+/**
+ * Lists the dev accounts
+ * @param {number} [count] - Number of accounts
+ * @returns {Array<Object>} `{ index, address, privateKey }` for each account
+ */
+function devAccounts(count = DEV_ACCOUNT_COUNT) {
+  return Array.from({ length: count }, (_, index) => ({
+    index,
+    address: devAccount(index).address,
+    privateKey: devPrivateKey(index)
+  }));
+}
+
+/**
+ * Returns the index of the dev account that signs on networks with dev accounts
+ * @returns {number} MONDEPLOYER_DEV_ACCOUNT, or 0
+ */
+function devAccountIndex() {
+  const index = getSetting('devAccount');
+  return index === undefined ? 0 : index;
+}
+
+/**
+ * Returns the private key that signs on a network
+ * Networks with dev accounts always sign with a dev account, so a key meant
+ * for a public network is never used on a local chain.
+ * @param {Object} network - Resolved network profile
+ * @param {string} [privateKey] - Configured private key (e.g. PRIVATE_KEY from env.js)
+ * @returns {string|undefined} The dev account's key on networks with dev accounts, otherwise privateKey
+ */
+function signerPrivateKey(network, privateKey) {
+  return network.devAccounts ? devPrivateKey() : privateKey;
+}
+
+/**
+ * Loads ganache, which runs the in-process chain
+ * @returns {Object} The ganache module
+ */
+function loadGanache() {
+  try {
+    return require('ganache');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+      throw error;
+    }
+    throw new Error('The in-process chain needs the ganache package. Install it with: npm install --save-dev ganache');
+  }
+}
+
+/**
+ * Starts an in-process chain with pre-funded dev accounts
+ * The chain mines a block for every transaction and keeps its state in memory only.
+ * @param {Object} [options] - Chain options
+ * @param {number} [options.port] - Port of the JSON-RPC server (defaults to 8545)
+ * @param {string} [options.host] - Interface to listen on (defaults to 127.0.0.1)
+ * @param {number} [options.chainId] - Chain ID (defaults to the chain ID of the local network profile)
+ * @param {number} [options.accounts] - Number of dev accounts to fund
+ * @param {number} [options.balance] - Balance of each dev account, in ether
+ * @returns {Promise<Object>} `{ url, chainId, accounts, provider, stop }`; call `stop()` to shut the chain down
+ */
+async function startLocalChain(options = {}) {
+  const ganache = loadGanache();
+  const port = options.port === undefined ? 8545 : options.port;
+  const host = options.host || '127.0.0.1';
+  const chainId = options.chainId || getNetwork('local').chainId;
+  const count = options.accounts || DEV_ACCOUNT_COUNT;
+
+  const server = ganache.server({
+    chain: { chainId },
+    wallet: {
+      mnemonic: DEV_MNEMONIC,
+      totalAccounts: count,
+      defaultBalance: options.balance || DEV_ACCOUNT_BALANCE
+    },
+    logging: { quiet: true }
+  });
+
+  await server.listen(port, host);
+
+  // Port 0 picks a free port
+  const address = server.address();
+  let stopped = false;
+
+  return {
+    url: `http://${host}:${address.port}`,
+    chainId,
+    accounts: devAccounts(count),
+    provider: server.provider,
+    stop: async () => {
+      if (!stopped) {
+        stopped = true;
+        await server.close();
+      }
+    }
+  };
+}
+
+module.exports = {
+  DEV_MNEMONIC,
+  DEV_ACCOUNT_COUNT,
+  DEV_ACCOUNT_BALANCE,
+  devAccount,
+  devPrivateKey,
+  devAccounts,
+  devAccountIndex,
+  signerPrivateKey,
+  startLocalChain
+};
@@ -0,0 +1,42 @@
+import type { Chain, PublicClient, Transport, WalletClient, Account } from 'viem';
+import type { NetworkLimits } from './preflight.js';
+
+export interface NetworkProfile {
+  name?: string;
+  chainId: number;
+  currency?: { name: string; symbol: string; decimals: number };
+  rpcUrls: string[];
+  explorerUrl?: string;
+  confirmations?: number;
+  devAccounts?: boolean;
+  preflight?: Partial<NetworkLimits>;
+}
+
+export interface Network {
+  key: string;
+  name: string;
+  chainId: number;
+  currency: { name: string; symbol: string; decimals: number };
+  rpcUrls: string[];
+  explorerUrl?: string;
+  confirmations: number;
+  devAccounts: boolean;
+  preflight?: Partial<NetworkLimits>;
+}
+
+export const DEFAULT_NETWORK: string;
+export const NETWORKS: Record<string, NetworkProfile>;
+export function selectedNetworkName(name?: string): string;
+export function getNetwork(name?: string, options?: { rpcUrl?: string }): Network;
+export function listNetworks(): Network[];
+export function parseNetworkFlag(args: string[]): { network?: string; args: string[] };
+export function toViemChain(network: Network): Chain;
+export function createTransport(network: Network): Transport;
+export function createClients(network: Network, account?: Account): {
+  chain: Chain;
+  publicClient: PublicClient;
+  walletClient?: WalletClient;
+};
+export function createEthersProvider(ethers: any, network: Network): any;
+export function explorerTxUrl(network: Network, hash: string): string | undefined;
+export function explorerAddressUrl(network: Network, address: string): string | undefined;
@@ -0,0 +1,238 @@
+/**
+ * Network profiles
+ * A profile names a chain and says how to reach it: chain ID, native
+ * currency, a list of RPC URLs that are tried in order when one fails,
+ * the block explorer and the number of confirmations to wait for.
+ * Profiles with `devAccounts` sign with the pre-funded dev accounts of
+ * local nodes (see local-chain.js) instead of PRIVATE_KEY.
+ *
+ * Profiles are selected by name with `--network <name>`, the
+ * MONDEPLOYER_NETWORK environment variable or `defaultNetwork` in
+ * mondeployer.config.json, and default to monad-testnet. The `networks`
+ * block of the config file adds profiles or overrides fields of the
+ * built-in ones:
+ *
+ *   "networks": {
+ *     "monad-testnet": { "rpcUrls": ["https://my-node.example", "https://testnet-rpc.monad.xyz"] },
+ *     "custom": { "chainId": 1234, "rpcUrls": ["http://10.0.0.5:8545"], "confirmations": 2 }
+ *   }
+ */
+
+const viem = require('viem');
+const { loadConfig, getSetting } = require('./config');
+
+// Profile used when none is selected
+const DEFAULT_NETWORK = 'monad-testnet';
+
+// Built-in profiles
+const NETWORKS = {
+  'monad-testnet': {
+    name: 'Monad testnet',
+    chainId: 10143,
+    currency: { name: 'Monad', symbol: 'MON', decimals: 18 },
+    rpcUrls: ['https://testnet-rpc.monad.xyz'],
+    explorerUrl: 'https://testnet.monadexplorer.com',
+    confirmations: 1
+  },
+  local: {
+    name: 'Local chain',
+    chainId: 31337,
+    currency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: ['http://127.0.0.1:8545'],
+    confirmations: 1,
+    devAccounts: true,
+    // Local nodes enforce the Ethereum code size limits, not Monad's, and the in-process chain runs shanghai rules
+    preflight: { name: 'local chain', maxCodeSize: 24576, maxInitCodeSize: 49152, evmVersion: 'shanghai' }
+  }
+};
+
+/**
+ * Returns every profile: the built-in ones merged with the `networks` block of the config
+ * @returns {Object} Profiles keyed by name
+ */
+function allProfiles() {
+  const configured = loadConfig().networks || {};
+  const profiles = { ...NETWORKS };
+
+  Object.entries(configured).forEach(([key, profile]) => {
+    profiles[key] = { ...(NETWORKS[key] || {}), ...profile };
+  });
+
+  return profiles;
+}
+
+/**
+ * Returns the name of the selected profile
+ * @param {string} [name] - Explicitly requested profile (e.g. from --network)
+ * @returns {string} The requested name, MONDEPLOYER_NETWORK, `defaultNetwork` from the config, or monad-testnet
+ */
+function selectedNetworkName(name) {
+  return name || getSetting('network') || DEFAULT_NETWORK;
+}
+
+/**
+ * Resolves a network profile
+ * MONAD_RPC_URL (or RPC_URL), if set, is tried before the RPC URLs of monad-testnet only;
+ * other profiles are reached through their own URLs.
+ * @param {string} [name] - Profile name (defaults to the selected profile, see selectedNetworkName)
+ * @param {Object} [options] - Resolution options
+ * @param {string} [options.rpcUrl] - Extra RPC URL to try first
+ * @returns {Object} `{ key, name, chainId, currency, rpcUrls, explorerUrl, confirmations, devAccounts, preflight }`
+ */
+function getNetwork(name, options = {}) {
+  const key = selectedNetworkName(name);
+  const profile = allProfiles()[key];
+
+  if (!profile) {
+    throw new Error(`Unknown network "${key}". Available networks: ${Object.keys(allProfiles()).join(', ')}`);
+  }
+  if (!Number.isInteger(profile.chainId)) {
+    throw new Error(`Network "${key}" has no chainId`);
+  }
+
+  // The legacy RPC URL setting predates profiles and points at Monad testnet
+  const legacyRpcUrl = key === DEFAULT_NETWORK ? getSetting('rpcUrl') : undefined;
+  const rpcUrls = [options.rpcUrl, legacyRpcUrl, ...(profile.rpcUrls || [])]
+    .filter((url, index, urls) => url && urls.indexOf(url) === index);
+
+  if (rpcUrls.length === 0) {
+    throw new Error(`Network "${key}" has no rpcUrls`);
+  }
+
+  return {
+    key,
+    name: profile.name || key,
+    chainId: profile.chainId,
+    currency: profile.currency || { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls,
+    explorerUrl: profile.explorerUrl,
+    confirmations: profile.confirmations || 1,
+    devAccounts: Boolean(profile.devAccounts),
+    preflight: profile.preflight
+  };
+}
+
+/**
+ * Lists the available profiles
+ * @returns {Array<Object>} Resolved profiles (see getNetwork)
+ */
+function listNetworks() {
+  return Object.keys(allProfiles()).map(key => getNetwork(key));
+}
+
+/**
+ * Removes `--network <name>` from command line arguments
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} `{ network, args }`: the requested profile name (if any) and the remaining arguments
+ */
+function parseNetworkFlag(args) {
+  const index = args.indexOf('--network');
+
+  if (index < 0) {
+    return { network: undefined, args };
+  }
+  if (!args[index + 1]) {
+    throw new Error('--network expects a network name');
+  }
+  return { network: args[index + 1], args: [...args.slice(0, index), ...args.slice(index + 2)] };
+}
+
+/**
+ * Builds the viem chain of a profile
+ * @param {Object} network - Resolved profile
+ * @returns {Object} viem chain
+ */
+function toViemChain(network) {
+  return viem.defineChain({
+    id: network.chainId,
+    name: network.name,
+    nativeCurrency: network.currency,
+    rpcUrls: { default: { http: network.rpcUrls } },
+    ...(network.explorerUrl && { blockExplorers: { default: { name: `${network.name} explorer`, url: network.explorerUrl } } })
+  });
+}
+
+/**
+ * Builds a viem transport that fails over between the RPC URLs of a profile
+ * @param {Object} network - Resolved profile
+ * @returns {Object} viem transport
+ */
+function createTransport(network) {
+  const transports = network.rpcUrls.map(url => viem.http(url));
+  return transports.length === 1 ? transports[0] : viem.fallback(transports);
+}
+
+/**
+ * Creates viem clients for a profile
+ * @param {Object} network - Resolved profile
+ * @param {Object} [account] - viem account; without one no wallet client is created
+ * @returns {Object} `{ chain, publicClient, walletClient? }`
+ */
+function createClients(network, account) {
+  const chain = toViemChain(network);
+  const transport = createTransport(network);
+  const publicClient = viem.createPublicClient({ chain, transport });
+
+  return {
+    chain,
+    publicClient,
+    ...(account && { walletClient: viem.createWalletClient({ account, chain, transport }) })
+  };
+}
+
+/**
+ * Creates an ethers v6 provider that fails over between the RPC URLs of a profile
+ * @param {Object} ethers - The ethers module
+ * @param {Object} network - Resolved profile
+ * @returns {Object} ethers provider
+ */
+function createEthersProvider(ethers, network) {
+  const ethersNetwork = new ethers.Network(network.key, network.chainId);
+  const providers = network.rpcUrls.map(url => new ethers.JsonRpcProvider(url, ethersNetwork, { staticNetwork: ethersNetwork }));
+
+  if (providers.length === 1) {
+    return providers[0];
+  }
+
+  // A quorum of one sends each request to a single provider and moves on to the next when it fails or stalls
+  return new ethers.FallbackProvider(
+    providers.map((provider, index) => ({ provider, priority: index + 1, weight: 1 })),
+    ethersNetwork,
+    { quorum: 1 }
+  );
+}
+
+/**
+ * Returns the explorer link of a transaction
+ * @param {Object} network - Resolved profile
+ * @param {string} hash - Transaction hash
+ * @returns {string|undefined} The link, or undefined if the profile has no explorer
+ */
+function explorerTxUrl(network, hash) {
+  return network.explorerUrl ? `${network.explorerUrl.replace(/\/$/, '')}/tx/${hash}` : undefined;
+}
+
+/**
+ * Returns the explorer link of an address
+ * @param {Object} network - Resolved profile
+ * @param {string} address - Contract or account address
+ * @returns {string|undefined} The link, or undefined if the profile has no explorer
+ */
+function explorerAddressUrl(network, address) {
+  return network.explorerUrl ? `${network.explorerUrl.replace(/\/$/, '')}/address/${address}` : undefined;
+}
+
+module.exports = {
+  DEFAULT_NETWORK,
+  NETWORKS,
+  selectedNetworkName,
+  getNetwork,
+  listNetworks,
+  parseNetworkFlag,
+  toViemChain,
+  createTransport,
+  createClients,
+  createEthersProvider,
+  explorerTxUrl,
+  explorerAddressUrl
+};
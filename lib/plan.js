@@ -0,0 +1,274 @@
+/**
+ * Deployment plans
+ * A plan declares several contracts to deploy together. Constructor
+ * arguments (and library addresses) can reference the outputs of other
+ * steps, e.g. "${token.address}", so a voting contract can take the address
+ * of the token deployed before it. Steps run in dependency order, and steps
+ * that are already deployed with the same bytecode and arguments are skipped.
+ * In .js plans, `args` may also be a function receiving the outputs so far.
+ *
+ *   {
+ *     "name": "token-voting",
+ *     "steps": [
+ *       { "id": "token", "contract": "SimpleToken.sol", "args": ["Gov", "GOV", 18, 1000000] },
+ *       { "id": "voting", "contract": "TokenVoting.sol", "args": ["${token.address}", ["Yes", "No"]] }
+ *     ]
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { coerceConstructorArgs } = require('./abi-args');
+
+// A reference to the output of another step: ${step} or ${step.field}
+const REFERENCE = /\$\{([A-Za-z_][\w-]*)(?:\.(\w+))?\}/g;
+
+// Fields a step may define
+const STEP_FIELDS = ['id', 'contract', 'contractName', 'args', 'libraries', 'salt', 'settings', 'solcVersion', 'dependsOn'];
+
+/**
+ * Loads and validates a deployment plan
+ * @param {string} planPath - Path of a .json plan, or a .js module exporting one
+ * @returns {Object} The plan, with `name`, `file` and `steps` whose contract paths are absolute
+ */
+function loadPlan(planPath) {
+  const file = path.resolve(planPath);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Deployment plan not found: ${planPath}`);
+  }
+
+  let plan;
+  if (file.endsWith('.json')) {
+    try {
+      plan = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid deployment plan ${planPath}: ${error.message}`);
+    }
+  } else {
+    plan = require(file);
+  }
+
+  if (!plan || !Array.isArray(plan.steps) || plan.steps.length === 0) {
+    throw new Error(`Deployment plan ${planPath} has no steps`);
+  }
+
+  const ids = new Set();
+  const steps = plan.steps.map((step, index) => {
+    const label = step && step.id ? `Step "${step.id}"` : `Step ${index + 1}`;
+
+    if (!step || typeof step.id !== 'string' || !/^[A-Za-z_][\w-]*$/.test(step.id)) {
+      throw new Error(`${label} needs an "id" made of letters, digits, "_" and "-"`);
+    }
+    if (ids.has(step.id)) {
+      throw new Error(`${label} is defined twice`);
+    }
+    if (typeof step.contract !== 'string') {
+      throw new Error(`${label} needs a "contract" (path of the Solidity file)`);
+    }
+
+    const unknown = Object.keys(step).filter(field => !STEP_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`${label} has unknown field${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+    }
+
+    ids.add(step.id);
+    return {
+      ...step,
+      contract: path.resolve(path.dirname(file), step.contract),
+      args: step.args || [],
+      dependsOn: step.dependsOn || []
+    };
+  });
+
+  return {
+    name: plan.name || path.basename(file).replace(/(\.plan)?\.(json|c?js)$/, ''),
+    file,
+    steps
+  };
+}
+
+/**
+ * Lists the steps a value references
+ * @param {*} value - Constructor arguments, library addresses or any nested value
+ * @returns {Array<string>} Referenced step ids
+ */
+function referencesIn(value) {
+  if (typeof value === 'string') {
+    return [...value.matchAll(REFERENCE)].map(match => match[1]);
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(referencesIn);
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(referencesIn);
+  }
+  return [];
+}
+
+/**
+ * Orders the steps so every step runs after the steps it references or depends on
+ * Steps keep their declared order wherever the dependencies allow it.
+ * @param {Array<Object>} steps - Steps from loadPlan
+ * @returns {Array<Object>} The steps in execution order
+ */
+function orderSteps(steps) {
+  const byId = new Map(steps.map(step => [step.id, step]));
+  const ordered = [];
+  const visiting = new Set();
+
+  const visit = step => {
+    if (ordered.includes(step)) {
+      return;
+    }
+    if (visiting.has(step.id)) {
+      throw new Error(`Steps ${[...visiting].join(', ')} depend on each other`);
+    }
+
+    visiting.add(step.id);
+    const dependencies = new Set([...step.dependsOn, ...referencesIn(step.args), ...referencesIn(step.libraries)]);
+
+    for (const id of dependencies) {
+      if (!byId.has(id)) {
+        throw new Error(`Step "${step.id}" references unknown step "${id}"`);
+      }
+      visit(byId.get(id));
+    }
+    visiting.delete(step.id);
+
+    ordered.push(step);
+  };
+
+  steps.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Replaces the references in a value with the outputs of earlier steps
+ * A string that is only a reference becomes the referenced value itself;
+ * references inside longer strings are interpolated.
+ * @param {*} value - The value to resolve
+ * @param {Object} outputs - Outputs of the steps that have run, keyed by step id
+ * @returns {*} The resolved value
+ */
+function resolveReferences(value, outputs) {
+  const lookup = (id, field = 'address') => {
+    if (!outputs[id]) {
+      throw new Error(`Step "${id}" has not run yet`);
+    }
+    if (outputs[id][field] === undefined) {
+      throw new Error(`Step "${id}" has no output "${field}"`);
+    }
+    return outputs[id][field];
+  };
+
+  if (typeof value === 'string') {
+    const whole = value.match(/^\$\{([A-Za-z_][\w-]*)(?:\.(\w+))?\}$/);
+    if (whole) {
+      return lookup(whole[1], whole[2]);
+    }
+    return value.replace(REFERENCE, (match, id, field) => String(lookup(id, field)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveReferences(item, outputs));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveReferences(item, outputs)]));
+  }
+  return value;
+}
+
+/**
+ * Serializes constructor arguments for comparison and storage
+ * @param {Array} args - Constructor arguments
+ * @returns {string} JSON with bigints written as strings
+ */
+function serializeArgs(args) {
+  return JSON.stringify(args, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
+/**
+ * Checks whether a recorded deployment is the result of a plan step with the same inputs
+ * Both argument lists are converted against the constructor ABI first: a plan
+ * gives 18 where the registry holds the recorded "18".
+ * @param {Object} [deployment] - A registry deployment of the step's contract
+ * @param {Object} expected - `{ plan, step, args, abi, bytecode }` of the step about to run
+ * @returns {boolean} True if the step does not need to be deployed again
+ */
+function matchesDeployment(deployment, expected) {
+  if (!deployment || !deployment.plan || deployment.plan.name !== expected.plan || deployment.plan.step !== expected.step ||
+    deployment.bytecode !== expected.bytecode) {
+    return false;
+  }
+
+  const args = coerceConstructorArgs(expected.abi, expected.args);
+  let recorded;
+  try {
+    recorded = coerceConstructorArgs(expected.abi, deployment.constructorArgs || []);
+  } catch (error) {
+    return false;
+  }
+  return serializeArgs(recorded) === serializeArgs(args);
+}
+
+/**
+ * Finds the deployment a plan step made earlier
+ * Two steps may deploy the same contract, so any version can be the step's, not just the latest.
+ * @param {Array<Object>} deployments - Every registry version of the step's contract, oldest first
+ * @param {Object} expected - See matchesDeployment
+ * @returns {Object|undefined} The newest matching deployment
+ */
+function findStepDeployment(deployments, expected) {
+  return [...deployments].reverse().find(deployment => matchesDeployment(deployment, expected));
+}
+
+/**
+ * Runs the steps of a plan in dependency order
+ * @param {Object} plan - Plan from loadPlan
+ * @param {Object} handlers - How steps are deployed
+ * @param {Function} handlers.findDeployed - `async (step, args, libraries) => deployment | undefined`, returns the existing deployment to skip the step
+ * @param {Function} handlers.deploy - `async (step, args, libraries) => deployment`, deploys the step
+ * @param {Function} [handlers.log] - Progress logger
+ * @returns {Promise<Object>} `{ steps, outputs }`: per step `{ id, contractName, address, version, status }` with status 'deployed' or 'skipped'
+ */
+async function runPlan(plan, handlers) {
+  const log = handlers.log || (() => {});
+  const outputs = {};
+  const steps = [];
+
+  for (const step of orderSteps(plan.steps)) {
+    const args = typeof step.args === 'function' ? await step.args(outputs) : resolveReferences(step.args, outputs);
+    const libraries = step.libraries && resolveReferences(step.libraries, outputs);
+
+    let deployment = await handlers.findDeployed(step, args, libraries);
+    let status = 'skipped';
+
+    if (deployment) {
+      log(`Step "${step.id}": ${deployment.contractName} v${deployment.version} already deployed at ${deployment.address}`);
+    } else {
+      log(`Step "${step.id}": deploying ${path.basename(step.contract)}${step.contractName ? ` (${step.contractName})` : ''}...`);
+      deployment = await handlers.deploy(step, args, libraries);
+      status = 'deployed';
+    }
+
+    outputs[step.id] = {
+      address: deployment.address,
+      contractName: deployment.contractName,
+      version: deployment.version,
+      transactionHash: deployment.transactionHash
+    };
+    steps.push({ id: step.id, ...outputs[step.id], status });
+  }
+
+  return { steps, outputs };
+}
+
+module.exports = {
+  loadPlan,
+  orderSteps,
+  resolveReferences,
+  serializeArgs,
+  matchesDeployment,
+  findStepDeployment,
+  runPlan
+};
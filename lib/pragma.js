@@ -0,0 +1,81 @@
+/**
+ * Solidity version pragma handling
+ * Picks a compiler that satisfies the contract's own `pragma solidity`
+ * instead of rewriting the pragma to a fixed version.
+ */
+
+const semver = require('semver');
+const { stripComments } = require('./imports');
+
+/**
+ * Lists the version specifiers of every `pragma solidity` in a source
+ * @param {string} source - The Solidity source code
+ * @returns {Array<string>} Specifiers such as "^0.8.0" or ">=0.8.0 <0.9.0"
+ */
+function extractPragmas(source) {
+  const pattern = /\bpragma\s+solidity\s+([^;]+);/g;
+  const code = stripComments(source);
+  const pragmas = [];
+  let match;
+
+  while ((match = pattern.exec(code)) !== null) {
+    pragmas.push(match[1].trim());
+  }
+
+  return pragmas;
+}
+
+/**
+ * Converts a Solidity version specifier into a semver range
+ * @param {string} specifier - e.g. "^0.8.0", ">=0.8.0 <0.9.0", "0.8.28"
+ * @returns {string} The equivalent semver range
+ */
+function toRange(specifier) {
+  const range = semver.validRange(specifier.replace(/\s+/g, ' '));
+
+  if (!range) {
+    throw new Error(`Invalid Solidity version pragma: ${specifier}`);
+  }
+
+  return range;
+}
+
+/**
+ * Checks whether a compiler version satisfies every pragma
+ * @param {string} version - Compiler version, e.g. "0.8.28"
+ * @param {Array<string>} pragmas - Version specifiers
+ * @returns {boolean} True if every pragma accepts the version
+ */
+function satisfiesAll(version, pragmas) {
+  return pragmas.every(pragma => semver.satisfies(version, toRange(pragma)));
+}
+
+/**
+ * Picks the newest candidate version that satisfies every pragma
+ * @param {Array<string>} pragmas - Version specifiers
+ * @param {Array<string>} candidates - Available compiler versions
+ * @returns {string|null} The selected version, or null if none matches
+ */
+function selectVersion(pragmas, candidates) {
+  const matching = candidates.filter(version => satisfiesAll(version, pragmas));
+  return matching.length > 0 ? semver.rsort([...matching])[0] : null;
+}
+
+/**
+ * Collects the pragmas of a set of standard JSON sources
+ * @param {Object} sources - Sources keyed by source unit name
+ * @returns {Array<Object>} `{ file, pragma }` for every pragma found
+ */
+function sourcePragmas(sources) {
+  return Object.entries(sources).flatMap(([file, { content }]) =>
+    extractPragmas(content).map(pragma => ({ file, pragma }))
+  );
+}
+
+module.exports = {
+  extractPragmas,
+  toRange,
+  satisfiesAll,
+  selectVersion,
+  sourcePragmas
+};
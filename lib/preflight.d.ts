@@ -0,0 +1,41 @@
+export interface NetworkLimits {
+  name: string;
+  maxCodeSize: number;
+  maxInitCodeSize: number;
+  evmVersion: string;
+  opcodeWarnings: Record<string, string>;
+}
+
+export interface PreflightIssue {
+  check: 'codeSize' | 'initCodeSize' | 'evmVersion' | 'opcode';
+  message: string;
+}
+
+export interface PreflightReport {
+  network: string;
+  codeSize?: number;
+  initCodeSize: number;
+  evmVersion?: string;
+  errors: PreflightIssue[];
+  warnings: PreflightIssue[];
+}
+
+export interface PreflightContract {
+  name: string;
+  initCode: string;
+  deployedBytecode?: string;
+  evmVersion?: string;
+}
+
+export class PreflightError extends Error {
+  report: PreflightReport;
+  constructor(report: PreflightReport);
+}
+
+export const MONAD_TESTNET: NetworkLimits;
+export function networkLimits(network?: { name: string; preflight?: Partial<NetworkLimits> }): NetworkLimits;
+export function targetEvmVersion(network: { preflight?: Partial<NetworkLimits> } | undefined, compilerVersion: string): string | undefined;
+export function findOpcodes(deployedBytecode: string): string[];
+export function compiledEvmVersion(contract: any, settings?: { evmVersion?: string }): string | undefined;
+export function preflight(contract: PreflightContract, limits?: NetworkLimits): PreflightReport;
+export function assertPreflight(contract: PreflightContract, limits?: NetworkLimits): PreflightReport;
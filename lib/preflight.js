@@ -0,0 +1,282 @@
+/**
+ * Deployment preflight checks
+ * Catches deployments that are bound to fail (code or initcode over the
+ * size limits) and warns about EVM features the target Monad network does
+ * not support, before any gas is spent.
+ */
+
+const semver = require('semver');
+const { loadConfig } = require('./config');
+
+// Limits and EVM support of Monad testnet; override them with the `preflight` block of mondeployer.config.json
+const MONAD_TESTNET = {
+  name: 'Monad testnet',
+  // Monad raises the EIP-170 limit of 24576 bytes to 128 KB
+  maxCodeSize: 131072,
+  // EIP-3860 keeps initcode at twice the code size limit
+  maxInitCodeSize: 262144,
+  evmVersion: 'cancun',
+  opcodeWarnings: {
+    BLOBHASH: 'blob transactions (EIP-4844) are not supported on Monad, so it always returns 0',
+    BLOBBASEFEE: 'blob transactions (EIP-4844) are not supported on Monad',
+    SELFDESTRUCT: 'since EIP-6780 it only deletes contracts created in the same transaction'
+  }
+};
+
+// EVM versions in release order
+const EVM_VERSIONS = [
+  'homestead', 'tangerineWhistle', 'spuriousDragon', 'byzantium', 'constantinople', 'petersburg',
+  'istanbul', 'berlin', 'london', 'paris', 'shanghai', 'cancun', 'prague', 'osaka'
+];
+
+// EVM version solc compiles for when none is set, by the release that made it the default (newest first)
+const COMPILER_EVM_DEFAULTS = [
+  ['0.8.30', 'prague'],
+  ['0.8.25', 'cancun'],
+  ['0.8.20', 'shanghai'],
+  ['0.8.18', 'paris'],
+  ['0.8.7', 'london'],
+  ['0.8.5', 'berlin'],
+  ['0.5.14', 'istanbul'],
+  ['0.5.5', 'petersburg'],
+  ['0.4.21', 'byzantium']
+];
+
+// Opcodes that only exist from a given EVM version on, by byte value
+const OPCODES = {
+  0x1b: { name: 'SHL', since: 'constantinople' },
+  0x1c: { name: 'SHR', since: 'constantinople' },
+  0x1d: { name: 'SAR', since: 'constantinople' },
+  0x3d: { name: 'RETURNDATASIZE', since: 'byzantium' },
+  0x3e: { name: 'RETURNDATACOPY', since: 'byzantium' },
+  0x3f: { name: 'EXTCODEHASH', since: 'constantinople' },
+  0x46: { name: 'CHAINID', since: 'istanbul' },
+  0x47: { name: 'SELFBALANCE', since: 'istanbul' },
+  0x48: { name: 'BASEFEE', since: 'london' },
+  0x49: { name: 'BLOBHASH', since: 'cancun' },
+  0x4a: { name: 'BLOBBASEFEE', since: 'cancun' },
+  0x5c: { name: 'TLOAD', since: 'cancun' },
+  0x5d: { name: 'TSTORE', since: 'cancun' },
+  0x5e: { name: 'MCOPY', since: 'cancun' },
+  0x5f: { name: 'PUSH0', since: 'shanghai' },
+  0xf5: { name: 'CREATE2', since: 'constantinople' },
+  0xfa: { name: 'STATICCALL', since: 'byzantium' },
+  0xff: { name: 'SELFDESTRUCT', since: 'homestead' }
+};
+
+/**
+ * Thrown when a deployment would certainly fail
+ */
+class PreflightError extends Error {
+  /**
+   * @param {Object} report - The preflight report (`errors`, `warnings`, sizes)
+   */
+  constructor(report) {
+    super(`Preflight failed: ${report.errors.map(issue => issue.message).join('; ')}`);
+    this.name = 'PreflightError';
+    this.report = report;
+  }
+}
+
+/**
+ * Returns the limits of the target network
+ * The `preflight` block of the network profile takes precedence over the one in the config file.
+ * @param {Object} [network] - Network profile from lib/networks (defaults to Monad testnet)
+ * @returns {Object} `{ name, maxCodeSize, maxInitCodeSize, evmVersion, opcodeWarnings }`
+ */
+function networkLimits(network) {
+  const overrides = loadConfig().preflight || {};
+  const profile = (network && network.preflight) || {};
+
+  return {
+    ...MONAD_TESTNET,
+    ...(network && { name: network.name }),
+    ...overrides,
+    ...profile,
+    opcodeWarnings: { ...MONAD_TESTNET.opcodeWarnings, ...(overrides.opcodeWarnings || {}), ...(profile.opcodeWarnings || {}) }
+  };
+}
+
+/**
+ * Returns the EVM version to compile for on a network
+ * The `preflight.evmVersion` of the network profile applies where it is older than the
+ * compiler's default; compilers that predate it keep their own default.
+ * @param {Object} [network] - Network profile from lib/networks
+ * @param {string} compilerVersion - Compiler version, e.g. "0.8.28"
+ * @returns {string|undefined} The EVM version, or undefined to compile for the compiler's default
+ */
+function targetEvmVersion(network, compilerVersion) {
+  const target = network && network.preflight && network.preflight.evmVersion;
+  const known = COMPILER_EVM_DEFAULTS.find(([since]) => semver.gte(compilerVersion, since));
+
+  if (!target || !known || EVM_VERSIONS.indexOf(target) >= EVM_VERSIONS.indexOf(known[1])) {
+    return undefined;
+  }
+  return target;
+}
+
+/**
+ * Measures a hex bytecode string
+ * @param {string} bytecode - Hex bytecode, with or without 0x prefix (may contain link placeholders)
+ * @returns {number} The size in bytes
+ */
+function byteLength(bytecode) {
+  return bytecode.replace(/^0x/, '').length / 2;
+}
+
+/**
+ * Strips the CBOR metadata solc appends to runtime code so it is not read as opcodes
+ * @param {Buffer} code - Runtime bytecode
+ * @returns {Buffer} The code without its metadata trailer
+ */
+function stripMetadata(code) {
+  if (code.length < 2) {
+    return code;
+  }
+
+  const metadataLength = code.readUInt16BE(code.length - 2);
+  // Metadata is a CBOR map (major type 5) of the given length followed by the length itself
+  if (metadataLength + 2 <= code.length && (code[code.length - 2 - metadataLength] & 0xe0) === 0xa0) {
+    return code.subarray(0, code.length - 2 - metadataLength);
+  }
+
+  return code;
+}
+
+/**
+ * Lists the version-dependent opcodes used by runtime bytecode
+ * @param {string} deployedBytecode - Hex runtime bytecode (may contain link placeholders)
+ * @returns {Array<string>} Opcode names, each listed once
+ */
+function findOpcodes(deployedBytecode) {
+  // Library placeholders only ever appear inside PUSH20 data
+  const hex = deployedBytecode.replace(/^0x/, '').replace(/__\$[0-9a-fA-F]{34}\$__/g, '0'.repeat(40));
+  const code = stripMetadata(Buffer.from(hex, 'hex'));
+  const found = new Set();
+
+  for (let i = 0; i < code.length; i++) {
+    const opcode = code[i];
+
+    if (OPCODES[opcode]) {
+      found.add(OPCODES[opcode].name);
+    }
+    // Skip the immediate data of PUSH1..PUSH32
+    if (opcode >= 0x60 && opcode <= 0x7f) {
+      i += opcode - 0x5f;
+    }
+  }
+
+  return [...found];
+}
+
+/**
+ * Reads the EVM version a contract was compiled for from its metadata
+ * @param {Object} contract - Compiled contract from the solc output
+ * @param {Object} [settings] - Settings the contract was compiled with, used without metadata
+ * @returns {string|undefined} The EVM version
+ */
+function compiledEvmVersion(contract, settings = {}) {
+  if (contract && contract.metadata) {
+    try {
+      return JSON.parse(contract.metadata).settings.evmVersion;
+    } catch (error) {
+      // Fall through to the requested settings
+    }
+  }
+  return settings.evmVersion;
+}
+
+/**
+ * Checks a compiled contract against the limits of the target network
+ * @param {Object} contract - What is about to be deployed
+ * @param {string} contract.name - Contract name, for messages
+ * @param {string} contract.initCode - Linked creation bytecode including encoded constructor arguments
+ * @param {string} [contract.deployedBytecode] - Runtime bytecode
+ * @param {string} [contract.evmVersion] - EVM version the contract was compiled for
+ * @param {Object} [limits] - Network limits (defaults to networkLimits())
+ * @returns {Object} `{ network, codeSize, initCodeSize, evmVersion, errors, warnings }`; issues are `{ check, message }`
+ */
+function preflight(contract, limits = networkLimits()) {
+  const errors = [];
+  const warnings = [];
+  const codeSize = contract.deployedBytecode ? byteLength(contract.deployedBytecode) : undefined;
+  const initCodeSize = byteLength(contract.initCode);
+
+  if (codeSize === 0) {
+    errors.push({ check: 'codeSize', message: `${contract.name} has no runtime code (is it abstract or an interface?)` });
+  } else if (codeSize > limits.maxCodeSize) {
+    errors.push({
+      check: 'codeSize',
+      message: `${contract.name} runtime code is ${codeSize} bytes, over the ${limits.name} limit of ${limits.maxCodeSize} bytes. ` +
+        'Enable the optimizer with fewer runs, split the contract or move code into libraries.'
+    });
+  }
+
+  if (initCodeSize > limits.maxInitCodeSize) {
+    errors.push({
+      check: 'initCodeSize',
+      message: `${contract.name} initcode is ${initCodeSize} bytes, over the ${limits.name} limit of ${limits.maxInitCodeSize} bytes`
+    });
+  }
+
+  const targetIndex = EVM_VERSIONS.indexOf(limits.evmVersion);
+
+  if (contract.evmVersion && EVM_VERSIONS.indexOf(contract.evmVersion) > targetIndex) {
+    warnings.push({
+      check: 'evmVersion',
+      message: `${contract.name} was compiled for evmVersion "${contract.evmVersion}" but ${limits.name} supports up to "${limits.evmVersion}". ` +
+        `Set "evmVersion": "${limits.evmVersion}" in the compiler settings.`
+    });
+  }
+
+  if (contract.deployedBytecode) {
+    for (const name of findOpcodes(contract.deployedBytecode)) {
+      const opcode = Object.values(OPCODES).find(entry => entry.name === name);
+
+      if (limits.opcodeWarnings[name]) {
+        warnings.push({ check: 'opcode', message: `${contract.name} uses ${name}: ${limits.opcodeWarnings[name]}` });
+      } else if (EVM_VERSIONS.indexOf(opcode.since) > targetIndex) {
+        warnings.push({
+          check: 'opcode',
+          message: `${contract.name} uses ${name}, which was introduced in "${opcode.since}" but ${limits.name} only supports up to "${limits.evmVersion}"`
+        });
+      }
+    }
+  }
+
+  return {
+    network: limits.name,
+    codeSize,
+    initCodeSize,
+    evmVersion: contract.evmVersion,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Runs the preflight checks and throws if the deployment would fail
+ * @param {Object} contract - See preflight()
+ * @param {Object} [limits] - Network limits (defaults to networkLimits())
+ * @returns {Object} The preflight report, whose warnings the caller should surface
+ */
+function assertPreflight(contract, limits) {
+  const report = preflight(contract, limits);
+
+  if (report.errors.length > 0) {
+    throw new PreflightError(report);
+  }
+
+  return report;
+}
+
+module.exports = {
+  MONAD_TESTNET,
+  targetEvmVersion,
+  PreflightError,
+  networkLimits,
+  findOpcodes,
+  compiledEvmVersion,
+  preflight,
+  assertPreflight
+};
@@ -0,0 +1,255 @@
+/**
+ * Upgradeable proxy deployments
+ * Deploys OpenZeppelin proxies in front of an implementation contract and
+ * upgrades them later. Two kinds are supported:
+ *
+ *   uups         ERC1967Proxy; the implementation inherits UUPSUpgradeable and upgrades itself (upgradeToAndCall)
+ *   transparent  TransparentUpgradeableProxy; the proxy creates a ProxyAdmin owned by the deployer, which upgrades it (upgradeAndCall)
+ *
+ * Proxies run their implementation's code on their own storage, so the
+ * implementation is initialized by calling an initializer through the proxy
+ * instead of by its constructor.
+ */
+
+const fs = require('fs');
+const viem = require('viem');
+const { compileSource } = require('./compiler');
+const { selectContract } = require('./contracts');
+const { CompilationError, hasErrors } = require('./diagnostics');
+const { compiledEvmVersion } = require('./preflight');
+const { coerceFunctionArgs } = require('./abi-args');
+
+// OpenZeppelin proxy contract of each kind, compiled from node_modules
+const PROXY_KINDS = {
+  uups: {
+    contract: 'ERC1967Proxy',
+    sourceName: '@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol'
+  },
+  transparent: {
+    contract: 'TransparentUpgradeableProxy',
+    sourceName: '@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol'
+  }
+};
+
+// ERC-1967 storage slots holding the implementation and admin addresses
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+
+// Function that initializes an implementation when none is given
+const DEFAULT_INITIALIZER = 'initialize';
+
+const UPGRADE_ABI = viem.parseAbi([
+  'function upgradeToAndCall(address newImplementation, bytes data) payable',
+  'function upgradeAndCall(address proxy, address implementation, bytes data) payable'
+]);
+
+/**
+ * Looks up a proxy kind
+ * @param {string} kind - "uups" or "transparent"
+ * @returns {Object} The proxy `contract` name and its `sourceName`
+ */
+function proxyKind(kind) {
+  const found = PROXY_KINDS[kind];
+
+  if (!found) {
+    throw new Error(`Unknown proxy kind "${kind}" (expected ${Object.keys(PROXY_KINDS).join(' or ')})`);
+  }
+  return found;
+}
+
+/**
+ * Returns the registry name implementations of a contract are recorded under
+ * The contract's own name holds the proxy, which is the address to interact with.
+ * @param {string} contractName - The implementation contract name
+ * @returns {string} e.g. MyToken_Implementation
+ */
+function implementationName(contractName) {
+  return `${contractName}_Implementation`;
+}
+
+/**
+ * Checks that a contract can sit behind a proxy of the given kind
+ * @param {Array} abi - Implementation ABI
+ * @param {string} kind - Proxy kind
+ * @param {string} contractName - Contract name, used in errors
+ */
+function checkImplementation(abi, kind, contractName) {
+  const constructor = abi.find(item => item.type === 'constructor');
+  if (constructor && constructor.inputs.length > 0) {
+    throw new Error(
+      `${contractName} takes constructor arguments, but a proxy never runs the implementation's constructor on its own storage. ` +
+      'Move them to the initializer.'
+    );
+  }
+
+  const functions = abi.filter(item => item.type === 'function').map(item => item.name);
+  if (kind === 'uups' && !(functions.includes('upgradeToAndCall') && functions.includes('proxiableUUID'))) {
+    throw new Error(
+      `${contractName} is not UUPS upgradeable: inherit UUPSUpgradeable from @openzeppelin/contracts, or use a transparent proxy. ` +
+      'An implementation without upgradeToAndCall would lock the proxy for good.'
+    );
+  }
+}
+
+/**
+ * Encodes a call to the implementation, such as the initializer
+ * @param {Array} abi - Implementation ABI
+ * @param {string} functionName - Function name or full signature
+ * @param {Array} args - The raw arguments, converted to the ABI types
+ * @returns {Object} `{ function, args, data }`
+ */
+function encodeCall(abi, functionName, args = []) {
+  const call = coerceFunctionArgs(abi, functionName, args);
+
+  return {
+    function: viem.toFunctionSignature(call.abiItem),
+    args: call.args,
+    data: viem.encodeFunctionData({ abi: [call.abiItem], functionName: call.functionName, args: call.args })
+  };
+}
+
+/**
+ * Encodes the initializer call a new proxy runs in its constructor
+ * OpenZeppelin proxies refuse to be deployed uninitialized.
+ * @param {Array} abi - Implementation ABI
+ * @param {string} [initializer] - Function name or full signature (defaults to "initialize")
+ * @param {Array} args - The raw arguments, converted to the ABI types
+ * @returns {Object} `{ function, args, data }`
+ */
+function encodeInitializer(abi, initializer, args = []) {
+  const functionName = initializer || DEFAULT_INITIALIZER;
+
+  if (!initializer && !abi.some(item => item.type === 'function' && item.name === DEFAULT_INITIALIZER)) {
+    throw new Error(`The implementation has no ${DEFAULT_INITIALIZER} function; name its initializer with --initializer <function>`);
+  }
+  return encodeCall(abi, functionName, args);
+}
+
+/**
+ * Compiles the OpenZeppelin proxy of a kind
+ * @param {string} kind - Proxy kind
+ * @param {Object} [options] - Compilation options
+ * @param {Object} [options.settings] - Compiler settings, e.g. the implementation's EVM version
+ * @param {Object} [options.network] - Network profile to compile for
+ * @returns {Object} The compiled proxy with `name`, `abi`, `bytecode`, `deployedBytecode`, `immutableReferences`, `evmVersion` and `compilerVersion`
+ */
+function compileProxy(kind, options = {}) {
+  const { contract, sourceName } = proxyKind(kind);
+  let filePath;
+
+  try {
+    filePath = require.resolve(sourceName);
+  } catch (error) {
+    throw new Error(`${sourceName} was not found. Install OpenZeppelin with: npm install @openzeppelin/contracts`);
+  }
+
+  const { output, diagnostics, settings, compiler } = compileSource({
+    sourceName,
+    content: fs.readFileSync(filePath, 'utf8'),
+    settings: options.settings,
+    network: options.network
+  });
+
+  if (hasErrors(diagnostics)) {
+    throw new CompilationError(diagnostics);
+  }
+
+  const { contract: compiled } = selectContract(output, sourceName, contract);
+  return {
+    name: contract,
+    abi: compiled.abi,
+    bytecode: `0x${compiled.evm.bytecode.object}`,
+    deployedBytecode: `0x${compiled.evm.deployedBytecode.object}`,
+    immutableReferences: compiled.evm.deployedBytecode.immutableReferences,
+    evmVersion: compiledEvmVersion(compiled, settings),
+    compilerVersion: compiler.longVersion
+  };
+}
+
+/**
+ * Returns the constructor arguments of a proxy
+ * @param {string} kind - Proxy kind
+ * @param {Object} options - Proxy options
+ * @param {string} options.implementation - Implementation address
+ * @param {string} options.data - Encoded initializer call
+ * @param {string} options.owner - Owner of the ProxyAdmin (transparent proxies only)
+ * @returns {Array} The constructor arguments
+ */
+function proxyConstructorArgs(kind, { implementation, data, owner }) {
+  proxyKind(kind);
+  return kind === 'transparent' ? [implementation, owner, data] : [implementation, data];
+}
+
+/**
+ * Reads an address from an ERC-1967 storage slot
+ * @param {Object} publicClient - viem public client
+ * @param {string} address - Proxy address
+ * @param {string} slot - Storage slot
+ * @returns {Promise<string|undefined>} The address, or undefined if the slot is empty
+ */
+async function readSlotAddress(publicClient, address, slot) {
+  const value = await publicClient.getStorageAt({ address, slot });
+  const stored = viem.getAddress(`0x${(value || '0x').slice(2).padStart(64, '0').slice(24)}`);
+
+  return stored === viem.zeroAddress ? undefined : stored;
+}
+
+/**
+ * Reads the current implementation of a proxy
+ * @param {Object} publicClient - viem public client
+ * @param {string} address - Proxy address
+ * @returns {Promise<string|undefined>} The implementation address
+ */
+function readImplementation(publicClient, address) {
+  return readSlotAddress(publicClient, address, IMPLEMENTATION_SLOT);
+}
+
+/**
+ * Reads the admin of a transparent proxy
+ * @param {Object} publicClient - viem public client
+ * @param {string} address - Proxy address
+ * @returns {Promise<string|undefined>} The ProxyAdmin address
+ */
+function readAdmin(publicClient, address) {
+  return readSlotAddress(publicClient, address, ADMIN_SLOT);
+}
+
+/**
+ * Builds the transaction that upgrades a proxy
+ * UUPS proxies are upgraded through the implementation's upgradeToAndCall,
+ * transparent proxies through their ProxyAdmin's upgradeAndCall.
+ * @param {string} kind - Proxy kind
+ * @param {Object} options - Upgrade options
+ * @param {string} options.proxy - Proxy address
+ * @param {string} options.implementation - New implementation address
+ * @param {string} [options.data] - Encoded call to run after upgrading (defaults to none)
+ * @param {string} [options.admin] - ProxyAdmin address (transparent proxies only)
+ * @returns {Object} `{ address, abi, functionName, args }` for viem's writeContract
+ */
+function upgradeRequest(kind, { proxy, implementation, data = '0x', admin }) {
+  proxyKind(kind);
+
+  if (kind === 'transparent') {
+    if (!admin) {
+      throw new Error(`No ProxyAdmin found for the transparent proxy at ${proxy}`);
+    }
+    return { address: admin, abi: UPGRADE_ABI, functionName: 'upgradeAndCall', args: [proxy, implementation, data] };
+  }
+  return { address: proxy, abi: UPGRADE_ABI, functionName: 'upgradeToAndCall', args: [implementation, data] };
+}
+
+module.exports = {
+  PROXY_KINDS,
+  IMPLEMENTATION_SLOT,
+  ADMIN_SLOT,
+  proxyKind,
+  implementationName,
+  checkImplementation,
+  encodeCall,
+  encodeInitializer,
+  compileProxy,
+  proxyConstructorArgs,
+  readImplementation,
+  readAdmin,
+  upgradeRequest
+};
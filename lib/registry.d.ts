@@ -0,0 +1,50 @@
+export interface Deployment {
+  contractName: string;
+  chainId: number;
+  version: number;
+  address: string;
+  abi: any[];
+  transactionHash?: string;
+  kind?: 'library';
+  libraryId?: string;
+  compilerVersion?: string;
+  compilerSettings?: any;
+  libraries?: Record<string, string>;
+  create2?: { factory: string; salt: string };
+  constructorArgs?: any[];
+  plan?: { name: string; step: string };
+  compiledName?: string;
+  sourceName?: string;
+  standardJsonInput?: string;
+  bytecode?: string;
+  deployedBytecode?: string;
+  deployedAt: string;
+  recordPath: string;
+  inputPath?: string;
+  [field: string]: any;
+}
+
+export const LEGACY_DIRS: string[];
+export function getRegistryDir(): string;
+export function entryPath(chainId: number, contractName: string): string;
+export function writeAtomic(file: string, content: string): void;
+export function toJson(data: any): string;
+export function recordDeployment(
+  chainId: number,
+  deployment: { contractName: string; address: string; abi: any[]; [field: string]: any },
+  input?: any
+): Deployment;
+export function getDeployment(chainId: number, contractName: string, version?: number): Deployment | undefined;
+export function getHistory(chainId: number, contractName: string): Deployment[];
+export function listChains(): number[];
+export function listDeployments(chainId: number): Array<Deployment & { versions: number }>;
+export function findDeploymentByAddress(chainId: number, address: string): Deployment | undefined;
+export function recordPlanRun(
+  chainId: number,
+  planName: string,
+  run: { file: string; steps: Array<{ id: string; contractName: string; address: string; version: number; status: string }> }
+): string;
+export function importLegacyArtifacts(
+  chainId: number,
+  dirs?: string[]
+): Array<{ file: string; contractName: string; address: string; version: number }>;
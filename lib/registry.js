@@ -0,0 +1,304 @@
+/**
+ * Deployment registry
+ * One place for every deployment, keyed by chain ID and contract name.
+ * Each contract has a file holding its full version history, so redeploying
+ * under the same name adds a version instead of overwriting the old one:
+ *
+ *   deployments/<chainId>/<ContractName>.json            { contractName, chainId, versions: [...] }
+ *   deployments/<chainId>/<ContractName>.v<N>.input.json  standard-JSON input of version N
+ *   deployments/<chainId>/plans/<plan>.json               addresses resolved by the last run of a deployment plan
+ *   deployments/<chainId>/pending/<hash>.json             transactions still waiting for a receipt (see journal.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PROJECT_ROOT, getSetting } = require('./config');
+
+// Where deployments were written before the registry existed, imported by importLegacyArtifacts()
+const LEGACY_DIRS = [
+  path.join(PROJECT_ROOT, 'artifacts'),
+  path.join(os.tmpdir(), 'monad-deployments')
+];
+
+/**
+ * Returns the registry directory
+ * @returns {string} MONDEPLOYER_REGISTRY, `registry.dir` from mondeployer.config.json, or deployments/ in the project root
+ */
+function getRegistryDir() {
+  return getSetting('registryDir') || path.join(PROJECT_ROOT, 'deployments');
+}
+
+/**
+ * Checks a contract name before it is used as a file name
+ * @param {string} contractName - The contract name
+ * @returns {string} The contract name
+ */
+function checkName(contractName) {
+  if (!/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(contractName || '')) {
+    throw new Error(`Invalid contract name: ${contractName}`);
+  }
+  return contractName;
+}
+
+/**
+ * Returns the registry file of a contract
+ * @param {number} chainId - Chain ID
+ * @param {string} contractName - The contract name
+ * @returns {string} e.g. deployments/10143/MyToken.json
+ */
+function entryPath(chainId, contractName) {
+  return path.join(getRegistryDir(), String(chainId), `${checkName(contractName)}.json`);
+}
+
+/**
+ * Reads the registry entry of a contract
+ * @param {number} chainId - Chain ID
+ * @param {string} contractName - The contract name
+ * @returns {Object|undefined} `{ contractName, chainId, versions }`, or undefined if it was never deployed on the chain
+ */
+function readEntry(chainId, contractName) {
+  const file = entryPath(chainId, contractName);
+
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Corrupt registry entry ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes a file by renaming a temporary file over it, so readers never see half a file
+ * @param {string} file - Destination path
+ * @param {string} content - File content
+ */
+function writeAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, content);
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Serializes registry data, writing bigints (e.g. in constructor arguments) as strings
+ * @param {Object} data - Data to serialize
+ * @returns {string} Indented JSON
+ */
+function toJson(data) {
+  return JSON.stringify(data, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+}
+
+/**
+ * Adds the entry's identity and file locations to a version record
+ * @param {Object} entry - Registry entry
+ * @param {Object} version - One of its versions
+ * @returns {Object} The deployment, with `contractName`, `chainId`, `recordPath` and `inputPath`
+ */
+function toDeployment(entry, version) {
+  const recordPath = entryPath(entry.chainId, entry.contractName);
+
+  return {
+    contractName: entry.contractName,
+    chainId: entry.chainId,
+    ...version,
+    recordPath,
+    inputPath: version.standardJsonInput ? path.join(path.dirname(recordPath), version.standardJsonInput) : undefined
+  };
+}
+
+/**
+ * Records a deployment as the newest version of a contract
+ * @param {number} chainId - Chain ID
+ * @param {Object} deployment - `contractName`, `address`, `abi` and any other fields to store (transactionHash, compilerVersion, ...)
+ * @param {Object} [input] - Standard-JSON input of the build, written next to the entry
+ * @returns {Object} The recorded deployment (see getDeployment)
+ */
+function recordDeployment(chainId, deployment, input) {
+  const { contractName, ...fields } = deployment;
+  const entry = readEntry(chainId, contractName) || { contractName, chainId: Number(chainId), versions: [] };
+  const version = entry.versions.length > 0 ? entry.versions[entry.versions.length - 1].version + 1 : 1;
+  const record = { version, ...fields, deployedAt: fields.deployedAt || new Date().toISOString() };
+
+  if (input) {
+    record.standardJsonInput = `${contractName}.v${version}.input.json`;
+    writeAtomic(path.join(path.dirname(entryPath(chainId, contractName)), record.standardJsonInput), JSON.stringify(input, null, 2));
+  }
+
+  entry.versions.push(record);
+  writeAtomic(entryPath(chainId, contractName), toJson(entry));
+
+  return toDeployment(entry, record);
+}
+
+/**
+ * Looks up a deployment of a contract
+ * @param {number} chainId - Chain ID
+ * @param {string} contractName - The contract name
+ * @param {number} [version] - Version to return (defaults to the latest)
+ * @returns {Object|undefined} The deployment (`contractName`, `chainId`, `version`, `address`, `abi`, ..., `recordPath`, `inputPath`)
+ */
+function getDeployment(chainId, contractName, version) {
+  const entry = readEntry(chainId, contractName);
+
+  if (!entry || entry.versions.length === 0) {
+    return undefined;
+  }
+
+  const found = version === undefined
+    ? entry.versions[entry.versions.length - 1]
+    : entry.versions.find(candidate => candidate.version === Number(version));
+
+  return found && toDeployment(entry, found);
+}
+
+/**
+ * Returns every version of a contract, oldest first
+ * @param {number} chainId - Chain ID
+ * @param {string} contractName - The contract name
+ * @returns {Array<Object>} The deployments (see getDeployment)
+ */
+function getHistory(chainId, contractName) {
+  const entry = readEntry(chainId, contractName);
+  return entry ? entry.versions.map(version => toDeployment(entry, version)) : [];
+}
+
+/**
+ * Lists the chains that have deployments
+ * @returns {Array<number>} Chain IDs
+ */
+function listChains() {
+  const dir = getRegistryDir();
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => /^\d+$/.test(name) && fs.statSync(path.join(dir, name)).isDirectory())
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Lists the latest deployment of every contract on a chain
+ * @param {number} chainId - Chain ID
+ * @returns {Array<Object>} The latest deployments (see getDeployment), with `versions` holding the number of versions
+ */
+function listDeployments(chainId) {
+  const dir = path.join(getRegistryDir(), String(chainId));
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => /^[A-Za-z_$][A-Za-z0-9_$]*\.json$/.test(file))
+    .sort()
+    .flatMap(file => {
+      const entry = readEntry(chainId, path.basename(file, '.json'));
+      if (!entry || entry.versions.length === 0) {
+        return [];
+      }
+      return [{ ...toDeployment(entry, entry.versions[entry.versions.length - 1]), versions: entry.versions.length }];
+    });
+}
+
+/**
+ * Finds the deployment at an address, checking the newest versions first
+ * @param {number} chainId - Chain ID
+ * @param {string} address - The contract address
+ * @returns {Object|undefined} The deployment (see getDeployment)
+ */
+function findDeploymentByAddress(chainId, address) {
+  const wanted = address.toLowerCase();
+
+  for (const latest of listDeployments(chainId)) {
+    const found = getHistory(chainId, latest.contractName)
+      .reverse()
+      .find(deployment => deployment.address && deployment.address.toLowerCase() === wanted);
+
+    if (found) {
+      return found;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Records the outcome of a deployment plan run
+ * @param {number} chainId - Chain ID
+ * @param {string} planName - Name of the plan
+ * @param {Object} run - `{ file, steps }`, steps as returned by plan.runPlan
+ * @returns {string} Path of the plan record
+ */
+function recordPlanRun(chainId, planName, run) {
+  const file = path.join(getRegistryDir(), String(chainId), 'plans', `${planName.replace(/[^\w.-]/g, '_')}.json`);
+
+  writeAtomic(file, toJson({ plan: planName, chainId: Number(chainId), ...run, updatedAt: new Date().toISOString() }));
+  return file;
+}
+
+/**
+ * Imports the artifact files written before the registry existed
+ * Artifacts already in the registry (same address) are skipped.
+ * @param {number} chainId - Chain ID the artifacts were deployed to
+ * @param {Array<string>} [dirs] - Directories holding legacy artifacts (defaults to LEGACY_DIRS)
+ * @returns {Array<Object>} `{ file, contractName, address, version }` for every imported artifact
+ */
+function importLegacyArtifacts(chainId, dirs = LEGACY_DIRS) {
+  const imported = [];
+
+  for (const dir of dirs) {
+    if (!fs.existsSync(dir)) {
+      continue;
+    }
+
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json') && !name.endsWith('.input.json')).sort()) {
+      const artifactPath = path.join(dir, file);
+      let artifact;
+      try {
+        artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+      } catch (error) {
+        continue;
+      }
+
+      if (!artifact.contractName || !artifact.address || !artifact.abi) {
+        continue;
+      }
+      if (getHistory(chainId, artifact.contractName).some(deployment => deployment.address.toLowerCase() === artifact.address.toLowerCase())) {
+        continue;
+      }
+
+      const { standardJsonInput, network, ...fields } = artifact;
+      const legacyInput = standardJsonInput && path.join(dir, standardJsonInput);
+      const input = legacyInput && fs.existsSync(legacyInput) ? JSON.parse(fs.readFileSync(legacyInput, 'utf8')) : undefined;
+      const recorded = recordDeployment(chainId, fields, input);
+
+      imported.push({ file: artifactPath, contractName: recorded.contractName, address: recorded.address, version: recorded.version });
+    }
+  }
+
+  return imported;
+}
+
+module.exports = {
+  LEGACY_DIRS,
+  getRegistryDir,
+  entryPath,
+  writeAtomic,
+  toJson,
+  recordDeployment,
+  getDeployment,
+  getHistory,
+  listChains,
+  listDeployments,
+  findDeploymentByAddress,
+  recordPlanRun,
+  importLegacyArtifacts
+};
@@ -0,0 +1,24 @@
+export interface CompilerSettings {
+  optimizer?: {
+    enabled?: boolean;
+    runs?: number;
+    details?: Record<string, any>;
+  };
+  evmVersion?: string;
+  viaIR?: boolean;
+  metadata?: {
+    bytecodeHash?: 'ipfs' | 'bzzr1' | 'none';
+    appendCBOR?: boolean;
+    useLiteralContent?: boolean;
+  };
+  debug?: {
+    revertStrings?: 'default' | 'strip' | 'debug' | 'verboseDebug';
+  };
+}
+
+export const DEFAULT_SETTINGS: CompilerSettings;
+export function mergeSettings(base: CompilerSettings, override?: CompilerSettings): CompilerSettings;
+export function isOptimizerRuns(runs: unknown): boolean;
+export function parseOptimizerRuns(text: string, origin: string): number;
+export function validateSettings(settings: CompilerSettings, origin: string): CompilerSettings;
+export function resolveSettings(overrides?: CompilerSettings, targetSettings?: CompilerSettings): CompilerSettings;
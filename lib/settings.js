@@ -0,0 +1,141 @@
+/**
+ * Compiler settings
+ * Combines the built-in defaults, the EVM version of the target network,
+ * the `compiler.settings` block of mondeployer.config.json,
+ * OPTIMIZATION_RUNS and per-deployment overrides into the solc `settings`
+ * that are compiled with and recorded in the artifact.
+ */
+
+const { loadConfig, resolveSetting, configFileName } = require('./config');
+
+// Used when neither the config file nor the deployment says otherwise
+const DEFAULT_SETTINGS = {
+  optimizer: {
+    enabled: true,
+    runs: 200
+  }
+};
+
+// Settings keys that may be configured (solc standard JSON names)
+const SETTING_KEYS = ['optimizer', 'evmVersion', 'viaIR', 'metadata', 'debug'];
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - The value to check
+ * @returns {boolean} True for `{}`-style objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merges settings, later values winning
+ * @param {Object} base - The settings to start from
+ * @param {Object} [override] - The settings to apply on top
+ * @returns {Object} A new merged settings object
+ */
+function mergeSettings(base, override) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === undefined) {
+      continue;
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeSettings(merged[key], value) : value;
+  }
+
+  return merged;
+}
+
+/**
+ * Checks an optimizer runs value
+ * The one rule for runs from the config file, OPTIMIZATION_RUNS, the command line and the MCP tools.
+ * @param {*} runs - The value to check
+ * @returns {boolean} True for non-negative integers, as solc accepts
+ */
+function isOptimizerRuns(runs) {
+  return Number.isInteger(runs) && runs >= 0;
+}
+
+/**
+ * Parses optimizer runs given as text, e.g. on the command line
+ * @param {string} text - The runs, e.g. "1000"
+ * @param {string} origin - Where the text came from, for error messages
+ * @returns {number} The runs
+ */
+function parseOptimizerRuns(text, origin) {
+  const runs = /^\d+$/.test(String(text)) ? Number(text) : NaN;
+
+  if (!isOptimizerRuns(runs)) {
+    throw new Error(`${origin} must be a non-negative integer, got "${text}"`);
+  }
+  return runs;
+}
+
+/**
+ * Rejects unknown or mistyped settings before they reach solc
+ * @param {Object} settings - The settings to check
+ * @param {string} origin - Where the settings came from, for error messages
+ * @returns {Object} The same settings
+ */
+function validateSettings(settings, origin) {
+  if (!isPlainObject(settings)) {
+    throw new Error(`Compiler settings from ${origin} must be an object`);
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (!SETTING_KEYS.includes(key)) {
+      throw new Error(`Unknown compiler setting "${key}" in ${origin} (supported: ${SETTING_KEYS.join(', ')})`);
+    }
+  }
+
+  const { optimizer, evmVersion, viaIR, metadata, debug } = settings;
+
+  if (optimizer !== undefined && !isPlainObject(optimizer)) {
+    throw new Error(`optimizer in ${origin} must be an object`);
+  }
+  if (optimizer && optimizer.runs !== undefined && !isOptimizerRuns(optimizer.runs)) {
+    throw new Error(`optimizer.runs in ${origin} must be a non-negative integer`);
+  }
+  if (evmVersion !== undefined && typeof evmVersion !== 'string') {
+    throw new Error(`evmVersion in ${origin} must be a string such as "cancun"`);
+  }
+  if (viaIR !== undefined && typeof viaIR !== 'boolean') {
+    throw new Error(`viaIR in ${origin} must be true or false`);
+  }
+  if (metadata !== undefined && !isPlainObject(metadata)) {
+    throw new Error(`metadata in ${origin} must be an object such as { "bytecodeHash": "none" }`);
+  }
+  if (debug !== undefined && !isPlainObject(debug)) {
+    throw new Error(`debug in ${origin} must be an object such as { "revertStrings": "strip" }`);
+  }
+
+  return settings;
+}
+
+/**
+ * Resolves the compiler settings for one compilation
+ * @param {Object} [overrides] - Per-deployment settings that take precedence over the config file and OPTIMIZATION_RUNS
+ * @param {Object} [targetSettings] - Settings of the target network (its EVM version), used where nothing else sets them
+ * @returns {Object} The effective settings (optimizer, evmVersion, viaIR, metadata, debug)
+ */
+function resolveSettings(overrides, targetSettings) {
+  const configured = (loadConfig().compiler || {}).settings || {};
+  const runs = resolveSetting('optimizationRuns');
+
+  return [
+    validateSettings(targetSettings || {}, 'the network profile'),
+    validateSettings(configured, configFileName()),
+    validateSettings(runs.value === undefined ? {} : { optimizer: { runs: runs.value } }, `${runs.name} (${runs.source})`),
+    validateSettings(overrides || {}, 'the deployment options')
+  ].reduce(mergeSettings, DEFAULT_SETTINGS);
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  mergeSettings,
+  isOptimizerRuns,
+  parseOptimizerRuns,
+  validateSettings,
+  resolveSettings
+};
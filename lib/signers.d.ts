@@ -0,0 +1,16 @@
+import type { Account, LocalAccount } from 'viem';
+
+export interface RemoteSignerOptions {
+  url: string;
+  address: string;
+  token?: string;
+}
+
+export function localSigner(privateKey: string): LocalAccount;
+export function keystoreSigner(name: string, passphrase?: string): LocalAccount;
+export function remoteSigner(options: RemoteSignerOptions): LocalAccount;
+export function toRpcTransaction(address: string, transaction: Record<string, any>): Record<string, any>;
+export function fromRpcTransaction(request: Record<string, any>): Record<string, any>;
+export function registerSignerBackend(kind: string, create: (options: any) => Account): void;
+export function createSigner(kind: string, options: any): Account;
+export function createEthersSigner(ethers: any, account: Account, provider?: any): any;
@@ -0,0 +1,320 @@
+/**
+ * Signers
+ * Everything that signs goes through a signer: a viem account whose address
+ * is known up front and whose signTransaction, signMessage and signTypedData
+ * may run in this process or elsewhere. Backends:
+ *
+ *   local     a private key held by this process (PRIVATE_KEY, dev accounts, env, mnemonic and hd accounts)
+ *   keystore  a keystore account, unlocked in this process (see keystore.js)
+ *   remote    a signer daemon holding the key in another process, reached over JSON-RPC
+ *             (eth_signTransaction, personal_sign and eth_signTypedData_v4)
+ *
+ * The remote backend keeps keys out of the process an AI agent drives. Run
+ * `npm run signer -- <account>` (or any daemon that implements
+ * eth_signTransaction, such as a node with unlocked accounts) and point an
+ * entry of the account book at it:
+ *
+ *   "accounts": { "deployer": { "remote": "http://127.0.0.1:8550", "address": "0x..." } }
+ *
+ * Requests carry the daemon's token as `Authorization: Bearer <token>`.
+ * Transactions are filled in (nonce, gas, fees, chain ID) before they are
+ * sent to the daemon, and what it returns is checked against the request.
+ * Further backends can be added with registerSignerBackend; ethers code uses
+ * any signer through createEthersSigner.
+ */
+
+const {
+  getAddress,
+  isAddress,
+  isAddressEqual,
+  toHex,
+  numberToHex,
+  hexToNumber,
+  hexToBigInt,
+  formatTransactionRequest,
+  getTransactionType,
+  parseTransaction,
+  recoverTransactionAddress,
+  serializeTypedData,
+  getTypesForEIP712Domain
+} = require('viem');
+const { privateKeyToAccount, toAccount } = require('viem/accounts');
+const { unlockAccount } = require('./keystore');
+
+// JSON-RPC transaction types and the viem names of those a signer daemon may be asked to sign
+const TRANSACTION_TYPES = { '0x0': 'legacy', '0x1': 'eip2930', '0x2': 'eip1559' };
+
+/**
+ * Creates a signer for a private key held by this process
+ * @param {string} privateKey - Private key, with or without 0x
+ * @returns {Object} viem account
+ */
+function localSigner(privateKey) {
+  const normalizedKey = String(privateKey).replace(/^0x/, '');
+
+  if (!/^[0-9a-fA-F]{64}$/.test(normalizedKey)) {
+    throw new Error('Invalid private key format. The private key must be a 64-character hex string.');
+  }
+  return privateKeyToAccount(`0x${normalizedKey}`);
+}
+
+/**
+ * Creates a signer for a keystore account
+ * @param {string} name - Keystore account name
+ * @param {string} [passphrase] - Its passphrase (defaults to MONDEPLOYER_KEYSTORE_PASSWORD)
+ * @returns {Object} viem account
+ */
+function keystoreSigner(name, passphrase) {
+  return localSigner(unlockAccount(name, passphrase));
+}
+
+/**
+ * Sends a JSON-RPC request to a signer daemon
+ * @param {string} url - URL of the daemon
+ * @param {string} [token] - Bearer token of the daemon
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - Its parameters
+ * @returns {Promise<*>} The result
+ */
+async function signerRequest(url, token, method, params) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+    });
+  } catch (error) {
+    throw new Error(`Cannot reach the signer at ${url}: ${error.cause ? error.cause.message : error.message}`);
+  }
+
+  let body;
+  try {
+    body = await response.json();
+  } catch (error) {
+    throw new Error(`The signer at ${url} answered ${method} with HTTP ${response.status} and no JSON-RPC response`);
+  }
+  if (body.error) {
+    throw new Error(`The signer at ${url} refused ${method}: ${body.error.message}`);
+  }
+  return body.result;
+}
+
+/**
+ * Converts a filled-in viem transaction to an eth_signTransaction request
+ * @param {string} address - Account that signs
+ * @param {Object} transaction - viem transaction (nonce, gas, fees and chainId set)
+ * @returns {Object} JSON-RPC transaction request
+ */
+function toRpcTransaction(address, transaction) {
+  return {
+    ...formatTransactionRequest(transaction),
+    from: address,
+    chainId: numberToHex(transaction.chainId)
+  };
+}
+
+/**
+ * Converts an eth_signTransaction request to a viem transaction
+ * @param {Object} request - JSON-RPC transaction request
+ * @returns {Object} viem transaction, ready to sign
+ */
+function fromRpcTransaction(request) {
+  const quantity = value => (value === undefined || value === null ? undefined : hexToBigInt(value));
+  const type = TRANSACTION_TYPES[request.type || (request.maxFeePerGas ? '0x2' : '0x0')];
+
+  if (!type) {
+    throw new Error(`Unsupported transaction type ${request.type} (supported: ${Object.keys(TRANSACTION_TYPES).join(', ')})`);
+  }
+  const missing = ['chainId', 'nonce', 'gas'].filter(field => request[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`The transaction has no ${missing.join(', ')}; the signer signs complete transactions only`);
+  }
+
+  return {
+    type,
+    chainId: hexToNumber(request.chainId),
+    nonce: hexToNumber(request.nonce),
+    to: request.to || undefined,
+    value: quantity(request.value),
+    data: request.data || request.input,
+    gas: quantity(request.gas),
+    gasPrice: quantity(request.gasPrice),
+    maxFeePerGas: quantity(request.maxFeePerGas),
+    maxPriorityFeePerGas: quantity(request.maxPriorityFeePerGas),
+    ...(type !== 'legacy' && { accessList: request.accessList || [] })
+  };
+}
+
+/**
+ * Checks that a transaction signed elsewhere is the one that was requested
+ * @param {string} url - URL of the signer, for error messages
+ * @param {string} address - Account that should have signed
+ * @param {Object} transaction - The viem transaction that was requested
+ * @param {string} serializedTransaction - The signed transaction
+ * @returns {Promise<void>}
+ */
+async function checkSignedTransaction(url, address, transaction, serializedTransaction) {
+  const signer = await recoverTransactionAddress({ serializedTransaction });
+  if (!isAddressEqual(signer, address)) {
+    throw new Error(`The signer at ${url} signed with ${signer} instead of ${address}`);
+  }
+
+  const signed = parseTransaction(serializedTransaction);
+  const fields = {
+    chainId: [signed.chainId, transaction.chainId],
+    nonce: [signed.nonce, transaction.nonce],
+    to: [signed.to && signed.to.toLowerCase(), transaction.to && transaction.to.toLowerCase()],
+    value: [signed.value || 0n, transaction.value || 0n],
+    data: [signed.data || '0x', transaction.data || '0x'],
+    gas: [signed.gas, transaction.gas],
+    gasPrice: [signed.gasPrice, transaction.gasPrice],
+    maxFeePerGas: [signed.maxFeePerGas, transaction.maxFeePerGas],
+    maxPriorityFeePerGas: [signed.maxPriorityFeePerGas, transaction.maxPriorityFeePerGas],
+    type: [signed.type, transaction.type || getTransactionType(transaction)]
+  };
+  const changed = Object.keys(fields).filter(field => fields[field][0] !== fields[field][1]);
+  if (changed.length > 0) {
+    throw new Error(`The signer at ${url} returned a transaction with a different ${changed.join(', ')} than requested`);
+  }
+}
+
+/**
+ * Creates a signer for an account whose key is held by a signer daemon
+ * @param {Object} options - Signer options
+ * @param {string} options.url - URL of the daemon's JSON-RPC endpoint
+ * @param {string} options.address - Address of the account the daemon signs for
+ * @param {string} [options.token] - Bearer token the daemon requires
+ * @returns {Object} viem account
+ */
+function remoteSigner({ url, address, token }) {
+  if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+    throw new Error(`Invalid signer URL "${url}" (expected http:// or https://)`);
+  }
+  if (!isAddress(address)) {
+    throw new Error(`Invalid address "${address}" for the signer at ${url}`);
+  }
+  const checksummed = getAddress(address);
+
+  return toAccount({
+    address: checksummed,
+
+    async signTransaction(transaction) {
+      const result = await signerRequest(url, token, 'eth_signTransaction', [toRpcTransaction(checksummed, transaction)]);
+      // Some daemons answer with { raw, tx } rather than the raw transaction
+      const serializedTransaction = typeof result === 'string' ? result : result && result.raw;
+      await checkSignedTransaction(url, checksummed, transaction, serializedTransaction);
+      return serializedTransaction;
+    },
+
+    signMessage({ message }) {
+      const data = typeof message === 'string' ? toHex(message) : typeof message.raw === 'string' ? message.raw : toHex(message.raw);
+      return signerRequest(url, token, 'personal_sign', [data, checksummed]);
+    },
+
+    signTypedData(typedData) {
+      // The domain is only serialized when its type is given
+      const types = { EIP712Domain: getTypesForEIP712Domain({ domain: typedData.domain }), ...typedData.types };
+      return signerRequest(url, token, 'eth_signTypedData_v4', [checksummed, serializeTypedData({ ...typedData, types })]);
+    }
+  });
+}
+
+// Signer backends by kind; each creates a viem account from its options
+const SIGNER_BACKENDS = {
+  local: ({ privateKey }) => localSigner(privateKey),
+  keystore: ({ name, passphrase }) => keystoreSigner(name, passphrase),
+  remote: options => remoteSigner(options)
+};
+
+/**
+ * Adds a signer backend, or replaces one
+ * @param {string} kind - Backend name
+ * @param {Function} create - Creates a viem account from the backend's options
+ */
+function registerSignerBackend(kind, create) {
+  if (typeof create !== 'function') {
+    throw new Error(`Signer backend "${kind}" must be a function that creates an account`);
+  }
+  SIGNER_BACKENDS[kind] = create;
+}
+
+/**
+ * Creates a signer
+ * @param {string} kind - Backend: local, keystore, remote or a registered one
+ * @param {Object} options - Options of the backend
+ * @returns {Object} viem account
+ */
+function createSigner(kind, options) {
+  const create = SIGNER_BACKENDS[kind];
+
+  if (!create) {
+    throw new Error(`Unknown signer backend "${kind}" (supported: ${Object.keys(SIGNER_BACKENDS).join(', ')})`);
+  }
+  return create(options);
+}
+
+/**
+ * Wraps a signer as an ethers v6 signer
+ * @param {Object} ethers - The ethers module
+ * @param {Object} account - viem account, as returned by createSigner
+ * @param {Object} [provider] - ethers provider the signer sends through
+ * @returns {Object} ethers signer
+ */
+function createEthersSigner(ethers, account, provider) {
+  class AccountSigner extends ethers.AbstractSigner {
+    constructor(runner) {
+      super(runner);
+      this.address = account.address;
+    }
+
+    getAddress() {
+      return Promise.resolve(account.address);
+    }
+
+    connect(runner) {
+      return new AccountSigner(runner);
+    }
+
+    async signTransaction(request) {
+      // An unsigned ethers Transaction cannot carry a from address
+      const fields = { ...(await this.populateTransaction(request)) };
+      delete fields.from;
+      const tx = ethers.Transaction.from(fields);
+      const fees = tx.type === 2
+        ? { type: 'eip1559', maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas, accessList: tx.accessList }
+        : { type: tx.type === 1 ? 'eip2930' : 'legacy', gasPrice: tx.gasPrice, ...(tx.type === 1 && { accessList: tx.accessList }) };
+
+      return account.signTransaction({
+        chainId: Number(tx.chainId),
+        nonce: tx.nonce,
+        to: tx.to || undefined,
+        value: tx.value,
+        data: tx.data,
+        gas: tx.gasLimit,
+        ...fees
+      });
+    }
+
+    signMessage(message) {
+      return account.signMessage({ message: typeof message === 'string' ? message : { raw: ethers.getBytes(message) } });
+    }
+
+    signTypedData(domain, types, value) {
+      return account.signTypedData({ domain, types, primaryType: ethers.TypedDataEncoder.getPrimaryType(types), message: value });
+    }
+  }
+
+  return new AccountSigner(provider);
+}
+
+module.exports = {
+  localSigner,
+  keystoreSigner,
+  remoteSigner,
+  toRpcTransaction,
+  fromRpcTransaction,
+  registerSignerBackend,
+  createSigner,
+  createEthersSigner
+};
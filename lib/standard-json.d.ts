@@ -0,0 +1,19 @@
+import { Deployment } from './registry';
+
+export interface BuildInfo {
+  compiledName: string;
+  sourceName: string;
+  bytecode: string;
+  deployedBytecode: string;
+}
+
+export interface VerifyBuildResult {
+  contract: string;
+  compilerVersion: string;
+  inputPath: string;
+  identical: boolean;
+  mismatches: Array<'bytecode' | 'deployedBytecode'>;
+}
+
+export function buildInfo(build: { name: string; sourceName: string; bytecode: string; deployedBytecode: string }): BuildInfo;
+export function verifyBuild(artifact: Deployment): VerifyBuildResult;
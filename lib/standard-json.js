@@ -0,0 +1,88 @@
+/**
+ * Standard-JSON build inputs
+ * The exact standard-JSON input that went to solc is saved with each
+ * deployment in the registry, so the build can be verified on an explorer or
+ * reproduced later. This module recompiles from it to prove the bytecode matches.
+ */
+
+const fs = require('fs');
+const { lookupCompiler, loadCompiler } = require('./compiler-store');
+const { collectDiagnostics, assertNoErrors } = require('./diagnostics');
+
+/**
+ * Describes a build in the fields stored in the deployment registry
+ * The standard-JSON input itself is written by the registry next to the entry.
+ * `compiledName` is the contract's name in the compiler output, which differs
+ * from the registry name for proxy implementations and upgraded proxies.
+ * @param {Object} build - `{ name, sourceName, bytecode, deployedBytecode }` of the compiled contract
+ * @returns {Object} `{ compiledName, sourceName, bytecode, deployedBytecode }`
+ */
+function buildInfo(build) {
+  return {
+    compiledName: build.name,
+    sourceName: build.sourceName,
+    bytecode: build.bytecode,
+    deployedBytecode: build.deployedBytecode
+  };
+}
+
+/**
+ * Recompiles a deployment from its standard-JSON input and compares the bytecode
+ * @param {Object} artifact - Deployment from the registry (see registry.getDeployment)
+ * @returns {Object} `{ contract, compilerVersion, inputPath, identical, mismatches }`
+ */
+function verifyBuild(artifact) {
+  const { contractName, sourceName, compilerVersion, inputPath } = artifact;
+  const label = `${contractName} v${artifact.version}`;
+  // Records made before compiledName was stored were always named after the contract
+  const compiledName = artifact.compiledName || contractName;
+
+  if (!inputPath || !sourceName || !compilerVersion) {
+    throw new Error(`${label} has no standard-JSON input recorded (deploy it again to create one)`);
+  }
+
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Standard-JSON input ${inputPath} is missing`);
+  }
+
+  // A different compiler can never reproduce the bytecode, so never fall back to the bundled one
+  const found = lookupCompiler(compilerVersion);
+  if (found.longVersion !== compilerVersion.replace(/^v/, '')) {
+    throw new Error(`Solidity ${compilerVersion} is not installed (run: npm run solc -- install ${compilerVersion.split('+')[0]})`);
+  }
+
+  const input = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  const { solc } = loadCompiler(compilerVersion, found);
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+
+  assertNoErrors(collectDiagnostics(output, input.sources));
+
+  const compiled = ((output.contracts || {})[sourceName] || {})[compiledName];
+  if (!compiled) {
+    throw new Error(`${sourceName}:${compiledName} is not in the recompiled output`);
+  }
+
+  const mismatches = [];
+  if (artifact.bytecode && `0x${compiled.evm.bytecode.object}` !== artifact.bytecode) {
+    mismatches.push('bytecode');
+  }
+  if (artifact.deployedBytecode && `0x${compiled.evm.deployedBytecode.object}` !== artifact.deployedBytecode) {
+    mismatches.push('deployedBytecode');
+  }
+  if (!artifact.bytecode && !artifact.deployedBytecode) {
+    throw new Error(`${label} records no bytecode to compare against`);
+  }
+
+  return {
+    contract: `${sourceName}:${compiledName}`,
+    compilerVersion,
+    inputPath,
+    identical: mismatches.length === 0,
+    mismatches
+  };
+}
+
+module.exports = {
+  buildInfo,
+  verifyBuild
+};
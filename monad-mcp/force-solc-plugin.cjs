@@ -2,7 +2,7 @@
 
 /**
  * FORCE-SOLC MCP Plugin for Claude
- * Always uses local Solidity 0.8.28 for compilation, ignoring pragma in source
+ * Compiles with the newest installed Solidity version that satisfies the pragma in source
  */
 
 // Force CommonJS mode with .cjs extension
@@ -12,6 +12,15 @@ const { z } = require("zod");
 const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
+const { compileSource } = require('../lib/compiler');
+const { selectContract } = require('../lib/contracts');
+const { hasErrors } = require('../lib/diagnostics');
+const { collectLibraries, libraryRecord, linkLibraries } = require('../lib/linking');
+const { compiledEvmVersion, networkLimits, preflight } = require('../lib/preflight');
+const { getNetwork, parseNetworkFlag, createEthersProvider, explorerTxUrl } = require('../lib/networks');
+const { trackTransaction } = require('../lib/journal');
+const { resolveSetting } = require('../lib/config');
+const { resolvePrivateKey } = require('../lib/accounts');
 
 // IMPORTANT: Redirect console.log to stderr before anything else
 const originalConsoleLog = console.log;
@@ -24,114 +33,48 @@ function log(message) {
   console.error(`[FORCE-SOLC] ${message}`);
 }
 
-// IMPORTANT: Use the exact local solc 0.8.28 installation
-let solc;
+// Try to load private key from the environment, .env or env.js
+const privateKeySetting = resolveSetting('privateKey');
+let PRIVATE_KEY = privateKeySetting.value;
 try {
-  // Explicitly load the local solc from node_modules
-  const solcPath = require.resolve('solc', { paths: [process.cwd()] });
-  log(`Loading solc from: ${solcPath}`);
-  solc = require(solcPath);
-  
-  // Verify its version
-  const version = JSON.parse(solc.version());
-  log(`Loaded solc version: ${version.compiler.version}`);
-  
-  if (version.compiler.version !== '0.8.28') {
-    throw new Error(`Expected solc 0.8.28 but got ${version.compiler.version}`);
-  }
-} catch (error) {
-  console.error(`[FORCE-SOLC] Failed to load local solc@0.8.28: ${error.message}`);
-  console.error(`[FORCE-SOLC] Please run: npm install solc@0.8.28 --save-exact`);
-  process.exit(1);
-}
-
-// Try to load private key from env.js
-let PRIVATE_KEY;
-try {
-  const envFile = require('../env.js');
-  PRIVATE_KEY = envFile.PRIVATE_KEY;
   if (PRIVATE_KEY) {
     const wallet = new ethers.Wallet(PRIVATE_KEY);
-    log(`Loaded private key for address: ${wallet.address.substring(0, 6)}...${wallet.address.substring(38)}`);
+    log(`Loaded private key from ${privateKeySetting.source} for address: ${wallet.address.substring(0, 6)}...${wallet.address.substring(38)}`);
   } else {
-    log(`WARNING: PRIVATE_KEY is undefined in env.js`);
+    log(`WARNING: PRIVATE_KEY is not set in the environment, .env or env.js`);
   }
 } catch (error) {
-  log(`WARNING: Failed to load env.js: ${error.message}`);
+  log(`WARNING: Failed to load PRIVATE_KEY from ${privateKeySetting.source}: ${error.message}`);
 }
 
-// Force Solidity version to 0.8.28 in source code
-function forceVersion(source) {
-  if (!source || typeof source !== 'string') {
-    return "// SPDX-License-Identifier: MIT\npragma solidity 0.8.28;\n\ncontract SimpleStorage {\n    uint256 private value;\n    function setValue(uint256 _newValue) public { value = _newValue; }\n    function getValue() public view returns (uint256) { return value; }\n}";
-  }
-  
-  // Replace any pragma version with 0.8.28
-  const pragmaRegex = /pragma\s+solidity\s+([^;]+);/;
-  const pragmaMatch = source.match(pragmaRegex);
-  
-  if (pragmaMatch) {
-    const originalVersion = pragmaMatch[1];
-    log(`Replacing Solidity version '${originalVersion}' with '0.8.28'`);
-    return source.replace(pragmaRegex, 'pragma solidity 0.8.28;');
-  } else {
-    // No pragma found, add one at the top
-    log('No pragma found, adding version 0.8.28');
-    return `pragma solidity 0.8.28;\n\n${source}`;
-  }
-}
+// Network profile to deploy to (--network or MONDEPLOYER_NETWORK)
+const network = getNetwork(parseNetworkFlag(process.argv.slice(2)).network);
+log(`Using network ${network.key}: ${network.rpcUrls.join(', ')}`);
 
-// Extract contract name from source
-function extractContractName(source) {
-  const contractMatch = source.match(/contract\s+([a-zA-Z0-9_]+)/);
-  return contractMatch && contractMatch[1] ? contractMatch[1] : 'SimpleContract';
-}
+// The account selected with MONDEPLOYER_ACCOUNT (or a dev account) signs instead of PRIVATE_KEY when set
+PRIVATE_KEY = resolvePrivateKey(network, PRIVATE_KEY);
 
-// Compile contract with local solc
-function compileWithLocalSolc(source) {
-  log('Compiling with local solc 0.8.28...');
-  
+// Compile contract with a compiler that satisfies its pragma
+function compileWithLocalSolc(source, requestedName) {
   try {
-    // Prepare compilation input (exactly as expected by solc.compile)
-    const input = {
-      language: 'Solidity',
-      sources: { 
-        'Contract.sol': { content: source } 
-      },
-      settings: {
-        outputSelection: {
-          '*': { '*': ['abi', 'evm.bytecode.object'] }
-        },
-        optimizer: { enabled: true, runs: 200 }
-      }
-    };
-    
-    // Convert input to JSON string
-    const inputJSON = JSON.stringify(input);
-    
-    // Compile using local solc
-    const outputJSON = solc.compile(inputJSON);
-    
-    // Parse output
-    const output = JSON.parse(outputJSON);
+    // Pick the newest allowed compiler that satisfies the pragma and compile with imports
+    const { output, diagnostics, compiler, cached } = compileSource({
+      sourceName: 'Contract.sol',
+      content: source,
+      network
+    });
+    log(`Compiled with Solidity ${compiler.longVersion} (${compiler.source}${cached ? ', cached' : ''})`);
     
     // Check for errors
-    if (output.errors && output.errors.some(e => e.severity === 'error')) {
-      const errors = output.errors.filter(e => e.severity === 'error');
+    if (hasErrors(diagnostics)) {
+      const errors = diagnostics.filter(d => d.severity === 'error');
       log(`Compilation failed with ${errors.length} error(s):`);
-      log(errors[0].formattedMessage || errors[0].message);
-      return { success: false, error: errors[0].formattedMessage || errors[0].message };
+      log(`${errors[0].file}:${errors[0].line}:${errors[0].column}: ${errors[0].message}`);
+      return { success: false, error: `Compilation failed with ${errors.length} error(s)`, diagnostics };
     }
     
-    // Get contract data
-    const contracts = output.contracts['Contract.sol'];
-    if (!contracts || Object.keys(contracts).length === 0) {
-      return { success: false, error: 'No contracts found in compilation output' };
-    }
-    
-    // Get the first contract if multiple were defined
-    const contractName = Object.keys(contracts)[0];
-    const contract = contracts[contractName];
+    // Pick the contract to deploy from the AST; refuses ambiguous sources
+    const { name: contractName, contract } = selectContract(output, 'Contract.sol', requestedName);
     
     log(`Successfully compiled contract: ${contractName}`);
     
@@ -139,7 +82,13 @@ function compileWithLocalSolc(source) {
       success: true,
       contractName: contractName,
       abi: contract.abi,
-      bytecode: '0x' + contract.evm.bytecode.object
+      bytecode: '0x' + contract.evm.bytecode.object,
+      deployedBytecode: '0x' + contract.evm.deployedBytecode.object,
+      evmVersion: compiledEvmVersion(contract),
+      linkReferences: contract.evm.bytecode.linkReferences,
+      libraries: collectLibraries(output, contract.evm.bytecode.linkReferences),
+      compilerVersion: compiler.longVersion,
+      diagnostics
     };
   } catch (error) {
     log(`Compilation error: ${error.message}`);
@@ -148,32 +97,65 @@ function compileWithLocalSolc(source) {
 }
 
 // Compile and deploy contract
-async function compileAndDeploy(sourceCode, constructorArgs = []) {
+async function compileAndDeploy(sourceCode, constructorArgs = [], contractName) {
   if (!PRIVATE_KEY) {
-    return { success: false, error: "No private key found in env.js" };
+    return { success: false, error: "No private key found in the environment, .env, env.js or the keystore" };
   }
   
-  // Force correct version
-  const fixedSource = forceVersion(sourceCode);
-  const contractName = extractContractName(fixedSource);
-  log(`Preparing to compile contract '${contractName}' with Solidity 0.8.28`);
+  log(`Preparing to compile contract '${contractName || '(auto-detect)'}'`);
   
   try {
-    // Compile with local solc
-    const compilationResult = compileWithLocalSolc(fixedSource);
+    // Compile the contract
+    const compilationResult = compileWithLocalSolc(sourceCode, contractName);
     
     if (!compilationResult.success) {
       return compilationResult;
     }
     
-    const { abi, bytecode } = compilationResult;
+    const { abi } = compilationResult;
+    
+    // Refuse deployments that would run into the size limits before spending gas
+    const report = preflight({
+      name: compilationResult.contractName,
+      initCode: compilationResult.bytecode + new ethers.Interface(abi).encodeDeploy(constructorArgs).slice(2),
+      deployedBytecode: compilationResult.deployedBytecode,
+      evmVersion: compilationResult.evmVersion
+    }, networkLimits(network));
+    report.warnings.forEach(warning => log(`⚠️ ${warning.message}`));
+    
+    if (report.errors.length > 0) {
+      return { success: false, error: `Preflight failed: ${report.errors.map(issue => issue.message).join('; ')}`, preflight: report };
+    }
     
     // Deploy contract
     try {
-      log('Deploying to Monad testnet...');
-      const provider = new ethers.JsonRpcProvider('https://testnet-rpc.monad.xyz');
+      log(`Deploying to ${network.name}...`);
+      const provider = createEthersProvider(ethers, network);
       const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
       
+      // Link the libraries the contract uses, deploying the ones that are not on chain yet
+      const { bytecode, libraries } = await linkLibraries({
+        bytecode: compilationResult.bytecode,
+        linkReferences: compilationResult.linkReferences,
+        libraries: compilationResult.libraries,
+        getCode: address => provider.getCode(address),
+        chainId: Number((await provider.getNetwork()).chainId),
+        deploy: async library => {
+          const libraryFactory = new ethers.ContractFactory(library.abi, library.bytecode, wallet);
+          const deployedLibrary = await libraryFactory.deploy();
+          const libraryReceipt = await trackTransaction(network.chainId, {
+            hash: deployedLibrary.deploymentTransaction().hash,
+            network: network.key,
+            from: wallet.address,
+            description: `Deployment of library ${library.id}`,
+            deployment: libraryRecord(library, { compilerVersion: compilationResult.compilerVersion })
+          }, () => deployedLibrary.deploymentTransaction().wait(network.confirmations));
+          return { address: deployedLibrary.target, transactionHash: libraryReceipt.hash };
+        },
+        record: { compilerVersion: compilationResult.compilerVersion },
+        log
+      });
+      
       // Deploy contract
       const factory = new ethers.ContractFactory(abi, bytecode, wallet);
       log('Broadcasting transaction...');
@@ -182,9 +164,20 @@ async function compileAndDeploy(sourceCode, constructorArgs = []) {
       const txHash = deployedContract.deploymentTransaction().hash;
       log(`Transaction hash: ${txHash}`);
       
-      // Wait for confirmation
+      // Wait for confirmation, keeping the transaction in the pending journal until the receipt arrives
       log('Waiting for confirmation...');
-      const receipt = await deployedContract.deploymentTransaction().wait();
+      const receipt = await trackTransaction(network.chainId, {
+        hash: txHash,
+        network: network.key,
+        from: wallet.address,
+        description: `Deployment of ${compilationResult.contractName}`,
+        deployment: {
+          contractName: compilationResult.contractName,
+          abi,
+          compilerVersion: compilationResult.compilerVersion,
+          libraries: Object.fromEntries(Object.entries(libraries).map(([id, library]) => [id, library.address]))
+        }
+      }, () => deployedContract.deploymentTransaction().wait(network.confirmations));
       
       if (!receipt || !deployedContract.target) {
         throw new Error('Deployment failed - no contract address returned');
@@ -200,7 +193,10 @@ async function compileAndDeploy(sourceCode, constructorArgs = []) {
         transactionHash: txHash,
         abi: abi,
         contractName: compilationResult.contractName,
-        explorerUrl: `https://explorer.testnet.monad.xyz/tx/${txHash}`
+        libraries,
+        diagnostics: compilationResult.diagnostics,
+        warnings: report.warnings,
+        explorerUrl: explorerTxUrl(network, txHash)
       };
     } catch (error) {
       log(`Deployment error: ${error.message}`);
@@ -221,11 +217,11 @@ const server = new McpServer({
 // Register the deploy-contract tool
 server.tool(
   "deploy-contract",
-  "Deploy a Solidity contract to Monad testnet (forces version 0.8.28)",
+  "Deploy a Solidity contract to Monad testnet",
   {
-    sourceCode: z.string().describe("Solidity source code (will be compiled with 0.8.28)"),
+    sourceCode: z.string().describe("Solidity source code (compiled with the newest installed compiler that satisfies its pragma)"),
     constructorArgs: z.array(z.any()).optional().describe("Constructor arguments"),
-    contractName: z.string().optional().describe("Contract name (optional)")
+    contractName: z.string().optional().describe("Contract to deploy (required if the source defines more than one deployable contract)")
   },
   async (input) => {
     log("Received deploy-contract request");
@@ -249,7 +245,7 @@ server.tool(
       const constructorArgs = input.constructorArgs || [];
       
       // Compile and deploy
-      const result = await compileAndDeploy(input.sourceCode, constructorArgs);
+      const result = await compileAndDeploy(input.sourceCode, constructorArgs, input.contractName);
       
       // Return result as JSON
       return {
@@ -302,7 +298,7 @@ async function main() {
     });
     
     await server.connect(transport);
-    log("FORCE-SOLC MCP plugin running - ALWAYS forcing Solidity 0.8.28");
+    log("FORCE-SOLC MCP plugin running - compiler selected from each contract's pragma");
   } catch (error) {
     log(`Fatal error: ${error.message}`);
     process.exit(1);
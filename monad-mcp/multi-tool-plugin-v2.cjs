@@ -14,6 +14,15 @@ const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
 const solc = require('solc');
+const { compileSource } = require('../lib/compiler');
+const { selectContract } = require('../lib/contracts');
+const { assertNoErrors } = require('../lib/diagnostics');
+const { collectLibraries, libraryRecord, linkLibraries } = require('../lib/linking');
+const { compiledEvmVersion, networkLimits, assertPreflight } = require('../lib/preflight');
+const { getNetwork, parseNetworkFlag, createEthersProvider, explorerTxUrl } = require('../lib/networks');
+const { trackTransaction } = require('../lib/journal');
+const { getSetting } = require('../lib/config');
+const { resolvePrivateKey } = require('../lib/accounts');
 
 // IMPORTANT: Redirect console.log to stderr
 const originalConsoleLog = console.log;
@@ -26,6 +35,9 @@ function log(message) {
   console.error(`[MCP] ${message}`);
 }
 
+// Network profile the tools use (--network or MONDEPLOYER_NETWORK, default monad-testnet)
+const NETWORK_NAME = parseNetworkFlag(process.argv.slice(2)).network;
+
 // Override stdout.write to ensure only valid JSON is output
 const originalStdoutWrite = process.stdout.write;
 process.stdout.write = function(chunk, encoding, callback) {
@@ -78,85 +90,35 @@ try {
   log(`[DEPLOY] Error getting solc version: ${error.message}`);
 }
 
-// Force Solidity version 0.8.28 in source code
-function forceVersion(source) {
-  if (!source || typeof source !== 'string') {
-    return "// SPDX-License-Identifier: MIT\npragma solidity 0.8.28;\n\ncontract SimpleStorage {\n    uint256 private value;\n    function setValue(uint256 _newValue) public { value = _newValue; }\n    function getValue() public view returns (uint256) { return value; }\n}";
-  }
-  
-  // Replace any pragma version with 0.8.28
-  const pragmaRegex = /pragma\s+solidity\s+([^;]+);/;
-  const pragmaMatch = source.match(pragmaRegex);
-  
-  if (pragmaMatch) {
-    const originalVersion = pragmaMatch[1];
-    log(`[DEPLOY] Replacing Solidity version '${originalVersion}' with '0.8.28'`);
-    return source.replace(pragmaRegex, 'pragma solidity 0.8.28;');
-  } else {
-    // No pragma found, add one at the top
-    log('[DEPLOY] No pragma found, adding version 0.8.28');
-    return `pragma solidity 0.8.28;\n\n${source}`;
-  }
-}
-
-// Extract contract name from source
-function extractContractName(source) {
-  const contractMatch = source.match(/contract\s+([a-zA-Z0-9_]+)/);
-  return contractMatch && contractMatch[1] ? contractMatch[1] : 'SimpleContract';
-}
-
 // Compile Solidity code using solc
-function compileSolidity(source, contractName) {
-  log(`[DEPLOY] Compiling contract: ${contractName || 'Unknown'}`);
-  
-  const input = {
-    language: 'Solidity',
-    sources: {
-      'contract.sol': {
-        content: source
-      }
-    },
-    settings: {
-      outputSelection: {
-        '*': {
-          '*': ['abi', 'evm.bytecode']
-        }
-      },
-      optimizer: {
-        enabled: true,
-        runs: 200
-      }
-    }
-  };
+function compileSolidity(source, contractName, settings) {
+  log(`[DEPLOY] Compiling contract: ${contractName || '(auto-detect)'}`);
   
   try {
-    const output = JSON.parse(solc.compile(JSON.stringify(input)));
-    
-    if (output.errors) {
-      const hasErrors = output.errors.some(error => error.severity === 'error');
-      if (hasErrors) {
-        const errorMessages = output.errors.map(e => e.message).join('\n');
-        log(`[DEPLOY] Compilation errors: ${errorMessages}`);
-        throw new Error(`Compilation failed: ${errorMessages}`);
-      }
-      
-      // Just warnings, continue
-      log(`[DEPLOY] Compilation warnings: ${output.errors.length}`);
-    }
+    // Pick the newest allowed compiler that satisfies the pragma and compile with imports
+    const { output, diagnostics, settings: compilerSettings, compiler, cached } = compileSource({
+      sourceName: 'contract.sol',
+      content: source,
+      settings,
+      network: getNetwork(NETWORK_NAME)
+    });
+    log(`[DEPLOY] Compiled with Solidity ${compiler.longVersion} (${compiler.source}${cached ? ', cached' : ''})`);
     
-    // Find the contract
-    const compiledContract = output.contracts['contract.sol'][contractName];
-    if (!compiledContract) {
-      // Try to find any contract if the named one wasn't found
-      const contractKey = Object.keys(output.contracts['contract.sol'])[0];
-      if (!contractKey) {
-        throw new Error('No compiled contracts found');
-      }
-      log(`[DEPLOY] Contract ${contractName} not found, using ${contractKey} instead`);
-      return output.contracts['contract.sol'][contractKey];
+    // Fail with structured diagnostics (severity, code, file, line/column, snippet)
+    assertNoErrors(diagnostics);
+    
+    if (diagnostics.length > 0) {
+      log(`[DEPLOY] Compilation warnings: ${diagnostics.length}`);
     }
     
-    return compiledContract;
+    // Pick the contract to deploy from the AST; refuses ambiguous sources
+    const { name, contract } = selectContract(output, 'contract.sol', contractName);
+    log(`[DEPLOY] Selected contract: ${name}`);
+    
+    // Libraries the contract has to be linked against before it can be deployed
+    const libraries = collectLibraries(output, contract.evm.bytecode.linkReferences);
+    
+    return { ...contract, contractName: name, libraries, compilerVersion: compiler.longVersion, compilerSettings, diagnostics };
   } catch (error) {
     log(`[DEPLOY] Compilation error: ${error.message}`);
     throw error;
@@ -164,55 +126,74 @@ function compileSolidity(source, contractName) {
 }
 
 // Deploy contract
-async function deployContract(source, constructorArgs = []) {
+async function deployContract(source, constructorArgs = [], contractName, settings, libraryAddresses, account) {
   try {
-    // Load fresh private key and RPC from env.js within the deploy function
-    let PRIVATE_KEY;
-    let RPC_URL = "https://testnet-rpc.monad.xyz"; // Monad testnet RPC URL
-    let CHAIN_ID = 10143; // Monad testnet chain ID
+    // Load a fresh private key from the environment, .env or env.js within the deploy function
+    let PRIVATE_KEY = getSetting('privateKey');
     
-    try {
-      const envFile = require('../env.js');
-      PRIVATE_KEY = envFile.PRIVATE_KEY;
-      if (envFile.RPC_URL) {
-        RPC_URL = envFile.RPC_URL;
-        log(`[DEPLOY] Using RPC URL from env.js: ${RPC_URL}`);
-      }
-      
-      if (!PRIVATE_KEY) {
-        throw new Error("No private key found in env.js");
-      }
-    } catch (error) {
-      throw new Error(`Failed to load env.js: ${error.message}`);
+    // Initialize a fresh provider (failing over between the network's RPC URLs) and wallet just for this deployment
+    
+    const network = getNetwork(NETWORK_NAME);
+    
+    // The named account, or the account selected with MONDEPLOYER_ACCOUNT (or a dev account), signs instead of PRIVATE_KEY when set
+    PRIVATE_KEY = resolvePrivateKey(network, PRIVATE_KEY, account);
+    if (!PRIVATE_KEY) {
+      throw new Error("No private key found in the environment, .env, env.js or the keystore");
     }
     
-    // Initialize fresh provider and wallet just for this deployment
-    const provider = new ethers.JsonRpcProvider(RPC_URL, {
-      chainId: CHAIN_ID,
-      name: 'monad-testnet'
-    });
+    const provider = createEthersProvider(ethers, network);
     
     const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
     log(`[DEPLOY] Initialized wallet with address: ${wallet.address.substring(0, 6)}...${wallet.address.substring(38)}`);
     
-    const fixedSource = forceVersion(source);
-    const contractName = extractContractName(fixedSource);
-    log(`[DEPLOY] Deploying contract: ${contractName} with ${constructorArgs.length} constructor args`);
-    
     // Compile the contract
-    const compiledContract = compileSolidity(fixedSource, contractName);
+    const compiledContract = compileSolidity(source, contractName, settings);
     
     if (!compiledContract) {
       throw new Error('Compilation failed');
     }
     
+    log(`[DEPLOY] Deploying contract: ${compiledContract.contractName} with ${constructorArgs.length} constructor args`);
+    
     const abi = compiledContract.abi;
-    const bytecode = compiledContract.evm.bytecode.object;
     
-    if (!bytecode) {
+    if (!compiledContract.evm.bytecode.object) {
       throw new Error('Bytecode is empty');
     }
     
+    // Refuse deployments that would run into the size limits before spending gas
+    const preflight = assertPreflight({
+      name: compiledContract.contractName,
+      initCode: compiledContract.evm.bytecode.object + new ethers.Interface(abi).encodeDeploy(constructorArgs).slice(2),
+      deployedBytecode: compiledContract.evm.deployedBytecode.object,
+      evmVersion: compiledEvmVersion(compiledContract, compiledContract.compilerSettings)
+    }, networkLimits(network));
+    preflight.warnings.forEach(warning => log(`[DEPLOY] ⚠️ ${warning.message}`));
+    
+    // Link the libraries the contract uses, deploying the ones that are not on chain yet
+    const { bytecode, libraries } = await linkLibraries({
+      bytecode: compiledContract.evm.bytecode.object,
+      linkReferences: compiledContract.evm.bytecode.linkReferences,
+      libraries: compiledContract.libraries,
+      addresses: libraryAddresses,
+      getCode: address => provider.getCode(address),
+      chainId: Number((await provider.getNetwork()).chainId),
+      deploy: async library => {
+        const libraryFactory = new ethers.ContractFactory(library.abi, library.bytecode, wallet);
+        const deployedLibrary = await libraryFactory.deploy();
+        const libraryReceipt = await trackTransaction(network.chainId, {
+          hash: deployedLibrary.deploymentTransaction().hash,
+          network: network.key,
+          from: wallet.address,
+          description: `Deployment of library ${library.id}`,
+          deployment: libraryRecord(library, { compilerVersion: compiledContract.compilerVersion, compilerSettings: compiledContract.compilerSettings })
+        }, () => deployedLibrary.deploymentTransaction().wait(network.confirmations));
+        return { address: deployedLibrary.target, transactionHash: libraryReceipt.hash };
+      },
+      record: { compilerVersion: compiledContract.compilerVersion, compilerSettings: compiledContract.compilerSettings },
+      log: message => log(`[DEPLOY] ${message}`)
+    });
+    
     log(`[DEPLOY] Contract ABI has ${abi.length} functions, bytecode length: ${bytecode.length}`);
     
     // Create contract factory
@@ -225,8 +206,20 @@ async function deployContract(source, constructorArgs = []) {
     log(`[DEPLOY] Contract deployment transaction sent: ${deployedContract.deploymentTransaction().hash}`);
     log(`[DEPLOY] Waiting for deployment confirmation...`);
     
-    // Wait for deployment
-    const receipt = await deployedContract.deploymentTransaction().wait();
+    // Wait for deployment, keeping the transaction in the pending journal until the receipt arrives
+    const receipt = await trackTransaction(network.chainId, {
+      hash: deployedContract.deploymentTransaction().hash,
+      network: network.key,
+      from: wallet.address,
+      description: `Deployment of ${compiledContract.contractName}`,
+      deployment: {
+        contractName: compiledContract.contractName,
+        abi,
+        compilerVersion: compiledContract.compilerVersion,
+        compilerSettings: compiledContract.compilerSettings,
+        libraries: Object.fromEntries(Object.entries(libraries).map(([id, library]) => [id, library.address]))
+      }
+    }, () => deployedContract.deploymentTransaction().wait(network.confirmations));
     
     const contractAddress = deployedContract.target;
     const transactionHash = receipt.hash;
@@ -239,8 +232,13 @@ async function deployContract(source, constructorArgs = []) {
       address: contractAddress,
       transactionHash: transactionHash,
       abi: abi,
-      contractName: contractName,
-      explorerUrl: `https://testnet.monadexplorer.com/tx/${transactionHash}`
+      contractName: compiledContract.contractName,
+      compilerVersion: compiledContract.compilerVersion,
+      compilerSettings: compiledContract.compilerSettings,
+      libraries,
+      diagnostics: compiledContract.diagnostics,
+      warnings: preflight.warnings,
+      explorerUrl: explorerTxUrl(network, transactionHash)
     };
   } catch (error) {
     log(`[DEPLOY] ❌ Deployment error: ${error.message}`);
@@ -253,9 +251,22 @@ server.tool(
   "deploy-contract",
   "Deploy a Solidity contract to Monad testnet",
   {
-    sourceCode: z.string().describe("Solidity source code (will be compiled with 0.8.28)"),
+    sourceCode: z.string().describe("Solidity source code (compiled with the newest installed compiler that satisfies its pragma)"),
     constructorArgs: z.array(z.any()).optional().describe("Constructor arguments"),
-    contractName: z.string().optional().describe("Contract name (optional)")
+    contractName: z.string().optional().describe("Contract to deploy (required if the source defines more than one deployable contract)"),
+    compilerSettings: z.object({
+      optimizer: z.object({
+        enabled: z.boolean().optional(),
+        runs: z.number().int().nonnegative().optional(),
+        details: z.record(z.any()).optional()
+      }).optional(),
+      evmVersion: z.string().optional(),
+      viaIR: z.boolean().optional(),
+      metadata: z.object({ bytecodeHash: z.enum(["ipfs", "bzzr1", "none"]).optional() }).optional(),
+      debug: z.object({ revertStrings: z.enum(["default", "strip", "debug", "verboseDebug"]).optional() }).optional()
+    }).optional().describe("Compiler settings for this deployment (override compiler.settings in mondeployer.config.json)"),
+    libraries: z.record(z.string()).optional().describe("Addresses of already deployed libraries, keyed by name or \"File.sol:Name\"; missing libraries are deployed first"),
+    account: z.string().optional().describe("Name of an account from the account book (keystore accounts and the accounts block of mondeployer.config.json) to deploy from")
   },
   async (input) => {
     log("[DEPLOY] Received deploy-contract request");
@@ -277,7 +288,7 @@ server.tool(
       
       // Deploy contract
       const constructorArgs = input.constructorArgs || [];
-      const result = await deployContract(input.sourceCode, constructorArgs);
+      const result = await deployContract(input.sourceCode, constructorArgs, input.contractName, input.compilerSettings, input.libraries, input.account);
       
       // Return result as JSON
       return {
@@ -294,7 +305,9 @@ server.tool(
           type: "text", 
           text: JSON.stringify({
             success: false,
-            error: `Server error: ${error.message}`
+            error: `Server error: ${error.message}`,
+            diagnostics: error.diagnostics,
+            preflight: error.report
           })
         }]
       };
@@ -317,33 +330,22 @@ const ERC20_ABI = [
 /**
  * Send tokens to multiple recipients
  */
-async function sendTokens(tokenAddress, recipients, amount) {
+async function sendTokens(tokenAddress, recipients, amount, account) {
   try {
-    // Load fresh private key and RPC from env.js within the send tokens function
-    let PRIVATE_KEY;
-    let RPC_URL = "https://testnet-rpc.monad.xyz"; // Monad testnet RPC URL
-    let CHAIN_ID = 10143; // Monad testnet chain ID
+    // Load a fresh private key from the environment, .env or env.js within the send tokens function
+    let PRIVATE_KEY = getSetting('privateKey');
     
-    try {
-      const envFile = require('../env.js');
-      PRIVATE_KEY = envFile.PRIVATE_KEY;
-      if (envFile.RPC_URL) {
-        RPC_URL = envFile.RPC_URL;
-        log(`[TOKEN] Using RPC URL from env.js: ${RPC_URL}`);
-      }
-      
-      if (!PRIVATE_KEY) {
-        throw new Error("No private key found in env.js");
-      }
-    } catch (error) {
-      throw new Error(`Failed to load env.js: ${error.message}`);
+    // Initialize a fresh provider (failing over between the network's RPC URLs) and wallet just for this token transfer
+    
+    const network = getNetwork(NETWORK_NAME);
+    
+    // The named account, or the account selected with MONDEPLOYER_ACCOUNT (or a dev account), signs instead of PRIVATE_KEY when set
+    PRIVATE_KEY = resolvePrivateKey(network, PRIVATE_KEY, account);
+    if (!PRIVATE_KEY) {
+      throw new Error("No private key found in the environment, .env, env.js or the keystore");
     }
     
-    // Initialize fresh provider and wallet just for this token transfer
-    const provider = new ethers.JsonRpcProvider(RPC_URL, {
-      chainId: CHAIN_ID,
-      name: 'monad-testnet'
-    });
+    const provider = createEthersProvider(ethers, network);
     
     const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
     log(`[TOKEN] Initialized wallet with address: ${wallet.address.substring(0, 6)}...${wallet.address.substring(38)}`);
@@ -425,7 +427,12 @@ async function sendTokens(tokenAddress, recipients, amount) {
         
         // Wait for confirmation
         log('[TOKEN] Waiting for confirmation...');
-        const receipt = await tx.wait();
+        const receipt = await trackTransaction(network.chainId, {
+          hash: tx.hash,
+          network: network.key,
+          from: tx.from,
+          description: `Token transfer to ${recipient}`
+        }, () => tx.wait(network.confirmations));
         
         log(`[TOKEN] ✅ Transfer to ${recipient} confirmed in tx: ${receipt.hash}`);
         
@@ -465,7 +472,8 @@ server.tool(
   {
     tokenAddress: z.string().describe("The ERC20 token contract address"),
     recipients: z.array(z.string()).describe("Array of wallet addresses to receive tokens"),
-    amount: z.string().or(z.number()).describe("Amount of tokens to send to each recipient")
+    amount: z.string().or(z.number()).describe("Amount of tokens to send to each recipient"),
+    account: z.string().optional().describe("Name of an account from the account book to send the tokens from")
   },
   async (input) => {
     log("[TOKEN] Received send-token request");
@@ -485,31 +493,20 @@ server.tool(
         };
       }
       
-      // Load fresh private key and RPC from env.js within the send tokens function
-      let PRIVATE_KEY;
-      let RPC_URL = "https://testnet-rpc.monad.xyz"; // Monad testnet RPC URL
-      let CHAIN_ID = 10143; // Monad testnet chain ID
+      // Load a fresh private key from the environment, .env or env.js within the send tokens function
+      let PRIVATE_KEY = getSetting('privateKey');
       
-      try {
-        const envFile = require('../env.js');
-        PRIVATE_KEY = envFile.PRIVATE_KEY;
-        if (envFile.RPC_URL) {
-          RPC_URL = envFile.RPC_URL;
-          log(`[TOKEN] Using RPC URL from env.js: ${RPC_URL}`);
-        }
-        
-        if (!PRIVATE_KEY) {
-          throw new Error("No private key found in env.js");
-        }
-      } catch (error) {
-        throw new Error(`Failed to load env.js: ${error.message}`);
+      // Initialize a fresh provider (failing over between the network's RPC URLs) and wallet just for this token transfer
+      
+      const network = getNetwork(NETWORK_NAME);
+      
+      // The named account, or the account selected with MONDEPLOYER_ACCOUNT (or a dev account), signs instead of PRIVATE_KEY when set
+      PRIVATE_KEY = resolvePrivateKey(network, PRIVATE_KEY, input.account);
+      if (!PRIVATE_KEY) {
+        throw new Error("No private key found in the environment, .env, env.js or the keystore");
       }
       
-      // Initialize fresh provider and wallet just for this token transfer
-      const provider = new ethers.JsonRpcProvider(RPC_URL, {
-        chainId: CHAIN_ID,
-        name: 'monad-testnet'
-      });
+      const provider = createEthersProvider(ethers, network);
       
       const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
       log(`[TOKEN] Initialized wallet with address: ${wallet.address.substring(0, 6)}...${wallet.address.substring(38)}`);
@@ -606,7 +603,12 @@ server.tool(
           
           // Wait for confirmation
           log('[TOKEN] Waiting for confirmation...');
-          const receipt = await tx.wait();
+          const receipt = await trackTransaction(network.chainId, {
+            hash: tx.hash,
+            network: network.key,
+            from: tx.from,
+            description: `Token transfer to ${recipient}`
+          }, () => tx.wait(network.confirmations));
           
           log(`[TOKEN] ✅ Transfer of ${ethers.formatUnits(amount, decimals)} ${symbol} to ${recipient} confirmed in tx: ${receipt.hash}`);
           
@@ -615,7 +617,7 @@ server.tool(
             amount: ethers.formatUnits(amount, decimals),
             symbol: symbol,
             txHash: receipt.hash,
-            explorerUrl: `https://explorer.testnet.monad.xyz/tx/${receipt.hash}`
+            explorerUrl: explorerTxUrl(network, receipt.hash)
           });
         } catch (error) {
           log(`[TOKEN] ❌ Failed to send tokens to ${recipient}: ${error.message}`);
@@ -678,14 +680,13 @@ async function main() {
     
     log(`Registered tools: deploy-contract, send-token`);
     await server.connect(transport);
-    log("MULTI-TOOL MCP plugin running with INDEPENDENT TOOLS - ALWAYS using Solidity 0.8.28");
+    log("MULTI-TOOL MCP plugin running with INDEPENDENT TOOLS - compiler selected from each contract's pragma");
     
     // Test connection to provider
     try {
-      const provider = new ethers.JsonRpcProvider("https://testnet-rpc.monad.xyz");
-      const network = await provider.getNetwork();
-      const blockNumber = await provider.getBlockNumber();
-      log(`Connected to network: ${network.name || network.chainId}, Block #${blockNumber}`);
+      const network = getNetwork(NETWORK_NAME);
+      const blockNumber = await createEthersProvider(ethers, network).getBlockNumber();
+      log(`Connected to network: ${network.name} (Chain ID: ${network.chainId}), Block #${blockNumber}`);
     } catch (error) {
       log(`WARNING: Provider connection issue: ${error.message}`);
     }
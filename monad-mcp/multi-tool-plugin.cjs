@@ -5,7 +5,7 @@
  * Includes:
  * 1. Contract deployment with proper JSON handling
  * 2. ERC20 token transfer functionality
- * ALWAYS uses Solidity 0.8.28 regardless of pragma version
+ * Compiles with the newest installed Solidity version that satisfies the pragma
  */
 
 // Basic requires only
@@ -16,6 +16,16 @@ const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
 const solc = require('solc');
+const { compileSource } = require('../lib/compiler');
+const { selectContract } = require('../lib/contracts');
+const { assertNoErrors } = require('../lib/diagnostics');
+const { collectLibraries, libraryRecord, linkLibraries } = require('../lib/linking');
+const { compiledEvmVersion, networkLimits, assertPreflight } = require('../lib/preflight');
+const { getNetwork, parseNetworkFlag, createEthersProvider, explorerAddressUrl } = require('../lib/networks');
+const { trackTransaction } = require('../lib/journal');
+const { resolveSetting } = require('../lib/config');
+const { resolveSigner } = require('../lib/accounts');
+const { createEthersSigner } = require('../lib/signers');
 
 // IMPORTANT: Redirect console.log to stderr
 const originalConsoleLog = console.log;
@@ -52,48 +62,47 @@ try {
   log(`Error getting solc version: ${error.message}`);
 }
 
-// Load RPC URL and private key from env.js
-let PRIVATE_KEY;
-let RPC_URL = "https://testnet-rpc.monad.xyz"; // Monad testnet RPC URL
-let CHAIN_ID = 10143; // Monad testnet chain ID
+// Load the private key from the environment, .env or env.js
+const privateKeySetting = resolveSetting('privateKey');
+const PRIVATE_KEY = privateKeySetting.value;
 
 try {
-  const envFile = require('../env.js');
-  PRIVATE_KEY = envFile.PRIVATE_KEY;
-  if (envFile.RPC_URL) {
-    RPC_URL = envFile.RPC_URL;
-    log(`Using RPC URL from env.js: ${RPC_URL}`);
-  } else {
-    log(`Using default Monad testnet RPC URL: ${RPC_URL}`);
-  }
-  
   if (PRIVATE_KEY) {
     const wallet = new ethers.Wallet(PRIVATE_KEY);
-    log(`Loaded private key for address: ${wallet.address.substring(0, 6)}...${wallet.address.substring(38)}`);
+    log(`Loaded private key from ${privateKeySetting.source} for address: ${wallet.address.substring(0, 6)}...${wallet.address.substring(38)}`);
   } else {
-    log(`WARNING: PRIVATE_KEY is undefined in env.js`);
+    log(`WARNING: PRIVATE_KEY is not set in the environment, .env or env.js`);
   }
 } catch (error) {
-  log(`WARNING: Failed to load env.js: ${error.message}`);
+  log(`WARNING: Failed to load PRIVATE_KEY from ${privateKeySetting.source}: ${error.message}`);
 }
 
-// Setup provider and wallet
-const provider = new ethers.JsonRpcProvider(RPC_URL, {
-  chainId: CHAIN_ID,
-  name: 'monad-testnet'
-});
+// Select the network profile (--network or MONDEPLOYER_NETWORK) and set up a provider
+// that fails over between its RPC URLs (MONAD_RPC_URL or RPC_URL first), and the wallet
+const network = getNetwork(parseNetworkFlag(process.argv.slice(2)).network);
+const provider = createEthersProvider(ethers, network);
+log(`Using network ${network.key}: ${network.rpcUrls.join(', ')}`);
+
+// The account selected with MONDEPLOYER_ACCOUNT (or a dev account) signs instead of PRIVATE_KEY when set;
+// remote accounts sign through their signer daemon, so their keys stay out of this process
+const signer = resolveSigner(network, PRIVATE_KEY);
 
 let wallet;
 
-if (PRIVATE_KEY) {
-  wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-  log(`Initialized wallet with provider for Monad testnet (Chain ID: ${CHAIN_ID})`);
+if (signer) {
+  wallet = createEthersSigner(ethers, signer, provider);
+  log(`Initialized wallet ${wallet.address} with provider for ${network.name} (Chain ID: ${network.chainId})`);
 } else {
   // Create a random wallet for testing if no private key is available
   wallet = ethers.Wallet.createRandom().connect(provider);
   log(`WARNING: Created random wallet for testing: ${wallet.address}`);
 }
 
+// Wallet of a named account from the account book (the tools' `account` parameter), or the shared wallet
+function walletFor(account) {
+  return account ? createEthersSigner(ethers, resolveSigner(network, PRIVATE_KEY, account), provider) : wallet;
+}
+
 // ERC20 ABI - only what we need for transfers
 const ERC20_ABI = [
   "function transfer(address to, uint256 amount) returns (bool)",
@@ -105,8 +114,10 @@ const ERC20_ABI = [
 /**
  * Send tokens to multiple recipients
  */
-async function sendTokens(tokenAddress, recipients, amount) {
+async function sendTokens(tokenAddress, recipients, amount, account) {
   try {
+    const signer = walletFor(account);
+    
     log(`Sending tokens from contract: ${tokenAddress}`);
     
     if (!tokenAddress || !ethers.isAddress(tokenAddress)) {
@@ -144,8 +155,8 @@ async function sendTokens(tokenAddress, recipients, amount) {
       throw new Error('Amount must be greater than 0');
     }
     
-    // Create contract instance using the shared wallet
-    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+    // Create contract instance using the signer
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
     
     // Get token info for better logging
     try {
@@ -155,7 +166,7 @@ async function sendTokens(tokenAddress, recipients, amount) {
       log(`Sending ${formattedAmount} ${symbol} to ${recipients.length} recipients`);
       
       // Log sender balance to debug potential issues
-      const senderBalance = await tokenContract.balanceOf(wallet.address);
+      const senderBalance = await tokenContract.balanceOf(signer.address);
       const formattedBalance = ethers.formatUnits(senderBalance, decimals);
       log(`Sender balance: ${formattedBalance} ${symbol}`);
       
@@ -180,7 +191,12 @@ async function sendTokens(tokenAddress, recipients, amount) {
         
         // Wait for confirmation
         log('Waiting for confirmation...');
-        const receipt = await tx.wait();
+        const receipt = await trackTransaction(network.chainId, {
+          hash: tx.hash,
+          network: network.key,
+          from: tx.from,
+          description: `Token transfer to ${recipient}`
+        }, () => tx.wait(network.confirmations));
         
         log(`✅ Transfer to ${recipient} confirmed in tx: ${receipt.hash}`);
         
@@ -213,85 +229,35 @@ async function sendTokens(tokenAddress, recipients, amount) {
   }
 }
 
-// Force Solidity version 0.8.28 in source code
-function forceVersion(source) {
-  if (!source || typeof source !== 'string') {
-    return "// SPDX-License-Identifier: MIT\npragma solidity 0.8.28;\n\ncontract SimpleStorage {\n    uint256 private value;\n    function setValue(uint256 _newValue) public { value = _newValue; }\n    function getValue() public view returns (uint256) { return value; }\n}";
-  }
-  
-  // Replace any pragma version with 0.8.28
-  const pragmaRegex = /pragma\s+solidity\s+([^;]+);/;
-  const pragmaMatch = source.match(pragmaRegex);
-  
-  if (pragmaMatch) {
-    const originalVersion = pragmaMatch[1];
-    log(`Replacing Solidity version '${originalVersion}' with '0.8.28'`);
-    return source.replace(pragmaRegex, 'pragma solidity 0.8.28;');
-  } else {
-    // No pragma found, add one at the top
-    log('No pragma found, adding version 0.8.28');
-    return `pragma solidity 0.8.28;\n\n${source}`;
-  }
-}
-
-// Extract contract name from source
-function extractContractName(source) {
-  const contractMatch = source.match(/contract\s+([a-zA-Z0-9_]+)/);
-  return contractMatch && contractMatch[1] ? contractMatch[1] : 'SimpleContract';
-}
-
 // Compile Solidity code using solc
-function compileSolidity(source, contractName) {
-  log(`Compiling contract: ${contractName || 'Unknown'}`);
-  
-  const input = {
-    language: 'Solidity',
-    sources: {
-      'contract.sol': {
-        content: source
-      }
-    },
-    settings: {
-      outputSelection: {
-        '*': {
-          '*': ['abi', 'evm.bytecode']
-        }
-      },
-      optimizer: {
-        enabled: true,
-        runs: 200
-      }
-    }
-  };
+function compileSolidity(source, contractName, settings) {
+  log(`Compiling contract: ${contractName || '(auto-detect)'}`);
   
   try {
-    const output = JSON.parse(solc.compile(JSON.stringify(input)));
-    
-    if (output.errors) {
-      const hasErrors = output.errors.some(error => error.severity === 'error');
-      if (hasErrors) {
-        const errorMessages = output.errors.map(e => e.message).join('\n');
-        log(`Compilation errors: ${errorMessages}`);
-        throw new Error(`Compilation failed: ${errorMessages}`);
-      }
-      
-      // Just warnings, continue
-      log(`Compilation warnings: ${output.errors.length}`);
-    }
+    // Pick the newest allowed compiler that satisfies the pragma and compile with imports
+    const { output, diagnostics, settings: compilerSettings, compiler, cached } = compileSource({
+      sourceName: 'contract.sol',
+      content: source,
+      settings,
+      network
+    });
+    log(`Compiled with Solidity ${compiler.longVersion} (${compiler.source}${cached ? ', cached' : ''})`);
     
-    // Find the contract
-    const compiledContract = output.contracts['contract.sol'][contractName];
-    if (!compiledContract) {
-      // Try to find any contract if the named one wasn't found
-      const contractKey = Object.keys(output.contracts['contract.sol'])[0];
-      if (!contractKey) {
-        throw new Error('No compiled contracts found');
-      }
-      log(`Contract ${contractName} not found, using ${contractKey} instead`);
-      return output.contracts['contract.sol'][contractKey];
+    // Fail with structured diagnostics (severity, code, file, line/column, snippet)
+    assertNoErrors(diagnostics);
+    
+    if (diagnostics.length > 0) {
+      log(`Compilation warnings: ${diagnostics.length}`);
     }
     
-    return compiledContract;
+    // Pick the contract to deploy from the AST; refuses ambiguous sources
+    const { name, contract } = selectContract(output, 'contract.sol', contractName);
+    log(`Selected contract: ${name}`);
+    
+    // Libraries the contract has to be linked against before it can be deployed
+    const libraries = collectLibraries(output, contract.evm.bytecode.linkReferences);
+    
+    return { ...contract, contractName: name, libraries, compilerVersion: compiler.longVersion, compilerSettings, diagnostics };
   } catch (error) {
     log(`Compilation error: ${error.message}`);
     throw error;
@@ -299,40 +265,84 @@ function compileSolidity(source, contractName) {
 }
 
 // Deploy contract
-async function deployContract(source, constructorArgs = []) {
-  const fixedSource = forceVersion(source);
-  const contractName = extractContractName(fixedSource);
-  log(`Deploying contract: ${contractName} with ${constructorArgs.length} constructor args`);
-  
+async function deployContract(source, constructorArgs = [], contractName, settings, libraryAddresses, account) {
   try {
+    const signer = walletFor(account);
+    
     // Compile the contract
-    const compiledContract = compileSolidity(fixedSource, contractName);
+    const compiledContract = compileSolidity(source, contractName, settings);
     
     if (!compiledContract) {
       throw new Error('Compilation failed');
     }
     
+    log(`Deploying contract: ${compiledContract.contractName} with ${constructorArgs.length} constructor args`);
+    
     const abi = compiledContract.abi;
-    const bytecode = compiledContract.evm.bytecode.object;
     
-    if (!bytecode) {
+    if (!compiledContract.evm.bytecode.object) {
       throw new Error('Bytecode is empty');
     }
     
+    // Refuse deployments that would run into the size limits before spending gas
+    const preflight = assertPreflight({
+      name: compiledContract.contractName,
+      initCode: compiledContract.evm.bytecode.object + new ethers.Interface(abi).encodeDeploy(constructorArgs).slice(2),
+      deployedBytecode: compiledContract.evm.deployedBytecode.object,
+      evmVersion: compiledEvmVersion(compiledContract, compiledContract.compilerSettings)
+    }, networkLimits(network));
+    preflight.warnings.forEach(warning => log(`⚠️ ${warning.message}`));
+    
+    // Link the libraries the contract uses, deploying the ones that are not on chain yet
+    const { bytecode, libraries } = await linkLibraries({
+      bytecode: compiledContract.evm.bytecode.object,
+      linkReferences: compiledContract.evm.bytecode.linkReferences,
+      libraries: compiledContract.libraries,
+      addresses: libraryAddresses,
+      getCode: address => provider.getCode(address),
+      chainId: Number((await provider.getNetwork()).chainId),
+      deploy: async library => {
+        const libraryFactory = new ethers.ContractFactory(library.abi, library.bytecode, signer);
+        const deployedLibrary = await libraryFactory.deploy();
+        const libraryReceipt = await trackTransaction(network.chainId, {
+          hash: deployedLibrary.deploymentTransaction().hash,
+          network: network.key,
+          from: signer.address,
+          description: `Deployment of library ${library.id}`,
+          deployment: libraryRecord(library, { compilerVersion: compiledContract.compilerVersion, compilerSettings: compiledContract.compilerSettings })
+        }, () => deployedLibrary.deploymentTransaction().wait(network.confirmations));
+        return { address: deployedLibrary.target, transactionHash: libraryReceipt.hash };
+      },
+      record: { compilerVersion: compiledContract.compilerVersion, compilerSettings: compiledContract.compilerSettings },
+      log: message => log(`${message}`)
+    });
+    
     log(`Contract ABI has ${abi.length} functions, bytecode length: ${bytecode.length}`);
     
     // Create contract factory
-    const factory = new ethers.ContractFactory(abi, bytecode, wallet);
+    const factory = new ethers.ContractFactory(abi, bytecode, signer);
     
     // Deploy the contract with constructor arguments
-    log(`Deploying with account: ${wallet.address}`);
+    log(`Deploying with account: ${signer.address}`);
     const deployedContract = await factory.deploy(...constructorArgs);
     
     log(`Contract deployment transaction sent: ${deployedContract.deploymentTransaction().hash}`);
     log(`Waiting for deployment confirmation...`);
     
-    // Wait for deployment
-    const receipt = await deployedContract.deploymentTransaction().wait();
+    // Wait for deployment, keeping the transaction in the pending journal until the receipt arrives
+    const receipt = await trackTransaction(network.chainId, {
+      hash: deployedContract.deploymentTransaction().hash,
+      network: network.key,
+      from: signer.address,
+      description: `Deployment of ${compiledContract.contractName}`,
+      deployment: {
+        contractName: compiledContract.contractName,
+        abi,
+        compilerVersion: compiledContract.compilerVersion,
+        compilerSettings: compiledContract.compilerSettings,
+        libraries: Object.fromEntries(Object.entries(libraries).map(([id, library]) => [id, library.address]))
+      }
+    }, () => deployedContract.deploymentTransaction().wait(network.confirmations));
     
     const contractAddress = deployedContract.target;
     const transactionHash = receipt.hash;
@@ -345,8 +355,13 @@ async function deployContract(source, constructorArgs = []) {
       address: contractAddress,
       transactionHash: transactionHash,
       abi: abi,
-      contractName: contractName,
-      explorerUrl: `https://testnet.monadexplorer.com/address/${contractAddress}`
+      contractName: compiledContract.contractName,
+      compilerVersion: compiledContract.compilerVersion,
+      compilerSettings: compiledContract.compilerSettings,
+      libraries,
+      diagnostics: compiledContract.diagnostics,
+      warnings: preflight.warnings,
+      explorerUrl: explorerAddressUrl(network, contractAddress)
     };
   } catch (error) {
     log(`Deployment error: ${error.message}`);
@@ -365,9 +380,22 @@ server.tool(
   "deploy-contract",
   "Deploy a Solidity contract to Monad testnet",
   {
-    sourceCode: z.string().describe("Solidity source code (will be compiled with 0.8.28)"),
+    sourceCode: z.string().describe("Solidity source code (compiled with the newest installed compiler that satisfies its pragma)"),
     constructorArgs: z.array(z.any()).optional().describe("Constructor arguments"),
-    contractName: z.string().optional().describe("Contract name (optional)")
+    contractName: z.string().optional().describe("Contract to deploy (required if the source defines more than one deployable contract)"),
+    compilerSettings: z.object({
+      optimizer: z.object({
+        enabled: z.boolean().optional(),
+        runs: z.number().int().nonnegative().optional(),
+        details: z.record(z.any()).optional()
+      }).optional(),
+      evmVersion: z.string().optional(),
+      viaIR: z.boolean().optional(),
+      metadata: z.object({ bytecodeHash: z.enum(["ipfs", "bzzr1", "none"]).optional() }).optional(),
+      debug: z.object({ revertStrings: z.enum(["default", "strip", "debug", "verboseDebug"]).optional() }).optional()
+    }).optional().describe("Compiler settings for this deployment (override compiler.settings in mondeployer.config.json)"),
+    libraries: z.record(z.string()).optional().describe("Addresses of already deployed libraries, keyed by name or \"File.sol:Name\"; missing libraries are deployed first"),
+    account: z.string().optional().describe("Name of an account from the account book (keystore accounts and the accounts block of mondeployer.config.json) to deploy from")
   },
   async (input) => {
     log("Received deploy-contract request");
@@ -389,7 +417,7 @@ server.tool(
       
       // Deploy contract
       const constructorArgs = input.constructorArgs || [];
-      const result = await deployContract(input.sourceCode, constructorArgs);
+      const result = await deployContract(input.sourceCode, constructorArgs, input.contractName, input.compilerSettings, input.libraries, input.account);
       
       // Return result as JSON
       return {
@@ -406,7 +434,9 @@ server.tool(
           type: "text", 
           text: JSON.stringify({
             success: false,
-            error: `Server error: ${error.message}`
+            error: `Server error: ${error.message}`,
+            diagnostics: error.diagnostics,
+            preflight: error.report
           })
         }]
       };
@@ -421,7 +451,8 @@ server.tool(
   {
     tokenAddress: z.string().describe("The ERC20 token contract address"),
     recipients: z.array(z.string()).describe("Array of wallet addresses to receive tokens"),
-    amount: z.string().or(z.number()).describe("Amount of tokens to send to each recipient")
+    amount: z.string().or(z.number()).describe("Amount of tokens to send to each recipient"),
+    account: z.string().optional().describe("Name of an account from the account book to send the tokens from")
   },
   async (input) => {
     log("Received send-token request");
@@ -466,7 +497,7 @@ server.tool(
       }
       
       // Send the tokens
-      const result = await sendTokens(input.tokenAddress, input.recipients, amount);
+      const result = await sendTokens(input.tokenAddress, input.recipients, amount, input.account);
       
       // Return the result
       return {
@@ -520,16 +551,15 @@ async function main() {
     
     log(`Registered tools: deploy-contract, send-token`);
     await server.connect(transport);
-    log("MULTI-TOOL MCP plugin running - ALWAYS using Solidity 0.8.28");
+    log("MULTI-TOOL MCP plugin running - compiler selected from each contract's pragma");
     
     // Test connection to provider
     try {
-      const network = await provider.getNetwork();
       const blockNumber = await provider.getBlockNumber();
-      log(`Connected to network: ${network.name || network.chainId}, Block #${blockNumber}`);
+      log(`Connected to network: ${network.name} (Chain ID: ${network.chainId}), Block #${blockNumber}`);
       
       const balance = await provider.getBalance(wallet.address);
-      log(`Wallet balance: ${ethers.formatEther(balance)} ETH`);
+      log(`Wallet balance: ${ethers.formatUnits(balance, network.currency.decimals)} ${network.currency.symbol}`);
     } catch (error) {
       log(`WARNING: Provider connection issue: ${error.message}`);
     }
@@ -3,7 +3,7 @@
 /**
  * ENHANCED Monad MCP Plugin for Claude
  * Performs actual contract deployments with proper JSON handling
- * ALWAYS uses Solidity 0.8.28 regardless of pragma version
+ * Compiles with the newest installed Solidity version that satisfies the pragma
  */
 
 const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
@@ -14,6 +14,17 @@ const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const { ethers } = require('ethers');
+const { loadVersion } = require('../lib/compiler-store');
+const { resolveCompilerVersion } = require('../lib/compiler');
+const { selectContract } = require('../lib/contracts');
+const { collectDiagnostics, hasErrors } = require('../lib/diagnostics');
+const { resolveSettings } = require('../lib/settings');
+const { collectLibraries, libraryRecord, linkLibraries } = require('../lib/linking');
+const { compiledEvmVersion, networkLimits, preflight } = require('../lib/preflight');
+const { getNetwork, parseNetworkFlag, createEthersProvider, explorerTxUrl } = require('../lib/networks');
+const { trackTransaction } = require('../lib/journal');
+const { resolveSetting } = require('../lib/config');
+const { resolvePrivateKey } = require('../lib/accounts');
 
 // Explicitly use solc 0.8.28 - either from local install or as fallback
 let solc;
@@ -28,12 +39,12 @@ try {
   console.error(`[INFO] Loaded solc version: ${solcVersion}`);
   
   if (!solcVersion.startsWith('0.8.28')) {
-    console.error('[WARN] Local solc is not 0.8.28, will use remote version');
-    // Will fall back to loadRemoteVersion later
+    console.error('[WARN] Local solc is not 0.8.28, will use the compiler store');
+    // Will fall back to the compiler store later
   }
 } catch (error) {
   console.error(`[WARN] Failed to load local solc: ${error.message}`);
-  // Will fall back to loadRemoteVersion later
+  // Will fall back to the compiler store later
   solc = require('solc');
 }
 
@@ -65,20 +76,26 @@ process.stdout.write = function(chunk, encoding, callback) {
   return process.stderr.write(chunk, encoding, callback);
 };
 
-// Try to load private key from env.js
-let PRIVATE_KEY;
+// Try to load private key from the environment, .env or env.js
+const privateKeySetting = resolveSetting('privateKey');
+let PRIVATE_KEY = privateKeySetting.value;
 try {
-  const envFile = require('../env.js');
-  PRIVATE_KEY = envFile.PRIVATE_KEY;
   if (PRIVATE_KEY) {
-    console.error(`[INFO] Loaded private key from env.js (address: ${maskAddress(PRIVATE_KEY)})`);
+    console.error(`[INFO] Loaded private key from ${privateKeySetting.source} (address: ${maskAddress(PRIVATE_KEY)})`);
   } else {
-    console.error(`[WARN] Private key is undefined in env.js`);
+    console.error(`[WARN] PRIVATE_KEY is not set in the environment, .env or env.js`);
   }
 } catch (error) {
-  console.error(`[WARN] Failed to load env.js: ${error.message}`);
+  console.error(`[WARN] Failed to load PRIVATE_KEY from ${privateKeySetting.source}: ${error.message}`);
 }
 
+// Network profile to use (--network or MONDEPLOYER_NETWORK)
+const network = getNetwork(parseNetworkFlag(process.argv.slice(2)).network);
+console.error(`[INFO] Using network ${network.key}: ${network.rpcUrls.join(', ')}`);
+
+// The account selected with MONDEPLOYER_ACCOUNT (or a dev account) signs instead of PRIVATE_KEY when set
+PRIVATE_KEY = resolvePrivateKey(network, PRIVATE_KEY);
+
 // Mask address for logging
 function maskAddress(privateKey) {
   try {
@@ -127,8 +144,8 @@ async function sendTokens(tokenAddress, recipients, amount) {
       throw new Error('Amount must be greater than 0');
     }
     
-    // Set up provider and wallet
-    const provider = new ethers.JsonRpcProvider('https://testnet-rpc.monad.xyz');
+    // Set up a provider that fails over between the network's RPC URLs, and the wallet
+    const provider = createEthersProvider(ethers, network);
     const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
     
     // Create contract instance
@@ -155,7 +172,12 @@ async function sendTokens(tokenAddress, recipients, amount) {
         
         // Wait for confirmation
         console.error('[INFO] Waiting for confirmation...');
-        const receipt = await tx.wait();
+        const receipt = await trackTransaction(network.chainId, {
+          hash: tx.hash,
+          network: network.key,
+          from: tx.from,
+          description: `Token transfer to ${recipient}`
+        }, () => tx.wait(network.confirmations));
         
         console.error(`[INFO] ✅ Transfer to ${recipient} confirmed in tx: ${receipt.hash}`);
         
@@ -192,21 +214,20 @@ async function sendTokens(tokenAddress, recipients, amount) {
 }
 
 /**
- * Force Solidity version 0.8.28 in a contract source
+ * Add a Solidity version pragma if the contract source has none
+ * An existing pragma is kept as written; the compiler is chosen to satisfy it
  */
-function forceCorrectVersion(source) {
+function ensurePragma(source) {
   if (!source || typeof source !== 'string') {
     return "// SPDX-License-Identifier: MIT\npragma solidity 0.8.28;\n\ncontract SimpleStorage {\n    uint256 private value;\n    \n    event ValueChanged(uint256 newValue);\n    \n    function setValue(uint256 _newValue) public {\n        value = _newValue;\n        emit ValueChanged(_newValue);\n    }\n    \n    function getValue() public view returns (uint256) {\n        return value;\n    }\n}";
   }
   
-  // Replace ANY solidity version with 0.8.28
   let result = source;
   
-  // Check if there's a pragma statement and replace it
+  // Keep an existing pragma so the deployed code is the code we were given
   const pragmaMatch = source.match(/pragma\s+solidity\s+([^;]+);/);
   if (pragmaMatch) {
-    result = source.replace(/pragma\s+solidity\s+([^;]+);/, 'pragma solidity 0.8.28;');
-    console.error(`[INFO] Replaced version ${pragmaMatch[1]} with 0.8.28`);
+    console.error(`[INFO] Keeping version pragma ${pragmaMatch[1]}`);
   } else {
     // Add pragma statement after SPDX license or at the beginning
     const spdxMatch = source.match(/(\/\/\s*SPDX-License-Identifier:[^\n]+\n)/);
@@ -222,95 +243,93 @@ function forceCorrectVersion(source) {
   return result;
 }
 
-/**
- * Helper function to detect and extract the contract name from source
- */
-function extractContractName(source) {
-  // Try to find a contract declaration
-  const contractMatch = source.match(/contract\s+([a-zA-Z0-9_]+)/);
-  if (contractMatch && contractMatch[1]) {
-    return contractMatch[1];
-  }
-  
-  // Fallback to 'SimpleContract'
-  return 'SimpleContract';
-}
-
 // Compile and deploy contract function
-async function compileAndDeployContract(sourceCode, constructorArgs = []) {
+async function compileAndDeployContract(sourceCode, constructorArgs = [], contractName) {
   console.error("[INFO] Starting compilation and deployment...");
   
   if (!PRIVATE_KEY) {
     return {
       success: false,
-      error: "No private key found in env.js"
+      error: "No private key found in the environment, .env, env.js or the keystore"
     };
   }
   
-  // Fix Solidity version
-  const fixedSource = forceCorrectVersion(sourceCode);
-  
-  // Extract contract name for better logs
-  const contractName = extractContractName(fixedSource);
-  console.error(`[INFO] Detected contract name: ${contractName}`);
+  // Add a version pragma if it is missing
+  const fixedSource = ensurePragma(sourceCode);
   
   try {
     // Compile using solc
-    console.error("[INFO] Compiling with Solidity 0.8.28...");
     const input = {
       language: 'Solidity',
       sources: {
-        [`${contractName}.sol`]: { content: fixedSource }
+        'Contract.sol': { content: fixedSource }
       },
       settings: {
+        ...resolveSettings(),
         outputSelection: {
-          '*': { '*': ['abi', 'evm.bytecode.object'] }
-        },
-        optimizer: { enabled: true, runs: 200 }
+          '*': { '': ['ast'], '*': ['abi', 'metadata', 'evm.bytecode.object', 'evm.bytecode.linkReferences', 'evm.deployedBytecode.object'] }
+        }
       }
     };
     
-    // Compile using either local or remote compiler
+    // Pick the newest allowed compiler that satisfies the pragma
+    let compilerVersion;
+    try {
+      compilerVersion = resolveCompilerVersion(input.sources);
+    } catch (error) {
+      console.error(`[ERROR] ${error.message}`);
+      return { success: false, error: error.message };
+    }
+    console.error(`[INFO] Compiling with Solidity ${compilerVersion}...`);
+    
     return new Promise((resolve, reject) => {
-      // Determine if we can use local compiler
-      const solcVersion = solc.version ? JSON.parse(solc.version()).replace(/[^0-9.]/g, '') : null;
-      const useLocalCompiler = solcVersion && solcVersion.startsWith('0.8.28');
-      
       const compileWithSolc = (compiler) => {
         try {
           // Compile the contract
           const output = JSON.parse(compiler.compile(JSON.stringify(input)));
           
           // Check for compilation errors
-          if (output.errors && output.errors.some(e => e.severity === 'error')) {
-            const errors = output.errors.filter(e => e.severity === 'error');
+          const diagnostics = collectDiagnostics(output, input.sources);
+          if (hasErrors(diagnostics)) {
+            const errors = diagnostics.filter(d => d.severity === 'error');
             console.error(`[ERROR] Compilation errors: ${errors.length} found`);
             return resolve({
               success: false,
-              error: `Compilation failed with ${errors.length} errors: ${errors[0].message}`
+              error: `Compilation failed with ${errors.length} errors: ${errors[0].message}`,
+              diagnostics
             });
           }
           
-          // Get compiled data
-          const contractFile = Object.keys(output.contracts[`${contractName}.sol`])[0] || contractName;
-          const contract = output.contracts[`${contractName}.sol`][contractFile];
-          
-          if (!contract) {
-            console.error(`[ERROR] No contract found in compiled output`);
-            return resolve({
-              success: false,
-              error: 'No contract found in compiled output'
-            });
-          }
+          // Pick the contract to deploy from the AST; refuses ambiguous sources
+          const { name: contractFile, contract } = selectContract(output, 'Contract.sol', contractName);
           
           const abi = contract.abi;
           const bytecode = '0x' + contract.evm.bytecode.object;
+          const { linkReferences } = contract.evm.bytecode;
+          const libraries = collectLibraries(output, linkReferences);
           
           console.error(`[INFO] Contract compiled successfully: ${contractFile}`);
           
-          // Deploy using ethers
-          deployContract(abi, bytecode, contractFile, constructorArgs)
-            .then(result => resolve(result))
+          // Refuse deployments that would run into the size limits before spending gas
+          const report = preflight({
+            name: contractFile,
+            initCode: bytecode + new ethers.Interface(abi).encodeDeploy(constructorArgs).slice(2),
+            deployedBytecode: contract.evm.deployedBytecode.object,
+            evmVersion: compiledEvmVersion(contract)
+          }, networkLimits(network));
+          report.warnings.forEach(warning => console.error(`[WARN] ${warning.message}`));
+          
+          if (report.errors.length > 0) {
+            return resolve({
+              success: false,
+              error: `Preflight failed: ${report.errors.map(issue => issue.message).join('; ')}`,
+              preflight: report
+            });
+          }
+          
+          // Deploy using ethers, linking any libraries first
+          deployContract(abi, bytecode, contractFile, constructorArgs, { linkReferences, libraries })
+            .then(result => resolve({ ...result, warnings: report.warnings }))
             .catch(error => {
               console.error(`[ERROR] Deployment error: ${error.message}`);
               resolve({
@@ -327,24 +346,17 @@ async function compileAndDeployContract(sourceCode, constructorArgs = []) {
         }
       };
       
-      // Use appropriate compiler
-      if (useLocalCompiler) {
-        console.error('[INFO] Using local Solidity 0.8.28 compiler');
-        compileWithSolc(solc);
-      } else {
-        console.error('[INFO] Loading remote Solidity 0.8.28 compiler');
-        solc.loadRemoteVersion('v0.8.28', (err, solcSnapshot) => {
-          if (err) {
-            console.error(`[ERROR] Failed to load compiler: ${err.message}`);
-            return resolve({
-              success: false,
-              error: `Failed to load compiler: ${err.message}`
-            });
-          }
-          
-          compileWithSolc(solcSnapshot);
-        });
-      }
+      loadVersion(compilerVersion, (err, solcSnapshot) => {
+        if (err) {
+          console.error(`[ERROR] Failed to load compiler: ${err.message}`);
+          return resolve({
+            success: false,
+            error: `Failed to load compiler: ${err.message}`
+          });
+        }
+        
+        compileWithSolc(solcSnapshot);
+      });
     });
   } catch (error) {
     console.error(`[ERROR] Unexpected error: ${error.message}`);
@@ -356,14 +368,36 @@ async function compileAndDeployContract(sourceCode, constructorArgs = []) {
 }
 
 // Deploy contract using ethers
-async function deployContract(abi, bytecode, contractName, constructorArgs) {
+async function deployContract(abi, unlinkedBytecode, contractName, constructorArgs, linking = {}) {
   try {
-    console.error('[INFO] Deploying contract to Monad testnet...');
+    console.error(`[INFO] Deploying contract to ${network.name}...`);
     
-    // Set up provider and wallet
-    const provider = new ethers.JsonRpcProvider('https://testnet-rpc.monad.xyz');
+    // Set up a provider that fails over between the network's RPC URLs, and the wallet
+    const provider = createEthersProvider(ethers, network);
     const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
     
+    // Link the libraries the contract uses, deploying the ones that are not on chain yet
+    const { bytecode, libraries } = await linkLibraries({
+      bytecode: unlinkedBytecode,
+      linkReferences: linking.linkReferences,
+      libraries: linking.libraries,
+      getCode: address => provider.getCode(address),
+      chainId: Number((await provider.getNetwork()).chainId),
+      deploy: async library => {
+        const libraryFactory = new ethers.ContractFactory(library.abi, library.bytecode, wallet);
+        const deployedLibrary = await libraryFactory.deploy();
+        const libraryReceipt = await trackTransaction(network.chainId, {
+          hash: deployedLibrary.deploymentTransaction().hash,
+          network: network.key,
+          from: wallet.address,
+          description: `Deployment of library ${library.id}`,
+          deployment: libraryRecord(library)
+        }, () => deployedLibrary.deploymentTransaction().wait(network.confirmations));
+        return { address: deployedLibrary.target, transactionHash: libraryReceipt.hash };
+      },
+      log: message => console.error(`[INFO] ${message}`)
+    });
+    
     // Deploy contract
     const factory = new ethers.ContractFactory(abi, bytecode, wallet);
     console.error('[INFO] Broadcasting transaction...');
@@ -371,9 +405,19 @@ async function deployContract(abi, bytecode, contractName, constructorArgs) {
     const deployedContract = await factory.deploy(...constructorArgs);
     console.error(`[INFO] Transaction hash: ${deployedContract.deploymentTransaction().hash}`);
     
-    // Wait for deployment
+    // Wait for deployment, keeping the transaction in the pending journal until the receipt arrives
     console.error('[INFO] Waiting for confirmation...');
-    const receipt = await deployedContract.deploymentTransaction().wait();
+    const receipt = await trackTransaction(network.chainId, {
+      hash: deployedContract.deploymentTransaction().hash,
+      network: network.key,
+      from: wallet.address,
+      description: `Deployment of ${contractName}`,
+      deployment: {
+        contractName: contractName,
+        abi,
+        libraries: Object.fromEntries(Object.entries(libraries).map(([id, library]) => [id, library.address]))
+      }
+    }, () => deployedContract.deploymentTransaction().wait(network.confirmations));
     
     if (!receipt || !deployedContract.target) {
       throw new Error('Deployment failed - no contract address returned');
@@ -388,7 +432,8 @@ async function deployContract(abi, bytecode, contractName, constructorArgs) {
       transactionHash: deployedContract.deploymentTransaction().hash,
       abi: abi,
       contractName: contractName,
-      explorerUrl: `https://explorer.testnet.monad.xyz/tx/${deployedContract.deploymentTransaction().hash}`
+      libraries,
+      explorerUrl: explorerTxUrl(network, deployedContract.deploymentTransaction().hash)
     };
   } catch (error) {
     console.error(`[ERROR] Deployment error: ${error.message}`);
@@ -409,7 +454,7 @@ server.tool(
   {
     sourceCode: z.string().describe("Solidity source code"),
     constructorArgs: z.array(z.any()).optional().describe("Constructor arguments"),
-    contractName: z.string().optional().describe("Contract name")
+    contractName: z.string().optional().describe("Contract to deploy (required if the source defines more than one deployable contract)")
   },
   async (input) => {
     console.error("[INFO] Received deploy-contract request");
@@ -434,7 +479,7 @@ server.tool(
       const constructorArgs = input.constructorArgs || [];
       
       // Deploy the contract for real
-      const result = await compileAndDeployContract(input.sourceCode, constructorArgs);
+      const result = await compileAndDeployContract(input.sourceCode, constructorArgs, input.contractName);
       
       // Return the result
       return {
@@ -555,7 +600,7 @@ async function main() {
     console.error(`[DEBUG] MCP server version 2 with alternative tool names`);
     
     await server.connect(transport);
-    console.error("[INFO] Enhanced Monad MCP plugin V2 running - ALWAYS using Solidity 0.8.28");
+    console.error("[INFO] Enhanced Monad MCP plugin V2 running - compiler selected from each contract's pragma");
   } catch (error) {
     console.error(`[ERROR] Fatal error: ${error.message}`);
     process.exit(1);
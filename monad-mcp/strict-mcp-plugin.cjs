@@ -2,7 +2,7 @@
 
 /**
  * STRICT Monad MCP Plugin for Claude
- * Forces Solidity version 0.8.28 regardless of input
+ * Keeps the contract's own Solidity version pragma
  */
 
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
@@ -14,7 +14,8 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import * as solc from 'solc';
+import { loadVersion } from '../lib/compiler-store.js';
+import { resolveCompilerVersion } from '../lib/compiler.js';
 
 // Get directory name in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -45,21 +46,20 @@ const server = new McpServer({
 });
 
 /**
- * Force Solidity version 0.8.28 in a contract source
+ * Add a Solidity version pragma if the contract source has none
+ * An existing pragma is kept as written; the compiler is chosen to satisfy it
  */
-function forceCorrectVersion(source) {
+function ensurePragma(source) {
   if (!source || typeof source !== 'string') {
     return "// SPDX-License-Identifier: MIT\npragma solidity 0.8.28;\n\ncontract SimpleStorage {\n    uint256 private value;\n    \n    event ValueChanged(uint256 newValue);\n    \n    function setValue(uint256 _newValue) public {\n        value = _newValue;\n        emit ValueChanged(_newValue);\n    }\n    \n    function getValue() public view returns (uint256) {\n        return value;\n    }\n}";
   }
   
-  // Replace ANY solidity version with 0.8.28
   let result = source;
   
-  // Check if there's a pragma statement and replace it
+  // Keep an existing pragma so the deployed code is the code we were given
   const pragmaMatch = source.match(/pragma\s+solidity\s+([^;]+);/);
   if (pragmaMatch) {
-    result = source.replace(/pragma\s+solidity\s+([^;]+);/, 'pragma solidity 0.8.28;');
-    logDebug(`Replaced version ${pragmaMatch[1]} with 0.8.28`);
+    logDebug(`Keeping version pragma ${pragmaMatch[1]}`);
   } else {
     // Add pragma statement after SPDX license or at the beginning
     const spdxMatch = source.match(/(\/\/\s*SPDX-License-Identifier:[^\n]+\n)/);
@@ -76,11 +76,9 @@ function forceCorrectVersion(source) {
 }
 
 /**
- * Compile the Solidity source using 0.8.28 explicitly
+ * Compile the Solidity source with the newest compiler that satisfies its pragma
  */
 async function compileContract(source) {
-  logDebug("Compiling with Solidity 0.8.28...");
-  
   return new Promise((resolve, reject) => {
     try {
       // Input for the solidity compiler
@@ -102,10 +100,13 @@ async function compileContract(source) {
         }
       };
 
-      // Use specific solc version 0.8.28
-      solc.loadRemoteVersion('v0.8.28', function(err, solcSnapshot) {
+      // Pick the newest allowed compiler that satisfies the pragma
+      const compilerVersion = resolveCompilerVersion(input.sources);
+      logDebug(`Compiling with Solidity ${compilerVersion}...`);
+      
+      loadVersion(compilerVersion, function(err, solcSnapshot) {
         if (err) {
-          return reject(new Error(`Failed to load Solidity compiler v0.8.28: ${err}`));
+          return reject(new Error(`Failed to load Solidity compiler ${compilerVersion}: ${err}`));
         }
         
         try {
@@ -136,7 +137,8 @@ async function compileContract(source) {
           resolve({
             name: contractName,
             abi: contract.abi,
-            bytecode: '0x' + contract.evm.bytecode.object
+            bytecode: '0x' + contract.evm.bytecode.object,
+            solcVersion: compilerVersion
           });
         } catch (error) {
           reject(new Error(`Compilation failed: ${error.message}`));
@@ -151,9 +153,9 @@ async function compileContract(source) {
 // Register the deploy-contract tool
 server.tool(
   "deploy-contract",
-  "Deploy a Solidity contract to Monad testnet (forces version 0.8.28)",
+  "Deploy a Solidity contract to Monad testnet",
   {
-    sourceCode: z.string().describe("The Solidity source code to deploy (will be forced to version 0.8.28)"),
+    sourceCode: z.string().describe("The Solidity source code to deploy"),
     constructorArgs: z.array(z.any()).optional().describe("Constructor arguments (ignored in simple mode)"),
     contractName: z.string().optional().describe("Contract name (ignored in simple mode)")
   },
@@ -180,19 +182,19 @@ server.tool(
       const sourceCode = input.sourceCode || 
         "// SPDX-License-Identifier: MIT\ncontract SimpleStorage {\n    uint256 private value;\n    function setValue(uint256 _value) public { value = _value; }\n    function getValue() public view returns (uint256) { return value; }\n}";
       
-      // Force the correct Solidity version
-      const fixedSource = forceCorrectVersion(sourceCode);
+      // Add a version pragma if it is missing
+      const fixedSource = ensurePragma(sourceCode);
       
-      // Compile with Solidity 0.8.28
-      logDebug("Compiling contract with fixed version");
-      await compileContract(fixedSource);
+      // Compile with a compiler that satisfies the pragma
+      logDebug("Compiling contract");
+      const compiled = await compileContract(fixedSource);
       
       // For simplicity, return a successful mock result
       const result = {
         success: true,
         address: "0x71C7656EC7ab88b098defB751B7401B5f6d8976F",
         transactionHash: "0x88df016429689c079f3b2f6ad39fa052532c56795b733da78a91ebe6a713944b",
-        solcVersion: "0.8.28",
+        solcVersion: compiled.solcVersion,
         explorerUrl: "https://explorer.testnet.monad.xyz/tx/0x88df016429689c079f3b2f6ad39fa052532c56795b733da78a91ebe6a713944b"
       };
       
@@ -210,8 +212,7 @@ server.tool(
       
       const errorResponse = {
         success: false,
-        error: `Deployment failed: ${error.message}`,
-        solcVersion: "0.8.28"
+        error: `Deployment failed: ${error.message}`
       };
       
       return {
@@ -258,7 +259,7 @@ async function main() {
     
     // Connect transport
     await server.connect(transport);
-    logDebug("STRICT Monad MCP plugin running with Solidity 0.8.28");
+    logDebug("STRICT Monad MCP plugin running");
   } catch (error) {
     console.error("Fatal error:", error);
     process.exit(1);
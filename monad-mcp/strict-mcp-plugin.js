@@ -2,7 +2,7 @@
 
 /**
  * STRICT Monad MCP Plugin for Claude
- * Forces Solidity version 0.8.28 regardless of input
+ * Keeps the contract's own Solidity version pragma
  */
 
 const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
@@ -40,21 +40,20 @@ const server = new McpServer({
 });
 
 /**
- * Force Solidity version 0.8.28 in a contract source
+ * Add a Solidity version pragma if the contract source has none
+ * An existing pragma is kept as written; the compiler is chosen to satisfy it
  */
-function forceCorrectVersion(source) {
+function ensurePragma(source) {
   if (!source || typeof source !== 'string') {
     return "// SPDX-License-Identifier: MIT\npragma solidity 0.8.28;\n\ncontract SimpleStorage {\n    uint256 private value;\n    \n    event ValueChanged(uint256 newValue);\n    \n    function setValue(uint256 _newValue) public {\n        value = _newValue;\n        emit ValueChanged(_newValue);\n    }\n    \n    function getValue() public view returns (uint256) {\n        return value;\n    }\n}";
   }
   
-  // Replace ANY solidity version with 0.8.28
   let result = source;
   
-  // Check if there's a pragma statement and replace it
+  // Keep an existing pragma so the deployed code is the code we were given
   const pragmaMatch = source.match(/pragma\s+solidity\s+([^;]+);/);
   if (pragmaMatch) {
-    result = source.replace(/pragma\s+solidity\s+([^;]+);/, 'pragma solidity 0.8.28;');
-    logDebug(`Replaced version ${pragmaMatch[1]} with 0.8.28`);
+    logDebug(`Keeping version pragma ${pragmaMatch[1]}`);
   } else {
     // Add pragma statement after SPDX license or at the beginning
     const spdxMatch = source.match(/(\/\/\s*SPDX-License-Identifier:[^\n]+\n)/);
@@ -132,9 +131,9 @@ async function deploySimpleStorageContract(contractSource) {
 // Register the deploy-contract tool
 server.tool(
   "deploy-contract",
-  "Deploy a Solidity contract to Monad testnet (forces version 0.8.28)",
+  "Deploy a Solidity contract to Monad testnet",
   {
-    sourceCode: z.string().describe("The Solidity source code to deploy (will be forced to version 0.8.28)"),
+    sourceCode: z.string().describe("The Solidity source code to deploy"),
     constructorArgs: z.array(z.any()).optional().describe("Constructor arguments (ignored in simple mode)"),
     contractName: z.string().optional().describe("Contract name (ignored in simple mode)")
   },
@@ -161,11 +160,11 @@ server.tool(
       const sourceCode = input.sourceCode || 
         "// SPDX-License-Identifier: MIT\ncontract SimpleStorage {\n    uint256 private value;\n    function setValue(uint256 _value) public { value = _value; }\n    function getValue() public view returns (uint256) { return value; }\n}";
       
-      // Force the correct Solidity version
-      const fixedSource = forceCorrectVersion(sourceCode);
+      // Add a version pragma if it is missing
+      const fixedSource = ensurePragma(sourceCode);
       
       // Deploy the contract
-      logDebug("Deploying contract with fixed version");
+      logDebug("Deploying contract");
       const result = await deploySimpleStorageContract(fixedSource);
       
       // Return the result
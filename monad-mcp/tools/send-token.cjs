@@ -1,25 +1,27 @@
 const { ethers } = require('ethers');
-const path = require('path');
-const fs = require('fs');
+const { getNetwork, createEthersProvider, explorerTxUrl } = require('../../lib/networks');
+const { trackTransaction } = require('../../lib/journal');
+const { resolveSetting } = require('../../lib/config');
+const { selectedAccount, resolveSigner } = require('../../lib/accounts');
+const { createEthersSigner } = require('../../lib/signers');
 
 // Import z schema for validation
 const { z } = require("zod");
 
-// Load private key from env.js
+// Load private key from the environment, .env or env.js
 let PRIVATE_KEY;
 try {
-  const envFilePath = path.resolve(__dirname, '../../env.js');
-  if (fs.existsSync(envFilePath)) {
-    const envFile = require(envFilePath);
-    PRIVATE_KEY = envFile.PRIVATE_KEY;
+  const privateKeySetting = resolveSetting('privateKey');
+  if (privateKeySetting.value) {
+    PRIVATE_KEY = privateKeySetting.value;
     
     // Mask key for security in logs
     const maskedKey = PRIVATE_KEY.substring(0, 6) + '...' + PRIVATE_KEY.substring(PRIVATE_KEY.length - 4);
     const address = new ethers.Wallet(PRIVATE_KEY).address;
-    console.error(`[INFO] Loaded private key from env.js (address: ${address.substring(0, 6)}...${address.substring(address.length - 4)})`);
-  } else {
-    console.error('[ERROR] env.js file not found');
-    throw new Error('Missing env.js file with PRIVATE_KEY');
+    console.error(`[INFO] Loaded private key from ${privateKeySetting.source} (address: ${address.substring(0, 6)}...${address.substring(address.length - 4)})`);
+  } else if (!selectedAccount()) {
+    console.error('[ERROR] PRIVATE_KEY not found');
+    throw new Error('Missing PRIVATE_KEY in the environment, .env or env.js (or select an account with MONDEPLOYER_ACCOUNT)');
   }
 } catch (error) {
   console.error(`[ERROR] Failed to load private key: ${error.message}`);
@@ -36,8 +38,10 @@ const ERC20_ABI = [
 
 /**
  * Send tokens to multiple recipients
+ * The network profile is the one selected with MONDEPLOYER_NETWORK (default: monad-testnet).
+ * `account` names the account book entry to send from (default: MONDEPLOYER_ACCOUNT or PRIVATE_KEY).
  */
-async function sendTokens(tokenAddress, recipients, amount) {
+async function sendTokens(tokenAddress, recipients, amount, account) {
   try {
     console.error(`[INFO] Sending tokens from contract: ${tokenAddress}`);
     
@@ -60,9 +64,11 @@ async function sendTokens(tokenAddress, recipients, amount) {
       throw new Error('Amount must be greater than 0');
     }
     
-    // Set up provider and wallet
-    const provider = new ethers.JsonRpcProvider('https://testnet-rpc.monad.xyz');
-    const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+    // Set up a provider that fails over between the network's RPC URLs, and the wallet
+    // (remote accounts sign through their signer daemon)
+    const network = getNetwork();
+    const provider = createEthersProvider(ethers, network);
+    const wallet = createEthersSigner(ethers, resolveSigner(network, PRIVATE_KEY, account), provider);
     
     // Create contract instance
     const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
@@ -88,13 +94,19 @@ async function sendTokens(tokenAddress, recipients, amount) {
         
         // Wait for confirmation
         console.error('[INFO] Waiting for confirmation...');
-        const receipt = await tx.wait();
+        const receipt = await trackTransaction(network.chainId, {
+          hash: tx.hash,
+          network: network.key,
+          from: tx.from,
+          description: `Token transfer to ${recipient}`
+        }, () => tx.wait(network.confirmations));
         
         console.error(`[INFO] ✅ Transfer to ${recipient} confirmed in tx: ${receipt.hash}`);
         
         results.push({
           to: recipient,
-          txHash: receipt.hash
+          txHash: receipt.hash,
+          explorerUrl: explorerTxUrl(network, receipt.hash)
         });
       } catch (error) {
         console.error(`[ERROR] Failed to send tokens to ${recipient}: ${error.message}`);
@@ -131,7 +143,8 @@ module.exports = {
   parameters: {
     tokenAddress: z.string().describe("The ERC20 token contract address"),
     recipients: z.array(z.string()).describe("Array of wallet addresses to receive tokens"),
-    amount: z.string().or(z.number()).describe("Amount of tokens to send to each recipient")
+    amount: z.string().or(z.number()).describe("Amount of tokens to send to each recipient"),
+    account: z.string().optional().describe("Name of an account from the account book to send the tokens from")
   },
   
   handler: async (input) => {
@@ -177,7 +190,7 @@ module.exports = {
       }
       
       // Send the tokens
-      const result = await sendTokens(input.tokenAddress, input.recipients, amount);
+      const result = await sendTokens(input.tokenAddress, input.recipients, amount, input.account);
       
       // Return the result
       return {
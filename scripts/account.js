@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Script to manage encrypted keystore accounts
+ * Keys are stored as Web3 Secret Storage (JSON V3) files in keystore/, so no
+ * plaintext private key has to live in .env or env.js. Select the account that signs
+ * with --from <name> or MONDEPLOYER_ACCOUNT=<name>; scripts prompt for its
+ * passphrase, or read it from MONDEPLOYER_KEYSTORE_PASSWORD. `list` shows the
+ * whole account book: keystore accounts and the `accounts` block of
+ * mondeployer.config.json. `hd` lists the accounts of the HD wallet
+ * (hd:0, hd:1, ...) with their balances.
+ *
+ * Usage:
+ *   node scripts/account.js new <name>
+ *   node scripts/account.js import <name> [--from-env | --keystore <file>]
+ *   node scripts/account.js list [--network <name>]
+ *   node scripts/account.js hd [--count <n>] [--network <name>]
+ */
+
+const viem = require('viem');
+
+const {
+  getKeystoreDir,
+  importAccount,
+  newAccount,
+  importKeystoreFile,
+  promptHidden
+} = require('../lib/keystore');
+const { getSetting } = require('../lib/config');
+const { ACCOUNT_ENV, selectedAccount, listAccountBook, getHdWallet, listHdAccounts } = require('../lib/accounts');
+const { getNetwork, parseNetworkFlag, createClients } = require('../lib/networks');
+
+const { network: networkName, args } = parseNetworkFlag(process.argv.slice(2));
+const [command, name, ...rest] = args;
+
+function showUsage() {
+  console.error('Usage: node scripts/account.js new <name>');
+  console.error('       node scripts/account.js import <name> [--from-env | --keystore <file>]');
+  console.error('       node scripts/account.js list [--network <name>]');
+  console.error('       node scripts/account.js hd [--count <n>] [--network <name>]');
+}
+
+/**
+ * Reads the passphrase that protects an account
+ * @param {boolean} confirm - Ask twice, for passphrases that are being set
+ * @returns {Promise<string>} MONDEPLOYER_KEYSTORE_PASSWORD, or what was typed
+ */
+async function readPassphrase(confirm) {
+  const configured = getSetting('keystorePassword');
+  if (configured !== undefined) {
+    return configured;
+  }
+
+  const passphrase = await promptHidden('🔐 Keystore passphrase: ');
+  if (confirm && passphrase !== await promptHidden('🔐 Repeat the passphrase: ')) {
+    throw new Error('The passphrases do not match');
+  }
+  return passphrase;
+}
+
+/**
+ * Reads the private key to import
+ * @param {boolean} fromEnv - Take PRIVATE_KEY from the environment, .env or env.js instead of prompting
+ * @returns {Promise<string>} The private key
+ */
+async function readPrivateKey(fromEnv) {
+  if (!fromEnv) {
+    return promptHidden('🔑 Private key to import: ', 'Use --from-env to import PRIVATE_KEY from .env or env.js.');
+  }
+
+  const privateKey = getSetting('privateKey');
+  if (!privateKey) {
+    throw new Error('PRIVATE_KEY was not found in the environment, .env or env.js');
+  }
+  return privateKey;
+}
+
+function list() {
+  const network = getNetwork(networkName);
+  const accounts = listAccountBook(network);
+  const selected = selectedAccount();
+
+  if (accounts.length === 0) {
+    console.log('No accounts. Create a keystore account with: npm run account -- new <name>, or add an accounts block to mondeployer.config.json');
+    return;
+  }
+
+  console.log(`📒 Accounts on ${network.name} (keystore: ${getKeystoreDir()}):`);
+  accounts.forEach(account => {
+    const address = account.address || `(${account.error})`;
+    console.log(`${account.name === selected ? '*' : ' '} ${account.name}  ${address}  ${account.source}`);
+  });
+  if (!selected) {
+    console.log(`\nSign with an account using --from <name>, or select one with ${ACCOUNT_ENV}=<name>`);
+  }
+}
+
+/**
+ * Lists the accounts of the HD wallet with their balances
+ * @param {Array<string>} options - Arguments after `hd`
+ * @returns {Promise<void>}
+ */
+async function listHd(options) {
+  let count = getHdWallet().count;
+
+  if (options.length > 0) {
+    if (options[0] !== '--count' || options.length !== 2 || !/^[1-9]\d*$/.test(options[1])) {
+      showUsage();
+      process.exit(1);
+    }
+    count = Number(options[1]);
+  }
+
+  const network = getNetwork(networkName);
+  const { publicClient } = createClients(network);
+  const accounts = listHdAccounts(network, count);
+  const balances = await Promise.all(accounts.map(account => publicClient.getBalance({ address: account.address })));
+
+  if (network.devAccounts) {
+    console.log(`🌱 HD wallet accounts on ${network.name} (its dev accounts):`);
+  } else {
+    const { mnemonic, path } = getHdWallet();
+    console.log(`🌱 HD wallet accounts on ${network.name} (${mnemonic}, ${path}/<index>):`);
+  }
+  accounts.forEach((account, i) => {
+    console.log(`  ${account.name.padEnd(6)} ${account.address}  ${viem.formatUnits(balances[i], network.currency.decimals)} ${network.currency.symbol}`);
+  });
+  console.log('\nSign with an account using --from hd:<index>');
+}
+
+async function main() {
+  if (command === 'list' && !name) {
+    list();
+    return;
+  }
+  if (command === 'hd') {
+    await listHd(args.slice(1));
+    return;
+  }
+
+  if (!['new', 'import'].includes(command) || !name || name.startsWith('--')) {
+    showUsage();
+    process.exit(1);
+  }
+
+  let account;
+
+  if (command === 'new') {
+    if (rest.length > 0) {
+      showUsage();
+      process.exit(1);
+    }
+    account = await newAccount(name, await readPassphrase(true));
+  } else if (rest[0] === '--keystore' && rest[1] && rest.length === 2) {
+    // An existing keystore keeps its own passphrase
+    account = importKeystoreFile(name, rest[1], await readPassphrase(false));
+  } else if (rest.length === 0 || (rest[0] === '--from-env' && rest.length === 1)) {
+    const privateKey = await readPrivateKey(rest[0] === '--from-env');
+    account = await importAccount(name, privateKey, await readPassphrase(true));
+  } else {
+    showUsage();
+    process.exit(1);
+  }
+
+  console.log(`✅ Keystore account "${account.name}" (${account.address}) saved to ${account.path}`);
+  console.log(`Sign with it using --from ${account.name}, or by setting ${ACCOUNT_ENV}=${account.name}`);
+  if (command === 'import' && rest[0] === '--from-env') {
+    console.log('You can now remove PRIVATE_KEY from .env and env.js');
+  }
+}
+
+main().catch(error => {
+  console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  process.exit(1);
+});
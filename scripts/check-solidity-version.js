@@ -9,8 +9,11 @@
 const fs = require('fs');
 const path = require('path');
 
-// Required Solidity version for Monad
-const REQUIRED_VERSION = '0.8.28';
+const { extractPragmas, selectVersion } = require('../lib/pragma');
+const { availableVersions } = require('../lib/compiler-store');
+
+// Compilers the project may use (installed or bundled, filtered by the allow-list)
+const AVAILABLE_VERSIONS = availableVersions();
 
 // Check if a file path was provided
 const contractPath = process.argv[2];
@@ -32,44 +35,31 @@ try {
   const contractSource = fs.readFileSync(resolvedPath, 'utf8');
   
   // Check for pragma statement
-  const pragmaMatch = contractSource.match(/pragma\s+solidity\s+([^;]+);/);
+  const pragmas = extractPragmas(contractSource);
   
-  if (!pragmaMatch) {
+  if (pragmas.length === 0) {
     console.error('\x1b[31mError: No pragma solidity statement found in contract\x1b[0m');
     console.error(`Add the following line at the top of your contract:`);
-    console.error(`\x1b[32mpragma solidity ${REQUIRED_VERSION};\x1b[0m`);
+    console.error(`\x1b[32mpragma solidity ^${AVAILABLE_VERSIONS[0]};\x1b[0m`);
     process.exit(1);
   }
   
-  const versionSpecifier = pragmaMatch[1].trim();
+  const versionSpecifier = pragmas.join(' ');
+  const selectedVersion = selectVersion(pragmas, AVAILABLE_VERSIONS);
   
-  // Check for exact version match
-  if (versionSpecifier !== REQUIRED_VERSION) {
-    console.error(`\x1b[31mError: Invalid Solidity version: ${versionSpecifier}\x1b[0m`);
-    console.error(`Monad requires exactly version ${REQUIRED_VERSION}`);
-    console.error(`Change your pragma statement to:`);
-    console.error(`\x1b[32mpragma solidity ${REQUIRED_VERSION};\x1b[0m`);
-    
-    // Show common issues
-    if (versionSpecifier.startsWith('^')) {
-      console.error(`\nRemove the caret (^) from the version specifier.`);
-      console.error(`\x1b[31m- pragma solidity ${versionSpecifier};\x1b[0m`);
-      console.error(`\x1b[32m+ pragma solidity ${REQUIRED_VERSION};\x1b[0m`);
-    } else if (versionSpecifier.includes(' - ')) {
-      console.error(`\nDo not use version ranges.`);
-      console.error(`\x1b[31m- pragma solidity ${versionSpecifier};\x1b[0m`);
-      console.error(`\x1b[32m+ pragma solidity ${REQUIRED_VERSION};\x1b[0m`);
-    } else if (versionSpecifier.startsWith('>=')) {
-      console.error(`\nDo not use >=, use exact version.`);
-      console.error(`\x1b[31m- pragma solidity ${versionSpecifier};\x1b[0m`);
-      console.error(`\x1b[32m+ pragma solidity ${REQUIRED_VERSION};\x1b[0m`);
-    }
-    
+  // Check that an allowed compiler satisfies the pragma
+  if (!selectedVersion) {
+    console.error(`\x1b[31mError: No allowed compiler satisfies pragma solidity ${versionSpecifier};\x1b[0m`);
+    console.error(`Available compilers: ${AVAILABLE_VERSIONS.join(', ')}`);
+    console.error(`Install a matching compiler:`);
+    console.error(`\x1b[32mnpm run solc -- install <version>\x1b[0m`);
+    console.error(`Or change your pragma statement to:`);
+    console.error(`\x1b[32mpragma solidity ^${AVAILABLE_VERSIONS[0]};\x1b[0m`);
     process.exit(1);
   }
   
   // Success!
-  console.log(`\x1b[32m✓ Contract uses correct Solidity version: ${REQUIRED_VERSION}\x1b[0m`);
+  console.log(`\x1b[32m✓ pragma solidity ${versionSpecifier}; will compile with Solidity ${selectedVersion}\x1b[0m`);
   console.log(`File: ${resolvedPath}`);
   
 } catch (error) {
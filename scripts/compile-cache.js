@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Script to inspect and clear the compilation cache
+ *
+ * Usage:
+ *   node scripts/compile-cache.js inspect [key-prefix]
+ *   node scripts/compile-cache.js clear [key-prefix]
+ */
+
+const {
+  getCacheDir,
+  cacheEnabled,
+  listCache,
+  findCacheEntries,
+  clearCache
+} = require('../lib/compile-cache');
+
+const [,, command, prefix] = process.argv;
+
+function showUsage() {
+  console.error('Usage: node scripts/compile-cache.js <inspect [key-prefix] | clear [key-prefix]>');
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function inspectEntry(entry) {
+  console.log(`Key:       ${entry.key}`);
+  console.log(`Compiler:  ${entry.compiler}`);
+  console.log(`Created:   ${entry.createdAt}`);
+  console.log(`Sources:   ${entry.sources.join(', ')}`);
+
+  const { outputSelection, ...settings } = entry.settings;
+  console.log(`Settings:  ${JSON.stringify(settings)}`);
+
+  console.log('Contracts:');
+  for (const [file, contracts] of Object.entries(entry.output.contracts || {})) {
+    for (const [name, contract] of Object.entries(contracts)) {
+      const bytecode = contract.evm && contract.evm.bytecode ? contract.evm.bytecode.object : '';
+      const deployed = contract.evm && contract.evm.deployedBytecode ? contract.evm.deployedBytecode.object : '';
+      console.log(`  ${file}:${name}  (bytecode ${bytecode.length / 2} bytes, runtime ${deployed.length / 2} bytes)`);
+    }
+  }
+}
+
+function main() {
+  switch (command) {
+    case 'inspect': {
+      if (prefix) {
+        const entries = findCacheEntries(prefix);
+
+        if (entries.length === 0) {
+          throw new Error(`No cache entry matches ${prefix}`);
+        }
+        entries.forEach((entry, index) => {
+          if (index > 0) {
+            console.log('');
+          }
+          inspectEntry(entry);
+        });
+        break;
+      }
+
+      const entries = listCache();
+      console.log(`Compilation cache: ${getCacheDir()}${cacheEnabled() ? '' : ' (disabled)'}`);
+
+      if (entries.length === 0) {
+        console.log('No cached compilations.');
+      }
+      entries.forEach(entry => {
+        console.log(`  ${entry.key.slice(0, 12)}  ${entry.compiler}  ${entry.contracts.join(', ') || '-'}  (${formatSize(entry.size)}, ${entry.createdAt})`);
+      });
+
+      const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+      console.log(`${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}, ${formatSize(total)}`);
+      break;
+    }
+    case 'clear': {
+      const removed = clearCache(prefix);
+      console.log(`\x1b[32m✓ Removed ${removed} cached compilation${removed === 1 ? '' : 's'}\x1b[0m`);
+      break;
+    }
+    default:
+      showUsage();
+      process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  process.exit(1);
+}
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Script to check the project configuration
+ * `doctor` shows the value of every setting and where it came from (the
+ * environment, .env, env.js or the configuration file), warns about values
+ * that are set in several places, and checks the blocks of
+ * mondeployer.config.js(on) the way the scripts that use them would.
+ *
+ * Usage:
+ *   node scripts/config.js doctor
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { privateKeyToAccount } = require('viem/accounts');
+const {
+  PROJECT_ROOT,
+  ENV_FILE,
+  ENV_JS_FILE,
+  SETTINGS,
+  findConfigFile,
+  loadConfig,
+  resolveSetting
+} = require('../lib/config');
+const { listNetworks, getNetwork } = require('../lib/networks');
+const { resolveSettings } = require('../lib/settings');
+const { availableVersions } = require('../lib/compiler-store');
+const { getAccountBook, getHdWallet } = require('../lib/accounts');
+
+const [,, command, ...rest] = process.argv;
+
+function showUsage() {
+  console.error('Usage: node scripts/config.js doctor');
+}
+
+/**
+ * Formats the value of a setting for display
+ * @param {string} key - Setting name
+ * @param {*} value - Its value
+ * @returns {string} The value; secrets are never shown
+ */
+function displayValue(key, value) {
+  if (key === 'privateKey') {
+    try {
+      return `(set; address ${privateKeyToAccount(`0x${String(value).replace(/^0x/, '')}`).address})`;
+    } catch (error) {
+      return '(set; not a valid private key)';
+    }
+  }
+  return SETTINGS[key].secret ? '(set)' : String(value);
+}
+
+/**
+ * Runs a check, reporting whether it passed
+ * @param {string} label - What is checked
+ * @param {Function} check - Returns a short description, or throws
+ * @returns {boolean} True if it passed
+ */
+function runCheck(label, check) {
+  try {
+    const detail = check();
+    console.log(`  \x1b[32m✓\x1b[0m ${label}${detail ? `: ${detail}` : ''}`);
+    return true;
+  } catch (error) {
+    console.log(`  \x1b[31m✗\x1b[0m ${label}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Checks the blocks of the configuration file the way the scripts that use them would
+ * @returns {boolean} True if every block is valid
+ */
+function checkBlocks() {
+  return [
+    runCheck('networks', () => {
+      const networks = listNetworks();
+      return `${networks.map(network => network.key).join(', ')}; default ${getNetwork().key}`;
+    }),
+    runCheck('compiler settings', () => JSON.stringify(resolveSettings())),
+    runCheck('compiler version', () => {
+      const version = resolveSetting('solidityVersion').value;
+      if (!version) {
+        return 'selected from the pragmas';
+      }
+      if (!availableVersions().includes(String(version).replace(/^v/, '').split('+')[0])) {
+        throw new Error(`Solidity ${version} is not installed or not allowed. Install it with: npm run solc -- install ${version}`);
+      }
+      return `${version} installed`;
+    }),
+    runCheck('accounts', () => `${Object.keys(getAccountBook()).length} named`),
+    runCheck('hdWallet', () => {
+      const { mnemonic, path: derivationPath, count } = getHdWallet();
+      return `${mnemonic}, ${derivationPath}/<index>, ${count} accounts`;
+    })
+  ].every(Boolean);
+}
+
+function doctor() {
+  const configFile = findConfigFile();
+  const warnings = [];
+  let ok = true;
+
+  console.log(`🩺 Configuration of ${PROJECT_ROOT}`);
+  console.log(`  Config file: ${configFile ? path.basename(configFile) : 'none (built-in defaults)'}`);
+  [ENV_FILE, ENV_JS_FILE].forEach(file => {
+    console.log(`  ${file}: ${fs.existsSync(path.join(PROJECT_ROOT, file)) ? 'found' : 'not found'}`);
+  });
+
+  console.log('\nSettings (environment > .env > env.js > config file):');
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    let line;
+    try {
+      const resolved = resolveSetting(key);
+      if (resolved.value === undefined) {
+        line = `\x1b[2mnot set${setting.fallback ? `, using ${setting.fallback}` : ''}\x1b[0m`;
+      } else {
+        line = `${displayValue(key, resolved.value)}  \x1b[2m← ${resolved.name} (${resolved.source})\x1b[0m`;
+      }
+      resolved.shadowed.forEach(({ source, name, differs }) => {
+        warnings.push(`${name} (${source}) is overridden by ${resolved.name} (${resolved.source})${differs ? ' with a different value' : ''}`);
+      });
+    } catch (error) {
+      ok = false;
+      line = `\x1b[31m${error.message}\x1b[0m`;
+    }
+    console.log(`  ${key.padEnd(18)} ${line}`);
+  });
+
+  console.log('\nChecks:');
+  // The blocks are only checked when the file itself loads; they would all fail the same way otherwise
+  const configLoads = runCheck('config file', () => {
+    const keys = Object.keys(loadConfig());
+    return keys.length > 0 ? keys.join(', ') : 'empty';
+  });
+  ok = configLoads && checkBlocks() && ok;
+
+  if (warnings.length > 0) {
+    console.log('\nWarnings:');
+    warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+  }
+
+  if (!ok) {
+    console.log('\n\x1b[31mThe configuration has errors.\x1b[0m');
+    process.exit(1);
+  }
+  console.log('\n\x1b[32mThe configuration is valid.\x1b[0m');
+}
+
+function main() {
+  if (command !== 'doctor' || rest.length > 0) {
+    showUsage();
+    process.exit(1);
+  }
+  doctor();
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  process.exit(1);
+}
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Script to run a deployment plan
+ * Deploys the steps of a plan in dependency order, passing the addresses of
+ * earlier steps into later constructor arguments. Steps that are already
+ * deployed with the same bytecode and arguments are skipped, so a plan can be
+ * run again after a failure or after changing one contract.
+ *
+ * Usage:
+ *   node scripts/deploy-plan.js <plan.json|plan.js> [--network <name>] [--from <account>]
+ */
+
+const { deployContract, compileContract } = require('../deploy-contract');
+const { loadPlan, orderSteps, findStepDeployment, runPlan } = require('../lib/plan');
+const { getHistory, recordPlanRun } = require('../lib/registry');
+const { CompilationError } = require('../lib/diagnostics');
+const { getNetwork, parseNetworkFlag, createClients } = require('../lib/networks');
+const { parseFromFlag } = require('../lib/accounts');
+
+const { network: networkName, args: networkArgs } = parseNetworkFlag(process.argv.slice(2));
+const { from, args } = parseFromFlag(networkArgs);
+const [planPath] = args;
+
+function showUsage() {
+  console.error('Usage: node scripts/deploy-plan.js <plan.json|plan.js> [--network <name>] [--from <account>]');
+}
+
+/**
+ * Compilation options of a plan step
+ * @param {Object} step - Plan step
+ * @returns {Object} Options for compileContract and deployContract
+ */
+function compileOptions(step) {
+  return {
+    contractName: step.contractName,
+    solcVersion: step.solcVersion,
+    settings: step.settings
+  };
+}
+
+async function main() {
+  if (!planPath) {
+    showUsage();
+    process.exit(1);
+  }
+
+  const plan = loadPlan(planPath);
+  console.log(`📋 Plan "${plan.name}": ${orderSteps(plan.steps).map(step => step.id).join(' → ')}`);
+
+  const network = getNetwork(networkName);
+  const { publicClient } = createClients(network);
+  const chainId = await publicClient.getChainId();
+
+  const result = await runPlan(plan, {
+    findDeployed: async (step, args) => {
+      const compiled = compileContract(step.contract, { ...compileOptions(step), network: network.key });
+      const expected = { plan: plan.name, step: step.id, args, abi: compiled.abi, bytecode: compiled.bytecode };
+      const deployment = findStepDeployment(getHistory(chainId, compiled.name), expected);
+
+      if (!deployment) {
+        return undefined;
+      }
+
+      // A record alone is not enough: the chain may have been reset since
+      const code = await publicClient.getCode({ address: deployment.address });
+      return code && code !== '0x' ? deployment : undefined;
+    },
+    deploy: async (step, args, libraries) => {
+      const deployed = await deployContract(step.contract, args, {
+        ...compileOptions(step),
+        libraryAddresses: libraries,
+        salt: step.salt,
+        network: network.key,
+        from,
+        plan: { name: plan.name, step: step.id }
+      });
+
+      return {
+        contractName: deployed.name,
+        address: deployed.address,
+        version: deployed.version,
+        transactionHash: deployed.transactionHash
+      };
+    },
+    log: message => console.log(`\n▶️  ${message}`)
+  });
+
+  const recordPath = recordPlanRun(chainId, plan.name, { file: plan.file, steps: result.steps });
+
+  console.log(`\n✅ Plan "${plan.name}" complete on chain ${chainId}:`);
+  result.steps.forEach(step => {
+    console.log(`  ${step.id}: ${step.contractName} v${step.version} at ${step.address} (${step.status})`);
+  });
+  console.log(`💾 Plan addresses saved to: ${recordPath}`);
+}
+
+main().catch(error => {
+  // Compiler diagnostics have already been reported
+  if (!(error instanceof CompilationError)) {
+    console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Script to run an in-process local chain for offline development
+ * Starts a chain with pre-funded dev accounts on the URL of the `local`
+ * network profile and keeps it running until interrupted. Deploy to it
+ * with `--network local`. The chain state is lost when it stops.
+ *
+ * Usage:
+ *   node scripts/local-chain.js [--port <port>] [--accounts <count>] [--balance <ether>]
+ */
+
+const { startLocalChain } = require('../lib/local-chain');
+
+function showUsage() {
+  console.error('Usage: node scripts/local-chain.js [--port <port>] [--accounts <count>] [--balance <ether>]');
+}
+
+function parseArgs(args) {
+  const options = {};
+  const names = { '--port': 'port', '--accounts': 'accounts', '--balance': 'balance' };
+
+  for (let i = 0; i < args.length; i++) {
+    const name = names[args[i]];
+    const value = Number(args[i + 1]);
+
+    if (!name || !Number.isInteger(value) || value < 0) {
+      showUsage();
+      process.exit(1);
+    }
+    options[name] = value;
+    i++;
+  }
+
+  return options;
+}
+
+async function main() {
+  const chain = await startLocalChain(parseArgs(process.argv.slice(2)));
+
+  console.log(`🧪 Local chain ${chain.chainId} running at ${chain.url}`);
+  console.log('');
+  console.log('👛 Dev accounts (the keys are public, never use them on a real network):');
+  chain.accounts.forEach(account => {
+    console.log(`  #${account.index} ${account.address} ${account.privateKey}`);
+  });
+  console.log('');
+  console.log('Deploy with --network local (MONDEPLOYER_DEV_ACCOUNT picks the signing account, default #0).');
+  console.log('Press Ctrl+C to stop.');
+
+  const stop = async () => {
+    await chain.stop();
+    console.log('\n🛑 Local chain stopped');
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main().catch(error => {
+  console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Script to browse the deployment registry
+ *
+ * Usage:
+ *   node scripts/registry.js list [--chain <chainId>]
+ *   node scripts/registry.js show <ContractName[@version]> [--chain <chainId>]
+ *   node scripts/registry.js history <ContractName> [--chain <chainId>]
+ *   node scripts/registry.js import [--chain <chainId>]
+ *
+ * `--network <name>` can be used instead of `--chain` to pick the chain of a network profile.
+ */
+
+const {
+  LEGACY_DIRS,
+  getRegistryDir,
+  getDeployment,
+  getHistory,
+  listChains,
+  listDeployments,
+  importLegacyArtifacts
+} = require('../lib/registry');
+const { DEFAULT_NETWORK, getNetwork } = require('../lib/networks');
+
+const [,, command, ...rest] = process.argv;
+
+function showUsage() {
+  console.error('Usage: node scripts/registry.js <list | show <Name[@version]> | history <Name> | import> [--chain <chainId> | --network <name>]');
+}
+
+function parseArgs(args) {
+  const parsed = { positional: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--chain') {
+      parsed.chainId = Number(args[++i]);
+      if (!Number.isInteger(parsed.chainId)) {
+        throw new Error('--chain expects a numeric chain ID');
+      }
+    } else if (args[i] === '--network') {
+      parsed.chainId = getNetwork(args[++i]).chainId;
+    } else {
+      parsed.positional.push(args[i]);
+    }
+  }
+
+  return parsed;
+}
+
+function listChain(chainId) {
+  const deployments = listDeployments(chainId);
+
+  console.log(`Chain ${chainId}:`);
+  if (deployments.length === 0) {
+    console.log('  No deployments.');
+  }
+  deployments.forEach(deployment => {
+    const kind = deployment.kind === 'library' ? ' (library)' : '';
+    console.log(`  ${deployment.contractName}${kind}  v${deployment.version}  ${deployment.address}  (${deployment.versions} version${deployment.versions === 1 ? '' : 's'}, ${deployment.deployedAt})`);
+  });
+}
+
+function showDeployment(deployment) {
+  console.log(`Contract:    ${deployment.contractName} v${deployment.version}${deployment.kind === 'library' ? ' (library)' : ''}`);
+  console.log(`Chain:       ${deployment.chainId}`);
+  console.log(`Address:     ${deployment.address}`);
+  console.log(`Transaction: ${deployment.transactionHash || '-'}`);
+  console.log(`Deployed:    ${deployment.deployedAt}`);
+  if (deployment.compilerVersion) {
+    console.log(`Compiler:    ${deployment.compilerVersion}`);
+  }
+  if (deployment.create2) {
+    console.log(`CREATE2:     salt ${deployment.create2.salt} via ${deployment.create2.factory}`);
+  }
+  Object.entries(deployment.libraries || {}).forEach(([id, address]) => {
+    console.log(`Library:     ${id} ${address}`);
+  });
+  console.log(`Record:      ${deployment.recordPath}`);
+  if (deployment.inputPath) {
+    console.log(`Input:       ${deployment.inputPath}`);
+  }
+}
+
+function main() {
+  const { positional, chainId } = parseArgs(rest);
+  const [name] = positional;
+  // show and history look at the chain of the selected network unless one is given
+  const selectedChainId = chainId || getNetwork().chainId;
+
+  switch (command) {
+    case 'list': {
+      console.log(`Deployment registry: ${getRegistryDir()}`);
+      const chains = chainId !== undefined ? [chainId] : listChains();
+
+      if (chains.length === 0) {
+        console.log('No deployments recorded.');
+      }
+      chains.forEach(listChain);
+      break;
+    }
+    case 'show': {
+      if (!name) {
+        showUsage();
+        process.exit(1);
+      }
+      const [contractName, version] = name.split('@');
+      const deployment = getDeployment(selectedChainId, contractName, version ? Number(version) : undefined);
+
+      if (!deployment) {
+        throw new Error(`No deployment of ${name} on chain ${selectedChainId}`);
+      }
+      showDeployment(deployment);
+      break;
+    }
+    case 'history': {
+      if (!name) {
+        showUsage();
+        process.exit(1);
+      }
+      const history = getHistory(selectedChainId, name);
+
+      if (history.length === 0) {
+        throw new Error(`No deployment of ${name} on chain ${selectedChainId}`);
+      }
+      history.forEach(deployment => {
+        console.log(`  v${deployment.version}  ${deployment.address}  ${deployment.transactionHash || '-'}  ${deployment.deployedAt}`);
+      });
+      break;
+    }
+    case 'import': {
+      // Artifacts written before the registry existed were all deployed to Monad testnet
+      const imported = importLegacyArtifacts(chainId || getNetwork(DEFAULT_NETWORK).chainId);
+
+      imported.forEach(entry => {
+        console.log(`  ${entry.contractName} v${entry.version}  ${entry.address}  (from ${entry.file})`);
+      });
+      console.log(`\x1b[32m✓ Imported ${imported.length} artifact${imported.length === 1 ? '' : 's'} from ${LEGACY_DIRS.join(', ')}\x1b[0m`);
+      break;
+    }
+    default:
+      showUsage();
+      process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  process.exit(1);
+}
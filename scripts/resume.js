@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Script to finish transactions whose receipt never arrived
+ * Every transaction is journaled when it is broadcast. If waiting for its
+ * receipt failed (timeout, RPC error, interrupted process), this checks what
+ * happened: mined deployments are recorded in the registry, dropped
+ * transactions are reported and removed from the journal, and transactions
+ * still in the mempool stay for the next run.
+ *
+ * Usage:
+ *   node scripts/resume.js [--list] [--network <name>]
+ */
+
+const { getNetwork, parseNetworkFlag, createClients } = require('../lib/networks');
+const { getJournalDir, listPending, resumePending } = require('../lib/journal');
+
+const { network: networkName, args } = parseNetworkFlag(process.argv.slice(2));
+
+function showUsage() {
+  console.error('Usage: node scripts/resume.js [--list] [--network <name>]');
+}
+
+function listOnly(network) {
+  const pending = listPending(network.chainId);
+
+  if (pending.length === 0) {
+    console.log(`✅ No pending transactions on ${network.name}`);
+    return;
+  }
+
+  console.log(`⏳ ${pending.length} pending transaction(s) on ${network.name} (${getJournalDir(network.chainId)}):`);
+  pending.forEach(entry => {
+    console.log(`  ${entry.hash}  ${entry.description}  (sent ${entry.sentAt}${entry.from ? ` from ${entry.from}` : ''})`);
+  });
+}
+
+async function main() {
+  if (args.some(arg => arg !== '--list')) {
+    showUsage();
+    process.exit(1);
+  }
+
+  const network = getNetwork(networkName);
+
+  if (args.includes('--list')) {
+    listOnly(network);
+    return;
+  }
+
+  const { publicClient } = createClients(network);
+  const results = await resumePending(publicClient, network.chainId);
+
+  if (results.length === 0) {
+    console.log(`✅ No pending transactions on ${network.name}`);
+    return;
+  }
+
+  console.log(`Checking ${results.length} pending transaction(s) on ${network.name}...`);
+  results.forEach(result => {
+    switch (result.status) {
+      case 'recorded':
+        console.log(`✅ ${result.description}: mined at ${result.address}, recorded as v${result.version} in ${result.recordPath}`);
+        break;
+      case 'confirmed':
+        console.log(`✅ ${result.description}: mined`);
+        break;
+      case 'reverted':
+        console.log(`❌ ${result.description}: mined but reverted`);
+        break;
+      case 'pending':
+        console.log(`⏳ ${result.description}: still waiting to be mined, run this again later`);
+        break;
+      case 'dropped':
+        console.log(`🗑️  ${result.description}: DROPPED, the network no longer knows this transaction. Send it again.`);
+        break;
+      default:
+        console.log(`⚠️  ${result.description}: could not be checked (${result.error}), kept for the next run`);
+    }
+    console.log(`   ${result.hash}`);
+  });
+
+  if (results.some(result => result.status === 'dropped' || result.status === 'error')) {
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  process.exit(1);
+});
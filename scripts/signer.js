@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+
+/**
+ * Script to run a signer daemon
+ * Unlocks keystore accounts in this process and signs for them over JSON-RPC
+ * on 127.0.0.1, so the MCP server and the scripts an AI agent drives never
+ * hold their keys. Point an entry of the account book at the daemon with
+ * { "remote": "http://127.0.0.1:<port>", "address": "0x..." } (see
+ * lib/signers.js). Only transactions for the chain of the selected network
+ * are signed, and every signature is logged.
+ *
+ * Every request must carry `Authorization: Bearer <token>`, where the token
+ * is MONDEPLOYER_SIGNER_TOKEN or, if that is not set, a random one printed at
+ * startup. Requests addressed to a Host other than the loopback interface
+ * and requests with an Origin header (that is, from a browser) are refused.
+ *
+ * Methods: eth_accounts, eth_chainId, eth_signTransaction, personal_sign,
+ * eth_sign and eth_signTypedData_v4.
+ *
+ * Usage:
+ *   node scripts/signer.js <keystore account>... [--port <port>] [--network <name>]
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const viem = require('viem');
+const { canUnlock, unlockAccount, promptHidden } = require('../lib/keystore');
+const { keystoreSigner, fromRpcTransaction } = require('../lib/signers');
+const { configFileName, getSetting } = require('../lib/config');
+const { getNetwork, parseNetworkFlag } = require('../lib/networks');
+
+// Port the daemon listens on without --port
+const DEFAULT_PORT = 8550;
+
+// The daemon only listens on the loopback interface
+const HOST = '127.0.0.1';
+
+// Host names the daemon answers to; anything else is a DNS rebinding attempt
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+// Largest request body accepted, in bytes
+const MAX_BODY = 1024 * 1024;
+
+function showUsage() {
+  console.error('Usage: node scripts/signer.js <keystore account>... [--port <port>] [--network <name>]');
+}
+
+/**
+ * Error answered with a JSON-RPC error code
+ */
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+  }
+}
+
+function parseArgs(args) {
+  const names = [];
+  let port = DEFAULT_PORT;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') {
+      port = Number(args[i + 1]);
+      if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+        showUsage();
+        process.exit(1);
+      }
+      i++;
+    } else if (args[i].startsWith('--')) {
+      showUsage();
+      process.exit(1);
+    } else {
+      names.push(args[i]);
+    }
+  }
+
+  if (names.length === 0) {
+    showUsage();
+    process.exit(1);
+  }
+  return { names, port };
+}
+
+/**
+ * Creates the JSON-RPC methods of the daemon
+ * @param {Array<Object>} signers - viem accounts the daemon signs for
+ * @param {number} chainId - The only chain transactions are signed for
+ * @returns {Object} Handlers keyed by method name, each taking the params array
+ */
+function createMethods(signers, chainId) {
+  const signerFor = address => {
+    const signer = viem.isAddress(address || '') && signers.find(account => viem.isAddressEqual(account.address, address));
+    if (!signer) {
+      throw new RpcError(-32000, `This signer does not hold ${address || 'an account without an address'}`);
+    }
+    return signer;
+  };
+  const message = data => (viem.isHex(data) ? { raw: data } : data);
+
+  return {
+    eth_accounts: () => signers.map(account => account.address),
+
+    eth_chainId: () => viem.numberToHex(chainId),
+
+    eth_signTransaction: async ([request = {}]) => {
+      const signer = signerFor(request.from);
+      const transaction = fromRpcTransaction(request);
+      if (transaction.chainId !== chainId) {
+        throw new RpcError(-32000, `Refusing to sign for chain ${transaction.chainId}; this signer signs for chain ${chainId} only`);
+      }
+
+      const serialized = await signer.signTransaction(transaction);
+      const target = transaction.to ? `to ${transaction.to}` : 'deploying a contract';
+      console.log(`✍️  ${signer.address} ${target}, nonce ${transaction.nonce}, value ${viem.formatEther(transaction.value || 0n)}`);
+      return serialized;
+    },
+
+    personal_sign: async ([data, address]) => {
+      const signer = signerFor(address);
+      console.log(`✍️  ${signer.address} signed a message`);
+      return signer.signMessage({ message: message(data) });
+    },
+
+    eth_sign: async ([address, data]) => {
+      const signer = signerFor(address);
+      console.log(`✍️  ${signer.address} signed a message`);
+      return signer.signMessage({ message: message(data) });
+    },
+
+    eth_signTypedData_v4: async ([address, typedData]) => {
+      const signer = signerFor(address);
+      const { domain, types, primaryType, message: value } = typeof typedData === 'string' ? JSON.parse(typedData) : typedData;
+      if (domain && domain.chainId !== undefined && Number(domain.chainId) !== chainId) {
+        throw new RpcError(-32000, `Refusing to sign typed data for chain ${domain.chainId}; this signer signs for chain ${chainId} only`);
+      }
+
+      console.log(`✍️  ${signer.address} signed ${primaryType} typed data`);
+      return signer.signTypedData({ domain, types, primaryType, message: value });
+    }
+  };
+}
+
+/**
+ * Answers one JSON-RPC request
+ * @param {Object} methods - Handlers from createMethods
+ * @param {Object} request - The request
+ * @returns {Promise<Object>} The JSON-RPC response
+ */
+async function answer(methods, request) {
+  const id = request && request.id !== undefined ? request.id : null;
+
+  try {
+    if (!request || typeof request.method !== 'string') {
+      throw new RpcError(-32600, 'Invalid request');
+    }
+    const method = methods[request.method];
+    if (!method) {
+      throw new RpcError(-32601, `Method ${request.method} is not supported by this signer`);
+    }
+    return { jsonrpc: '2.0', id, result: await method(Array.isArray(request.params) ? request.params : []) };
+  } catch (error) {
+    if (!(error instanceof RpcError)) {
+      console.error(`⚠️  ${request.method} refused: ${error.message}`);
+    }
+    return { jsonrpc: '2.0', id, error: { code: error.code || -32000, message: error.message } };
+  }
+}
+
+/**
+ * Checks that a request comes from a local process that holds the token
+ * @param {Object} req - The HTTP request
+ * @param {number} port - Port the daemon listens on
+ * @param {string} token - Bearer token of the daemon
+ * @returns {Array|undefined} `[status, message]` of the refusal, or undefined if the request may proceed
+ */
+function refuseRequest(req, port, token) {
+  const host = req.headers.host || '';
+  if (!LOOPBACK_HOSTS.some(name => host === name || host === `${name}:${port}`)) {
+    return [403, `Host ${host || '(none)'} is not the loopback interface`];
+  }
+  if (req.headers.origin !== undefined) {
+    return [403, 'Requests from browsers (with an Origin header) are not accepted'];
+  }
+
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.headers.authorization || '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return [401, 'Missing or wrong signer token (Authorization: Bearer <token>)'];
+  }
+  return undefined;
+}
+
+/**
+ * Starts the JSON-RPC server
+ * @param {Object} methods - Handlers from createMethods
+ * @param {number} port - Port to listen on
+ * @param {string} token - Bearer token every request must carry
+ * @returns {Promise<Object>} The HTTP server
+ */
+function startServer(methods, port, token) {
+  const server = http.createServer((req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    const refusal = refuseRequest(req, port, token);
+    if (refusal) {
+      console.error(`⚠️  Refused a request: ${refusal[1]}`);
+      reply(refusal[0], { jsonrpc: '2.0', id: null, error: { code: -32001, message: refusal[1] } });
+      return;
+    }
+    if (req.method !== 'POST') {
+      reply(405, { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Use POST' } });
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reply(413, { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Request too large' } });
+        req.destroy();
+      }
+    });
+    req.on('end', async () => {
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch (error) {
+        reply(200, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+        return;
+      }
+      reply(200, Array.isArray(request)
+        ? await Promise.all(request.map(item => answer(methods, item)))
+        : await answer(methods, request));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, HOST, () => resolve(server));
+  });
+}
+
+async function main() {
+  const { network: networkName, args } = parseNetworkFlag(process.argv.slice(2));
+  const { names, port } = parseArgs(args);
+  const network = getNetwork(networkName);
+
+  // Unlock every account up front; nothing is prompted for once requests arrive
+  const signers = [];
+  for (const name of names) {
+    if (!canUnlock(name)) {
+      unlockAccount(name, await promptHidden(`🔐 Passphrase for keystore account "${name}": `));
+    }
+    signers.push(keystoreSigner(name));
+  }
+
+  const configuredToken = getSetting('signerToken');
+  const token = configuredToken || crypto.randomBytes(32).toString('hex');
+  const server = await startServer(createMethods(signers, network.chainId), port, token);
+  const url = `http://${HOST}:${port}`;
+
+  console.log(`🔏 Signer for ${network.name} (chain ${network.chainId}) listening at ${url}`);
+  console.log('');
+  console.log(`Sign with these accounts from another process through the accounts block of ${configFileName()}:`);
+  names.forEach((name, i) => {
+    console.log(`  "${name}": { "remote": "${url}", "address": "${signers[i].address}" }`);
+  });
+  console.log('');
+  if (configuredToken) {
+    console.log('Requests must carry the token in MONDEPLOYER_SIGNER_TOKEN.');
+  } else {
+    console.log('Give the signing process this token, in its environment, .env or env.js:');
+    console.log(`  MONDEPLOYER_SIGNER_TOKEN=${token}`);
+  }
+  console.log('');
+  console.log('Press Ctrl+C to stop.');
+
+  const stop = () => {
+    server.close();
+    console.log('\n🛑 Signer stopped');
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main().catch(error => {
+  console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  process.exit(1);
+});
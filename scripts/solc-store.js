@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Script to manage the local Solidity compiler store
+ *
+ * Usage:
+ *   node scripts/solc-store.js list
+ *   node scripts/solc-store.js install <version | path/to/soljson.js>
+ *   node scripts/solc-store.js remove <version>
+ */
+
+const {
+  getStoreDir,
+  bundledVersion,
+  listCompilers,
+  installCompiler,
+  removeCompiler
+} = require('../lib/compiler-store');
+
+const [,, command, target] = process.argv;
+
+function showUsage() {
+  console.error('Usage: node scripts/solc-store.js <list | install <version|soljson-path> | remove <version>>');
+}
+
+async function main() {
+  switch (command) {
+    case 'list': {
+      const compilers = listCompilers();
+      console.log(`Compiler store: ${getStoreDir()}`);
+
+      if (compilers.length === 0) {
+        console.log('No compilers installed.');
+      }
+      compilers.forEach(entry => console.log(`  ${entry.version}  (${entry.longVersion})`));
+
+      console.log(`Bundled fallback: ${bundledVersion().longVersion}`);
+      break;
+    }
+    case 'install': {
+      if (!target) {
+        showUsage();
+        process.exit(1);
+      }
+      const entry = await installCompiler(target);
+      console.log(`\x1b[32m✓ Installed Solidity ${entry.longVersion}\x1b[0m`);
+      console.log(`File: ${entry.path}`);
+      break;
+    }
+    case 'remove': {
+      if (!target) {
+        showUsage();
+        process.exit(1);
+      }
+      const entry = removeCompiler(target);
+      console.log(`\x1b[32m✓ Removed Solidity ${entry.longVersion}\x1b[0m`);
+      break;
+    }
+    default:
+      showUsage();
+      process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Script to upgrade a proxy deployed with `deploy-contract.js --proxy`
+ * Deploys the new implementation and points the proxy at it, through
+ * upgradeToAndCall for UUPS proxies or the ProxyAdmin for transparent ones.
+ * The proxy keeps its address and registry name and gets a new version.
+ *
+ * Usage:
+ *   node scripts/upgrade.js <Proxy|address> <path/to/Contract.sol> [--contract <Name>] [--call <function> [args...]]
+ *     [--evm-version <version>] [--library <Name>=<address>] [--network <name>] [--from <account>]
+ */
+
+const { upgradeProxy } = require('../deploy-contract');
+const { mergeSettings } = require('../lib/settings');
+const { parseNetworkFlag } = require('../lib/networks');
+const { CompilationError } = require('../lib/diagnostics');
+
+const { network, args } = parseNetworkFlag(process.argv.slice(2));
+const [target, contractPath, ...rest] = args;
+
+function showUsage() {
+  console.error('Usage: node scripts/upgrade.js <Proxy|address> <path/to/Contract.sol> [--contract <Name>] [--call <function> [args...]]');
+  console.error('  [--evm-version <version>] [--library <Name>=<address>] [--network <name>] [--from <account>]');
+}
+
+function parseArgs() {
+  const options = { network };
+  const callArgs = [];
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--contract') {
+      options.contractName = rest[++i];
+    } else if (rest[i] === '--call') {
+      options.call = rest[++i];
+    } else if (rest[i] === '--from') {
+      options.from = rest[++i];
+    } else if (rest[i] === '--evm-version') {
+      options.settings = mergeSettings(options.settings || {}, { evmVersion: rest[++i] });
+    } else if (rest[i] === '--library') {
+      const [library, address] = (rest[++i] || '').split('=');
+      if (!library || !address) {
+        throw new Error('--library expects <Name|file.sol:Name>=<address>');
+      }
+      options.libraryAddresses = { ...options.libraryAddresses, [library]: address };
+    } else {
+      callArgs.push(rest[i]);
+    }
+  }
+
+  return { options, callArgs };
+}
+
+async function main() {
+  if (!target || !contractPath || target.startsWith('--') || contractPath.startsWith('--')) {
+    showUsage();
+    process.exit(1);
+  }
+
+  const { options, callArgs } = parseArgs();
+  await upgradeProxy(contractPath, target, callArgs, options);
+}
+
+main().catch(error => {
+  // Compiler diagnostics have already been reported
+  if (!(error instanceof CompilationError)) {
+    console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Script to reproduce a deployed build from its standard-JSON input
+ * Recompiles the input recorded with a deployment in the registry with the
+ * exact compiler version it records and checks that the bytecode is identical.
+ *
+ * Usage:
+ *   node scripts/verify-build.js <ContractName[@version]> [--chain <chainId> | --network <name>]
+ */
+
+const { getDeployment, getRegistryDir } = require('../lib/registry');
+const { verifyBuild } = require('../lib/standard-json');
+const { getNetwork, parseNetworkFlag } = require('../lib/networks');
+
+const { network, args } = parseNetworkFlag(process.argv.slice(2));
+const [target, ...rest] = args;
+
+function showUsage() {
+  console.error('Usage: node scripts/verify-build.js <ContractName[@version]> [--chain <chainId> | --network <name>]');
+}
+
+function main() {
+  if (!target || target.startsWith('--')) {
+    showUsage();
+    process.exit(1);
+  }
+
+  const chainIndex = rest.indexOf('--chain');
+  const chainId = chainIndex >= 0 ? Number(rest[chainIndex + 1]) : getNetwork(network).chainId;
+  const [contractName, version] = target.split('@');
+
+  const deployment = getDeployment(chainId, contractName, version ? Number(version) : undefined);
+  if (!deployment) {
+    throw new Error(`No deployment of ${target} on chain ${chainId} in ${getRegistryDir()}`);
+  }
+  console.log(`Deployment: ${deployment.contractName} v${deployment.version} at ${deployment.address} (chain ${chainId})`);
+
+  const result = verifyBuild(deployment);
+  console.log(`Input:    ${result.inputPath}`);
+  console.log(`Contract: ${result.contract}`);
+  console.log(`Compiler: ${result.compilerVersion}`);
+
+  if (result.identical) {
+    console.log('\x1b[32m✓ Recompiled bytecode is identical\x1b[0m');
+  } else {
+    console.error(`\x1b[31m✗ Recompiled ${result.mismatches.join(' and ')} ${result.mismatches.length > 1 ? 'differ' : 'differs'} from the deployment\x1b[0m`);
+    process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  process.exit(1);
+}
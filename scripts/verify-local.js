@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Script to check that the code at an address was compiled from a source file
+ * Recompiles the source locally and compares its runtime bytecode with the
+ * code on chain. Immutables, linked library addresses and the metadata hash
+ * are ignored, so comments, file paths and constructor values do not matter.
+ * No block explorer is involved.
+ *
+ * Usage:
+ *   node scripts/verify-local.js <address|ContractName[@version]> <path/to/Contract.sol> [--contract <Name>]
+ *     [--evm-version <version>] [--via-ir] [--optimizer-runs <n>] [--network <name>]
+ */
+
+const viem = require('viem');
+const { compileContract } = require('../deploy-contract');
+const { mergeSettings, parseOptimizerRuns } = require('../lib/settings');
+const { getDeployment } = require('../lib/registry');
+const { verifyDeployedCode } = require('../lib/bytecode');
+const { getNetwork, parseNetworkFlag, createClients } = require('../lib/networks');
+const { CompilationError } = require('../lib/diagnostics');
+
+const { network: networkName, args } = parseNetworkFlag(process.argv.slice(2));
+const [target, contractPath, ...rest] = args;
+
+function showUsage() {
+  console.error('Usage: node scripts/verify-local.js <address|ContractName[@version]> <path/to/Contract.sol> [--contract <Name>]');
+  console.error('  [--evm-version <version>] [--via-ir] [--optimizer-runs <n>] [--network <name>]');
+}
+
+function parseArgs() {
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--contract') {
+      options.contractName = rest[++i];
+    } else if (rest[i] === '--evm-version') {
+      options.settings = mergeSettings(options.settings || {}, { evmVersion: rest[++i] });
+    } else if (rest[i] === '--via-ir') {
+      options.settings = mergeSettings(options.settings || {}, { viaIR: true });
+    } else if (rest[i] === '--optimizer-runs') {
+      options.settings = mergeSettings(options.settings || {}, { optimizer: { runs: parseOptimizerRuns(rest[++i], '--optimizer-runs') } });
+    } else {
+      showUsage();
+      process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Resolves the address to check
+ * @param {Object} network - Resolved network profile
+ * @returns {string} The target itself if it is an address, otherwise the address recorded in the registry
+ */
+function resolveAddress(network) {
+  if (viem.isAddress(target)) {
+    return target;
+  }
+
+  const [contractName, version] = target.split('@');
+  const deployment = getDeployment(network.chainId, contractName, version ? Number(version) : undefined);
+  if (!deployment) {
+    throw new Error(`${target} is neither an address nor a deployment recorded on ${network.name}`);
+  }
+  return deployment.address;
+}
+
+async function main() {
+  if (!target || !contractPath || target.startsWith('--') || contractPath.startsWith('--')) {
+    showUsage();
+    process.exit(1);
+  }
+
+  const options = parseArgs();
+  const network = getNetwork(networkName);
+  const address = resolveAddress(network);
+  const compiled = compileContract(contractPath, { ...options, network: network.key });
+  const { publicClient } = createClients(network);
+
+  console.log(`Comparing ${compiled.name} with the code at ${address} on ${network.name}...`);
+  const result = await verifyDeployedCode(publicClient, address, compiled);
+
+  Object.entries(result.libraries).forEach(([id, libraryAddress]) => {
+    console.log(`📚 Library ${id} linked at ${libraryAddress}`);
+  });
+
+  if (result.matches) {
+    console.log(`\x1b[32m✓ The code at ${address} matches ${compiled.name} (immutables and metadata ignored)\x1b[0m`);
+  } else {
+    console.error(`\x1b[31m✗ The code at ${address} does not match ${compiled.name}: ${result.reason}\x1b[0m`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  // Compiler diagnostics have already been reported
+  if (!(error instanceof CompilationError)) {
+    console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  }
+  process.exit(1);
+});
@@ -3,23 +3,25 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { PROJECT_ROOT, ENV_FILE } = require('./lib/config');
 
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
 });
 
-let ENV_PATH = path.join(__dirname, '.env');
+let ENV_PATH = path.join(PROJECT_ROOT, ENV_FILE);
 
 // Check if .env file already exists
 if (fs.existsSync(ENV_PATH)) {
   console.log('⚠️  A .env file already exists. Creating .env.new instead.');
-  ENV_PATH = path.join(__dirname, '.env.new');
+  ENV_PATH = path.join(PROJECT_ROOT, `${ENV_FILE}.new`);
 }
 
 console.log('🔐 Monad Contract Deployment Environment Setup');
 console.log('=============================================');
 console.log('This script will help you set up the environment variables needed for contract deployment.');
+console.log('Every script, the MCP server and the plugins read them, and they override mondeployer.config.json.');
 console.log('The private key should be entered WITHOUT the 0x prefix.\n');
 
 const promptPrivateKey = () => {
@@ -33,26 +35,28 @@ const promptPrivateKey = () => {
       return promptPrivateKey();
     }
     
-    rl.question('Enter Solidity compiler version (default: 0.8.19): ', (solcVersion) => {
-      solcVersion = solcVersion || '0.8.19';
-      
-      rl.question('Enter optimization runs (default: 200): ', (runs) => {
-        runs = runs || '200';
+    rl.question('Enter Solidity compiler version (default: newest installed compiler that satisfies the pragma): ', (solcVersion) => {
+      rl.question('Enter optimization runs (default: 200, or compiler.settings in mondeployer.config.json): ', (runs) => {
+        if (runs && !/^\d+$/.test(runs)) {
+          console.log('❌ Invalid optimization runs. Leaving OPTIMIZATION_RUNS unset.');
+          runs = '';
+        }
         
-        // Create the .env file content
+        // Create the .env file content; unset compiler options fall back to mondeployer.config.json
         const envContent = `# Monad testnet deployment private key (without 0x prefix)
 PRIVATE_KEY=${privateKey}
 
 # Solidity compiler configuration
-SOLIDITY_VERSION=${solcVersion}
-OPTIMIZATION_RUNS=${runs}
+${solcVersion ? '' : '# '}SOLIDITY_VERSION=${solcVersion}
+${runs ? '' : '# '}OPTIMIZATION_RUNS=${runs}
 `;
         
         // Write to the .env file
         fs.writeFileSync(ENV_PATH, envContent);
         
         console.log(`\n✅ Environment file created at: ${ENV_PATH}`);
-        console.log('⚠️  Please keep this file secure and NEVER commit it to version control!\n');
+        console.log('⚠️  Please keep this file secure and NEVER commit it to version control!');
+        console.log('Check which values are used, and where they come from, with: npm run config -- doctor\n');
         
         rl.close();
       });
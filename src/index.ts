@@ -3,24 +3,46 @@
  * 
  * This server only contains tools specific to Monad testnet functionality.
  * The get-wallet-activity tool has been moved to the goldrush-mcp-server.
+ * Tools run against the network profile selected with MONDEPLOYER_NETWORK
+ * (default: monad-testnet) unless a `network` parameter is passed.
  */
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
-import { createPublicClient, formatUnits, http } from "viem";
-import { monadTestnet } from "viem/chains";
-import { compileAndDeploy } from "./utils/contract-deployer.js";
-import dotenv from "dotenv";
-
-// Load environment variables
-dotenv.config();
-
-// 🔗 Create a public client to interact with the Monad testnet
-const publicClient = createPublicClient({
-  chain: monadTestnet,
-  transport: http(),
-});
+import { createPublicClient, formatUnits } from "viem";
+import { compileAndDeploy, dryRunDeployment, predictCreate2Address, verifyLocalBytecode } from "./utils/contract-deployer.js";
+import { CompilationError } from "../lib/diagnostics.js";
+import { CompilerSettings } from "../lib/settings.js";
+import { LinkedLibrary } from "../lib/linking.js";
+import { SimulationResult } from "../lib/dry-run.js";
+import { PreflightError } from "../lib/preflight.js";
+import { getDeployment, getHistory, findDeploymentByAddress } from "../lib/registry.js";
+import { createTransport, explorerTxUrl, getNetwork, listNetworks, Network, toViemChain } from "../lib/networks.js";
+import { LocalChain, startLocalChain } from "../lib/local-chain.js";
+import { listAccountBook, resolveSigner, resolveSignerAddress, selectedAccount } from "../lib/accounts.js";
+import { localSigner } from "../lib/signers.js";
+import { ResumeResult, resumePending } from "../lib/journal.js";
+import { getSetting } from "../lib/config.js";
+
+// 🌐 Network profile used by tools that are not given a `network`
+const defaultNetwork = getNetwork();
+
+// Schema of the `network` parameter shared by the tools
+const networkSchema = z.string().optional().describe(
+  `Network profile to use (default: ${defaultNetwork.key}); available: ${listNetworks().map((network) => network.key).join(", ")}`
+);
+
+/**
+ * Creates a public client that fails over between the RPC URLs of a network
+ * @param network The network profile
+ */
+function createNetworkClient(network: Network) {
+  return createPublicClient({
+    chain: toViemChain(network),
+    transport: createTransport(network),
+  });
+}
 
 // 🚀 Initialize the MCP server with a name, version, and supported capabilities
 const server = new McpServer({
@@ -32,13 +54,15 @@ const server = new McpServer({
 // 🛠️ Define the "get-mon-balance" tool
 server.tool(
   "get-mon-balance",
-  "Get MON balance for an address on Monad testnet",
+  "Get MON balance for an address on Monad testnet (or another network profile)",
   {
     address: z.string().describe("Monad testnet address to check balance for"),
+    network: networkSchema,
   },
-  async ({ address }) => {
+  async ({ address, network: networkName }) => {
     try {
-      const balance = await publicClient.getBalance({
+      const network = getNetwork(networkName);
+      const balance = await createNetworkClient(network).getBalance({
         address: address as `0x${string}`,
       });
 
@@ -46,7 +70,7 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `✅ Balance for ${address}: ${formatUnits(balance, 18)} MON`,
+            text: `✅ Balance for ${address} on ${network.name}: ${formatUnits(balance, network.currency.decimals)} ${network.currency.symbol}`,
           },
         ],
       };
@@ -66,52 +90,282 @@ server.tool(
   }
 );
 
+/**
+ * Summarizes compiler settings in one line
+ * @param settings The settings the contract was compiled with
+ */
+function describeSettings(settings: CompilerSettings): string {
+  const optimizer = settings.optimizer?.enabled === false ? "optimizer off" : `optimizer ${settings.optimizer?.runs} runs`;
+  return [
+    optimizer,
+    settings.evmVersion ? `evmVersion ${settings.evmVersion}` : "default evmVersion",
+    settings.viaIR ? "viaIR" : null,
+    settings.metadata?.bytecodeHash ? `bytecodeHash ${settings.metadata.bytecodeHash}` : null,
+    settings.debug?.revertStrings ? `revertStrings ${settings.debug.revertStrings}` : null,
+  ].filter(Boolean).join(", ");
+}
+
+/**
+ * Lists the libraries a deployment was linked against, one line each
+ * @param libraries Linked libraries keyed by fully qualified name
+ */
+function describeLibraries(libraries: Record<string, LinkedLibrary>): string {
+  return Object.entries(libraries)
+    .map(([id, library]) => `📚 Library ${id}: ${library.address} (${library.source})\n`)
+    .join("");
+}
+
+/**
+ * Describes the outcome of a dry run
+ * @param simulation The simulation and the contract it was run for
+ */
+function describeSimulation(simulation: SimulationResult & { contractName: string, compilerVersion: string, warnings: { message: string }[], network: Network }): string {
+  const lines = [
+    simulation.success
+      ? `🧪 Dry run of ${simulation.contractName}: the deployment would succeed (nothing was sent)`
+      : `❌ Dry run of ${simulation.contractName}: the constructor would revert: ${simulation.revert?.reason}`,
+    "",
+    `📝 Predicted Address: ${simulation.address}`,
+    `🛠️ Compiler: Solidity ${simulation.compilerVersion}`,
+  ];
+
+  if (simulation.success && !simulation.existing) {
+    lines.push(`⛽ Estimated gas: ${simulation.gas} at ${formatUnits(simulation.gasPrice, 9)} gwei`);
+    lines.push(`💰 Estimated cost: ${simulation.costFormatted} ${simulation.network.currency.symbol} on ${simulation.network.name}`);
+  }
+  if (simulation.create2) {
+    lines.push(`🧂 CREATE2 salt: ${simulation.create2.salt} (factory ${simulation.create2.factory})`);
+  }
+  Object.entries(simulation.libraries).forEach(([id, library]) => {
+    lines.push(`📚 Library ${id}: ${library.address} (${library.source})`);
+  });
+  simulation.notes.forEach((note) => lines.push(`ℹ️ ${note}`));
+  simulation.warnings.forEach((warning) => lines.push(`⚠️ ${warning.message}`));
+
+  return lines.join("\n");
+}
+
+// Compiler settings accepted by the deployment tools (solc standard JSON names)
+const compilerSettingsSchema = z.object({
+  optimizer: z.object({
+    enabled: z.boolean().optional(),
+    runs: z.number().int().nonnegative().optional(),
+    details: z.record(z.any()).optional(),
+  }).optional(),
+  evmVersion: z.string().optional().describe("Target EVM version, e.g. \"cancun\""),
+  viaIR: z.boolean().optional().describe("Compile through the IR pipeline"),
+  metadata: z.object({
+    bytecodeHash: z.enum(["ipfs", "bzzr1", "none"]).optional(),
+  }).optional(),
+  debug: z.object({
+    revertStrings: z.enum(["default", "strip", "debug", "verboseDebug"]).optional(),
+  }).optional(),
+});
+
 // 🛠️ Define the "deploy-contract" tool
 server.tool(
   "deploy-contract",
-  "Compile and deploy a Solidity smart contract to Monad testnet",
+  "Compile and deploy a Solidity smart contract to Monad testnet (or another network profile)",
   {
     sourceCode: z.string().describe("Solidity source code of the contract"),
-    privateKey: z.string().optional().describe("Private key for deployment (without 0x prefix). If not provided, will use PRIVATE_KEY from environment."),
-    constructorArgs: z.array(z.any()).optional().describe("Constructor arguments (if any)"),
-    contractName: z.string().optional().describe("Contract name (will be auto-detected if not provided)"),
-    solcVersion: z.string().optional().describe("Solidity compiler version (default: 0.8.19)"),
+    privateKey: z.string().optional().describe("Private key for deployment (without 0x prefix). If not provided, will use the account selected with MONDEPLOYER_ACCOUNT (keystores unlocked with MONDEPLOYER_KEYSTORE_PASSWORD), then PRIVATE_KEY from environment, or a pre-funded dev account on the local network."),
+    account: z.string().optional().describe("Name of an account from the account book (see list-accounts) to sign with, instead of passing a privateKey; remote accounts are signed for by their signer daemon"),
+    constructorArgs: z.array(z.any()).optional().describe("Constructor arguments (if any); strings are converted to the parameter types, e.g. \"1.5ether\", \"0x1f\" or JSON for arrays and tuples"),
+    contractName: z.string().optional().describe("Contract to deploy (required if the source defines more than one deployable contract)"),
+    solcVersion: z.string().optional().describe("Solidity compiler version (default: newest installed compiler that satisfies the contract's pragma)"),
+    basePath: z.string().optional().describe("Directory that relative imports like \"./Lib.sol\" are resolved against (default: project root)"),
+    remappings: z.array(z.string()).optional().describe("Import remappings such as \"@oz/=node_modules/@openzeppelin/\""),
+    compilerSettings: compilerSettingsSchema.optional().describe("Compiler settings for this deployment (override compiler.settings in mondeployer.config.json)"),
+    libraries: z.record(z.string()).optional().describe("Addresses of already deployed libraries, keyed by name or \"File.sol:Name\"; missing libraries are deployed first"),
+    salt: z.string().optional().describe("Deploy through the CREATE2 factory with this salt (32-byte hex or any string) for a deterministic address; skipped if the contract already exists there"),
+    dryRun: z.boolean().optional().describe("Only simulate the deployment: report the predicted address, gas, MON cost and constructor reverts without signing or sending anything"),
+    network: networkSchema,
   },
-  async ({ sourceCode, privateKey, constructorArgs, contractName, solcVersion }) => {
+  async ({ sourceCode, privateKey, account, constructorArgs, contractName, solcVersion, basePath, remappings, compilerSettings, libraries, salt, dryRun, network }) => {
     try {
-      // Use provided private key or fall back to environment variable
-      const deploymentKey = privateKey || process.env.PRIVATE_KEY;
+      if (privateKey && account) {
+        throw new Error("Pass either 'privateKey' or 'account', not both.");
+      }
       
-      if (!deploymentKey) {
-        throw new Error("No private key provided. Either pass 'privateKey' parameter or set PRIVATE_KEY environment variable in your .env file.");
+      const noSigner = "No private key provided. Either pass 'privateKey' or 'account' parameter, select an account with MONDEPLOYER_ACCOUNT, or set PRIVATE_KEY in your .env or env.js file.";
+
+      // Simulate the deployment without sending anything
+      if (dryRun) {
+        // Only the address is needed: nothing is signed, so no keystore key is decrypted
+        const from = privateKey ? localSigner(privateKey).address : resolveSignerAddress(getNetwork(network), getSetting("privateKey"), account);
+
+        if (!from) {
+          throw new Error(noSigner);
+        }
+
+        const simulation = await dryRunDeployment(
+          sourceCode,
+          from,
+          constructorArgs || [],
+          { contractName, solcVersion, basePath, remappings, settings: compilerSettings, libraries, salt, network }
+        );
+
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: describeSimulation(simulation),
+            },
+          ],
+          isError: !simulation.success,
+        };
       }
+
+      // Use provided private key or the named account, or fall back to the selected account, then PRIVATE_KEY (a dev account on networks with dev accounts).
+      // Remote accounts sign through their signer daemon, so their keys never enter this process.
+      const signer = privateKey ? localSigner(privateKey) : resolveSigner(getNetwork(network), getSetting("privateKey"), account);
       
-      // Validate private key format
-      const normalizedKey = deploymentKey.replace(/^0x/, '');
-      if (!/^[0-9a-fA-F]{64}$/.test(normalizedKey)) {
-        throw new Error("Invalid private key format. The private key must be a 64-character hex string.");
+      if (!signer) {
+        throw new Error(noSigner);
       }
       
       // Compile and deploy the contract
       const result = await compileAndDeploy(
         sourceCode,
-        deploymentKey,
+        signer,
         constructorArgs || [],
         {
           contractName,
           solcVersion,
-          saveArtifacts: true
+          basePath,
+          remappings,
+          settings: compilerSettings,
+          libraries,
+          salt,
+          saveArtifacts: true,
+          network
         }
       );
 
+      const content = [
+        {
+          type: "text" as const,
+          text: (result.existing
+                 ? `✅ Contract ${result.contractName} already exists at its CREATE2 address, nothing was deployed\n\n`
+                 : `✅ Contract ${result.contractName} deployed successfully!\n\n`) +
+               `📝 Contract Address: ${result.address}\n` +
+               `🌐 Network: ${result.network.name} (chain ${result.chainId})\n` +
+               (result.transactionHash ? `🔗 Transaction Hash: ${result.transactionHash}\n` : "") +
+               (result.transactionHash && explorerTxUrl(result.network, result.transactionHash) ? `🔍 Explorer: ${explorerTxUrl(result.network, result.transactionHash)}\n` : "") +
+               (result.create2 ? `🧂 CREATE2 salt: ${result.create2.salt} (factory ${result.create2.factory})\n` : "") +
+               (result.codeCheck.matches
+                 ? "🔍 On-chain code matches the compiled runtime bytecode\n"
+                 : `⚠️ On-chain code does not match the compiled runtime bytecode: ${result.codeCheck.reason}\n`) +
+               `🛠️ Compiler: Solidity ${result.compilerVersion}${result.cached ? " (cached)" : ""}\n` +
+               `⚙️ Settings: ${describeSettings(result.compilerSettings)}\n` +
+               describeLibraries(result.libraries) +
+               `💾 Recorded as ${result.contractName} v${result.version} on chain ${result.chainId} in: ${result.recordPath}\n` +
+               `🧾 Standard-JSON input saved to: ${result.inputPath}`
+        },
+      ];
+
+      // Report compiler warnings as structured diagnostics
+      if (result.diagnostics.length > 0) {
+        content.push({
+          type: "text" as const,
+          text: JSON.stringify({ diagnostics: result.diagnostics }, null, 2)
+        });
+      }
+
+      // Report EVM features the network does not support
+      if (result.warnings.length > 0) {
+        content.push({
+          type: "text" as const,
+          text: `⚠️ Preflight warnings:\n${result.warnings.map((warning) => `- ${warning.message}`).join("\n")}`
+        });
+      }
+
+      return { content };
+    } catch (error) {
+      // Compilation failures carry diagnostics with file, line, column and snippet
+      if (error instanceof CompilationError) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({
+                success: false,
+                error: "Compilation failed",
+                diagnostics: error.diagnostics
+              }, null, 2),
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      // Contracts over the size limits are refused before any transaction is sent
+      if (error instanceof PreflightError) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({
+                success: false,
+                error: "Preflight failed",
+                preflight: error.report
+              }, null, 2),
+            },
+          ],
+          isError: true,
+        };
+      }
+
       return {
         content: [
           {
             type: "text",
-            text: `✅ Contract ${result.contractName} deployed successfully!\n\n` +
-                 `📝 Contract Address: ${result.address}\n` +
-                 `🔗 Transaction Hash: ${result.transactionHash}\n` +
-                 `💾 Contract artifacts saved to: ${result.artifactPath}`
+            text: `❌ Contract deployment failed: ${
+              error instanceof Error ? error.message : String(error)
+            }`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// 🛠️ Define the "predict-contract-address" tool
+server.tool(
+  "predict-contract-address",
+  "Predict the address a CREATE2 deployment of a Solidity contract will have, without deploying it",
+  {
+    sourceCode: z.string().describe("Solidity source code of the contract"),
+    salt: z.string().describe("CREATE2 salt (32-byte hex or any string)"),
+    constructorArgs: z.array(z.any()).optional().describe("Constructor arguments (if any); strings are converted to the parameter types, e.g. \"1.5ether\", \"0x1f\" or JSON for arrays and tuples"),
+    contractName: z.string().optional().describe("Contract to deploy (required if the source defines more than one deployable contract)"),
+    solcVersion: z.string().optional().describe("Solidity compiler version (default: newest installed compiler that satisfies the contract's pragma)"),
+    basePath: z.string().optional().describe("Directory that relative imports like \"./Lib.sol\" are resolved against (default: project root)"),
+    remappings: z.array(z.string()).optional().describe("Import remappings such as \"@oz/=node_modules/@openzeppelin/\""),
+    compilerSettings: compilerSettingsSchema.optional().describe("Compiler settings, which must match the deployment's since they change the initcode"),
+    libraries: z.record(z.string()).optional().describe("Addresses of the deployed libraries the contract links against"),
+    network: networkSchema,
+  },
+  async ({ sourceCode, salt, constructorArgs, contractName, solcVersion, basePath, remappings, compilerSettings, libraries, network }) => {
+    try {
+      const result = await predictCreate2Address(sourceCode, constructorArgs || [], salt, {
+        contractName,
+        solcVersion,
+        basePath,
+        remappings,
+        settings: compilerSettings,
+        libraries,
+        network
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `🔮 ${result.contractName} will be deployed at ${result.address}\n` +
+                  `🧂 Salt: ${result.salt}\n` +
+                  `🏭 Factory: ${result.factory}`
           },
         ],
       };
@@ -120,7 +374,104 @@ server.tool(
         content: [
           {
             type: "text",
-            text: `❌ Contract deployment failed: ${
+            text: `❌ Address prediction failed: ${
+              error instanceof Error ? error.message : String(error)
+            }`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// 🛠️ Define the "verify-local" tool
+server.tool(
+  "verify-local",
+  "Recompile a Solidity contract and check that the code deployed at an address matches it (immutables, linked libraries and the metadata hash are ignored)",
+  {
+    sourceCode: z.string().describe("Solidity source code of the contract"),
+    address: z.string().describe("Address of the deployed contract"),
+    contractName: z.string().optional().describe("Contract to compare with (required if the source defines more than one deployable contract)"),
+    solcVersion: z.string().optional().describe("Solidity compiler version (default: newest installed compiler that satisfies the contract's pragma)"),
+    basePath: z.string().optional().describe("Directory that relative imports like \"./Lib.sol\" are resolved against (default: project root)"),
+    remappings: z.array(z.string()).optional().describe("Import remappings such as \"@oz/=node_modules/@openzeppelin/\""),
+    compilerSettings: compilerSettingsSchema.optional().describe("Compiler settings, which must match the deployment's since they change the bytecode"),
+    network: networkSchema,
+  },
+  async ({ sourceCode, address, contractName, solcVersion, basePath, remappings, compilerSettings, network }) => {
+    try {
+      const result = await verifyLocalBytecode(sourceCode, address, {
+        contractName,
+        solcVersion,
+        basePath,
+        remappings,
+        settings: compilerSettings,
+        network
+      });
+
+      const libraries = Object.entries(result.libraries)
+        .map(([id, libraryAddress]) => `📚 Library ${id} linked at ${libraryAddress}\n`)
+        .join("");
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: (result.matches
+                   ? `✅ The code at ${address} on ${result.network.name} matches ${result.contractName}\n`
+                   : `❌ The code at ${address} on ${result.network.name} does not match ${result.contractName}: ${result.reason}\n`) +
+                  libraries +
+                  `🛠️ Compiler: Solidity ${result.compilerVersion}`
+          },
+        ],
+        isError: !result.matches,
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Bytecode verification failed: ${
+              error instanceof Error ? error.message : String(error)
+            }`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// 🛠️ Define the "list-accounts" tool
+server.tool(
+  "list-accounts",
+  "List the named accounts of the account book (keystore accounts and the accounts block of mondeployer.config.json) that tools can sign with through their `account` parameter",
+  {
+    network: networkSchema,
+  },
+  async ({ network: networkName }) => {
+    try {
+      const network = getNetwork(networkName);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              network: network.key,
+              selected: selectedAccount() || null,
+              accounts: listAccountBook(network)
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Listing accounts failed: ${
               error instanceof Error ? error.message : String(error)
             }`,
           },
@@ -131,6 +482,231 @@ server.tool(
   }
 );
 
+// 🛠️ Define the "get-deployment" tool
+server.tool(
+  "get-deployment",
+  "Look up a deployed contract (address, ABI and version history) in the deployment registry",
+  {
+    contract: z.string().describe("Contract name, or the address of a recorded deployment"),
+    version: z.number().int().positive().optional().describe("Version to return (default: latest)"),
+    chainId: z.number().int().optional().describe(`Chain ID (default: the chain of the network profile, ${defaultNetwork.chainId})`),
+    network: networkSchema,
+  },
+  async ({ contract, version, chainId: requestedChainId, network }) => {
+    try {
+      const chainId = requestedChainId || getNetwork(network).chainId;
+      const deployment = contract.startsWith("0x")
+        ? findDeploymentByAddress(chainId, contract)
+        : getDeployment(chainId, contract, version);
+
+      if (!deployment) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `❌ No deployment of ${contract}${version ? ` v${version}` : ""} recorded on chain ${chainId}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      const history = getHistory(chainId, deployment.contractName).map((entry) => ({
+        version: entry.version,
+        address: entry.address,
+        transactionHash: entry.transactionHash,
+        deployedAt: entry.deployedAt,
+      }));
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              contractName: deployment.contractName,
+              chainId: deployment.chainId,
+              version: deployment.version,
+              address: deployment.address,
+              transactionHash: deployment.transactionHash,
+              compilerVersion: deployment.compilerVersion,
+              deployedAt: deployment.deployedAt,
+              abi: deployment.abi,
+              history
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Looking up the deployment failed: ${
+              error instanceof Error ? error.message : String(error)
+            }`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+/**
+ * Describes what happened to a pending transaction
+ * @param result The outcome from resumePending
+ */
+function describeResumed(result: ResumeResult): string {
+  switch (result.status) {
+    case "recorded":
+      return `✅ ${result.description} was mined at ${result.address}; recorded as v${result.version} (${result.hash})`;
+    case "confirmed":
+      return `✅ ${result.description} was mined (${result.hash})`;
+    case "reverted":
+      return `❌ ${result.description} was mined but reverted (${result.hash})`;
+    case "pending":
+      return `⏳ ${result.description} is still waiting to be mined (${result.hash})`;
+    case "dropped":
+      return `🗑️ ${result.description} was dropped: the network no longer knows ${result.hash}; send it again`;
+    default:
+      return `⚠️ ${result.description} could not be checked: ${result.error} (${result.hash})`;
+  }
+}
+
+// 🛠️ Define the "resume-pending" tool
+server.tool(
+  "resume-pending",
+  "Check transactions whose receipt never arrived (e.g. a deployment that timed out), record the deployments that were mined and report the ones that were dropped",
+  {
+    network: networkSchema,
+  },
+  async ({ network: networkName }) => {
+    try {
+      const network = getNetwork(networkName);
+      const results = await resumePending(createNetworkClient(network), network.chainId);
+
+      if (results.length === 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `✅ No pending transactions on ${network.name}`,
+            },
+          ],
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: results.map(describeResumed).join("\n"),
+          },
+        ],
+        isError: results.some((result) => result.status === "dropped" || result.status === "error"),
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Resuming pending transactions failed: ${
+              error instanceof Error ? error.message : String(error)
+            }`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// 🧪 In-process chain started by "start-local-chain"
+let localChain: LocalChain | undefined;
+
+// 🛠️ Define the "start-local-chain" tool
+server.tool(
+  "start-local-chain",
+  "Start an in-process local EVM chain with pre-funded dev accounts; deploy to it with network \"local\"",
+  {
+    port: z.number().int().min(0).max(65535).optional().describe("Port of the chain's JSON-RPC server (default: 8545, the URL of the local network profile)"),
+    accounts: z.number().int().positive().optional().describe("Number of pre-funded dev accounts (default: 10)"),
+  },
+  async ({ port, accounts }) => {
+    if (localChain) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ A local chain is already running at ${localChain.url}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    try {
+      localChain = await startLocalChain({ port, accounts });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `🧪 Local chain ${localChain.chainId} running at ${localChain.url}\n` +
+                  `👛 Dev accounts (deployments on network "local" use #0):\n` +
+                  localChain.accounts.map((account) => `  #${account.index} ${account.address}`).join("\n"),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to start the local chain: ${
+              error instanceof Error ? error.message : String(error)
+            }`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+);
+
+// 🛠️ Define the "stop-local-chain" tool
+server.tool(
+  "stop-local-chain",
+  "Stop the in-process local chain started with start-local-chain; its state is discarded",
+  {},
+  async () => {
+    if (!localChain) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: "❌ No local chain is running",
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    const { url } = localChain;
+    await localChain.stop();
+    localChain = undefined;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `🛑 Stopped the local chain at ${url}`,
+        },
+      ],
+    };
+  }
+);
+
 // 🧠 Start the MCP server (stdio transport)
 async function main() {
   const transport = new StdioServerTransport();
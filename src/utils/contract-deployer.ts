@@ -1,145 +1,204 @@
-import * as solc from 'solc';
-// Add declaration for solc module
-declare module 'solc' {
-  function loadRemoteVersion(version: string, callback: (err: Error | null, solcSnapshot: any) => void): void;
-}
-
-import { createWalletClient, http, createPublicClient, parseEther, encodeFunctionData } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
-import { monadTestnet } from 'viem/chains';
-import fs from 'fs';
-import path from 'path';
-import os from 'os';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
-
-// Configuration
-const COMPILER_VERSION = process.env.SOLIDITY_VERSION || '0.8.19';
-const DEFAULT_OPTIMIZATION_RUNS = parseInt(process.env.OPTIMIZATION_RUNS || '200', 10);
-
-/**
- * Fetches the Solidity compiler version
- * @param version Solidity compiler version
- */
-async function getSolcVersion(version: string): Promise<any> {
-  return new Promise((resolve, reject) => {
-    solc.loadRemoteVersion(`v${version}`, (err: Error | null, solcSnapshot: any) => {
-      if (err) {
-        reject(new Error(`Failed to load Solidity compiler v${version}: ${err.message}`));
-      } else {
-        resolve(solcSnapshot);
-      }
-    });
-  });
-}
+import { createWalletClient, createPublicClient, parseEther, encodeFunctionData, encodeDeployData, Account } from 'viem';
+import { compileSource } from '../../lib/compiler.js';
+import { selectContract } from '../../lib/contracts.js';
+import { assertNoErrors, CompilationError, Diagnostic } from '../../lib/diagnostics.js';
+import { CompilerSettings } from '../../lib/settings.js';
+import { collectLibraries, libraryRecord, linkLibraries, LibraryArtifact, LinkedLibrary, LinkReferences } from '../../lib/linking.js';
+import { assertPreflight, compiledEvmVersion, networkLimits, PreflightError, PreflightIssue } from '../../lib/preflight.js';
+import { buildInfo } from '../../lib/standard-json.js';
+import { recordDeployment, findDeploymentByAddress } from '../../lib/registry.js';
+import { simulateDeployment, SimulationResult } from '../../lib/dry-run.js';
+import { deployCreate2, factoryAddress, normalizeSalt, predictAddress } from '../../lib/create2.js';
+import { ArgumentError, coerceConstructorArgs } from '../../lib/abi-args.js';
+import { createTransport, getNetwork, Network, toViemChain } from '../../lib/networks.js';
+import { PendingTransactionError, trackTransaction } from '../../lib/journal.js';
+import { CodeComparison, ImmutableReferences, verifyDeployedCode } from '../../lib/bytecode.js';
 
 /**
  * Compiles Solidity source code
  * @param source The Solidity source code
- * @param contractName The name of the contract to compile
- * @param version Solidity compiler version
- * @param optimizationRuns Number of optimization runs
+ * @param contractName The contract to deploy (required if the source defines several deployable contracts)
+ * @param version Solidity compiler version (defaults to SOLIDITY_VERSION or `compiler.version`, then the newest installed compiler that satisfies the pragma)
+ * @param optimizationRuns Number of optimization runs (defaults to OPTIMIZATION_RUNS or `compiler.settings`)
+ * @param importOptions Base directory and remappings used to resolve imports
+ * @param settings Compiler settings overriding `compiler.settings` from mondeployer.config.json
+ * @param network Network to compile for (its profile may set the EVM version)
  */
 async function compileSolidity(
   source: string,
+  contractName: string | undefined,
+  version?: string,
+  optimizationRuns?: number,
+  importOptions: { basePath?: string, remappings?: string[] } = {},
+  settings?: CompilerSettings,
+  network?: Network
+): Promise<{
   contractName: string,
-  version: string = COMPILER_VERSION,
-  optimizationRuns: number = DEFAULT_OPTIMIZATION_RUNS
-): Promise<{ abi: any, bytecode: string }> {
-  const solcSnapshot = await getSolcVersion(version);
-
-  // Prepare the input for the compiler
-  const input = {
-    language: 'Solidity',
-    sources: {
-      [`${contractName}.sol`]: {
-        content: source
-      }
-    },
-    settings: {
-      outputSelection: {
-        '*': {
-          '*': ['abi', 'evm.bytecode.object']
-        }
-      },
-      optimizer: {
-        enabled: true,
-        runs: optimizationRuns
-      }
-    }
-  };
+  abi: any,
+  bytecode: string,
+  deployedBytecode: string,
+  deployedLinkReferences: LinkReferences,
+  immutableReferences: ImmutableReferences,
+  evmVersion: string | undefined,
+  linkReferences: LinkReferences,
+  libraries: LibraryArtifact[],
+  diagnostics: Diagnostic[],
+  compilerVersion: string,
+  compilerSettings: CompilerSettings,
+  cached: boolean,
+  sourceName: string,
+  input: any
+}> {
+  const sourceName = `${contractName || 'Contract'}.sol`;
 
-  // Compile the source code
-  const output = JSON.parse(solcSnapshot.compile(JSON.stringify(input)));
+  // Compile the source code and everything it imports
+  const { input, output, diagnostics, settings: compilerSettings, compiler, cached } = compileSource({
+    sourceName,
+    content: source,
+    baseDir: importOptions.basePath,
+    remappings: importOptions.remappings,
+    solcVersion: version,
+    optimizationRuns,
+    settings,
+    network
+  });
 
-  // Check for errors
-  if (output.errors) {
-    const errors = output.errors.filter((error: any) => error.severity === 'error');
-    if (errors.length > 0) {
-      const errorMessage = errors.map((e: any) => e.formattedMessage).join('\n');
-      throw new Error(`Compilation errors:\n${errorMessage}`);
-    }
-  }
+  // Fail with structured diagnostics if solc reported errors
+  assertNoErrors(diagnostics);
 
-  // Get the compiled contract
-  const compiledContract = output.contracts[`${contractName}.sol`][contractName];
-  
-  if (!compiledContract) {
-    throw new Error(`Contract ${contractName} not found in the compiled output`);
-  }
+  // Pick the contract to deploy from the AST
+  const { name, contract: compiledContract } = selectContract(output, sourceName, contractName);
+  const linkReferences: LinkReferences = compiledContract.evm.bytecode.linkReferences || {};
 
   return {
+    contractName: name,
     abi: compiledContract.abi,
-    bytecode: `0x${compiledContract.evm.bytecode.object}`
+    bytecode: `0x${compiledContract.evm.bytecode.object}`,
+    deployedBytecode: `0x${compiledContract.evm.deployedBytecode.object}`,
+    deployedLinkReferences: compiledContract.evm.deployedBytecode.linkReferences || {},
+    immutableReferences: compiledContract.evm.deployedBytecode.immutableReferences || {},
+    evmVersion: compiledEvmVersion(compiledContract, compilerSettings),
+    linkReferences,
+    libraries: collectLibraries(output, linkReferences),
+    diagnostics,
+    compilerVersion: compiler.longVersion,
+    compilerSettings,
+    cached,
+    sourceName,
+    input
   };
 }
 
 /**
- * Deploys a contract to the Monad testnet
+ * Deploys a contract to a network
  * @param abi The contract ABI
- * @param bytecode The contract bytecode
- * @param privateKey The private key for deployment
- * @param constructorArgs Arguments for the contract constructor
+ * @param bytecode The contract bytecode (may contain library placeholders)
+ * @param account The signer of the deployment (see lib/signers.js)
+ * @param constructorArgs Arguments for the contract constructor, converted to the ABI types
+ * @param linking Link references and libraries of the contract, plus known library addresses
+ * @param salt Deploy through the CREATE2 factory with this salt instead of a plain CREATE
+ * @param network Network profile to deploy to
+ * @param pending Description, registry fields and standard-JSON input journaled with the deployment transaction
  */
 async function deployContract(
   abi: any,
   bytecode: string,
-  privateKey: string,
-  constructorArgs: any[] = []
-): Promise<{ address: string, transactionHash: string }> {
-  // Validate the private key
-  if (!privateKey) {
-    throw new Error('Private key is required for deployment. Please check your .env file or pass a private key parameter.');
+  account: Account,
+  constructorArgs: any[] = [],
+  linking: {
+    linkReferences?: LinkReferences,
+    libraries?: LibraryArtifact[],
+    addresses?: Record<string, string>,
+    record?: Record<string, any>
+  } = {},
+  salt?: string,
+  network: Network = getNetwork(),
+  pending: { description: string, deployment?: Record<string, any>, input?: any } = { description: 'Contract deployment' }
+): Promise<{
+  address: string,
+  transactionHash?: string,
+  existing: boolean,
+  create2?: { factory: string, salt: string },
+  libraries: Record<string, LinkedLibrary>,
+  chainId: number
+}> {
+  if (!account) {
+    throw new Error('A signer is required for deployment. Set PRIVATE_KEY in .env or env.js, select an account, or pass a private key parameter.');
   }
 
-  // Normalize the private key (remove 0x prefix if present)
-  const normalizedKey = privateKey.replace(/^0x/, '');
-  
-  // Additional validation for private key format
-  if (!/^[0-9a-fA-F]{64}$/.test(normalizedKey)) {
-    throw new Error('Invalid private key format. The private key must be a 64-character hex string.');
-  }
+  // Create wallet and public clients that fail over between the network's RPC URLs
+  const chain = toViemChain(network);
+  const transport = createTransport(network);
+  const publicClient = createPublicClient({ chain, transport });
+  const walletClient = createWalletClient({ account, chain, transport });
 
-  // Create an account from the private key
-  const account = privateKeyToAccount(`0x${normalizedKey}`);
+  try {
+    const chainId = await publicClient.getChainId();
 
-  // Create wallet and public clients
-  const publicClient = createPublicClient({
-    chain: monadTestnet,
-    transport: http('https://rpc.monad.xyz/testnet'),
-  });
+    // Link the libraries the contract uses, deploying the ones that are not on chain yet
+    const linked = await linkLibraries({
+      bytecode,
+      linkReferences: linking.linkReferences,
+      libraries: linking.libraries,
+      addresses: linking.addresses,
+      record: linking.record,
+      getCode: address => publicClient.getCode({ address: address as `0x${string}` }),
+      chainId,
+      deploy: async library => {
+        const libraryHash = await walletClient.deployContract({
+          abi: library.abi,
+          bytecode: library.bytecode as `0x${string}`
+        });
+        const libraryReceipt = await trackTransaction(chainId, {
+          hash: libraryHash,
+          network: network.key,
+          from: account.address,
+          description: `Deployment of library ${library.id}`,
+          deployment: libraryRecord(library, linking.record)
+        }, () => publicClient.waitForTransactionReceipt({ hash: libraryHash, confirmations: network.confirmations }));
 
-  const walletClient = createWalletClient({
-    account,
-    chain: monadTestnet,
-    transport: http('https://rpc.monad.xyz/testnet'),
-  });
+        if (!libraryReceipt.contractAddress) {
+          throw new Error(`Library ${library.id} deployment failed - no contract address in receipt`);
+        }
+        return { address: libraryReceipt.contractAddress, transactionHash: libraryHash };
+      }
+    });
+
+    // Journal entry of the deployment transaction, completed with its hash once it is sent
+    const journal = {
+      network: network.key,
+      from: account.address,
+      description: pending.description,
+      ...(pending.deployment && { deployment: { ...pending.deployment, libraries: libraryAddresses(linked.libraries) } }),
+      ...(pending.input && { input: pending.input })
+    };
+
+    // Deploy through the CREATE2 factory, reusing the contract if it is already at its address
+    if (salt !== undefined) {
+      const create2 = await deployCreate2({
+        publicClient,
+        walletClient,
+        initCode: encodeDeployData({ abi, bytecode: linked.bytecode as `0x${string}`, args: constructorArgs }),
+        salt,
+        waitForReceipt: (transactionHash, target) => trackTransaction(chainId, {
+          ...journal,
+          hash: transactionHash,
+          ...(journal.deployment && { deployment: { ...journal.deployment, address: target.address, create2: { factory: target.factory, salt: target.salt } } })
+        }, () => publicClient.waitForTransactionReceipt({ hash: transactionHash as `0x${string}`, confirmations: network.confirmations }))
+      });
+
+      return {
+        address: create2.address,
+        transactionHash: create2.transactionHash,
+        existing: create2.existing,
+        create2: { factory: create2.factory, salt: create2.salt },
+        libraries: linked.libraries,
+        chainId
+      };
+    }
 
-  try {
     // Prepare the transaction
-    const deploymentData = bytecode +
+    const deploymentData = linked.bytecode +
       (constructorArgs.length > 0 
         ? encodeFunctionData({
             abi: abi.filter((item: any) => item.type === 'constructor'),
@@ -156,13 +215,15 @@ async function deployContract(
     // Send transaction
     const hash = await walletClient.deployContract({
       abi,
-      bytecode: bytecode as `0x${string}`,
+      bytecode: linked.bytecode as `0x${string}`,
       args: constructorArgs,
       gas: BigInt(Math.floor(Number(gasEstimate) * 1.1)), // Add 10% buffer
     });
 
-    // Wait for receipt
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    // Wait for receipt, keeping the transaction in the pending journal until it arrives
+    const receipt = await trackTransaction(chainId, { ...journal, hash }, () =>
+      publicClient.waitForTransactionReceipt({ hash, confirmations: network.confirmations })
+    );
 
     if (!receipt.contractAddress) {
       throw new Error('Contract deployment failed - no contract address in receipt');
@@ -170,9 +231,15 @@ async function deployContract(
 
     return {
       address: receipt.contractAddress,
-      transactionHash: hash
+      transactionHash: hash,
+      existing: false,
+      libraries: linked.libraries,
+      chainId
     };
   } catch (error) {
+    if (error instanceof PendingTransactionError) {
+      throw error;
+    }
     if (error instanceof Error) {
       throw new Error(`Deployment error: ${error.message}`);
     }
@@ -181,111 +248,394 @@ async function deployContract(
 }
 
 /**
- * Extract the contract name from Solidity source code
- * @param source The Solidity source code
+ * Returns the addresses of linked libraries, as stored in the registry
+ * @param libraries The linked libraries
  */
-function extractContractName(source: string): string {
-  const contractMatch = source.match(/contract\s+([a-zA-Z0-9_]+)/);
-  
-  if (!contractMatch || !contractMatch[1]) {
-    throw new Error('Could not detect contract name from source code');
-  }
-  
-  return contractMatch[1];
+function libraryAddresses(libraries: Record<string, LinkedLibrary>): Record<string, string> {
+  return Object.fromEntries(Object.entries(libraries).map(([id, library]) => [id, library.address]));
 }
 
 /**
- * Saves the contract compilation artifacts
+ * Records a deployment as a new version in the deployment registry
+ * A CREATE2 deployment that already existed keeps the registry entry it has.
+ * @param chainId Chain the contract was deployed on
  * @param contractName Name of the contract
  * @param abi The contract ABI
  * @param address The deployed contract address
+ * @param transactionHash Hash of the deployment transaction (none if a CREATE2 deployment already existed)
+ * @param constructorArgs Arguments the contract was constructed with
+ * @param compilerVersion The exact compiler version the contract was built with
+ * @param compilerSettings The exact compiler settings the contract was built with
+ * @param libraries The libraries the contract was linked against
+ * @param build Contract and source unit name, standard-JSON input and unlinked bytecode of the build
+ * @param create2 Factory and salt, for CREATE2 deployments
+ * @param codeVerified Whether the code on chain matched the compiled runtime bytecode
+ * @param existing Whether the code was already at the CREATE2 address
  */
-function saveContractArtifacts(contractName: string, abi: any, address: string): string {
-  // Create a temporary directory for artifacts
-  const artifactsDir = path.join(os.tmpdir(), 'monad-deployments');
-  
-  if (!fs.existsSync(artifactsDir)) {
-    fs.mkdirSync(artifactsDir, { recursive: true });
+function saveContractArtifacts(
+  chainId: number,
+  contractName: string,
+  abi: any,
+  address: string,
+  transactionHash: string | undefined,
+  constructorArgs: any[],
+  compilerVersion: string,
+  compilerSettings: CompilerSettings,
+  libraries: Record<string, LinkedLibrary>,
+  build: { name: string, sourceName: string, input: any, bytecode: string, deployedBytecode: string },
+  create2?: { factory: string, salt: string },
+  codeVerified?: boolean,
+  existing?: boolean
+): { version: number, recordPath: string, inputPath?: string } {
+  const recorded = existing ? findDeploymentByAddress(chainId, address) : undefined;
+  if (recorded) {
+    return { version: recorded.version, recordPath: recorded.recordPath, inputPath: recorded.inputPath };
   }
-  
-  const artifactPath = path.join(artifactsDir, `${contractName}.json`);
-  
-  // Save ABI and address to file
-  fs.writeFileSync(
-    artifactPath, 
-    JSON.stringify({
-      contractName,
-      address,
-      abi,
-      network: 'monad-testnet'
-    }, null, 2)
-  );
-  
-  return artifactPath;
+
+  const { version, recordPath, inputPath } = recordDeployment(chainId, {
+    contractName,
+    abi,
+    address,
+    transactionHash,
+    constructorArgs,
+    ...(create2 && { create2 }),
+    compilerVersion,
+    compilerSettings,
+    libraries: libraryAddresses(libraries),
+    ...buildInfo(build),
+    ...(codeVerified !== undefined && { codeVerified })
+  }, build.input);
+
+  return { version, recordPath, inputPath };
 }
 
 /**
  * Main function to compile and deploy a Solidity contract
  * @param sourceCode The Solidity source code
- * @param privateKey Private key for deployment (without 0x prefix)
- * @param constructorArgs Arguments for the contract constructor
+ * @param account Signer of the deployment, e.g. from localSigner or resolveSigner
+ * @param constructorArgs Arguments for the contract constructor, converted to the ABI types
  * @param options Additional options
  */
 export async function compileAndDeploy(
   sourceCode: string,
-  privateKey: string,
+  account: Account,
   constructorArgs: any[] = [],
   options: {
     contractName?: string,
     solcVersion?: string,
     optimizationRuns?: number,
-    saveArtifacts?: boolean
+    settings?: CompilerSettings,
+    libraries?: Record<string, string>,
+    salt?: string,
+    saveArtifacts?: boolean,
+    basePath?: string,
+    remappings?: string[],
+    network?: string
   } = {}
 ): Promise<{
   address: string,
-  transactionHash: string,
+  transactionHash?: string,
+  existing: boolean,
+  create2?: { factory: string, salt: string },
   abi: any,
   contractName: string,
-  artifactPath?: string
+  compilerVersion: string,
+  compilerSettings: CompilerSettings,
+  cached: boolean,
+  libraries: Record<string, LinkedLibrary>,
+  codeCheck: CodeComparison,
+  diagnostics: Diagnostic[],
+  warnings: PreflightIssue[],
+  chainId: number,
+  network: Network,
+  version?: number,
+  recordPath?: string,
+  inputPath?: string
 }> {
   try {
-    // Extract or use provided contract name
-    const contractName = options.contractName || extractContractName(sourceCode);
-    
-    // Compile the contract
-    const { abi, bytecode } = await compileSolidity(
+    // Compile the contract and pick the one to deploy
+    const { contractName, abi, bytecode, deployedBytecode, deployedLinkReferences, immutableReferences, evmVersion, linkReferences, libraries: requiredLibraries, diagnostics, compilerVersion, compilerSettings, cached, sourceName, input } = await compileSolidity(
       sourceCode,
-      contractName,
-      options.solcVersion || COMPILER_VERSION,
-      options.optimizationRuns || DEFAULT_OPTIMIZATION_RUNS
+      options.contractName,
+      options.solcVersion,
+      options.optimizationRuns,
+      { basePath: options.basePath, remappings: options.remappings },
+      options.settings,
+      getNetwork(options.network)
     );
     
-    // Deploy the contract
-    const { address, transactionHash } = await deployContract(
+    // Convert string arguments (e.g. "1.5ether" or JSON arrays) to the constructor's parameter types
+    constructorArgs = coerceConstructorArgs(abi, constructorArgs);
+    
+    // Refuse deployments that would run into the size limits of the target network before spending gas
+    // (library placeholders have the same length as addresses, so the unlinked bytecode measures the same)
+    const network = getNetwork(options.network);
+    const { warnings } = assertPreflight({
+      name: contractName,
+      initCode: bytecode + encodeDeployData({ abi, bytecode: '0x', args: constructorArgs }).slice(2),
+      deployedBytecode,
+      evmVersion
+    }, networkLimits(network));
+
+    // Deploy the contract, linking any libraries it uses
+    const { address, transactionHash, existing, create2, libraries, chainId } = await deployContract(
       abi,
       bytecode,
-      privateKey,
-      constructorArgs
+      account,
+      constructorArgs,
+      {
+        linkReferences,
+        libraries: requiredLibraries,
+        addresses: options.libraries,
+        record: { compilerVersion, compilerSettings }
+      },
+      options.salt,
+      network,
+      {
+        description: `Deployment of ${contractName}`,
+        // Lets resume-pending record the deployment if its receipt never arrives
+        ...(options.saveArtifacts && {
+          deployment: {
+            contractName,
+            abi,
+            constructorArgs,
+            compilerVersion,
+            compilerSettings,
+            ...buildInfo({ name: contractName, sourceName, bytecode, deployedBytecode })
+          },
+          input
+        })
+      }
     );
     
-    let artifactPath: string | undefined;
+    // Check that the code on chain is what was compiled, ignoring immutables and the metadata hash
+    const publicClient = createPublicClient({ chain: toViemChain(network), transport: createTransport(network) });
+    const codeCheck = await verifyDeployedCode(
+      publicClient,
+      address,
+      { deployedBytecode, deployedLinkReferences, immutableReferences },
+      libraryAddresses(libraries)
+    );
     
-    // Save artifacts if requested
+    let version: number | undefined;
+    let recordPath: string | undefined;
+    let inputPath: string | undefined;
+    
+    // Record the deployment in the registry if requested
     if (options.saveArtifacts) {
-      artifactPath = saveContractArtifacts(contractName, abi, address);
+      ({ version, recordPath, inputPath } = saveContractArtifacts(
+        chainId,
+        contractName,
+        abi,
+        address,
+        transactionHash,
+        constructorArgs,
+        compilerVersion,
+        compilerSettings,
+        libraries,
+        { name: contractName, sourceName, input, bytecode, deployedBytecode },
+        create2,
+        codeCheck.matches,
+        existing
+      ));
     }
     
     return {
       address,
       transactionHash,
+      existing,
+      create2,
       abi,
       contractName,
-      artifactPath
+      compilerVersion,
+      compilerSettings,
+      cached,
+      libraries,
+      codeCheck,
+      diagnostics,
+      warnings,
+      chainId,
+      network,
+      version,
+      recordPath,
+      inputPath
     };
   } catch (error) {
+    // Keep the diagnostics of a failed compilation, preflight or argument check (and pending transactions) intact for the caller
+    if (error instanceof CompilationError || error instanceof PreflightError || error instanceof ArgumentError || error instanceof PendingTransactionError) {
+      throw error;
+    }
     if (error instanceof Error) {
       throw new Error(`Contract compilation and deployment failed: ${error.message}`);
     }
     throw error;
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Predicts the address a CREATE2 deployment of a contract will have
+ * Libraries must already be deployed or passed in, since their addresses are part of the initcode.
+ * @param sourceCode The Solidity source code
+ * @param constructorArgs Arguments for the contract constructor, converted to the ABI types
+ * @param salt The salt (32-byte hex or any string)
+ * @param options Compilation options, as for compileAndDeploy
+ */
+export async function predictCreate2Address(
+  sourceCode: string,
+  constructorArgs: any[] = [],
+  salt: string,
+  options: {
+    contractName?: string,
+    solcVersion?: string,
+    settings?: CompilerSettings,
+    libraries?: Record<string, string>,
+    basePath?: string,
+    remappings?: string[],
+    network?: string
+  } = {}
+): Promise<{ contractName: string, address: string, factory: string, salt: string }> {
+  const { contractName, abi, bytecode, linkReferences, libraries } = await compileSolidity(
+    sourceCode,
+    options.contractName,
+    options.solcVersion,
+    undefined,
+    { basePath: options.basePath, remappings: options.remappings },
+    options.settings,
+    getNetwork(options.network)
+  );
+  constructorArgs = coerceConstructorArgs(abi, constructorArgs);
+
+  const linked = await linkLibraries({
+    bytecode,
+    linkReferences,
+    libraries,
+    addresses: options.libraries,
+    // Reuse libraries recorded for the target network
+    chainId: getNetwork(options.network).chainId,
+    deploy: async library => {
+      throw new Error(`Library ${library.id} is not deployed yet; its address is part of the initcode. Deploy it first or pass its address.`);
+    }
+  });
+
+  const factory = factoryAddress();
+  const initCode = encodeDeployData({ abi, bytecode: linked.bytecode as `0x${string}`, args: constructorArgs });
+
+  return {
+    contractName,
+    address: predictAddress({ initCode, salt, factory }),
+    factory,
+    salt: normalizeSalt(salt)
+  };
+}
+
+/**
+ * Simulates compiling and deploying a contract without signing or broadcasting anything
+ * @param sourceCode The Solidity source code
+ * @param from Address of the account that would deploy it; nothing is signed, so no key is needed
+ * @param constructorArgs Arguments for the contract constructor, converted to the ABI types
+ * @param options Compilation options, as for compileAndDeploy
+ */
+export async function dryRunDeployment(
+  sourceCode: string,
+  from: string,
+  constructorArgs: any[] = [],
+  options: {
+    contractName?: string,
+    solcVersion?: string,
+    settings?: CompilerSettings,
+    libraries?: Record<string, string>,
+    salt?: string,
+    basePath?: string,
+    remappings?: string[],
+    network?: string
+  } = {}
+): Promise<SimulationResult & {
+  contractName: string,
+  compilerVersion: string,
+  diagnostics: Diagnostic[],
+  warnings: PreflightIssue[],
+  network: Network
+}> {
+  const { contractName, abi, bytecode, deployedBytecode, evmVersion, linkReferences, libraries, diagnostics, compilerVersion } = await compileSolidity(
+    sourceCode,
+    options.contractName,
+    options.solcVersion,
+    undefined,
+    { basePath: options.basePath, remappings: options.remappings },
+    options.settings,
+    getNetwork(options.network)
+  );
+  constructorArgs = coerceConstructorArgs(abi, constructorArgs);
+
+  const network = getNetwork(options.network);
+  const { warnings } = assertPreflight({
+    name: contractName,
+    initCode: bytecode + encodeDeployData({ abi, bytecode: '0x', args: constructorArgs }).slice(2),
+    deployedBytecode,
+    evmVersion
+  }, networkLimits(network));
+
+  const publicClient = createPublicClient({
+    chain: toViemChain(network),
+    transport: createTransport(network),
+  });
+
+  const simulation = await simulateDeployment({
+    publicClient,
+    from,
+    abi,
+    bytecode,
+    constructorArgs,
+    linkReferences,
+    libraries,
+    libraryAddresses: options.libraries,
+    chainId: await publicClient.getChainId(),
+    salt: options.salt
+  });
+
+  return { ...simulation, contractName, compilerVersion, diagnostics, warnings, network };
+}
+
+/**
+ * Recompiles a contract and checks that the code at an address matches it
+ * Immutables, linked library addresses and the metadata hash are ignored.
+ * @param sourceCode The Solidity source code
+ * @param address Address of the deployed contract
+ * @param options Compilation options, as for compileAndDeploy
+ */
+export async function verifyLocalBytecode(
+  sourceCode: string,
+  address: string,
+  options: {
+    contractName?: string,
+    solcVersion?: string,
+    settings?: CompilerSettings,
+    basePath?: string,
+    remappings?: string[],
+    network?: string
+  } = {}
+): Promise<CodeComparison & {
+  contractName: string,
+  compilerVersion: string,
+  network: Network
+}> {
+  const { contractName, deployedBytecode, deployedLinkReferences, immutableReferences, compilerVersion } = await compileSolidity(
+    sourceCode,
+    options.contractName,
+    options.solcVersion,
+    undefined,
+    { basePath: options.basePath, remappings: options.remappings },
+    options.settings,
+    getNetwork(options.network)
+  );
+
+  const network = getNetwork(options.network);
+  const publicClient = createPublicClient({
+    chain: toViemChain(network),
+    transport: createTransport(network),
+  });
+
+  const comparison = await verifyDeployedCode(publicClient, address, { deployedBytecode, deployedLinkReferences, immutableReferences });
+
+  return { ...comparison, contractName, compilerVersion, network };
+}
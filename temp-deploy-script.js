@@ -2,7 +2,7 @@
 // Temporary deployment script - will be deleted after use
 const fs = require('fs');
 const path = require('path');
-const solc = require('solc');
+const { loadVersion } = require(path.resolve('/Users/adrianmesina/Desktop/DropFlow', 'lib/compiler-store'));
 const { createPublicClient, createWalletClient, http } = require('viem');
 const { privateKeyToAccount } = require('viem/accounts');
 const os = require('os');
@@ -64,7 +64,7 @@ async function compileSolidity(source, contractName) {
     try {
         // Use a specific compiler version as requested
         return new Promise((resolve, reject) => {
-            solc.loadRemoteVersion('v' + solidityVersion, (err, solcSnapshot) => {
+            loadVersion('v' + solidityVersion, (err, solcSnapshot) => {
                 if (err) {
                     return reject({
                         success: false,
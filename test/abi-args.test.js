@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ArgumentError, coerceValue, coerceArgs } = require('../lib/abi-args');
+
+const uint256 = { type: 'uint256', name: 'amount' };
+const int16 = { type: 'int16', name: 'delta' };
+
+test('integers accept decimal, unit, scientific and numeric values', () => {
+  assert.equal(coerceValue(uint256, '42'), 42n);
+  assert.equal(coerceValue(uint256, '1_000'), 1000n);
+  assert.equal(coerceValue(uint256, '1.5ether'), 1500000000000000000n);
+  assert.equal(coerceValue(uint256, '2 gwei'), 2000000000n);
+  assert.equal(coerceValue(uint256, '1e18'), 10n ** 18n);
+  assert.equal(coerceValue(uint256, 7), 7n);
+  assert.equal(coerceValue(int16, '-5'), -5n);
+});
+
+test('integers accept hex values, including hex made only of letters', () => {
+  assert.equal(coerceValue(uint256, '0x1f'), 31n);
+  assert.equal(coerceValue(uint256, '0xff'), 255n);
+  assert.equal(coerceValue(uint256, '0xa'), 10n);
+  assert.equal(coerceValue(uint256, '0xdead'), 0xdeadn);
+  assert.equal(coerceValue(uint256, '0xABCDEF'), 0xabcdefn);
+  assert.equal(coerceValue(int16, '-0xff'), -255n);
+});
+
+test('integers reject unknown units, fractions and out-of-range values', () => {
+  assert.throws(() => coerceValue(uint256, '1foo'), /unknown unit "foo"/);
+  assert.throws(() => coerceValue(uint256, '1.5'), /is not a number/);
+  assert.throws(() => coerceValue(uint256, '1.5wei'), /more decimals than wei/);
+  assert.throws(() => coerceValue(uint256, '-1'), /out of range for uint256/);
+  assert.throws(() => coerceValue(int16, '0x8000'), /out of range for int16/);
+});
+
+test('coerceArgs reports every mismatching parameter', () => {
+  const inputs = [uint256, { type: 'address', name: 'to' }];
+  assert.throws(() => coerceArgs(inputs, ['abc', 'nope']), error => {
+    assert.ok(error instanceof ArgumentError);
+    assert.equal(error.issues.length, 2);
+    return true;
+  });
+  assert.throws(() => coerceArgs(inputs, ['1']), ArgumentError);
+});
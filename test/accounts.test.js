@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getAccountEntry, accountPrivateKey, accountAddress, selectedAccount, resolvePrivateKey, resolveAddress, parseFromFlag } = require('../lib/accounts');
+const { privateKeyToAccount } = require('viem/accounts');
+const { importAccount } = require('../lib/keystore');
+const { getNetwork } = require('../lib/networks');
+
+const DEPLOYER_KEY = '0x' + '22'.repeat(32);
+const DEPLOYER = privateKeyToAccount(DEPLOYER_KEY);
+const DEV_0_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const DEV_2 = { address: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC', privateKey: '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a' };
+const PASSPHRASE = 'correct horse';
+
+const LOCAL = getNetwork('local');
+const TESTNET = getNetwork('monad-testnet');
+
+const saved = {};
+
+test.before(async () => {
+  for (const name of ['MONDEPLOYER_KEYSTORE', 'MONDEPLOYER_KEYSTORE_PASSWORD', 'MONDEPLOYER_ACCOUNT', 'MONDEPLOYER_DEV_ACCOUNT']) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  }
+  process.env.MONDEPLOYER_KEYSTORE = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-test-'));
+  await importAccount('deployer', DEPLOYER_KEY, PASSPHRASE);
+});
+
+test.after(() => {
+  fs.rmSync(process.env.MONDEPLOYER_KEYSTORE, { recursive: true, force: true });
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+test('parseFromFlag removes --from and its value', () => {
+  assert.deepEqual(parseFromFlag(['Token', '--from', 'deployer', '1000']), { from: 'deployer', args: ['Token', '1000'] });
+  assert.deepEqual(parseFromFlag(['Token']), { from: undefined, args: ['Token'] });
+  assert.throws(() => parseFromFlag(['Token', '--from']), /--from expects an account name/);
+});
+
+test('accounts are looked up by name, dev index or HD wallet index', () => {
+  assert.deepEqual(getAccountEntry('deployer'), { keystore: 'deployer' });
+  assert.deepEqual(getAccountEntry('2'), { dev: 2 });
+  assert.deepEqual(getAccountEntry('hd:4'), { hd: 4, dev: 4 });
+
+  assert.throws(() => getAccountEntry('hd:x'), /Invalid HD wallet account "hd:x" \(expected hd:<index>\)/);
+  assert.throws(() => getAccountEntry('treasury'), /Unknown account "treasury". .*npm run account -- new treasury/);
+});
+
+test('networks with dev accounts only sign with dev accounts', () => {
+  assert.equal(accountPrivateKey(LOCAL, '2'), DEV_2.privateKey);
+  assert.equal(accountAddress(LOCAL, 'hd:2'), DEV_2.address);
+  assert.throws(() => accountPrivateKey(LOCAL, 'deployer'), /Account "deployer" has no dev account for Local chain; give it a "dev" index/);
+  assert.throws(() => accountPrivateKey(TESTNET, '2'), /Account "2" is a dev account, but Monad testnet has no dev accounts/);
+});
+
+test('keystore account addresses are known without the passphrase', () => {
+  assert.equal(accountAddress(TESTNET, 'deployer'), DEPLOYER.address);
+  assert.equal(resolveAddress(TESTNET, 'deployer'), DEPLOYER.address);
+  assert.equal(resolveAddress(TESTNET, DEV_2.address), DEV_2.address);
+  assert.equal(resolveAddress(LOCAL, '2'), DEV_2.address);
+});
+
+test('--from wins over MONDEPLOYER_ACCOUNT, which wins over the plaintext key', () => {
+  const plaintext = '0x' + '11'.repeat(32);
+
+  assert.equal(selectedAccount(), undefined);
+  assert.equal(resolvePrivateKey(TESTNET, plaintext), plaintext);
+  assert.equal(resolvePrivateKey(LOCAL, plaintext, '2'), DEV_2.privateKey);
+
+  process.env.MONDEPLOYER_ACCOUNT = 'deployer';
+  process.env.MONDEPLOYER_KEYSTORE_PASSWORD = PASSPHRASE;
+  try {
+    assert.equal(selectedAccount(), 'deployer');
+    assert.equal(resolvePrivateKey(TESTNET, plaintext), DEPLOYER_KEY);
+    // A local chain ignores the selected account and signs with the dev account
+    assert.equal(resolvePrivateKey(LOCAL, plaintext), DEV_0_KEY);
+    assert.equal(resolvePrivateKey(LOCAL, plaintext, '2'), DEV_2.privateKey);
+  } finally {
+    delete process.env.MONDEPLOYER_ACCOUNT;
+    delete process.env.MONDEPLOYER_KEYSTORE_PASSWORD;
+  }
+});
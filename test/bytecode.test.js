@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stripMetadata, maskRanges, compareBytecode, verifyDeployedCode } = require('../lib/bytecode');
+
+const LIBRARY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const OTHER = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const LIBRARY_ID = 'contracts/Math.sol:Math';
+
+// A 5-byte CBOR map and its length, as solc appends them
+const metadata = filler => `a2${filler.repeat(4)}0005`;
+
+// Runtime code that DELEGATECALLs a library whose address is linked in at byte 1
+const LINKED = {
+  deployedBytecode: `0x73__$${'0'.repeat(34)}$__5af4${metadata('11')}`,
+  deployedLinkReferences: { 'contracts/Math.sol': { Math: [{ start: 1, length: 20 }] } }
+};
+const linkedCode = (address, filler = '11') => `0x73${address.slice(2).toLowerCase()}5af4${metadata(filler)}`;
+
+/**
+ * Stands in for the viem public client
+ * @param {string} code - Code at every address
+ * @returns {Object} The client
+ */
+function fakeClient(code) {
+  return { getCode: async () => code };
+}
+
+test('stripMetadata removes the CBOR trailer only when there is one', () => {
+  assert.equal(stripMetadata(`60806040${metadata('11')}`), '60806040');
+  assert.equal(stripMetadata('60806040'), '60806040');
+  assert.equal(stripMetadata('60'), '60');
+  assert.equal(stripMetadata('6080ff'), '6080ff');
+});
+
+test('maskRanges zeroes byte ranges', () => {
+  assert.equal(maskRanges('aabbccddee', [{ start: 1, length: 2 }, { start: 4, length: 1 }]), 'aa0000dd00');
+  assert.equal(maskRanges('aabb', []), 'aabb');
+});
+
+test('compareBytecode ignores metadata and immutables but reports real differences', () => {
+  const immutableReferences = { 7: [{ start: 1, length: 1 }] };
+
+  assert.deepEqual(compareBytecode({ onChain: `0x6042600055${metadata('22')}`, deployedBytecode: `0x6000600055${metadata('11')}`, immutableReferences }), { matches: true, libraries: {} });
+
+  assert.deepEqual(compareBytecode({ onChain: '0x6000600155', deployedBytecode: '0x6000600055' }), {
+    matches: false,
+    reason: 'the code differs at byte 3',
+    offset: 3,
+    libraries: {}
+  });
+  assert.equal(compareBytecode({ onChain: '0x600060', deployedBytecode: '0x6000600055' }).reason, 'the code is 3 bytes instead of 5 (first difference at byte 3)');
+  assert.equal(compareBytecode({ onChain: '0x', deployedBytecode: '0x6000' }).reason, 'there is no code at the address');
+});
+
+test('compareBytecode reads linked library addresses and masks library call protection', () => {
+  const linked = compareBytecode({ onChain: linkedCode(LIBRARY, '22'), deployedBytecode: LINKED.deployedBytecode, linkReferences: LINKED.deployedLinkReferences });
+  assert.deepEqual(linked, { matches: true, libraries: { [LIBRARY_ID]: LIBRARY } });
+
+  // A deployed library carries its own address where the compiled code has zeros
+  const library = `73${'0'.repeat(40)}30146000`;
+  assert.equal(compareBytecode({ onChain: `0x73${LIBRARY.slice(2)}30146000`, deployedBytecode: `0x${library}` }).matches, true);
+});
+
+test('verifyDeployedCode checks the libraries the contract was linked against', async () => {
+  const build = { ...LINKED, immutableReferences: {} };
+
+  assert.equal((await verifyDeployedCode(fakeClient(linkedCode(LIBRARY)), OTHER, build, { [LIBRARY_ID]: LIBRARY })).matches, true);
+
+  const wrong = await verifyDeployedCode(fakeClient(linkedCode(OTHER)), OTHER, build, { [LIBRARY_ID]: LIBRARY.toLowerCase() });
+  assert.equal(wrong.matches, false);
+  assert.equal(wrong.reason, `library ${LIBRARY_ID} is linked to ${OTHER} instead of ${LIBRARY.toLowerCase()}`);
+
+  assert.equal((await verifyDeployedCode(fakeClient('0x'), OTHER, build)).matches, false);
+});
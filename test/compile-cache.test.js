@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getCacheDir, cacheEnabled, cacheKey, readCache, writeCache, listCache, findCacheEntries, clearCache } = require('../lib/compile-cache');
+const { compileSource } = require('../lib/compiler');
+
+const VERSION = '0.8.28+commit.7893614a';
+const input = (content, runs = 200) => ({
+  language: 'Solidity',
+  sources: { 'A.sol': { content } },
+  settings: { optimizer: { enabled: true, runs } }
+});
+const output = { contracts: { 'A.sol': { A: { abi: [] } } } };
+
+const saved = {};
+
+test.before(() => {
+  for (const name of ['MONDEPLOYER_CACHE', 'MONDEPLOYER_NO_CACHE']) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  }
+  process.env.MONDEPLOYER_CACHE = fs.mkdtempSync(path.join(os.tmpdir(), 'compile-cache-test-'));
+});
+
+test.after(() => {
+  fs.rmSync(process.env.MONDEPLOYER_CACHE, { recursive: true, force: true });
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+test('cacheKey depends on the sources, settings and exact compiler but not on key order', () => {
+  const key = cacheKey(VERSION, input('contract A {}'));
+
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(cacheKey(VERSION, { settings: { optimizer: { runs: 200, enabled: true } }, sources: { 'A.sol': { content: 'contract A {}' } }, language: 'Solidity' }), key);
+  assert.notEqual(cacheKey(VERSION, input('contract A { }')), key);
+  assert.notEqual(cacheKey(VERSION, input('contract A {}', 1)), key);
+  assert.notEqual(cacheKey('0.8.28+commit.00000000', input('contract A {}')), key);
+});
+
+test('cache entries are written, read, listed and cleared by key prefix', () => {
+  const first = cacheKey(VERSION, input('contract A {}'));
+  const second = cacheKey(VERSION, input('contract B {}'));
+
+  assert.equal(readCache(first), undefined);
+  assert.equal(writeCache(first, { compiler: VERSION, input: input('contract A {}'), output }), path.join(getCacheDir(), `${first}.json`));
+  writeCache(second, { compiler: VERSION, input: input('contract B {}'), output });
+
+  const entry = readCache(first);
+  assert.equal(entry.compiler, VERSION);
+  assert.deepEqual(entry.sources, ['A.sol']);
+  assert.deepEqual(entry.output, output);
+
+  assert.deepEqual(listCache().map(item => item.key).sort(), [first, second].sort());
+  assert.deepEqual(listCache()[0].contracts, ['A']);
+  assert.deepEqual(findCacheEntries(first.slice(0, 12)).map(item => item.key), [first]);
+
+  assert.equal(clearCache(first.slice(0, 12)), 1);
+  assert.deepEqual(listCache().map(item => item.key), [second]);
+  assert.equal(clearCache(), 1);
+  assert.deepEqual(listCache(), []);
+});
+
+test('corrupt entries and entries under another key are misses', () => {
+  const key = cacheKey(VERSION, input('contract C {}'));
+  const other = cacheKey(VERSION, input('contract D {}'));
+
+  fs.writeFileSync(path.join(getCacheDir(), `${key}.json`), '{"format":1,');
+  assert.equal(readCache(key), undefined);
+  assert.equal(listCache()[0].compiler, 'unreadable');
+
+  writeCache(other, { compiler: VERSION, input: input('contract D {}'), output });
+  fs.renameSync(path.join(getCacheDir(), `${other}.json`), path.join(getCacheDir(), `${key}.json`));
+  assert.equal(readCache(key), undefined);
+  clearCache();
+});
+
+test('MONDEPLOYER_NO_CACHE turns the cache off', () => {
+  assert.equal(cacheEnabled(), true);
+  process.env.MONDEPLOYER_NO_CACHE = '1';
+  try {
+    assert.equal(cacheEnabled(), false);
+  } finally {
+    delete process.env.MONDEPLOYER_NO_CACHE;
+  }
+});
+
+test('compileSource serves a second identical compilation from the cache', () => {
+  const options = { sourceName: 'Cached.sol', content: 'pragma solidity ^0.8.0;\ncontract Cached { uint256 public value = 1; }\n' };
+
+  const first = compileSource(options);
+  const second = compileSource(options);
+  const bypassed = compileSource({ ...options, cache: false });
+
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.equal(bypassed.cached, false);
+  assert.deepEqual(second.output.contracts, first.output.contracts);
+  assert.equal(listCache().length, 1);
+});
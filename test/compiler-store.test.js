@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getStoreDir,
+  bundledVersion,
+  listCompilers,
+  findCompiler,
+  availableVersions,
+  installCompiler,
+  removeCompiler,
+  lookupCompiler,
+  loadCompiler,
+  compareVersions,
+  parseVersion
+} = require('../lib/compiler-store');
+const { resolveCompilerVersion } = require('../lib/compiler');
+
+// Store entries are only loaded when used, so empty files stand in for these versions
+const OLD = '0.8.20+commit.a1b79de6';
+const OLDER = '0.7.6+commit.7338295f';
+
+const saved = {};
+
+/**
+ * Puts a placeholder soljson file for a version into the store
+ * @param {string} longVersion - e.g. "0.8.20+commit.a1b79de6"
+ */
+function fakeInstall(longVersion) {
+  fs.writeFileSync(path.join(getStoreDir(), `soljson-v${longVersion}.js`), '');
+}
+
+test.before(() => {
+  for (const name of ['MONDEPLOYER_COMPILERS', 'SOLIDITY_VERSION']) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  }
+  process.env.MONDEPLOYER_COMPILERS = fs.mkdtempSync(path.join(os.tmpdir(), 'compiler-store-test-'));
+});
+
+test.after(() => {
+  fs.rmSync(process.env.MONDEPLOYER_COMPILERS, { recursive: true, force: true });
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+test('parseVersion and compareVersions handle solc version strings', () => {
+  assert.deepEqual(parseVersion('v0.8.28+commit.7893614a.Emscripten.clang'), { version: '0.8.28', longVersion: '0.8.28+commit.7893614a' });
+  assert.ok(compareVersions('0.8.9', '0.8.10') < 0);
+  assert.ok(compareVersions('0.10.0', '0.8.30') > 0);
+  assert.equal(compareVersions('0.8.28', '0.8.28'), 0);
+});
+
+test('an empty store only offers the bundled compiler', () => {
+  assert.equal(getStoreDir(), process.env.MONDEPLOYER_COMPILERS);
+  assert.deepEqual(listCompilers(), []);
+  assert.deepEqual(availableVersions(), [bundledVersion().version]);
+  assert.deepEqual(lookupCompiler(), { ...bundledVersion(), source: 'bundled', fallback: false });
+  assert.deepEqual(lookupCompiler(`v${bundledVersion().longVersion}`), { ...bundledVersion(), source: 'bundled', fallback: false });
+});
+
+test('lookupCompiler falls back to the bundled compiler for versions that are not installed', () => {
+  assert.deepEqual(lookupCompiler('0.8.20'), { ...bundledVersion(), source: 'bundled', fallback: true });
+});
+
+test('installed compilers are listed newest first and found by short or long version', () => {
+  fakeInstall(OLDER);
+  fakeInstall(OLD);
+  fs.writeFileSync(path.join(getStoreDir(), 'list.json'), '{}');
+
+  assert.deepEqual(listCompilers().map(entry => entry.longVersion), [OLD, OLDER]);
+  assert.deepEqual(availableVersions(), [bundledVersion().version, '0.8.20', '0.7.6']);
+  assert.equal(findCompiler('0.8.20').longVersion, OLD);
+  assert.equal(findCompiler(`v${OLD}`).path, path.join(getStoreDir(), `soljson-v${OLD}.js`));
+  assert.equal(findCompiler('0.8.21'), undefined);
+
+  assert.deepEqual(lookupCompiler('0.8.20'), {
+    version: '0.8.20',
+    longVersion: OLD,
+    path: path.join(getStoreDir(), `soljson-v${OLD}.js`),
+    source: 'store',
+    fallback: false
+  });
+});
+
+test('resolveCompilerVersion picks the newest available compiler that satisfies the pragmas', () => {
+  const sources = pragma => ({ 'A.sol': { content: `pragma solidity ${pragma};\ncontract A {}` } });
+
+  assert.equal(resolveCompilerVersion(sources('^0.8.0')), bundledVersion().version);
+  assert.equal(resolveCompilerVersion(sources('0.8.20')), '0.8.20');
+  assert.equal(resolveCompilerVersion(sources('>=0.7.0 <0.8.0')), '0.7.6');
+  assert.equal(resolveCompilerVersion(sources('^0.8.0'), '0.8.20'), '0.8.20');
+  assert.throws(() => resolveCompilerVersion(sources('^0.6.0')), /No available compiler satisfies the version pragmas \(A.sol: \^0.6.0\)/);
+  assert.throws(() => resolveCompilerVersion(sources('^0.7.0'), '0.8.20'), /Solidity 0.8.20 does not satisfy the version pragmas/);
+
+  process.env.SOLIDITY_VERSION = '0.7.6';
+  try {
+    assert.throws(() => resolveCompilerVersion(sources('^0.8.0')), /Solidity 0.7.6 \(SOLIDITY_VERSION from environment\) does not satisfy/);
+  } finally {
+    delete process.env.SOLIDITY_VERSION;
+  }
+});
+
+test('removeCompiler deletes installed compilers only', () => {
+  assert.equal(removeCompiler('0.7.6').longVersion, OLDER);
+  assert.deepEqual(listCompilers().map(entry => entry.longVersion), [OLD]);
+  assert.throws(() => removeCompiler('0.7.6'), /Solidity 0.7.6 is not installed in/);
+});
+
+test('installCompiler copies a soljson build into the store under its own version', async () => {
+  const invalid = path.join(os.tmpdir(), `not-soljson-${process.pid}.js`);
+  fs.writeFileSync(invalid, 'module.exports = {};');
+  try {
+    await assert.rejects(installCompiler(invalid), /is not a valid soljson build/);
+  } finally {
+    fs.unlinkSync(invalid);
+  }
+
+  const installed = await installCompiler(require.resolve('solc/soljson.js'));
+  assert.deepEqual(installed, {
+    ...bundledVersion(),
+    path: path.join(getStoreDir(), `soljson-v${bundledVersion().longVersion}.js`)
+  });
+  assert.equal(findCompiler(bundledVersion().version).path, installed.path);
+
+  // The bundled package is still preferred for its own version
+  assert.equal(loadCompiler(bundledVersion().version).source, 'bundled');
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, resolveSetting } = require('../lib/config');
+
+// Variables the tests set; the real environment must not leak into them
+const VARIABLES = ['OPTIMIZATION_RUNS', 'MONAD_RPC_URL', 'RPC_URL', 'MONDEPLOYER_REGISTRY'];
+
+const saved = {};
+const roots = [];
+
+/**
+ * Creates a project root holding the given files
+ * @param {Object} files - File contents keyed by file name; objects are written as JSON
+ * @returns {string} The project root
+ */
+function project(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  roots.push(root);
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(root, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return root;
+}
+
+test.beforeEach(() => {
+  VARIABLES.forEach(name => {
+    if (!(name in saved)) {
+      saved[name] = process.env[name];
+    }
+    delete process.env[name];
+  });
+});
+
+test.after(() => {
+  roots.forEach(root => fs.rmSync(root, { recursive: true, force: true }));
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+const runsConfig = runs => ({ compiler: { settings: { optimizer: { runs } } } });
+
+test('settings come from the environment, .env, env.js and the config file, in that order', () => {
+  const root = project({
+    'mondeployer.config.json': runsConfig(100),
+    'env.js': 'module.exports = { OPTIMIZATION_RUNS: "300" };',
+    '.env': '# optimizer\nOPTIMIZATION_RUNS="400"\n'
+  });
+
+  process.env.OPTIMIZATION_RUNS = '500';
+  assert.deepEqual(resolveSetting('optimizationRuns', root), {
+    key: 'optimizationRuns',
+    value: 500,
+    source: 'environment',
+    name: 'OPTIMIZATION_RUNS',
+    shadowed: [
+      { source: '.env', name: 'OPTIMIZATION_RUNS', differs: true },
+      { source: 'env.js', name: 'OPTIMIZATION_RUNS', differs: true },
+      { source: 'mondeployer.config.json', name: 'compiler.settings.optimizer.runs', differs: true }
+    ]
+  });
+
+  delete process.env.OPTIMIZATION_RUNS;
+  assert.equal(resolveSetting('optimizationRuns', root).value, 400);
+  assert.equal(resolveSetting('optimizationRuns', project({ 'mondeployer.config.json': runsConfig(100), 'env.js': 'module.exports = { OPTIMIZATION_RUNS: 300 };' })).value, 300);
+
+  const configOnly = resolveSetting('optimizationRuns', project({ 'mondeployer.config.json': runsConfig(100) }));
+  assert.equal(configOnly.value, 100);
+  assert.equal(configOnly.source, 'mondeployer.config.json');
+});
+
+test('a setting that nothing sets resolves to undefined', () => {
+  assert.deepEqual(resolveSetting('optimizationRuns', project({})), {
+    key: 'optimizationRuns',
+    value: undefined,
+    source: undefined,
+    name: undefined,
+    shadowed: []
+  });
+  assert.throws(() => resolveSetting('nope', project({})), /Unknown setting "nope"/);
+});
+
+test('a more important source wins over the preferred variable of a less important one', () => {
+  const root = project({ '.env': 'MONAD_RPC_URL=http://from-dotenv\nRPC_URL=http://rpc-from-dotenv\n' });
+
+  assert.equal(resolveSetting('rpcUrl', root).value, 'http://from-dotenv');
+
+  process.env.RPC_URL = 'http://from-environment';
+  const resolved = resolveSetting('rpcUrl', root);
+  assert.equal(resolved.value, 'http://from-environment');
+  assert.equal(resolved.name, 'RPC_URL');
+
+  process.env.MONAD_RPC_URL = 'http://from-environment';
+  assert.deepEqual(resolveSetting('rpcUrl', root).shadowed, [
+    { source: 'environment', name: 'RPC_URL', differs: false },
+    { source: '.env', name: 'MONAD_RPC_URL', differs: true },
+    { source: '.env', name: 'RPC_URL', differs: true }
+  ]);
+});
+
+test('empty variables do not count as set', () => {
+  const root = project({ 'mondeployer.config.json': runsConfig(100), '.env': 'OPTIMIZATION_RUNS=\n' });
+
+  process.env.OPTIMIZATION_RUNS = '';
+  assert.equal(resolveSetting('optimizationRuns', root).value, 100);
+});
+
+test('integer settings reject anything but non-negative integers', () => {
+  process.env.OPTIMIZATION_RUNS = '0';
+  assert.equal(resolveSetting('optimizationRuns', project({})).value, 0);
+
+  for (const value of ['abc', '-1', '1.5']) {
+    process.env.OPTIMIZATION_RUNS = value;
+    assert.throws(() => resolveSetting('optimizationRuns', project({})), new RegExp(`OPTIMIZATION_RUNS \\(environment\\) must be a non-negative integer, got "${value}"`));
+  }
+  delete process.env.OPTIMIZATION_RUNS;
+
+  assert.throws(() => resolveSetting('optimizationRuns', project({ 'mondeployer.config.json': runsConfig('many') })), /compiler.settings.optimizer.runs \(mondeployer.config.json\) must be a non-negative integer/);
+});
+
+test('paths from the config file are relative to the project root, others to the working directory', () => {
+  const root = project({ 'mondeployer.config.json': { registry: { dir: 'records' } } });
+
+  assert.equal(resolveSetting('registryDir', root).value, path.join(root, 'records'));
+
+  process.env.MONDEPLOYER_REGISTRY = 'records';
+  assert.equal(resolveSetting('registryDir', root).value, path.resolve(process.cwd(), 'records'));
+});
+
+test('loadConfig rejects unknown blocks, wrong types, invalid JSON and two config files', () => {
+  assert.deepEqual(loadConfig(project({})), {});
+  assert.deepEqual(loadConfig(project({ 'mondeployer.config.js': 'module.exports = { defaultNetwork: "local" };' })), { defaultNetwork: 'local' });
+
+  assert.throws(() => loadConfig(project({ 'mondeployer.config.json': { network: 'local' } })), /Invalid mondeployer.config.json: unknown key "network"/);
+  assert.throws(() => loadConfig(project({ 'mondeployer.config.json': { networks: [] } })), /networks must be an object/);
+  assert.throws(() => loadConfig(project({ 'mondeployer.config.json': '{ "defaultNetwork": ' })), /Invalid mondeployer.config.json: /);
+  assert.throws(
+    () => loadConfig(project({ 'mondeployer.config.json': {}, 'mondeployer.config.js': 'module.exports = {};' })),
+    /Both mondeployer.config.js and mondeployer.config.json exist/
+  );
+});
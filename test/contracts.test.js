@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listContracts, selectContract } = require('../lib/contracts');
+
+const definition = (name, contractKind, abstract = false) => ({ nodeType: 'ContractDefinition', name, contractKind, abstract });
+const compiled = object => ({ abi: [], evm: { bytecode: { object } } });
+
+/**
+ * Builds a solc output for one source unit
+ * @param {Array<Object>} nodes - AST nodes of the source unit
+ * @param {Object} [contracts] - Compiled contracts keyed by name
+ * @returns {Object} The standard JSON output
+ */
+function output(nodes, contracts = {}) {
+  return {
+    sources: { 'Token.sol': { ast: { nodes: [{ nodeType: 'PragmaDirective' }, ...nodes] } } },
+    contracts: { 'Token.sol': contracts }
+  };
+}
+
+const mixed = output(
+  [
+    definition('IToken', 'interface'),
+    definition('SafeMath', 'library'),
+    definition('Base', 'contract', true),
+    definition('Token', 'contract'),
+    definition('Faucet', 'contract')
+  ],
+  {
+    IToken: compiled(''),
+    SafeMath: compiled('6080'),
+    Base: compiled(''),
+    Token: compiled('6080'),
+    Faucet: compiled('6081')
+  }
+);
+
+test('listContracts reads the kind and abstractness of every definition from the AST', () => {
+  assert.deepEqual(listContracts(mixed, 'Token.sol'), [
+    { name: 'IToken', kind: 'interface', abstract: false, deployable: false },
+    { name: 'SafeMath', kind: 'library', abstract: false, deployable: false },
+    { name: 'Base', kind: 'contract', abstract: true, deployable: false },
+    { name: 'Token', kind: 'contract', abstract: false, deployable: true },
+    { name: 'Faucet', kind: 'contract', abstract: false, deployable: true }
+  ]);
+  assert.throws(() => listContracts({ sources: {} }, 'Token.sol'), /No AST for Token.sol in the compiler output/);
+});
+
+test('selectContract picks the only deployable contract', () => {
+  const single = output([definition('IToken', 'interface'), definition('Token', 'contract')], { IToken: compiled(''), Token: compiled('6080') });
+  const selected = selectContract(single, 'Token.sol');
+
+  assert.equal(selected.name, 'Token');
+  assert.equal(selected.contract, single.contracts['Token.sol'].Token);
+  assert.deepEqual(selected.candidates, ['Token']);
+});
+
+test('selectContract needs a name when several contracts are deployable', () => {
+  assert.throws(() => selectContract(mixed, 'Token.sol'), /Token.sol defines several deployable contracts \(Token, Faucet\). Specify which one to deploy./);
+  assert.equal(selectContract(mixed, 'Token.sol', 'Faucet').name, 'Faucet');
+});
+
+test('selectContract explains why a contract cannot be deployed', () => {
+  assert.throws(() => selectContract(mixed, 'Token.sol', 'Base'), /abstract contract Base in Token.sol cannot be deployed. Deployable contracts: Token, Faucet/);
+  assert.throws(() => selectContract(mixed, 'Token.sol', 'SafeMath'), /library SafeMath in Token.sol cannot be deployed/);
+  assert.throws(() => selectContract(mixed, 'Token.sol', 'Missing'), /Contract Missing is not defined in Token.sol/);
+
+  const interfaces = output([definition('IToken', 'interface')], { IToken: compiled('') });
+  assert.throws(() => selectContract(interfaces, 'Token.sol'), /Token.sol has no deployable contract \(it defines interface IToken\)/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const viem = require('viem');
+const { DETERMINISTIC_DEPLOYER, factoryAddress, normalizeSalt, predictAddress, deployCreate2 } = require('../lib/create2');
+
+const ZERO_SALT = `0x${'00'.repeat(32)}`;
+const INIT_CODE = '0x6080604052';
+
+/**
+ * Stands in for the viem clients
+ * @param {Object} [code] - Code keyed by lowercase address
+ * @param {string} [created] - Code each sent transaction creates at its CREATE2 address
+ * @returns {Object} `{ publicClient, walletClient, sent }`, where `sent` lists the sent transactions
+ */
+function fakeClients(code = {}, created = '0x6080') {
+  const sent = [];
+  const publicClient = {
+    getCode: async ({ address }) => code[address.toLowerCase()],
+    waitForTransactionReceipt: async () => ({ status: 'success' })
+  };
+  const walletClient = {
+    sendTransaction: async transaction => {
+      sent.push(transaction);
+      const salt = transaction.data.slice(0, 66);
+      const initCode = `0x${transaction.data.slice(66)}`;
+      code[predictAddress({ initCode, salt, factory: transaction.to }).toLowerCase()] = created;
+      return '0xfeed';
+    }
+  };
+  return { publicClient, walletClient, sent };
+}
+
+test('normalizeSalt keeps 32-byte hex salts and hashes anything else', () => {
+  assert.equal(normalizeSalt(`0x${'AB'.repeat(32)}`), `0x${'ab'.repeat(32)}`);
+  assert.equal(normalizeSalt('v1'), viem.keccak256(viem.toHex('v1')));
+  assert.equal(normalizeSalt('0x01'), viem.keccak256(viem.toHex('0x01')));
+  assert.throws(() => normalizeSalt(''), /A salt is required/);
+  assert.throws(() => normalizeSalt(undefined), /A salt is required/);
+});
+
+test('predictAddress follows EIP-1014', () => {
+  // First example of EIP-1014
+  assert.equal(
+    predictAddress({ initCode: '0x00', salt: ZERO_SALT, factory: '0x0000000000000000000000000000000000000000' }),
+    '0x4D1A2e2bB4F88F0250f26Ffff098B0b30B26BF38'
+  );
+});
+
+test('the deterministic deployment proxy is the default factory', () => {
+  assert.equal(factoryAddress(), DETERMINISTIC_DEPLOYER.address);
+  assert.equal(
+    predictAddress({ initCode: INIT_CODE, salt: 'v1' }),
+    predictAddress({ initCode: INIT_CODE, salt: normalizeSalt('v1'), factory: DETERMINISTIC_DEPLOYER.address })
+  );
+});
+
+test('deployCreate2 sends the salt and initcode to the factory', async () => {
+  const { publicClient, walletClient, sent } = fakeClients({ [DETERMINISTIC_DEPLOYER.address.toLowerCase()]: '0x60' });
+
+  const result = await deployCreate2({ publicClient, walletClient, initCode: INIT_CODE, salt: 'v1' });
+
+  assert.deepEqual(sent, [{ to: DETERMINISTIC_DEPLOYER.address, data: viem.concatHex([normalizeSalt('v1'), INIT_CODE]) }]);
+  assert.deepEqual(result, {
+    address: predictAddress({ initCode: INIT_CODE, salt: 'v1' }),
+    transactionHash: '0xfeed',
+    factory: DETERMINISTIC_DEPLOYER.address,
+    salt: normalizeSalt('v1'),
+    existing: false
+  });
+});
+
+test('deployCreate2 reuses code that is already at the address', async () => {
+  const address = predictAddress({ initCode: INIT_CODE, salt: 'v1' });
+  const { publicClient, walletClient, sent } = fakeClients({ [address.toLowerCase()]: '0x6080' });
+
+  const result = await deployCreate2({ publicClient, walletClient, initCode: INIT_CODE, salt: 'v1' });
+
+  assert.equal(sent.length, 0);
+  assert.equal(result.existing, true);
+  assert.equal(result.transactionHash, undefined);
+  assert.equal(result.address, address);
+});
+
+test('deployCreate2 fails when the transaction creates no code', async () => {
+  const { publicClient, walletClient } = fakeClients({ [DETERMINISTIC_DEPLOYER.address.toLowerCase()]: '0x60' }, '0x');
+
+  await assert.rejects(
+    deployCreate2({ publicClient, walletClient, initCode: INIT_CODE, salt: 'v1' }),
+    /CREATE2 deployment 0xfeed did not create code at/
+  );
+});
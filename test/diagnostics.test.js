@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CompilationError, collectDiagnostics, toDiagnostic, hasErrors, assertNoErrors, formatDiagnostic } = require('../lib/diagnostics');
+
+const content = 'pragma solidity ^0.8.0;\n// é\ncontract A {\n    uint x = "a";\n}\n';
+const sources = { 'A.sol': { content } };
+
+// Byte offsets of `"a"` on line 4; the "é" on line 2 takes two bytes
+const start = Buffer.byteLength(content.slice(0, content.indexOf('"a"')));
+
+const typeError = {
+  severity: 'error',
+  type: 'TypeError',
+  errorCode: '7407',
+  message: 'Type literal_string "a" is not implicitly convertible to expected type uint256.',
+  sourceLocation: { file: 'A.sol', start, end: start + 3 }
+};
+const warning = {
+  severity: 'warning',
+  type: 'Warning',
+  errorCode: '2072',
+  message: 'Unused local variable.',
+  sourceLocation: { file: 'A.sol', start: 0, end: 6 },
+  secondarySourceLocations: [{ file: 'Other.sol', start: 10, end: 12, message: 'Declared here:' }]
+};
+
+test('toDiagnostic resolves byte offsets to lines and columns', () => {
+  assert.deepEqual(toDiagnostic(typeError, sources), {
+    severity: 'error',
+    type: 'TypeError',
+    code: '7407',
+    message: typeError.message,
+    file: 'A.sol',
+    line: 4,
+    column: 14,
+    endLine: 4,
+    endColumn: 17,
+    snippet: '    uint x = "a";'
+  });
+});
+
+test('toDiagnostic keeps diagnostics without a known location', () => {
+  assert.deepEqual(toDiagnostic(warning, sources).related, [{ message: 'Declared here:', file: 'Other.sol' }]);
+  assert.deepEqual(toDiagnostic({ severity: 'error', type: 'JSONError', message: 'Bad input' }, sources), {
+    severity: 'error',
+    type: 'JSONError',
+    code: null,
+    message: 'Bad input',
+    snippet: undefined
+  });
+});
+
+test('collectDiagnostics puts errors first', () => {
+  const diagnostics = collectDiagnostics({ errors: [warning, typeError] }, sources);
+
+  assert.deepEqual(diagnostics.map(diagnostic => diagnostic.severity), ['error', 'warning']);
+  assert.equal(hasErrors(diagnostics), true);
+  assert.equal(hasErrors(diagnostics.slice(1)), false);
+  assert.deepEqual(collectDiagnostics({}, sources), []);
+});
+
+test('assertNoErrors throws a CompilationError that lists every error', () => {
+  const diagnostics = collectDiagnostics({ errors: [warning, typeError] }, sources);
+
+  assert.doesNotThrow(() => assertNoErrors(diagnostics.slice(1)));
+  assert.throws(() => assertNoErrors(diagnostics), error => {
+    assert.ok(error instanceof CompilationError);
+    assert.equal(error.message, `Compilation failed with 1 error(s):\nA.sol:4:14: TypeError: ${typeError.message}`);
+    assert.equal(error.diagnostics, diagnostics);
+    return true;
+  });
+});
+
+test('formatDiagnostic underlines the reported range', () => {
+  assert.equal(formatDiagnostic(toDiagnostic(typeError, sources), { color: false }), [
+    `A.sol:4:14: error [TypeError 7407]: ${typeError.message}`,
+    '4 |     uint x = "a";',
+    '  |              ^^^'
+  ].join('\n'));
+  assert.equal(formatDiagnostic(toDiagnostic(warning, sources), { color: false }).split('\n').pop(), '  note: Other.sol: Declared here:');
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const viem = require('viem');
+const { decodeRevert, simulateDeployment } = require('../lib/dry-run');
+const { predictAddress } = require('../lib/create2');
+const { importAccount } = require('../lib/keystore');
+const { resolveSignerAddress } = require('../lib/accounts');
+
+const FROM = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const ABI = [
+  { type: 'constructor', inputs: [{ name: 'supply', type: 'uint256' }] },
+  { type: 'error', name: 'SupplyTooLow', inputs: [{ name: 'minimum', type: 'uint256' }] }
+];
+const SOLIDITY_ERRORS = [
+  { type: 'error', name: 'Error', inputs: [{ type: 'string' }] },
+  { type: 'error', name: 'Panic', inputs: [{ type: 'uint256' }] }
+];
+
+/**
+ * An RPC error carrying revert data, as nodes return it
+ * @param {string} data - Revert data
+ * @returns {Error} The error
+ */
+function revertError(data) {
+  return Object.assign(new Error('execution reverted'), { data });
+}
+
+/**
+ * Stands in for the viem public client
+ * @param {Object} [options] - Behaviour of the chain
+ * @param {Error} [options.revert] - Error eth_call throws
+ * @param {Object} [options.code] - Code keyed by lowercase address
+ * @returns {Object} `{ publicClient, calls }`, where `calls` lists the simulated requests
+ */
+function fakeClient({ revert, code = {} } = {}) {
+  const calls = [];
+  const publicClient = {
+    getTransactionCount: async () => 5,
+    getCode: async ({ address }) => code[address.toLowerCase()] || '0x',
+    call: async request => {
+      calls.push(request);
+      if (revert) {
+        throw revert;
+      }
+    },
+    estimateGas: async () => 100000n,
+    estimateFeesPerGas: async () => ({ maxFeePerGas: 2000000000n })
+  };
+  return { publicClient, calls };
+}
+
+test('decodeRevert decodes require messages, panics and custom errors', () => {
+  const encode = (abi, errorName, args) => viem.encodeErrorResult({ abi, errorName, args });
+
+  assert.equal(decodeRevert(revertError(encode(SOLIDITY_ERRORS, 'Error', ['supply too low'])), ABI).reason, 'supply too low');
+  assert.equal(decodeRevert(revertError(encode(SOLIDITY_ERRORS, 'Panic', [0x11n])), ABI).reason, 'Panic(0x11): arithmetic underflow or overflow');
+  assert.equal(decodeRevert(revertError(encode(SOLIDITY_ERRORS, 'Panic', [0x99n])), ABI).reason, 'Panic(0x99): unknown panic code');
+
+  const custom = decodeRevert(revertError(encode(ABI, 'SupplyTooLow', [1000n])), ABI);
+  assert.equal(custom.reason, 'SupplyTooLow(1000)');
+  assert.equal(custom.errorName, 'SupplyTooLow');
+  assert.deepEqual(custom.args, [1000n]);
+
+  assert.equal(decodeRevert(revertError('0x12345678'), ABI).reason, 'reverted with unknown error data 0x12345678');
+  assert.deepEqual(decodeRevert(new Error('out of gas\nmore details'), ABI), { reason: 'out of gas', data: undefined });
+});
+
+test('simulateDeployment predicts the address, gas and cost without sending anything', async () => {
+  const { publicClient, calls } = fakeClient();
+
+  const simulation = await simulateDeployment({ publicClient, from: FROM, abi: ABI, bytecode: '0x6080', constructorArgs: [1000n] });
+
+  assert.equal(simulation.success, true);
+  assert.equal(simulation.address, viem.getContractAddress({ from: FROM, nonce: 5n }));
+  assert.equal(simulation.gas, 100000n);
+  assert.equal(simulation.cost, 200000000000000n);
+  assert.equal(simulation.costFormatted, '0.0002');
+  assert.deepEqual(calls, [{ account: FROM, data: viem.encodeDeployData({ abi: ABI, bytecode: '0x6080', args: [1000n] }) }]);
+});
+
+test('simulateDeployment reports constructor reverts', async () => {
+  const data = viem.encodeErrorResult({ abi: ABI, errorName: 'SupplyTooLow', args: [1000n] });
+  const { publicClient } = fakeClient({ revert: revertError(data) });
+
+  const simulation = await simulateDeployment({ publicClient, from: FROM, abi: ABI, bytecode: '0x6080', constructorArgs: [1n] });
+
+  assert.equal(simulation.success, false);
+  assert.equal(simulation.revert.reason, 'SupplyTooLow(1000)');
+  assert.equal(simulation.gas, 0n);
+});
+
+test('simulateDeployment skips CREATE2 deployments whose address already has code', async () => {
+  const initCode = viem.encodeDeployData({ abi: ABI, bytecode: '0x6080', args: [1000n] });
+  const address = predictAddress({ initCode, salt: 'v1' });
+  const { publicClient, calls } = fakeClient({ code: { [address.toLowerCase()]: '0x6080' } });
+
+  const simulation = await simulateDeployment({ publicClient, from: FROM, abi: ABI, bytecode: '0x6080', constructorArgs: [1000n], salt: 'v1' });
+
+  assert.equal(simulation.existing, true);
+  assert.equal(simulation.address, address);
+  assert.equal(simulation.cost, 0n);
+  assert.deepEqual(calls, []);
+});
+
+test('a dry run finds the address of a keystore account without its passphrase', async () => {
+  const saved = { MONDEPLOYER_KEYSTORE: process.env.MONDEPLOYER_KEYSTORE, MONDEPLOYER_KEYSTORE_PASSWORD: process.env.MONDEPLOYER_KEYSTORE_PASSWORD };
+  process.env.MONDEPLOYER_KEYSTORE = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-test-'));
+  delete process.env.MONDEPLOYER_KEYSTORE_PASSWORD;
+
+  try {
+    await importAccount('deployer', '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80', 'correct horse');
+    assert.equal(resolveSignerAddress({ name: 'Monad testnet' }, undefined, 'deployer'), FROM);
+  } finally {
+    fs.rmSync(process.env.MONDEPLOYER_KEYSTORE, { recursive: true, force: true });
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+});
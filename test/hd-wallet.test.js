@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getHdWallet, derivePrivateKey, hdPrivateKey, accountAddress, listHdAccounts } = require('../lib/accounts');
+const { DEV_MNEMONIC } = require('../lib/local-chain');
+const { getNetwork } = require('../lib/networks');
+
+// The BIP-39 test vector mnemonic, whose first account is well known
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const FIRST_ADDRESS = '0x9858EfFD232B4033E47d90003D41EC34EcaEda94';
+const DEV_0 = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+let previous;
+
+test.before(() => {
+  previous = process.env.MNEMONIC;
+  delete process.env.MNEMONIC;
+});
+
+test.after(() => {
+  if (previous === undefined) {
+    delete process.env.MNEMONIC;
+  } else {
+    process.env.MNEMONIC = previous;
+  }
+});
+
+test('derivePrivateKey derives by address index or full path', () => {
+  const key = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+  assert.equal(derivePrivateKey(DEV_MNEMONIC), key);
+  assert.equal(derivePrivateKey(DEV_MNEMONIC, { path: "m/44'/60'/0'/0/0" }), key);
+  assert.notEqual(derivePrivateKey(DEV_MNEMONIC, { index: 1 }), key);
+  assert.equal(derivePrivateKey(DEV_MNEMONIC, { index: 1 }), derivePrivateKey(DEV_MNEMONIC, { path: "m/44'/60'/0'/0/1" }));
+});
+
+test('the HD wallet reads its mnemonic from the MNEMONIC variable by default', () => {
+  assert.deepEqual(getHdWallet(), { mnemonic: 'MNEMONIC', path: "m/44'/60'/0'/0", count: 10 });
+  assert.throws(() => hdPrivateKey(0), /MNEMONIC \(the mnemonic of the HD wallet\) is not set in the environment, .env or env.js/);
+
+  process.env.MNEMONIC = MNEMONIC;
+  try {
+    assert.equal(hdPrivateKey(3), derivePrivateKey(MNEMONIC, { index: 3 }));
+    assert.equal(accountAddress(getNetwork('monad-testnet'), 'hd:0'), FIRST_ADDRESS);
+  } finally {
+    delete process.env.MNEMONIC;
+  }
+});
+
+test('HD wallet accounts are the dev accounts on networks with dev accounts', () => {
+  process.env.MNEMONIC = MNEMONIC;
+  try {
+    const local = listHdAccounts(getNetwork('local'), 2);
+    const testnet = listHdAccounts(getNetwork('monad-testnet'), 2);
+
+    assert.deepEqual(local.map(account => [account.name, account.index]), [['hd:0', 0], ['hd:1', 1]]);
+    assert.equal(local[0].address, DEV_0);
+    assert.equal(testnet[0].address, FIRST_ADDRESS);
+    assert.equal(listHdAccounts(getNetwork('local')).length, 10);
+  } finally {
+    delete process.env.MNEMONIC;
+  }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createImportResolver, collectSources, extractImports, stripComments, sourceUnitFor } = require('../lib/imports');
+
+let dir;
+
+/**
+ * Writes a file below the test directory
+ * @param {string} name - Relative path
+ * @param {string} content - File content
+ */
+function write(name, content) {
+  fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+  fs.writeFileSync(path.join(dir, name), content);
+}
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imports-test-'));
+  write('contracts/Main.sol', 'import "./lib/Math.sol";\nimport {Token} from "@vendor/Token.sol";\ncontract Main {}');
+  write('contracts/lib/Math.sol', 'import "../Base.sol";\nlibrary Math {}');
+  write('contracts/Base.sol', '// import "./Missing.sol";\ncontract Base {}');
+  write('vendor/Token.sol', 'import "./Base.sol";\ncontract Token {}');
+  write('vendor/Base.sol', 'contract VendorBase {}');
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('extractImports finds every import form and ignores comments', () => {
+  const source = `
+    import "./A.sol";
+    import './B.sol';
+    import * as C from "./C.sol";
+    import {D, E as F} from '@oz/D.sol';
+    import "./G.sol" as G;
+    // import "./Commented.sol";
+    /* import "./Block.sol"; */
+    string constant s = "import \\"./NotAnImport.sol\\"";
+  `;
+
+  assert.deepEqual(extractImports(source), ['./A.sol', './B.sol', './C.sol', '@oz/D.sol', './G.sol']);
+});
+
+test('stripComments keeps string literals that look like comments', () => {
+  assert.equal(stripComments('string s = "// not a comment"; // comment'), 'string s = "// not a comment";  ');
+  assert.equal(stripComments('a /* b */ c'), 'a   c');
+});
+
+test('sourceUnitFor keeps paths relative to the base directory', () => {
+  assert.deepEqual(sourceUnitFor(path.join(dir, 'contracts/Main.sol'), dir), { sourceName: 'contracts/Main.sol', baseDir: dir });
+  assert.deepEqual(sourceUnitFor(path.join(dir, 'vendor/Token.sol'), path.join(dir, 'contracts')), {
+    sourceName: 'Token.sol',
+    baseDir: path.join(dir, 'vendor')
+  });
+});
+
+test('collectSources loads relative and remapped imports transitively', () => {
+  const resolver = createImportResolver({ baseDir: dir, remappings: ['@vendor/=vendor/'] });
+  const sources = collectSources('contracts/Main.sol', fs.readFileSync(path.join(dir, 'contracts/Main.sol'), 'utf8'), resolver);
+
+  assert.deepEqual(Object.keys(sources).sort(), [
+    'contracts/Base.sol',
+    'contracts/Main.sol',
+    'contracts/lib/Math.sol',
+    'vendor/Base.sol',
+    'vendor/Token.sol'
+  ]);
+  assert.equal(sources['vendor/Base.sol'].content, 'contract VendorBase {}');
+});
+
+test('findImports refuses files outside the search paths', () => {
+  const resolver = createImportResolver({ baseDir: path.join(dir, 'contracts') });
+
+  assert.equal(resolver.findImports('lib/Math.sol').contents, 'import "../Base.sol";\nlibrary Math {}');
+  assert.match(resolver.findImports('Missing.sol').error, /File not found: Missing.sol/);
+  assert.match(resolver.findImports('../vendor/Token.sol').error, /File not found/);
+  assert.match(resolver.findImports(path.join(os.tmpdir(), 'elsewhere.sol')).error, /File not found/);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TransactionNotFoundError, TransactionReceiptNotFoundError } = require('viem');
+const { PendingTransactionError, getJournalDir, recordPending, removePending, listPending, trackTransaction, resumePending } = require('../lib/journal');
+const { getHistory } = require('../lib/registry');
+
+const CHAIN_ID = 31337;
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const hash = digit => `0x${digit.repeat(64)}`;
+const deploymentEntry = digit => ({
+  hash: hash(digit),
+  description: 'Deployment of Token',
+  deployment: { contractName: 'Token', abi: [], constructorArgs: ['1000'] }
+});
+
+let previous;
+
+test.before(() => {
+  previous = process.env.MONDEPLOYER_REGISTRY;
+  process.env.MONDEPLOYER_REGISTRY = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+});
+
+test.after(() => {
+  fs.rmSync(process.env.MONDEPLOYER_REGISTRY, { recursive: true, force: true });
+  if (previous === undefined) {
+    delete process.env.MONDEPLOYER_REGISTRY;
+  } else {
+    process.env.MONDEPLOYER_REGISTRY = previous;
+  }
+});
+
+/**
+ * Stands in for the viem public client
+ * @param {Object} receipts - Receipts keyed by transaction hash
+ * @param {Array<string>} [mempool] - Hashes the node knows but has not mined
+ * @returns {Object} The client
+ */
+function fakeClient(receipts, mempool = []) {
+  return {
+    getTransactionReceipt: async ({ hash }) => {
+      if (!receipts[hash]) {
+        throw new TransactionReceiptNotFoundError({ hash });
+      }
+      return receipts[hash];
+    },
+    getTransaction: async ({ hash }) => {
+      if (!mempool.includes(hash)) {
+        throw new TransactionNotFoundError({ hash });
+      }
+      return { hash };
+    }
+  };
+}
+
+test('entries are journaled by hash and listed oldest first', () => {
+  recordPending(CHAIN_ID, { hash: hash('b'), description: 'second', sentAt: '2024-01-02T00:00:00.000Z' });
+  const first = recordPending(CHAIN_ID, { hash: hash('A'), description: 'first', sentAt: '2024-01-01T00:00:00.000Z' });
+
+  assert.equal(first.chainId, CHAIN_ID);
+  assert.ok(fs.existsSync(path.join(getJournalDir(CHAIN_ID), `${hash('a')}.json`)));
+  assert.deepEqual(listPending(CHAIN_ID).map(entry => entry.description), ['first', 'second']);
+  assert.deepEqual(listPending(1), []);
+  assert.throws(() => recordPending(CHAIN_ID, { hash: '0x1234', description: 'short' }), /Invalid transaction hash: 0x1234/);
+
+  removePending(CHAIN_ID, hash('A'));
+  removePending(CHAIN_ID, hash('b'));
+  removePending(CHAIN_ID, hash('b'));
+  assert.deepEqual(listPending(CHAIN_ID), []);
+});
+
+test('trackTransaction keeps the entry only while the receipt is missing', async () => {
+  const receipt = { status: 'success' };
+  assert.equal(await trackTransaction(CHAIN_ID, { hash: hash('1'), description: 'Mined' }, async () => receipt), receipt);
+  assert.deepEqual(listPending(CHAIN_ID), []);
+
+  const reverted = Object.assign(new Error('transaction execution reverted'), { receipt: { status: 0 } });
+  await assert.rejects(trackTransaction(CHAIN_ID, { hash: hash('2'), description: 'Reverted' }, async () => { throw reverted; }), reverted);
+  assert.deepEqual(listPending(CHAIN_ID), []);
+
+  await assert.rejects(trackTransaction(CHAIN_ID, deploymentEntry('3'), async () => { throw new Error('timed out'); }), error => {
+    assert.ok(error instanceof PendingTransactionError);
+    assert.equal(error.hash, hash('3'));
+    assert.match(error.message, /Deployment of Token was sent in 0x3{64} but its receipt could not be fetched: timed out/);
+    assert.match(error.message, /npm run resume/);
+    return true;
+  });
+  assert.deepEqual(listPending(CHAIN_ID).map(entry => entry.hash), [hash('3')]);
+  removePending(CHAIN_ID, hash('3'));
+});
+
+test('resumePending records mined deployments and clears dropped transactions', async () => {
+  recordPending(CHAIN_ID, { ...deploymentEntry('4'), sentAt: '2024-01-01T00:00:00.000Z' });
+  recordPending(CHAIN_ID, { hash: hash('5'), description: 'Reverted call', sentAt: '2024-01-02T00:00:00.000Z' });
+  recordPending(CHAIN_ID, { hash: hash('6'), description: 'Waiting', sentAt: '2024-01-03T00:00:00.000Z' });
+  recordPending(CHAIN_ID, { hash: hash('7'), description: 'Dropped', sentAt: '2024-01-04T00:00:00.000Z' });
+
+  const client = fakeClient({
+    [hash('4')]: { status: 'success', contractAddress: TOKEN },
+    [hash('5')]: { status: 'reverted' }
+  }, [hash('6')]);
+  const results = await resumePending(client, CHAIN_ID);
+
+  assert.deepEqual(results.map(result => [result.description, result.status]), [
+    ['Deployment of Token', 'recorded'],
+    ['Reverted call', 'reverted'],
+    ['Waiting', 'pending'],
+    ['Dropped', 'dropped']
+  ]);
+  assert.equal(results[0].address, TOKEN);
+  assert.equal(results[0].version, 1);
+
+  const [deployment] = getHistory(CHAIN_ID, 'Token');
+  assert.equal(deployment.address, TOKEN);
+  assert.equal(deployment.transactionHash, hash('4'));
+  assert.deepEqual(listPending(CHAIN_ID).map(entry => entry.hash), [hash('6')]);
+  removePending(CHAIN_ID, hash('6'));
+});
+
+test('resuming a deployment that is already in the registry does not record it twice', async () => {
+  recordPending(CHAIN_ID, deploymentEntry('4'));
+
+  const [result] = await resumePending(fakeClient({ [hash('4')]: { status: 'success', contractAddress: TOKEN } }), CHAIN_ID);
+
+  assert.equal(result.status, 'recorded');
+  assert.equal(result.version, 1);
+  assert.equal(getHistory(CHAIN_ID, 'Token').length, 1);
+  assert.deepEqual(listPending(CHAIN_ID), []);
+});
+
+test('RPC failures while resuming leave the entry in the journal', async () => {
+  recordPending(CHAIN_ID, { hash: hash('8'), description: 'Unreachable' });
+  const client = { getTransactionReceipt: async () => { throw new Error('fetch failed'); } };
+
+  assert.deepEqual(await resumePending(client, CHAIN_ID), [{ hash: hash('8'), description: 'Unreachable', status: 'error', error: 'fetch failed' }]);
+  assert.equal(listPending(CHAIN_ID).length, 1);
+  removePending(CHAIN_ID, hash('8'));
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getKeystoreDir, listAccounts, importAccount, importKeystoreFile, unlockAccount, canUnlock } = require('../lib/keystore');
+
+// First dev account of local-chain.js
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+const saved = {};
+
+test.before(() => {
+  for (const name of ['MONDEPLOYER_KEYSTORE', 'MONDEPLOYER_KEYSTORE_PASSWORD']) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  }
+  process.env.MONDEPLOYER_KEYSTORE = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-test-'));
+});
+
+test.after(() => {
+  fs.rmSync(process.env.MONDEPLOYER_KEYSTORE, { recursive: true, force: true });
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+test('MONDEPLOYER_KEYSTORE selects the keystore directory', () => {
+  assert.equal(getKeystoreDir(), process.env.MONDEPLOYER_KEYSTORE);
+  assert.deepEqual(listAccounts(), []);
+});
+
+test('imported keys are encrypted, listed and unlocked with their passphrase', async () => {
+  const account = await importAccount('deployer', PRIVATE_KEY.slice(2), 'correct horse');
+
+  assert.equal(account.address, ADDRESS);
+  assert.equal(account.path, path.join(getKeystoreDir(), 'deployer.json'));
+  assert.equal(fs.readFileSync(account.path, 'utf8').includes(PRIVATE_KEY.slice(2)), false);
+  assert.deepEqual(listAccounts(), [{ name: 'deployer', address: ADDRESS, path: account.path }]);
+
+  assert.equal(canUnlock('deployer'), false);
+  assert.throws(() => unlockAccount('deployer'), /Keystore account "deployer" is locked. Set MONDEPLOYER_KEYSTORE_PASSWORD/);
+  assert.throws(() => unlockAccount('deployer', 'wrong'), /Wrong passphrase for keystore account "deployer"/);
+
+  assert.equal(unlockAccount('deployer', 'correct horse'), PRIVATE_KEY);
+  assert.equal(canUnlock('deployer'), true);
+  assert.equal(unlockAccount('deployer'), PRIVATE_KEY);
+});
+
+test('importAccount rejects bad names, keys, passphrases and existing accounts', async () => {
+  await assert.rejects(importAccount('../evil', PRIVATE_KEY, 'pw'), /Invalid account name "..\/evil"/);
+  await assert.rejects(importAccount('short', '0x1234', 'pw'), /Invalid private key format/);
+  await assert.rejects(importAccount('empty', PRIVATE_KEY, ''), /passphrase must not be empty/);
+  await assert.rejects(importAccount('deployer', PRIVATE_KEY, 'pw'), /Keystore account "deployer" already exists/);
+  assert.throws(() => unlockAccount('ghost', 'pw'), /No keystore account "ghost"/);
+});
+
+test('importKeystoreFile checks the passphrase before copying the file', () => {
+  const source = path.join(getKeystoreDir(), 'deployer.json');
+
+  assert.throws(() => importKeystoreFile('copy', source, 'wrong'), /Wrong passphrase/);
+  assert.equal(fs.existsSync(path.join(getKeystoreDir(), 'copy.json')), false);
+
+  assert.deepEqual(importKeystoreFile('copy', source, 'correct horse'), {
+    name: 'copy',
+    address: ADDRESS,
+    path: path.join(getKeystoreDir(), 'copy.json')
+  });
+  assert.deepEqual(listAccounts().map(account => account.name), ['copy', 'deployer']);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listLibraryReferences, collectLibraries, linkBytecode, linkLibraries } = require('../lib/linking');
+
+const MATH = '0x1111111111111111111111111111111111111111';
+const STRINGS = '0x2222222222222222222222222222222222222222';
+
+// Bytecode with a library placeholder at byte 2, as solc emits it
+const placeholder = id => `__$${id.repeat(34).slice(0, 34)}$__`;
+const unlinked = id => `6080${placeholder(id)}00`;
+const references = (file, name) => ({ [file]: { [name]: [{ start: 2, length: 20 }] } });
+
+const library = (code, linkReferences = {}) => ({
+  abi: [],
+  evm: { bytecode: { object: code, linkReferences } }
+});
+
+test('listLibraryReferences lists fully qualified library names', () => {
+  assert.deepEqual(listLibraryReferences({ 'lib/Math.sol': { Math: [], Trig: [] } }), [
+    { id: 'lib/Math.sol:Math', file: 'lib/Math.sol', name: 'Math' },
+    { id: 'lib/Math.sol:Trig', file: 'lib/Math.sol', name: 'Trig' }
+  ]);
+  assert.deepEqual(listLibraryReferences(undefined), []);
+});
+
+test('collectLibraries puts the libraries a library uses first', () => {
+  const output = {
+    contracts: {
+      'Math.sol': { Math: library(unlinked('a'), references('Strings.sol', 'Strings')) },
+      'Strings.sol': { Strings: library('6080') }
+    }
+  };
+
+  const libraries = collectLibraries(output, references('Math.sol', 'Math'));
+  assert.deepEqual(libraries.map(item => item.id), ['Strings.sol:Strings', 'Math.sol:Math']);
+  assert.equal(libraries[0].bytecode, '0x6080');
+});
+
+test('collectLibraries rejects missing and circular libraries', () => {
+  assert.throws(() => collectLibraries({ contracts: {} }, references('Math.sol', 'Math')), /Library Math.sol:Math is not in the compiler output/);
+
+  const output = {
+    contracts: {
+      'A.sol': { A: library(unlinked('a'), references('B.sol', 'B')) },
+      'B.sol': { B: library(unlinked('b'), references('A.sol', 'A')) }
+    }
+  };
+  assert.throws(() => collectLibraries(output, references('A.sol', 'A')), /depend on each other/);
+});
+
+test('linkBytecode replaces placeholders by fully qualified or plain name', () => {
+  const linked = `0x6080${MATH.slice(2)}00`;
+
+  assert.equal(linkBytecode(unlinked('a'), references('Math.sol', 'Math'), { 'Math.sol:Math': MATH }), linked);
+  assert.equal(linkBytecode(`0x${unlinked('a')}`, references('Math.sol', 'Math'), { Math: MATH }), linked);
+  assert.throws(() => linkBytecode(unlinked('a'), references('Math.sol', 'Math'), {}), /No valid address to link library Math.sol:Math \(got none\)/);
+  assert.throws(() => linkBytecode(unlinked('a'), {}, {}), /unlinked library placeholders/);
+});
+
+test('linkLibraries prefers given addresses and deploys the rest, dependencies first', async () => {
+  const output = {
+    contracts: {
+      'Math.sol': { Math: library(unlinked('a'), references('Strings.sol', 'Strings')) },
+      'Strings.sol': { Strings: library('6080') },
+      'Trig.sol': { Trig: library('6081') }
+    }
+  };
+  const linkReferences = {
+    ...references('Math.sol', 'Math'),
+    'Trig.sol': { Trig: [{ start: 23, length: 20 }] }
+  };
+  const deployed = [];
+
+  const result = await linkLibraries({
+    bytecode: `${unlinked('a')}${placeholder('c')}`,
+    linkReferences,
+    libraries: collectLibraries(output, linkReferences),
+    addresses: { Trig: STRINGS },
+    deploy: async item => {
+      deployed.push([item.id, item.bytecode]);
+      return { address: item.id === 'Strings.sol:Strings' ? STRINGS : MATH, transactionHash: '0xabc' };
+    }
+  });
+
+  assert.deepEqual(deployed, [
+    ['Strings.sol:Strings', '0x6080'],
+    ['Math.sol:Math', `0x6080${STRINGS.slice(2)}00`]
+  ]);
+  assert.equal(result.bytecode, `0x6080${MATH.slice(2)}00${STRINGS.slice(2)}`);
+  assert.deepEqual(result.libraries['Trig.sol:Trig'], { address: STRINGS, source: 'configured' });
+  assert.deepEqual(result.libraries['Math.sol:Math'], { address: MATH, source: 'deployed', transactionHash: '0xabc' });
+});
+
+test('linkLibraries reuses recorded libraries that still have code', async () => {
+  const previous = process.env.MONDEPLOYER_REGISTRY;
+  process.env.MONDEPLOYER_REGISTRY = fs.mkdtempSync(path.join(os.tmpdir(), 'linking-test-'));
+
+  try {
+    const output = { contracts: { 'Math.sol': { Math: library('6080') } } };
+    const options = {
+      bytecode: unlinked('a'),
+      linkReferences: references('Math.sol', 'Math'),
+      libraries: collectLibraries(output, references('Math.sol', 'Math')),
+      chainId: 31337,
+      deploy: async () => ({ address: MATH, transactionHash: '0xabc' })
+    };
+
+    const first = await linkLibraries(options);
+    assert.equal(first.libraries['Math.sol:Math'].source, 'deployed');
+
+    const second = await linkLibraries({ ...options, getCode: async () => '0x6080', deploy: () => assert.fail('deployed again') });
+    assert.deepEqual(second.libraries['Math.sol:Math'], { address: MATH, source: 'recorded' });
+
+    let redeployed = false;
+    await linkLibraries({ ...options, getCode: async () => '0x', deploy: async () => { redeployed = true; return { address: MATH }; } });
+    assert.equal(redeployed, true);
+  } finally {
+    fs.rmSync(process.env.MONDEPLOYER_REGISTRY, { recursive: true, force: true });
+    if (previous === undefined) {
+      delete process.env.MONDEPLOYER_REGISTRY;
+    } else {
+      process.env.MONDEPLOYER_REGISTRY = previous;
+    }
+  }
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const viem = require('viem');
+const { devAccount, devPrivateKey, devAccounts, devAccountIndex, signerPrivateKey, startLocalChain } = require('../lib/local-chain');
+const { getNetwork, createClients } = require('../lib/networks');
+const { targetEvmVersion } = require('../lib/preflight');
+
+// The first two accounts every local node derives from the dev mnemonic
+const ACCOUNT_0 = { address: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266', privateKey: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80' };
+const ACCOUNT_1 = { address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', privateKey: '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d' };
+
+let previous;
+
+test.before(() => {
+  previous = process.env.MONDEPLOYER_DEV_ACCOUNT;
+  delete process.env.MONDEPLOYER_DEV_ACCOUNT;
+});
+
+test.after(() => {
+  if (previous === undefined) {
+    delete process.env.MONDEPLOYER_DEV_ACCOUNT;
+  } else {
+    process.env.MONDEPLOYER_DEV_ACCOUNT = previous;
+  }
+});
+
+test('dev accounts match the accounts of anvil and hardhat node', () => {
+  assert.equal(devAccount().address, ACCOUNT_0.address);
+  assert.equal(devPrivateKey(), ACCOUNT_0.privateKey);
+  assert.equal(devPrivateKey(1), ACCOUNT_1.privateKey);
+  assert.deepEqual(devAccounts(2), [{ index: 0, ...ACCOUNT_0 }, { index: 1, ...ACCOUNT_1 }]);
+  assert.equal(devAccounts().length, 10);
+});
+
+test('MONDEPLOYER_DEV_ACCOUNT picks the dev account that signs', () => {
+  process.env.MONDEPLOYER_DEV_ACCOUNT = '1';
+  try {
+    assert.equal(devAccountIndex(), 1);
+    assert.equal(devAccount().address, ACCOUNT_1.address);
+    assert.equal(signerPrivateKey(getNetwork('local'), ACCOUNT_0.privateKey), ACCOUNT_1.privateKey);
+  } finally {
+    delete process.env.MONDEPLOYER_DEV_ACCOUNT;
+  }
+});
+
+test('the configured key never signs on networks with dev accounts', () => {
+  const key = '0x' + '11'.repeat(32);
+
+  assert.equal(signerPrivateKey(getNetwork('local'), key), ACCOUNT_0.privateKey);
+  assert.equal(signerPrivateKey(getNetwork('monad-testnet'), key), key);
+  assert.equal(signerPrivateKey(getNetwork('monad-testnet'), undefined), undefined);
+});
+
+test('code for the local chain is compiled for its EVM version', () => {
+  const local = getNetwork('local');
+
+  assert.equal(targetEvmVersion(local, '0.8.28'), 'shanghai');
+  assert.equal(targetEvmVersion(local, '0.8.19'), undefined);
+  assert.equal(targetEvmVersion(getNetwork('monad-testnet'), '0.8.28'), undefined);
+  assert.equal(targetEvmVersion(undefined, '0.8.28'), undefined);
+});
+
+test('startLocalChain serves funded dev accounts until stopped', async () => {
+  const chain = await startLocalChain({ port: 0, accounts: 2, balance: 5 });
+
+  try {
+    assert.match(chain.url, /^http:\/\/127\.0\.0\.1:\d+$/);
+    assert.equal(chain.chainId, 31337);
+    assert.deepEqual(chain.accounts.map(account => account.address), [ACCOUNT_0.address, ACCOUNT_1.address]);
+
+    const { publicClient } = createClients({ ...getNetwork('local'), rpcUrls: [chain.url] });
+    assert.equal(await publicClient.getChainId(), 31337);
+    assert.equal(await publicClient.getBalance({ address: ACCOUNT_1.address }), viem.parseEther('5'));
+  } finally {
+    await chain.stop();
+    await chain.stop();
+  }
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { DEFAULT_NETWORK, getNetwork, listNetworks, parseNetworkFlag, createClients, explorerTxUrl, explorerAddressUrl } = require('../lib/networks');
+
+// Variables the tests set; the real environment must not leak into them
+const VARIABLES = ['MONDEPLOYER_NETWORK', 'MONAD_RPC_URL', 'RPC_URL'];
+
+const saved = {};
+
+test.before(() => {
+  for (const name of VARIABLES) {
+    saved[name] = process.env[name];
+  }
+});
+
+test.beforeEach(() => {
+  for (const name of VARIABLES) {
+    delete process.env[name];
+  }
+});
+
+test.after(() => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+/**
+ * Starts a JSON-RPC server on a free local port
+ * @param {Function} handle - `(body, res) => void`, answers one request
+ * @returns {Promise<Object>} `{ url, requests, close }`
+ */
+async function rpcServer(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      handle(JSON.parse(body), res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('profiles are selected by name, MONDEPLOYER_NETWORK or the default', () => {
+  assert.equal(getNetwork().key, DEFAULT_NETWORK);
+  assert.equal(getNetwork().chainId, 10143);
+  assert.equal(getNetwork('local').devAccounts, true);
+
+  process.env.MONDEPLOYER_NETWORK = 'local';
+  assert.equal(getNetwork().chainId, 31337);
+  assert.equal(getNetwork('monad-testnet').chainId, 10143);
+
+  assert.throws(() => getNetwork('mainnet'), /Unknown network "mainnet". Available networks: monad-testnet, local/);
+  assert.deepEqual(listNetworks().map(network => network.key).slice(0, 2), ['monad-testnet', 'local']);
+});
+
+test('the legacy RPC URL is tried first on monad-testnet only', () => {
+  process.env.MONAD_RPC_URL = 'https://my-node.example';
+
+  assert.deepEqual(getNetwork('monad-testnet').rpcUrls, ['https://my-node.example', 'https://testnet-rpc.monad.xyz']);
+  assert.deepEqual(getNetwork('local').rpcUrls, ['http://127.0.0.1:8545']);
+  assert.deepEqual(getNetwork('monad-testnet', { rpcUrl: 'https://testnet-rpc.monad.xyz' }).rpcUrls, ['https://testnet-rpc.monad.xyz', 'https://my-node.example']);
+});
+
+test('parseNetworkFlag removes --network and its value', () => {
+  assert.deepEqual(parseNetworkFlag(['A.sol', '--network', 'local', '42']), { network: 'local', args: ['A.sol', '42'] });
+  assert.deepEqual(parseNetworkFlag(['A.sol']), { network: undefined, args: ['A.sol'] });
+  assert.throws(() => parseNetworkFlag(['A.sol', '--network']), /--network expects a network name/);
+});
+
+test('explorer links are only built for profiles with an explorer', () => {
+  assert.equal(explorerTxUrl(getNetwork('monad-testnet'), '0xabc'), 'https://testnet.monadexplorer.com/tx/0xabc');
+  assert.equal(explorerAddressUrl({ explorerUrl: 'https://scan.example/' }, '0x1'), 'https://scan.example/address/0x1');
+  assert.equal(explorerTxUrl(getNetwork('local'), '0xabc'), undefined);
+});
+
+test('clients fail over to the next RPC URL when one fails', async () => {
+  const broken = await rpcServer((body, res) => {
+    res.writeHead(503);
+    res.end('unavailable');
+  });
+  const working = await rpcServer((body, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: body.id, result: '0x7a69' }));
+  });
+
+  try {
+    const network = { ...getNetwork('local'), rpcUrls: [broken.url, working.url] };
+    const { publicClient } = createClients(network);
+
+    assert.equal(await publicClient.getChainId(), 31337);
+    assert.ok(broken.requests.length > 0);
+    assert.deepEqual(working.requests.map(request => request.method), ['eth_chainId']);
+  } finally {
+    await broken.close();
+    await working.close();
+  }
+});
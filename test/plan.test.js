@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { orderSteps, resolveReferences, matchesDeployment, findStepDeployment } = require('../lib/plan');
+
+const step = (id, fields = {}) => ({ id, contract: `${id}.sol`, args: [], dependsOn: [], ...fields });
+const ids = steps => steps.map(item => item.id);
+
+test('orderSteps runs referenced steps first and keeps the declared order otherwise', () => {
+  const steps = [
+    step('voting', { args: ['${token.address}', ['Yes', 'No']] }),
+    step('token'),
+    step('treasury'),
+    step('router', { libraries: { Math: '${math}' } }),
+    step('math'),
+    step('registry', { dependsOn: ['treasury'] })
+  ];
+
+  assert.deepEqual(ids(orderSteps(steps)), ['token', 'voting', 'treasury', 'math', 'router', 'registry']);
+});
+
+test('orderSteps rejects cycles and unknown steps', () => {
+  assert.throws(
+    () => orderSteps([step('a', { args: ['${b}'] }), step('b', { dependsOn: ['a'] })]),
+    /Steps a, b depend on each other/
+  );
+  assert.throws(() => orderSteps([step('a', { args: [{ owner: '${ghost.address}' }] })]), /Step "a" references unknown step "ghost"/);
+});
+
+test('resolveReferences replaces whole references with the value and interpolates the rest', () => {
+  const outputs = {
+    token: { address: '0x1111111111111111111111111111111111111111', version: 3 },
+    'price-feed': { address: '0x2222222222222222222222222222222222222222' }
+  };
+
+  assert.deepEqual(resolveReferences(['${token}', '${token.version}', 'v${token.version} of ${price-feed}', 42], outputs), [
+    '0x1111111111111111111111111111111111111111',
+    3,
+    'v3 of 0x2222222222222222222222222222222222222222',
+    42
+  ]);
+  assert.deepEqual(resolveReferences({ feeds: ['${price-feed.address}'], fee: null }, outputs), {
+    feeds: ['0x2222222222222222222222222222222222222222'],
+    fee: null
+  });
+});
+
+test('resolveReferences rejects steps that have not run and missing outputs', () => {
+  const outputs = { token: { address: '0x1111111111111111111111111111111111111111' } };
+
+  assert.throws(() => resolveReferences('${voting}', outputs), /Step "voting" has not run yet/);
+  assert.throws(() => resolveReferences('at ${token.owner}', outputs), /Step "token" has no output "owner"/);
+});
+
+// Constructor of examples/SimpleToken.sol
+const TOKEN_ABI = [{
+  type: 'constructor',
+  inputs: [
+    { name: '_name', type: 'string' },
+    { name: '_symbol', type: 'string' },
+    { name: '_decimals', type: 'uint8' },
+    { name: '_initialSupply', type: 'uint256' }
+  ]
+}];
+
+test('matchesDeployment requires the same plan step, bytecode and arguments', () => {
+  // The registry holds the converted arguments with bigints written as strings
+  const deployment = { plan: { name: 'dao', step: 'token' }, bytecode: '0x6080', constructorArgs: ['Gov', 'GOV', '18', '1000000'] };
+  const expected = { plan: 'dao', step: 'token', abi: TOKEN_ABI, bytecode: '0x6080', args: ['Gov', 'GOV', 18, 1000000] };
+
+  assert.equal(matchesDeployment(deployment, expected), true);
+  assert.equal(matchesDeployment(deployment, { ...expected, args: ['Gov', 'GOV', 18, 1000001] }), false);
+  assert.equal(matchesDeployment(deployment, { ...expected, bytecode: '0x6081' }), false);
+  assert.equal(matchesDeployment(deployment, { ...expected, step: 'voting' }), false);
+  assert.equal(matchesDeployment({ ...deployment, plan: undefined }, expected), false);
+  assert.equal(matchesDeployment({ ...deployment, constructorArgs: ['Gov'] }, expected), false);
+  assert.equal(matchesDeployment(undefined, expected), false);
+});
+
+test('findStepDeployment finds the version of each step when two steps deploy the same contract', () => {
+  const version = (number, step, supply) => ({
+    version: number,
+    plan: { name: 'dao', step },
+    bytecode: '0x6080',
+    constructorArgs: ['Gov', 'GOV', '18', supply]
+  });
+  const history = [version(1, 'token', '1000'), version(2, 'reward', '5'), version(3, 'token', '1000')];
+  const expected = step => ({ plan: 'dao', step, abi: TOKEN_ABI, bytecode: '0x6080', args: ['Gov', 'GOV', 18, step === 'token' ? 1000 : 5] });
+
+  assert.equal(findStepDeployment(history, expected('token')).version, 3);
+  assert.equal(findStepDeployment(history, expected('reward')).version, 2);
+  assert.equal(findStepDeployment(history, { ...expected('reward'), args: ['Gov', 'GOV', 18, 6] }), undefined);
+  assert.equal(findStepDeployment([], expected('token')), undefined);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractPragmas, toRange, satisfiesAll, selectVersion, sourcePragmas } = require('../lib/pragma');
+
+test('extractPragmas lists every pragma and skips commented-out ones', () => {
+  const source = [
+    '// pragma solidity 0.4.0;',
+    '/* pragma solidity 0.5.0; */',
+    'pragma solidity ^0.8.20;',
+    'pragma solidity >=0.8.0   <0.9.0 ;',
+    'pragma abicoder v2;',
+    'contract A {}'
+  ].join('\n');
+
+  assert.deepEqual(extractPragmas(source), ['^0.8.20', '>=0.8.0   <0.9.0']);
+  assert.deepEqual(extractPragmas('contract A {}'), []);
+});
+
+test('toRange converts Solidity specifiers and rejects invalid ones', () => {
+  assert.equal(toRange('0.8.28'), '0.8.28');
+  assert.ok(toRange('>=0.8.0   <0.9.0'));
+  assert.throws(() => toRange('latest'), /Invalid Solidity version pragma: latest/);
+});
+
+test('satisfiesAll requires every pragma to accept the version', () => {
+  assert.equal(satisfiesAll('0.8.24', ['^0.8.20', '>=0.8.0 <0.9.0']), true);
+  assert.equal(satisfiesAll('0.8.19', ['^0.8.20', '>=0.8.0 <0.9.0']), false);
+  assert.equal(satisfiesAll('0.8.19', []), true);
+});
+
+test('selectVersion picks the newest matching candidate', () => {
+  const candidates = ['0.8.19', '0.8.28', '0.8.24', '0.7.6'];
+
+  assert.equal(selectVersion(['^0.8.0'], candidates), '0.8.28');
+  assert.equal(selectVersion(['^0.8.0', '<0.8.25'], candidates), '0.8.24');
+  assert.equal(selectVersion(['0.7.6'], candidates), '0.7.6');
+  assert.equal(selectVersion(['^0.6.0'], candidates), null);
+  assert.deepEqual(candidates, ['0.8.19', '0.8.28', '0.8.24', '0.7.6']);
+});
+
+test('sourcePragmas reports the file of each pragma', () => {
+  const sources = {
+    'A.sol': { content: 'pragma solidity ^0.8.0;\nimport "./B.sol";' },
+    'B.sol': { content: 'pragma solidity >=0.8.20;' },
+    'C.sol': { content: 'library C {}' }
+  };
+
+  assert.deepEqual(sourcePragmas(sources), [
+    { file: 'A.sol', pragma: '^0.8.0' },
+    { file: 'B.sol', pragma: '>=0.8.20' }
+  ]);
+});
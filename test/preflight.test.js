@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MONAD_TESTNET, PreflightError, networkLimits, findOpcodes, compiledEvmVersion, preflight, assertPreflight } = require('../lib/preflight');
+
+const code = bytes => `0x${'00'.repeat(bytes)}`;
+const LOCAL = { name: 'local chain', preflight: { maxCodeSize: 24576, maxInitCodeSize: 49152, evmVersion: 'shanghai' } };
+
+test('networkLimits applies the network profile over the Monad testnet defaults', () => {
+  assert.deepEqual(networkLimits(), MONAD_TESTNET);
+
+  const limits = networkLimits({ ...LOCAL, preflight: { ...LOCAL.preflight, opcodeWarnings: { PUSH0: 'not here' } } });
+  assert.equal(limits.name, 'local chain');
+  assert.equal(limits.maxCodeSize, 24576);
+  assert.equal(limits.evmVersion, 'shanghai');
+  assert.equal(limits.opcodeWarnings.PUSH0, 'not here');
+  assert.equal(limits.opcodeWarnings.BLOBHASH, MONAD_TESTNET.opcodeWarnings.BLOBHASH);
+});
+
+test('findOpcodes skips push data, link placeholders and the metadata trailer', () => {
+  assert.deepEqual(findOpcodes('0x5f49'), ['PUSH0', 'BLOBHASH']);
+  assert.deepEqual(findOpcodes('0x605c615d5e'), []);
+  assert.deepEqual(findOpcodes(`0x73__$${'ab'.repeat(17)}$__5c`), ['TLOAD']);
+  // A 3-byte metadata trailer: a CBOR map header, then bytes that look like TLOAD and TSTORE
+  assert.deepEqual(findOpcodes('0x00a25c5d0003'), []);
+});
+
+test('compiledEvmVersion prefers the metadata over the requested settings', () => {
+  assert.equal(compiledEvmVersion({ metadata: JSON.stringify({ settings: { evmVersion: 'paris' } }) }, { evmVersion: 'cancun' }), 'paris');
+  assert.equal(compiledEvmVersion({ metadata: 'not json' }, { evmVersion: 'cancun' }), 'cancun');
+  assert.equal(compiledEvmVersion({}), undefined);
+});
+
+test('preflight rejects code and initcode over the limits and empty runtime code', () => {
+  const limits = networkLimits(LOCAL);
+
+  assert.deepEqual(preflight({ name: 'Ok', initCode: code(49152), deployedBytecode: code(24576) }, limits).errors, []);
+
+  const tooBig = preflight({ name: 'Big', initCode: code(49153), deployedBytecode: code(24577) }, limits);
+  assert.equal(tooBig.codeSize, 24577);
+  assert.equal(tooBig.initCodeSize, 49153);
+  assert.deepEqual(tooBig.errors.map(issue => issue.check), ['codeSize', 'initCodeSize']);
+  assert.match(tooBig.errors[0].message, /Big runtime code is 24577 bytes, over the local chain limit of 24576 bytes/);
+
+  assert.match(preflight({ name: 'Abstract', initCode: code(1), deployedBytecode: '0x' }, limits).errors[0].message, /Abstract has no runtime code/);
+});
+
+test('preflight warns about newer EVM versions and unsupported opcodes', () => {
+  const { errors, warnings } = preflight({ name: 'New', initCode: code(1), deployedBytecode: '0x5e49', evmVersion: 'cancun' }, networkLimits(LOCAL));
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings.map(issue => issue.check), ['evmVersion', 'opcode', 'opcode']);
+  assert.match(warnings[0].message, /New was compiled for evmVersion "cancun" but local chain supports up to "shanghai"/);
+  assert.match(warnings[1].message, /New uses MCOPY, which was introduced in "cancun" but local chain only supports up to "shanghai"/);
+  assert.match(warnings[2].message, /New uses BLOBHASH: blob transactions \(EIP-4844\) are not supported on Monad/);
+});
+
+test('assertPreflight throws a PreflightError carrying the report', () => {
+  const limits = networkLimits(LOCAL);
+
+  assert.equal(assertPreflight({ name: 'Ok', initCode: code(10), deployedBytecode: code(5) }, limits).codeSize, 5);
+  assert.throws(() => assertPreflight({ name: 'Big', initCode: code(10), deployedBytecode: code(24577) }, limits), error => {
+    assert.ok(error instanceof PreflightError);
+    assert.match(error.message, /^Preflight failed: Big runtime code is 24577 bytes/);
+    assert.equal(error.report.codeSize, 24577);
+    return true;
+  });
+});
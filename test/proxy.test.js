@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const viem = require('viem');
+const {
+  IMPLEMENTATION_SLOT,
+  ADMIN_SLOT,
+  proxyKind,
+  implementationName,
+  checkImplementation,
+  encodeCall,
+  encodeInitializer,
+  compileProxy,
+  proxyConstructorArgs,
+  readImplementation,
+  readAdmin,
+  upgradeRequest
+} = require('../lib/proxy');
+
+const PROXY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const IMPLEMENTATION = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const ADMIN = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const OWNER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+// A UUPS implementation with two initializer overloads
+const COUNTER_ABI = viem.parseAbi([
+  'function initialize(uint256 start)',
+  'function initialize(uint256 start, address owner)',
+  'function upgradeToAndCall(address newImplementation, bytes data) payable',
+  'function proxiableUUID() view returns (bytes32)',
+  'function count() view returns (uint256)'
+]);
+
+/**
+ * Stands in for the viem public client, serving raw storage slots
+ * @param {Object} slots - Slot values keyed by slot
+ * @returns {Object} The client
+ */
+function fakeClient(slots) {
+  return { getStorageAt: async ({ slot }) => slots[slot] };
+}
+
+test('proxy kinds are uups and transparent', () => {
+  assert.equal(proxyKind('uups').contract, 'ERC1967Proxy');
+  assert.equal(proxyKind('transparent').contract, 'TransparentUpgradeableProxy');
+  assert.throws(() => proxyKind('beacon'), /Unknown proxy kind "beacon" \(expected uups or transparent\)/);
+  assert.equal(implementationName('Counter'), 'Counter_Implementation');
+});
+
+test('checkImplementation refuses constructor arguments and UUPS contracts that cannot upgrade', () => {
+  checkImplementation(COUNTER_ABI, 'uups', 'Counter');
+  checkImplementation([{ type: 'constructor', inputs: [] }], 'transparent', 'Box');
+
+  assert.throws(() => checkImplementation([{ type: 'constructor', inputs: [{ name: 'start', type: 'uint256' }] }], 'transparent', 'Box'),
+    /Box takes constructor arguments, but a proxy never runs the implementation's constructor/);
+  assert.throws(() => checkImplementation(viem.parseAbi(['function initialize()']), 'uups', 'Box'), /Box is not UUPS upgradeable/);
+});
+
+test('initializer calls are encoded with their arguments converted to the ABI types', () => {
+  const call = encodeInitializer(COUNTER_ABI, undefined, ['5']);
+  assert.equal(call.function, 'initialize(uint256)');
+  assert.deepEqual(call.args, [5n]);
+  assert.equal(call.data, viem.encodeFunctionData({ abi: COUNTER_ABI, functionName: 'initialize', args: [5n] }));
+
+  assert.equal(encodeInitializer(COUNTER_ABI, 'initialize(uint256,address)', [7, OWNER]).function, 'initialize(uint256,address)');
+  assert.deepEqual(encodeCall(COUNTER_ABI, 'count').args, []);
+
+  assert.throws(() => encodeInitializer(viem.parseAbi(['function setUp()']), undefined, []), /has no initialize function; name its initializer with --initializer/);
+  assert.throws(() => encodeInitializer(COUNTER_ABI, 'init', []), /Function init is not in the contract ABI/);
+});
+
+test('proxy constructor arguments depend on the kind', () => {
+  assert.deepEqual(proxyConstructorArgs('uups', { implementation: IMPLEMENTATION, data: '0x12', owner: OWNER }), [IMPLEMENTATION, '0x12']);
+  assert.deepEqual(proxyConstructorArgs('transparent', { implementation: IMPLEMENTATION, data: '0x12', owner: OWNER }), [IMPLEMENTATION, OWNER, '0x12']);
+  assert.throws(() => proxyConstructorArgs('beacon', {}), /Unknown proxy kind/);
+});
+
+test('implementation and admin addresses are read from the ERC-1967 slots', async () => {
+  const client = fakeClient({
+    [IMPLEMENTATION_SLOT]: viem.pad(IMPLEMENTATION.toLowerCase()),
+    // Nodes may return slot values without their leading zeros
+    [ADMIN_SLOT]: ADMIN.toLowerCase()
+  });
+
+  assert.equal(await readImplementation(client, PROXY), IMPLEMENTATION);
+  assert.equal(await readAdmin(client, PROXY), ADMIN);
+
+  assert.equal(await readImplementation(fakeClient({ [IMPLEMENTATION_SLOT]: viem.pad('0x0') }), PROXY), undefined);
+  assert.equal(await readAdmin(fakeClient({}), PROXY), undefined);
+});
+
+test('upgrades go through the proxy for UUPS and through the ProxyAdmin for transparent proxies', () => {
+  const uups = upgradeRequest('uups', { proxy: PROXY, implementation: IMPLEMENTATION });
+  assert.equal(uups.address, PROXY);
+  assert.equal(uups.functionName, 'upgradeToAndCall');
+  assert.deepEqual(uups.args, [IMPLEMENTATION, '0x']);
+
+  const transparent = upgradeRequest('transparent', { proxy: PROXY, implementation: IMPLEMENTATION, data: '0x12', admin: ADMIN });
+  assert.equal(transparent.address, ADMIN);
+  assert.equal(transparent.functionName, 'upgradeAndCall');
+  assert.deepEqual(transparent.args, [PROXY, IMPLEMENTATION, '0x12']);
+
+  assert.throws(() => upgradeRequest('transparent', { proxy: PROXY, implementation: IMPLEMENTATION }), /No ProxyAdmin found for the transparent proxy/);
+});
+
+test('compileProxy compiles the OpenZeppelin proxy from node_modules', () => {
+  const saved = process.env.MONDEPLOYER_NO_CACHE;
+  process.env.MONDEPLOYER_NO_CACHE = '1';
+
+  try {
+    const proxy = compileProxy('uups');
+
+    assert.equal(proxy.name, 'ERC1967Proxy');
+    assert.deepEqual(proxy.abi.find(item => item.type === 'constructor').inputs.map(input => input.type), ['address', 'bytes']);
+    assert.match(proxy.bytecode, /^0x[0-9a-f]+$/);
+    assert.match(proxy.deployedBytecode, /^0x[0-9a-f]+$/);
+  } finally {
+    if (saved === undefined) {
+      delete process.env.MONDEPLOYER_NO_CACHE;
+    } else {
+      process.env.MONDEPLOYER_NO_CACHE = saved;
+    }
+  }
+});
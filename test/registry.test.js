@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getRegistryDir,
+  entryPath,
+  recordDeployment,
+  getDeployment,
+  getHistory,
+  listChains,
+  listDeployments,
+  findDeploymentByAddress,
+  recordPlanRun,
+  importLegacyArtifacts
+} = require('../lib/registry');
+
+const TOKEN_V1 = '0x1111111111111111111111111111111111111111';
+const TOKEN_V2 = '0x2222222222222222222222222222222222222222';
+const VOTING = '0xABCDEFabcdefABCDEFabcdefABCDEFabcdefABCD';
+
+let previous;
+
+test.before(() => {
+  previous = process.env.MONDEPLOYER_REGISTRY;
+  process.env.MONDEPLOYER_REGISTRY = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-test-'));
+});
+
+test.after(() => {
+  fs.rmSync(process.env.MONDEPLOYER_REGISTRY, { recursive: true, force: true });
+  if (previous === undefined) {
+    delete process.env.MONDEPLOYER_REGISTRY;
+  } else {
+    process.env.MONDEPLOYER_REGISTRY = previous;
+  }
+});
+
+test('redeploying a contract adds a version instead of overwriting the last one', () => {
+  const first = recordDeployment(31337, { contractName: 'Token', address: TOKEN_V1, abi: [], constructorArgs: [1000n] }, { language: 'Solidity' });
+  const second = recordDeployment(31337, { contractName: 'Token', address: TOKEN_V2, abi: [] });
+
+  assert.equal(first.version, 1);
+  assert.equal(second.version, 2);
+  assert.equal(first.recordPath, path.join(getRegistryDir(), '31337', 'Token.json'));
+  assert.equal(first.inputPath, path.join(getRegistryDir(), '31337', 'Token.v1.input.json'));
+  assert.deepEqual(JSON.parse(fs.readFileSync(first.inputPath, 'utf8')), { language: 'Solidity' });
+  assert.equal(second.inputPath, undefined);
+
+  assert.equal(getDeployment(31337, 'Token').address, TOKEN_V2);
+  assert.equal(getDeployment(31337, 'Token', 1).address, TOKEN_V1);
+  assert.deepEqual(getDeployment(31337, 'Token', '1').constructorArgs, ['1000']);
+  assert.equal(getDeployment(31337, 'Token', 3), undefined);
+  assert.equal(getDeployment(10143, 'Token'), undefined);
+  assert.deepEqual(getHistory(31337, 'Token').map(deployment => deployment.version), [1, 2]);
+  assert.deepEqual(getHistory(31337, 'Voting'), []);
+});
+
+test('deployments are listed per chain and found by address', () => {
+  recordDeployment(31337, { contractName: 'Voting', address: VOTING, abi: [] });
+  recordDeployment(10143, { contractName: 'Voting', address: VOTING, abi: [] });
+
+  assert.deepEqual(listChains(), [10143, 31337]);
+  assert.deepEqual(listDeployments(31337).map(deployment => [deployment.contractName, deployment.version, deployment.versions]), [
+    ['Token', 2, 2],
+    ['Voting', 1, 1]
+  ]);
+  assert.deepEqual(listDeployments(1), []);
+
+  const found = findDeploymentByAddress(31337, TOKEN_V1);
+  assert.equal(found.contractName, 'Token');
+  assert.equal(found.version, 1);
+  assert.equal(findDeploymentByAddress(31337, VOTING.toLowerCase()).contractName, 'Voting');
+  assert.equal(findDeploymentByAddress(31337, '0x4444444444444444444444444444444444444444'), undefined);
+});
+
+test('contract names that are not identifiers are refused', () => {
+  assert.throws(() => entryPath(31337, '../Token'), /Invalid contract name: ..\/Token/);
+  assert.throws(() => recordDeployment(31337, { contractName: 'My Token', address: TOKEN_V1 }), /Invalid contract name/);
+});
+
+test('a corrupt registry entry is reported, not silently replaced', () => {
+  fs.writeFileSync(entryPath(31337, 'Broken'), '{');
+  assert.throws(() => getDeployment(31337, 'Broken'), /Corrupt registry entry .*Broken.json/);
+  fs.unlinkSync(entryPath(31337, 'Broken'));
+});
+
+test('recordPlanRun writes the plan addresses under a safe file name', () => {
+  const file = recordPlanRun(31337, 'dao/v1', { file: 'dao.plan.json', steps: [{ id: 'token', address: TOKEN_V2 }] });
+
+  assert.equal(file, path.join(getRegistryDir(), '31337', 'plans', 'dao_v1.json'));
+  const run = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(run.plan, 'dao/v1');
+  assert.equal(run.chainId, 31337);
+  assert.deepEqual(run.steps, [{ id: 'token', address: TOKEN_V2 }]);
+});
+
+test('importLegacyArtifacts imports old artifact files once', () => {
+  const legacy = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-legacy-'));
+  try {
+    fs.writeFileSync(path.join(legacy, 'Box.json'), JSON.stringify({
+      contractName: 'Box',
+      address: '0x5555555555555555555555555555555555555555',
+      abi: [],
+      network: 'monad-testnet',
+      standardJsonInput: 'Box.input.json'
+    }));
+    fs.writeFileSync(path.join(legacy, 'Box.input.json'), JSON.stringify({ language: 'Solidity' }));
+    fs.writeFileSync(path.join(legacy, 'notes.json'), JSON.stringify({ hello: 'world' }));
+    fs.writeFileSync(path.join(legacy, 'broken.json'), '{');
+
+    const imported = importLegacyArtifacts(31337, [legacy, path.join(legacy, 'missing')]);
+    assert.deepEqual(imported.map(item => [item.contractName, item.version]), [['Box', 1]]);
+    assert.equal(getDeployment(31337, 'Box').network, undefined);
+    assert.deepEqual(JSON.parse(fs.readFileSync(getDeployment(31337, 'Box').inputPath, 'utf8')), { language: 'Solidity' });
+
+    assert.deepEqual(importLegacyArtifacts(31337, [legacy]), []);
+  } finally {
+    fs.rmSync(legacy, { recursive: true, force: true });
+  }
+});
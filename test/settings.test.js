@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isOptimizerRuns, parseOptimizerRuns, validateSettings, mergeSettings } = require('../lib/settings');
+
+test('optimizer runs are non-negative integers everywhere', () => {
+  [0, 1, 200, 4294967295].forEach(runs => assert.equal(isOptimizerRuns(runs), true));
+  [-1, 1.5, NaN, '200', undefined].forEach(runs => assert.equal(isOptimizerRuns(runs), false));
+
+  assert.equal(parseOptimizerRuns('0', '--optimizer-runs'), 0);
+  assert.equal(parseOptimizerRuns('1000', '--optimizer-runs'), 1000);
+  ['abc', '-1', '1.5', '', ' 5', '0x10', undefined].forEach(text => {
+    assert.throws(() => parseOptimizerRuns(text, '--optimizer-runs'), /--optimizer-runs must be a non-negative integer/);
+  });
+
+  assert.deepEqual(validateSettings({ optimizer: { runs: 0 } }, 'the test'), { optimizer: { runs: 0 } });
+  assert.throws(() => validateSettings({ optimizer: { runs: NaN } }, 'the test'), /optimizer.runs in the test must be a non-negative integer/);
+});
+
+test('validateSettings rejects unknown and mistyped settings', () => {
+  assert.throws(() => validateSettings({ optimiser: {} }, 'the test'), /Unknown compiler setting "optimiser" in the test/);
+  assert.throws(() => validateSettings({ evmVersion: 24 }, 'the test'), /evmVersion in the test must be a string/);
+  assert.throws(() => validateSettings({ viaIR: 'yes' }, 'the test'), /viaIR in the test must be true or false/);
+  assert.throws(() => validateSettings([], 'the test'), /Compiler settings from the test must be an object/);
+});
+
+test('mergeSettings merges nested settings and skips undefined values', () => {
+  assert.deepEqual(
+    mergeSettings({ optimizer: { enabled: true, runs: 200 }, viaIR: false }, { optimizer: { runs: 0 }, viaIR: undefined, evmVersion: 'paris' }),
+    { optimizer: { enabled: true, runs: 0 }, viaIR: false, evmVersion: 'paris' }
+  );
+});
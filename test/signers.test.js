@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const viem = require('viem');
+const { localSigner, remoteSigner, toRpcTransaction, fromRpcTransaction, createSigner } = require('../lib/signers');
+const { importAccount } = require('../lib/keystore');
+
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const TOKEN = 'a'.repeat(64);
+const TRANSACTION = {
+  type: 'eip1559',
+  chainId: 31337,
+  nonce: 3,
+  to: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  value: 1n,
+  data: '0x12345678',
+  gas: 21000n,
+  maxFeePerGas: 2000000000n,
+  maxPriorityFeePerGas: 1000000000n,
+  accessList: []
+};
+
+let previous;
+
+test.before(() => {
+  previous = process.env.MONDEPLOYER_KEYSTORE;
+  process.env.MONDEPLOYER_KEYSTORE = fs.mkdtempSync(path.join(os.tmpdir(), 'signers-test-'));
+});
+
+test.after(() => {
+  fs.rmSync(process.env.MONDEPLOYER_KEYSTORE, { recursive: true, force: true });
+  if (previous === undefined) {
+    delete process.env.MONDEPLOYER_KEYSTORE;
+  } else {
+    process.env.MONDEPLOYER_KEYSTORE = previous;
+  }
+});
+
+/**
+ * Starts a signer daemon that holds PRIVATE_KEY
+ * @param {Function} [tamper] - Changes a transaction before it is signed, as a misbehaving daemon would
+ * @returns {Promise<Object>} `{ url, requests, close }`; requests holds the headers and body of each request
+ */
+async function fakeDaemon(tamper = transaction => transaction) {
+  const signer = localSigner(PRIVATE_KEY);
+  const requests = [];
+  const methods = {
+    eth_signTransaction: ([request]) => signer.signTransaction(tamper(fromRpcTransaction(request))),
+    personal_sign: ([data]) => signer.signMessage({ message: { raw: data } })
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const request = JSON.parse(body);
+      requests.push({ headers: req.headers, body: request });
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: await methods[request.method](request.params) }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Sends a raw HTTP request to a signer daemon
+ * @param {number} port - Port of the daemon
+ * @param {Object} headers - Request headers
+ * @param {Object} body - JSON-RPC request
+ * @returns {Promise<Object>} `{ status, body }`
+ */
+function post(port, headers, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method: 'POST', headers: { 'content-type': 'application/json', ...headers } }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+/**
+ * Finds a free local port
+ * @returns {Promise<number>} The port
+ */
+async function freePort() {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+test('transactions survive the round trip through eth_signTransaction', () => {
+  const request = toRpcTransaction(ADDRESS, TRANSACTION);
+
+  assert.equal(request.from, ADDRESS);
+  assert.equal(request.chainId, '0x7a69');
+  assert.equal(request.nonce, '0x3');
+  assert.deepEqual(fromRpcTransaction(request), { ...TRANSACTION, gasPrice: undefined });
+
+  assert.equal(fromRpcTransaction({ chainId: '0x1', nonce: '0x0', gas: '0x5208', gasPrice: '0x1' }).type, 'legacy');
+  assert.throws(() => fromRpcTransaction({ type: '0x3', chainId: '0x1', nonce: '0x0', gas: '0x1' }), /Unsupported transaction type 0x3/);
+  assert.throws(() => fromRpcTransaction({ chainId: '0x1' }), /The transaction has no nonce, gas; the signer signs complete transactions only/);
+});
+
+test('a remote signer sends its bearer token and checks what the daemon signed', async () => {
+  const daemon = await fakeDaemon();
+
+  try {
+    const signer = remoteSigner({ url: daemon.url, address: ADDRESS.toLowerCase(), token: TOKEN });
+    assert.equal(signer.address, ADDRESS);
+
+    const signed = await signer.signTransaction(TRANSACTION);
+    assert.equal(await viem.recoverTransactionAddress({ serializedTransaction: signed }), ADDRESS);
+    assert.equal(await signer.signMessage({ message: 'hello' }), await localSigner(PRIVATE_KEY).signMessage({ message: 'hello' }));
+
+    assert.deepEqual(daemon.requests.map(request => request.headers.authorization), [`Bearer ${TOKEN}`, `Bearer ${TOKEN}`]);
+    assert.deepEqual(daemon.requests.map(request => request.body.method), ['eth_signTransaction', 'personal_sign']);
+
+    const anonymous = remoteSigner({ url: daemon.url, address: ADDRESS });
+    await anonymous.signMessage({ message: 'hello' });
+    assert.equal(daemon.requests[2].headers.authorization, undefined);
+  } finally {
+    await daemon.close();
+  }
+});
+
+test('a remote signer rejects transactions the daemon changed', async () => {
+  const daemon = await fakeDaemon(transaction => ({ ...transaction, nonce: transaction.nonce + 1 }));
+
+  try {
+    const signer = remoteSigner({ url: daemon.url, address: ADDRESS, token: TOKEN });
+    await assert.rejects(signer.signTransaction(TRANSACTION), /The signer at http:\/\/127\.0\.0\.1:\d+ returned a transaction with a different nonce than requested/);
+  } finally {
+    await daemon.close();
+  }
+});
+
+test('signers refuse invalid options', async () => {
+  assert.throws(() => remoteSigner({ url: 'ftp://signer', address: ADDRESS }), /Invalid signer URL "ftp:\/\/signer"/);
+  assert.throws(() => remoteSigner({ url: 'http://127.0.0.1:8550', address: '0x1234' }), /Invalid address "0x1234"/);
+  assert.throws(() => createSigner('hsm', {}), /Unknown signer backend "hsm" \(supported: local, keystore, remote\)/);
+  assert.throws(() => localSigner('0x1234'), /Invalid private key format/);
+
+  const port = await freePort();
+  await assert.rejects(remoteSigner({ url: `http://127.0.0.1:${port}`, address: ADDRESS }).signMessage({ message: 'hi' }), /Cannot reach the signer at/);
+});
+
+test('the signer daemon only answers local requests that carry its token', async () => {
+  const port = await freePort();
+  let daemon;
+
+  try {
+    await importAccount('deployer', PRIVATE_KEY, 'pw');
+    daemon = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'signer.js'), 'deployer', '--port', String(port), '--network', 'local'], {
+      env: { ...process.env, MONDEPLOYER_KEYSTORE_PASSWORD: 'pw', MONDEPLOYER_SIGNER_TOKEN: TOKEN },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+      daemon.stdout.on('data', chunk => chunk.toString().includes('listening at') && resolve());
+      daemon.on('exit', code => reject(new Error(`The signer exited with code ${code}`)));
+    });
+
+    const request = { jsonrpc: '2.0', id: 1, method: 'eth_accounts', params: [] };
+    const authorization = `Bearer ${TOKEN}`;
+
+    assert.deepEqual((await post(port, { authorization }, request)).body.result, [ADDRESS]);
+    assert.equal((await post(port, {}, request)).status, 401);
+    assert.equal((await post(port, { authorization: 'Bearer wrong' }, request)).status, 401);
+    assert.equal((await post(port, { authorization, host: 'evil.example' }, request)).status, 403);
+    assert.equal((await post(port, { authorization, origin: 'https://evil.example' }, request)).status, 403);
+
+    const foreign = toRpcTransaction(ADDRESS, { ...TRANSACTION, chainId: 10143 });
+    const refused = await post(port, { authorization }, { jsonrpc: '2.0', id: 2, method: 'eth_signTransaction', params: [foreign] });
+    assert.match(refused.body.error.message, /Refusing to sign for chain 10143; this signer signs for chain 31337 only/);
+  } finally {
+    if (daemon && daemon.exitCode === null) {
+      daemon.kill();
+    }
+  }
+});
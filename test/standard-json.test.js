@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compileContract } = require('../deploy-contract');
+const { recordDeployment, getDeployment } = require('../lib/registry');
+const { implementationName } = require('../lib/proxy');
+const { buildInfo, verifyBuild } = require('../lib/standard-json');
+
+const CHAIN_ID = 31337;
+const SOURCE = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract Box {
+    uint256 public value;
+}
+
+contract BoxV2 is Box {
+    function bump() external {
+        value += 1;
+    }
+}
+`;
+
+const saved = {};
+let dir;
+let contractPath;
+
+test.before(() => {
+  for (const name of ['MONDEPLOYER_REGISTRY', 'MONDEPLOYER_CACHE']) {
+    saved[name] = process.env[name];
+  }
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'standard-json-test-'));
+  process.env.MONDEPLOYER_REGISTRY = path.join(dir, 'deployments');
+  process.env.MONDEPLOYER_CACHE = path.join(dir, 'cache');
+  contractPath = path.join(dir, 'Box.sol');
+  fs.writeFileSync(contractPath, SOURCE);
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+/**
+ * Compiles a contract of Box.sol and records it the way deploy-contract.js does
+ * @param {string} contractName - Contract to compile
+ * @param {string} recordAs - Registry name
+ * @returns {Object} The recorded deployment
+ */
+function record(contractName, recordAs) {
+  const compiled = compileContract(contractPath, { contractName });
+
+  return recordDeployment(CHAIN_ID, {
+    contractName: recordAs,
+    abi: compiled.abi,
+    address: '0x1111111111111111111111111111111111111111',
+    compilerVersion: compiled.compilerVersion,
+    ...buildInfo(compiled)
+  }, compiled.input);
+}
+
+test('verifyBuild reproduces a proxy implementation recorded under its implementation name', () => {
+  record('Box', implementationName('Box'));
+  const deployment = getDeployment(CHAIN_ID, 'Box_Implementation');
+
+  assert.equal(deployment.compiledName, 'Box');
+  assert.deepEqual(verifyBuild(deployment), {
+    contract: 'Box.sol:Box',
+    compilerVersion: deployment.compilerVersion,
+    inputPath: deployment.inputPath,
+    identical: true,
+    mismatches: []
+  });
+});
+
+test('verifyBuild reproduces a proxy record that was upgraded to another contract', () => {
+  const deployment = record('BoxV2', 'Box');
+
+  const result = verifyBuild(deployment);
+  assert.equal(result.contract, 'Box.sol:BoxV2');
+  assert.equal(result.identical, true);
+});
+
+test('verifyBuild falls back to the registry name for records without compiledName', () => {
+  const { compiledName, ...legacy } = record('Box', 'Box');
+
+  assert.equal(verifyBuild(legacy).identical, true);
+  assert.throws(() => verifyBuild({ ...legacy, contractName: 'Box_Implementation' }), /Box.sol:Box_Implementation is not in the recompiled output/);
+});
+
+test('verifyBuild reports bytecode that differs from the recompiled build', () => {
+  const deployment = record('Box', 'Box');
+  const result = verifyBuild({ ...deployment, deployedBytecode: `${deployment.deployedBytecode}00` });
+
+  assert.equal(result.identical, false);
+  assert.deepEqual(result.mismatches, ['deployedBytecode']);
+  assert.throws(() => verifyBuild({ ...deployment, inputPath: undefined }), /Box v\d+ has no standard-JSON input recorded/);
+});